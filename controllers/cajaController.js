@@ -0,0 +1,392 @@
+/**
+ * Caja Controller
+ * Controlador para apertura, movimientos y cierre de caja
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { METODOS_PAGO } = require('../services/mediosPagoService');
+const {
+  TIPOS_MOVIMIENTO_MANUAL,
+  MENSAJES_CAJA,
+  INCLUDE_CAJA,
+  esErrorCaja,
+  obtenerCajaAbierta,
+  registrarMovimientos,
+  obtenerDetalleCaja,
+  cerrarCaja,
+  nombreArchivoReporteCaja,
+  exportarReporteCajaPdf
+} = require('../services/cajaService');
+const { parseCivilDate, combinarFechaHoraPeru, createTimeForDB } = require('../utils/dateUtils');
+
+// Estados de caja (enum EstadoCaja)
+const ESTADOS_CAJA = ['ABIERTA', 'CERRADA'];
+
+/**
+ * Verificar si el usuario puede ver u operar una caja (propia o con permiso de supervision)
+ * @param {Object} req - Request con user y userPermisos
+ * @param {Object} caja - Caja
+ * @returns {boolean}
+ */
+const puedeAccederCaja = (req, caja) => {
+  return caja.idUsuario === req.user.id || (req.userPermisos || []).includes('CAJA_SUPERVISAR');
+};
+
+/**
+ * Abrir caja del usuario con el fondo inicial en efectivo
+ * POST /api/caja/abrir
+ * Body: { montoInicial, observacion }
+ */
+const abrir = async (req, res) => {
+  try {
+    const { montoInicial = 0, observacion } = req.body;
+
+    const fondo = Math.round(parseFloat(montoInicial) * 100) / 100;
+    if (isNaN(fondo) || fondo < 0) {
+      return res.status(400).json({ error: 'El monto inicial debe ser mayor o igual a 0' });
+    }
+
+    const abierta = await obtenerCajaAbierta(prisma, req.user.id);
+    if (abierta) {
+      return res.status(400).json({ error: 'Ya tiene una caja abierta', caja: abierta });
+    }
+
+    const caja = await prisma.caja.create({
+      data: {
+        idUsuario: req.user.id,
+        idPunto: req.userPunto ?? req.user.id_punto ?? null,
+        montoInicial: fondo,
+        observacionApertura: observacion?.trim() || null,
+        userIdRegistration: req.user.id
+      },
+      include: INCLUDE_CAJA
+    });
+
+    await registrarAuditoria(req.user.id, 'CAJA_ABIERTA', 'CAJA', caja.id, {
+      idPunto: caja.idPunto,
+      montoInicial: fondo
+    });
+
+    res.status(201).json({
+      mensaje: 'Caja abierta exitosamente',
+      caja
+    });
+  } catch (error) {
+    console.error('Error abriendo caja:', error);
+
+    // Indice unico de caja abierta por usuario (aperturas simultaneas)
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Ya tiene una caja abierta' });
+    }
+
+    res.status(500).json({ error: 'Error al abrir caja' });
+  }
+};
+
+/**
+ * Obtener la caja abierta del usuario con sus movimientos y el esperado por metodo
+ * GET /api/caja/actual
+ */
+const actual = async (req, res) => {
+  try {
+    const abierta = await obtenerCajaAbierta(prisma, req.user.id);
+
+    if (!abierta) {
+      return res.json({ caja: null });
+    }
+
+    res.json(await obtenerDetalleCaja(prisma, abierta.id));
+  } catch (error) {
+    console.error('Error obteniendo caja actual:', error);
+    res.status(500).json({ error: 'Error al obtener caja actual' });
+  }
+};
+
+/**
+ * Registrar ingreso o egreso manual en la caja abierta del usuario
+ * POST /api/caja/movimientos
+ * Body: { tipo (INGRESO | EGRESO), metodo (por defecto EFECTIVO), monto, descripcion, referencia }
+ */
+const registrarMovimiento = async (req, res) => {
+  try {
+    const { tipo, metodo = 'EFECTIVO', monto, descripcion, referencia } = req.body;
+
+    if (!TIPOS_MOVIMIENTO_MANUAL.includes(tipo)) {
+      return res.status(400).json({ error: 'Tipo de movimiento invalido (INGRESO o EGRESO)' });
+    }
+
+    if (!METODOS_PAGO.includes(metodo)) {
+      return res.status(400).json({ error: 'Metodo de pago invalido' });
+    }
+
+    const importe = Math.round(parseFloat(monto) * 100) / 100;
+    if (isNaN(importe) || importe <= 0) {
+      return res.status(400).json({ error: 'El monto debe ser mayor a 0' });
+    }
+
+    if (!descripcion || descripcion.trim() === '') {
+      return res.status(400).json({ error: 'La descripcion del movimiento es requerida' });
+    }
+
+    if (referencia && String(referencia).trim().length > 50) {
+      return res.status(400).json({ error: 'La referencia no puede superar 50 caracteres' });
+    }
+
+    const caja = await obtenerCajaAbierta(prisma, req.user.id);
+    if (!caja) {
+      return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+    }
+
+    const movimiento = await prisma.$transaction(async (tx) => {
+      await registrarMovimientos(tx, caja.id, [{
+        tipo,
+        metodo,
+        monto: importe,
+        descripcion: descripcion.trim(),
+        referencia: referencia ? String(referencia).trim() : null
+      }], req.user.id);
+
+      return tx.cajaMovimiento.findFirst({
+        where: { idCaja: caja.id },
+        orderBy: { id: 'desc' }
+      });
+    });
+
+    await registrarAuditoria(req.user.id, tipo === 'INGRESO' ? 'CAJA_INGRESO' : 'CAJA_EGRESO', 'CAJA', caja.id, {
+      idMovimiento: movimiento.id,
+      metodo,
+      monto: importe,
+      descripcion: movimiento.descripcion,
+      referencia: movimiento.referencia
+    });
+
+    res.status(201).json({
+      mensaje: 'Movimiento registrado exitosamente',
+      movimiento
+    });
+  } catch (error) {
+    console.error('Error registrando movimiento de caja:', error);
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+
+    res.status(500).json({ error: 'Error al registrar movimiento de caja' });
+  }
+};
+
+/**
+ * Cerrar caja con el conteo por metodo de pago
+ * El efectivo debe contarse; los demas metodos sin conteo quedan con el esperado y sin diferencia.
+ * POST /api/caja/:id/cerrar
+ * Body: { conteo: [{ metodo, monto }], observacion }
+ */
+const cerrar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { conteo, observacion } = req.body;
+
+    if (!Array.isArray(conteo) || conteo.length === 0) {
+      return res.status(400).json({ error: 'Se requiere el conteo por metodo de pago' });
+    }
+
+    const montosContados = new Map();
+    for (const item of conteo) {
+      if (!item?.metodo || !METODOS_PAGO.includes(item.metodo)) {
+        return res.status(400).json({ error: 'Metodo de pago invalido en el conteo' });
+      }
+
+      if (montosContados.has(item.metodo)) {
+        return res.status(400).json({ error: `El metodo ${item.metodo} esta repetido en el conteo` });
+      }
+
+      const monto = Math.round(parseFloat(item.monto) * 100) / 100;
+      if (isNaN(monto) || monto < 0) {
+        return res.status(400).json({ error: 'El monto contado debe ser mayor o igual a 0' });
+      }
+
+      montosContados.set(item.metodo, monto);
+    }
+
+    if (!montosContados.has('EFECTIVO')) {
+      return res.status(400).json({ error: 'Se requiere el conteo de efectivo' });
+    }
+
+    const caja = await prisma.caja.findUnique({ where: { id: parseInt(id) } });
+
+    if (!caja || !puedeAccederCaja(req, caja)) {
+      return res.status(404).json({ error: 'Caja no encontrada' });
+    }
+
+    if (caja.estado !== 'ABIERTA') {
+      return res.status(400).json({ error: MENSAJES_CAJA.CERRADA });
+    }
+
+    const arqueos = await prisma.$transaction(async (tx) => {
+      return cerrarCaja(tx, caja, {
+        conteo: montosContados,
+        observacion,
+        userId: req.user.id
+      });
+    });
+
+    await registrarAuditoria(req.user.id, 'CAJA_CERRADA', 'CAJA', caja.id, {
+      idUsuarioCaja: caja.idUsuario,
+      arqueos: arqueos.map((a) => ({
+        metodo: a.metodo,
+        montoEsperado: a.montoEsperado,
+        montoContado: a.montoContado,
+        diferencia: a.diferencia
+      })),
+      observacion: observacion?.trim() || null
+    });
+
+    const detalle = await obtenerDetalleCaja(prisma, caja.id);
+
+    res.json({
+      mensaje: 'Caja cerrada exitosamente',
+      ...detalle
+    });
+  } catch (error) {
+    console.error('Error cerrando caja:', error);
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al cerrar caja' });
+  }
+};
+
+/**
+ * Listar cajas (sin permiso de supervision solo las propias)
+ * GET /api/caja
+ * Query params: estado, idUsuario, idPunto, fechaDesde, fechaHasta (fecha de apertura)
+ */
+const listar = async (req, res) => {
+  try {
+    const { estado, idUsuario, idPunto, fechaDesde, fechaHasta } = req.query;
+
+    const where = {};
+
+    if (estado) {
+      if (!ESTADOS_CAJA.includes(estado)) {
+        return res.status(400).json({ error: 'Estado de caja invalido' });
+      }
+      where.estado = estado;
+    }
+
+    if (!(req.userPermisos || []).includes('CAJA_SUPERVISAR')) {
+      where.idUsuario = req.user.id;
+    } else if (idUsuario) {
+      where.idUsuario = parseInt(idUsuario);
+    }
+
+    if (idPunto) {
+      where.idPunto = parseInt(idPunto);
+    }
+
+    // Las fechas son dias civiles de Peru
+    if (fechaDesde || fechaHasta) {
+      where.fechaApertura = {};
+
+      if (fechaDesde) {
+        const { date, error } = parseCivilDate(fechaDesde, 'fechaDesde');
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        where.fechaApertura.gte = combinarFechaHoraPeru(date, createTimeForDB(0, 0));
+      }
+
+      if (fechaHasta) {
+        const { date, error } = parseCivilDate(fechaHasta, 'fechaHasta');
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        // Hasta el inicio del dia siguiente
+        const siguiente = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+        where.fechaApertura.lt = combinarFechaHoraPeru(siguiente, createTimeForDB(0, 0));
+      }
+    }
+
+    const cajas = await prisma.caja.findMany({
+      where,
+      include: {
+        ...INCLUDE_CAJA,
+        arqueos: { orderBy: { id: 'asc' } }
+      },
+      orderBy: [{ fechaApertura: 'desc' }, { id: 'desc' }],
+      take: 200
+    });
+
+    res.json({ cajas });
+  } catch (error) {
+    console.error('Error listando cajas:', error);
+    res.status(500).json({ error: 'Error al listar cajas' });
+  }
+};
+
+/**
+ * Obtener caja por ID con movimientos, arqueo y resumen
+ * GET /api/caja/:id
+ */
+const obtener = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const detalle = await obtenerDetalleCaja(prisma, parseInt(id));
+
+    if (!detalle || !puedeAccederCaja(req, detalle.caja)) {
+      return res.status(404).json({ error: 'Caja no encontrada' });
+    }
+
+    res.json(detalle);
+  } catch (error) {
+    console.error('Error obteniendo caja:', error);
+    res.status(500).json({ error: 'Error al obtener caja' });
+  }
+};
+
+/**
+ * Reporte de cierre de caja imprimible
+ * GET /api/caja/:id/reporte
+ * Query params: formato (json | pdf, por defecto pdf)
+ */
+const reporte = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const formato = (req.query.formato || 'pdf').toLowerCase();
+
+    if (!['json', 'pdf'].includes(formato)) {
+      return res.status(400).json({ error: 'Formato invalido. Use json o pdf' });
+    }
+
+    const detalle = await obtenerDetalleCaja(prisma, parseInt(id));
+
+    if (!detalle || !puedeAccederCaja(req, detalle.caja)) {
+      return res.status(404).json({ error: 'Caja no encontrada' });
+    }
+
+    if (formato === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${nombreArchivoReporteCaja(detalle)}"`);
+      return res.send(exportarReporteCajaPdf(detalle));
+    }
+
+    res.json(detalle);
+  } catch (error) {
+    console.error('Error generando reporte de caja:', error);
+    res.status(500).json({ error: 'Error al generar reporte de caja' });
+  }
+};
+
+module.exports = {
+  abrir,
+  actual,
+  registrarMovimiento,
+  cerrar,
+  listar,
+  obtener,
+  reporte
+};
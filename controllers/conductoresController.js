@@ -0,0 +1,322 @@
+/**
+ * Conductores Controller
+ * Controlador para conductores y ayudantes (tripulacion) de la empresa
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { DIAS_AVISO_VENCIMIENTO } = require('../services/vehiculosService');
+const { situacionLicencia } = require('../services/conductoresService');
+const { utcNow, parseCivilDate, getFechaCivilHoyPeru } = require('../utils/dateUtils');
+
+// Tipos de documento de identidad (catalogo SUNAT): 1 = DNI, 4 = Carnet de extranjeria, 7 = Pasaporte
+const TIPOS_DOCUMENTO = ['1', '4', '7'];
+
+/**
+ * Formatear conductor para la respuesta (situacion de licencia a hoy)
+ */
+const formatearConductor = (conductor) => ({
+  ...conductor,
+  licencia: situacionLicencia(conductor, getFechaCivilHoyPeru())
+});
+
+/**
+ * Validar y normalizar los datos de un conductor
+ * Solo se consideran los campos presentes en el body (para actualizaciones parciales)
+ * @param {Object} body - Datos recibidos
+ * @param {Object|null} existente - Conductor actual (en actualizacion)
+ * @returns {Promise<Object>} { data } o { error }
+ */
+const validarConductor = async (body, existente = null) => {
+  const data = {};
+
+  const tipoDocumento = body.tipoDocumento !== undefined
+    ? String(body.tipoDocumento)
+    : (existente?.tipoDocumento || '1');
+
+  if (!TIPOS_DOCUMENTO.includes(tipoDocumento)) {
+    return { error: 'Tipo de documento invalido (1 = DNI, 4 = Carnet de extranjeria, 7 = Pasaporte)' };
+  }
+  data.tipoDocumento = tipoDocumento;
+
+  if (body.numeroDocumento !== undefined || !existente) {
+    const numero = (body.numeroDocumento || '').toString().trim().toUpperCase();
+    const valido = tipoDocumento === '1' ? /^\d{8}$/.test(numero) : /^[A-Z0-9]{5,15}$/.test(numero);
+    if (!valido) {
+      return { error: tipoDocumento === '1' ? 'El DNI debe tener 8 digitos' : 'Numero de documento invalido' };
+    }
+    data.numeroDocumento = numero;
+  }
+
+  for (const campo of ['nombres', 'apellidos']) {
+    if (body[campo] !== undefined || !existente) {
+      if (!body[campo] || body[campo].toString().trim() === '') {
+        return { error: `El campo ${campo} es requerido` };
+      }
+      data[campo] = body[campo].toString().trim();
+    }
+  }
+
+  for (const campo of ['licenciaNumero', 'licenciaCategoria', 'telefono']) {
+    if (body[campo] !== undefined) {
+      data[campo] = body[campo]?.toString().trim().toUpperCase() || null;
+    }
+  }
+
+  if (body.licenciaVencimiento !== undefined) {
+    if (body.licenciaVencimiento === null || body.licenciaVencimiento === '') {
+      data.licenciaVencimiento = null;
+    } else {
+      const { date, error } = parseCivilDate(body.licenciaVencimiento, 'licenciaVencimiento');
+      if (error) return { error };
+      data.licenciaVencimiento = date;
+    }
+  }
+
+  const licenciaNumero = data.licenciaNumero !== undefined ? data.licenciaNumero : existente?.licenciaNumero;
+  const licenciaVencimiento = data.licenciaVencimiento !== undefined
+    ? data.licenciaVencimiento
+    : existente?.licenciaVencimiento;
+
+  if (licenciaNumero && !licenciaVencimiento) {
+    return { error: 'Se requiere la fecha de vencimiento de la licencia' };
+  }
+
+  if (body.estado !== undefined) {
+    const estado = parseInt(body.estado);
+    if (![0, 1].includes(estado)) {
+      return { error: 'Estado invalido (1 = activo, 0 = inactivo)' };
+    }
+    data.estado = estado;
+  }
+
+  if (data.numeroDocumento && data.numeroDocumento !== existente?.numeroDocumento) {
+    const duplicado = await prisma.conductor.findUnique({ where: { numeroDocumento: data.numeroDocumento } });
+    if (duplicado) {
+      return { error: 'Ya existe un conductor con ese numero de documento' };
+    }
+  }
+
+  return { data };
+};
+
+/**
+ * Listar conductores activos
+ * GET /api/conductores
+ * Query params: buscar (nombre o documento), licenciaPorVencer (true = vencida o por vencer)
+ */
+const listar = async (req, res) => {
+  try {
+    const { buscar, licenciaPorVencer } = req.query;
+
+    const where = { estado: 1 };
+
+    if (buscar) {
+      where.OR = [
+        { numeroDocumento: { contains: buscar } },
+        { nombres: { contains: buscar, mode: 'insensitive' } },
+        { apellidos: { contains: buscar, mode: 'insensitive' } }
+      ];
+    }
+
+    if (licenciaPorVencer === 'true') {
+      const limite = new Date(getFechaCivilHoyPeru().getTime() + DIAS_AVISO_VENCIMIENTO * 24 * 60 * 60 * 1000);
+      where.licenciaNumero = { not: null };
+      where.licenciaVencimiento = { lte: limite };
+    }
+
+    const conductores = await prisma.conductor.findMany({
+      where,
+      orderBy: [{ apellidos: 'asc' }, { nombres: 'asc' }]
+    });
+
+    res.json({ conductores: conductores.map(formatearConductor) });
+  } catch (error) {
+    console.error('Error listando conductores:', error);
+    res.status(500).json({ error: 'Error al listar conductores' });
+  }
+};
+
+/**
+ * Obtener conductor por ID con sus proximos viajes asignados
+ * GET /api/conductores/:id
+ */
+const obtener = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const conductor = await prisma.conductor.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        viajes: {
+          where: {
+            viaje: {
+              fechaServicio: { gte: getFechaCivilHoyPeru() },
+              estado: { not: 'CANCELADO' }
+            }
+          },
+          include: {
+            viaje: {
+              include: {
+                ruta: {
+                  include: {
+                    puntoOrigen: { select: { id: true, nombre: true } },
+                    puntoDestino: { select: { id: true, nombre: true } }
+                  }
+                },
+                horario: { select: { id: true, horaSalida: true } }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!conductor) {
+      return res.status(404).json({ error: 'Conductor no encontrado' });
+    }
+
+    res.json({ conductor: formatearConductor(conductor) });
+  } catch (error) {
+    console.error('Error obteniendo conductor:', error);
+    res.status(500).json({ error: 'Error al obtener conductor' });
+  }
+};
+
+/**
+ * Crear conductor o ayudante (los ayudantes no requieren licencia)
+ * POST /api/conductores
+ * Body: { tipoDocumento, numeroDocumento, nombres, apellidos, licenciaNumero,
+ *         licenciaCategoria, licenciaVencimiento, telefono }
+ */
+const crear = async (req, res) => {
+  try {
+    const { data, error } = await validarConductor(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const conductor = await prisma.conductor.create({
+      data: {
+        ...data,
+        userIdRegistration: req.user.id
+      }
+    });
+
+    await registrarAuditoria(req.user.id, 'CONDUCTOR_CREADO', 'CONDUCTOR', conductor.id, data);
+
+    res.status(201).json({
+      mensaje: 'Conductor creado exitosamente',
+      conductor: formatearConductor(conductor)
+    });
+  } catch (error) {
+    console.error('Error creando conductor:', error);
+    res.status(500).json({ error: 'Error al crear conductor' });
+  }
+};
+
+/**
+ * Actualizar conductor
+ * PUT /api/conductores/:id
+ */
+const actualizar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existente = await prisma.conductor.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existente) {
+      return res.status(404).json({ error: 'Conductor no encontrado' });
+    }
+
+    const { data, error } = await validarConductor(req.body, existente);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const conductor = await prisma.conductor.update({
+      where: { id: existente.id },
+      data: {
+        ...data,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    await registrarAuditoria(req.user.id, 'CONDUCTOR_ACTUALIZADO', 'CONDUCTOR', conductor.id, {
+      anterior: existente,
+      cambios: data
+    });
+
+    res.json({
+      mensaje: 'Conductor actualizado exitosamente',
+      conductor: formatearConductor(conductor)
+    });
+  } catch (error) {
+    console.error('Error actualizando conductor:', error);
+    res.status(500).json({ error: 'Error al actualizar conductor' });
+  }
+};
+
+/**
+ * Eliminar conductor (soft delete)
+ * DELETE /api/conductores/:id
+ */
+const eliminar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existente = await prisma.conductor.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existente || existente.estado !== 1) {
+      return res.status(404).json({ error: 'Conductor no encontrado' });
+    }
+
+    // Verificar si tiene viajes pendientes de operar
+    const viajesPendientes = await prisma.viajeTripulante.count({
+      where: {
+        idConductor: existente.id,
+        viaje: {
+          fechaServicio: { gte: getFechaCivilHoyPeru() },
+          estado: { in: ['ABIERTO', 'CERRADO', 'EN_RUTA'] }
+        }
+      }
+    });
+
+    if (viajesPendientes > 0) {
+      return res.status(400).json({
+        error: `No se puede eliminar. El conductor tiene ${viajesPendientes} viaje(s) pendiente(s) asignado(s)`
+      });
+    }
+
+    await prisma.conductor.update({
+      where: { id: existente.id },
+      data: {
+        estado: 0,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    await registrarAuditoria(req.user.id, 'CONDUCTOR_ELIMINADO', 'CONDUCTOR', existente.id, {
+      numeroDocumento: existente.numeroDocumento
+    });
+
+    res.json({ mensaje: 'Conductor eliminado exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando conductor:', error);
+    res.status(500).json({ error: 'Error al eliminar conductor' });
+  }
+};
+
+module.exports = {
+  listar,
+  obtener,
+  crear,
+  actualizar,
+  eliminar
+};
@@ -5,6 +5,7 @@
 
 const prisma = require('../config/prisma');
 const { registrarAuditoria } = require('../services/auditoriaService');
+const { obtenerConfiguracionAlmacenaje } = require('../services/almacenajeService');
 
 // Valores por defecto
 const DEFAULTS = {
@@ -16,8 +17,10 @@ const DEFAULTS = {
   precioBaseEncomiendaKg: 5.00,
   tiempoReservaMinutos: 30,
   capacidadDefaultBus: 40,
+  capacidadVentaInstantanea: 60,
   solesPorPunto: 10.00,
   puntosPorSolDescuento: 10.00,
+  cargoReprogramacion: 0,
   politicasEncomienda: `El remitente será responsable de la veracidad de los datos brindados.
 La empresa no se responsabiliza por deterioro debido al mal embalado ni por descomposición de artículos susceptibles.
 Plazo para retirar su encomienda: 48 horas desde que llegó. Caso contrario será evacuado al almacén por 15 días (si es perecible 3 días). Se dará por abandono y será desechable sin lugar a reclamo.
@@ -47,8 +50,10 @@ const obtenerConfiguracionSistema = async (req, res) => {
           precio_base_encomienda_kg as "precioBaseEncomiendaKg",
           tiempo_reserva_minutos as "tiempoReservaMinutos",
           capacidad_default_bus as "capacidadDefaultBus",
+          COALESCE(capacidad_venta_instantanea, 60) as "capacidadVentaInstantanea",
           COALESCE(soles_por_punto, 10.00) as "solesPorPunto",
           COALESCE(puntos_por_sol_descuento, 10.00) as "puntosPorSolDescuento",
+          COALESCE(cargo_reprogramacion, 0) as "cargoReprogramacion",
           politicas_encomienda as "politicasEncomienda",
           activo,
           date_time_registration as "fechaCreacion",
@@ -80,8 +85,10 @@ const obtenerConfiguracionSistema = async (req, res) => {
         `;
         // Agregar valores por defecto para puntos y politicas
         if (result && result.length > 0) {
+          result[0].capacidadVentaInstantanea = DEFAULTS.capacidadVentaInstantanea;
           result[0].solesPorPunto = DEFAULTS.solesPorPunto;
           result[0].puntosPorSolDescuento = DEFAULTS.puntosPorSolDescuento;
+          result[0].cargoReprogramacion = DEFAULTS.cargoReprogramacion;
           result[0].politicasEncomienda = DEFAULTS.politicasEncomienda;
         }
       } else {
@@ -124,8 +131,10 @@ const actualizarConfiguracionSistema = async (req, res) => {
       precioBaseEncomiendaKg,
       tiempoReservaMinutos,
       capacidadDefaultBus,
+      capacidadVentaInstantanea,
       solesPorPunto,
       puntosPorSolDescuento,
+      cargoReprogramacion,
       politicasEncomienda
     } = req.body;
 
@@ -151,8 +160,10 @@ const actualizarConfiguracionSistema = async (req, res) => {
           precio_base_encomienda_kg,
           tiempo_reserva_minutos,
           capacidad_default_bus,
+          capacidad_venta_instantanea,
           soles_por_punto,
           puntos_por_sol_descuento,
+          cargo_reprogramacion,
           politicas_encomienda,
           activo,
           user_id_registration,
@@ -166,8 +177,10 @@ const actualizarConfiguracionSistema = async (req, res) => {
           ${parseFloat(precioBaseEncomiendaKg) || 5.00},
           ${parseInt(tiempoReservaMinutos) || 30},
           ${parseInt(capacidadDefaultBus) || 40},
+          ${parseInt(capacidadVentaInstantanea) || 60},
           ${parseFloat(solesPorPunto) || 10.00},
           ${parseFloat(puntosPorSolDescuento) || 10.00},
+          ${Math.max(0, parseFloat(cargoReprogramacion) || 0)},
           ${politicasEncomienda || DEFAULTS.politicasEncomienda},
           true,
           ${req.user.id},
@@ -183,8 +196,10 @@ const actualizarConfiguracionSistema = async (req, res) => {
           precio_base_encomienda_kg as "precioBaseEncomiendaKg",
           tiempo_reserva_minutos as "tiempoReservaMinutos",
           capacidad_default_bus as "capacidadDefaultBus",
+          capacidad_venta_instantanea as "capacidadVentaInstantanea",
           soles_por_punto as "solesPorPunto",
           puntos_por_sol_descuento as "puntosPorSolDescuento",
+          cargo_reprogramacion as "cargoReprogramacion",
           politicas_encomienda as "politicasEncomienda"
       `;
     } catch (queryError) {
@@ -228,8 +243,10 @@ const actualizarConfiguracionSistema = async (req, res) => {
             capacidad_default_bus as "capacidadDefaultBus"
         `;
         // Agregar valores por defecto al resultado
+        result[0].capacidadVentaInstantanea = DEFAULTS.capacidadVentaInstantanea;
         result[0].solesPorPunto = parseFloat(solesPorPunto) || DEFAULTS.solesPorPunto;
         result[0].puntosPorSolDescuento = parseFloat(puntosPorSolDescuento) || DEFAULTS.puntosPorSolDescuento;
+        result[0].cargoReprogramacion = DEFAULTS.cargoReprogramacion;
         result[0].politicasEncomienda = politicasEncomienda || DEFAULTS.politicasEncomienda;
       } else {
         throw queryError;
@@ -323,9 +340,105 @@ const actualizarPreciosEncomienda = async (req, res) => {
   }
 };
 
+/**
+ * Obtener configuracion de almacenaje y abandono de encomiendas
+ * GET /api/configuracion/almacenaje-encomienda
+ */
+const obtenerAlmacenajeEncomienda = async (req, res) => {
+  try {
+    const config = await obtenerConfiguracionAlmacenaje();
+
+    res.json({ configuracion: config });
+  } catch (error) {
+    console.error('Error obteniendo configuracion de almacenaje:', error);
+    res.status(500).json({ error: 'Error al obtener configuracion' });
+  }
+};
+
+/**
+ * Actualizar configuracion de almacenaje y abandono de encomiendas
+ * PUT /api/configuracion/almacenaje-encomienda
+ * Body: { horasGracia, tarifaDiaria, tarifaPorKgDia, montoMaximo, diasAbandono, diasAbandonoPerecible }
+ * Cobro por dia de almacenaje iniciado: tarifaDiaria + peso * tarifaPorKgDia (tope montoMaximo, opcional)
+ */
+const actualizarAlmacenajeEncomienda = async (req, res) => {
+  try {
+    const {
+      horasGracia,
+      tarifaDiaria,
+      tarifaPorKgDia = 0,
+      montoMaximo = null,
+      diasAbandono,
+      diasAbandonoPerecible
+    } = req.body;
+
+    if ([horasGracia, tarifaDiaria, diasAbandono, diasAbandonoPerecible].some((valor) => valor === undefined)) {
+      return res.status(400).json({
+        error: 'Horas de gracia, tarifa diaria y dias de abandono (normal y perecible) son requeridos'
+      });
+    }
+
+    const horas = parseInt(horasGracia);
+    const dias = parseInt(diasAbandono);
+    const diasPerecible = parseInt(diasAbandonoPerecible);
+    const tarifa = parseFloat(tarifaDiaria);
+    const tarifaKg = parseFloat(tarifaPorKgDia);
+    const maximo = montoMaximo === null || montoMaximo === '' ? null : parseFloat(montoMaximo);
+
+    if (isNaN(horas) || horas < 0) {
+      return res.status(400).json({ error: 'Las horas de gracia deben ser 0 o mas' });
+    }
+    if (isNaN(tarifa) || tarifa < 0 || isNaN(tarifaKg) || tarifaKg < 0) {
+      return res.status(400).json({ error: 'Las tarifas de almacenaje deben ser 0 o mas' });
+    }
+    if (maximo !== null && (isNaN(maximo) || maximo <= 0)) {
+      return res.status(400).json({ error: 'El monto maximo debe ser mayor a 0' });
+    }
+    if (isNaN(dias) || dias < 1 || isNaN(diasPerecible) || diasPerecible < 1) {
+      return res.status(400).json({ error: 'Los dias de abandono deben ser al menos 1' });
+    }
+    if (diasPerecible > dias) {
+      return res.status(400).json({ error: 'El plazo de abandono de perecibles no puede superar el plazo normal' });
+    }
+
+    // Desactivar configuracion anterior y crear la nueva
+    const [, config] = await prisma.$transaction([
+      prisma.configuracionAlmacenajeEncomienda.updateMany({
+        where: { activo: true },
+        data: { activo: false }
+      }),
+      prisma.configuracionAlmacenajeEncomienda.create({
+        data: {
+          horasGracia: horas,
+          tarifaDiaria: tarifa,
+          tarifaPorKgDia: tarifaKg,
+          montoMaximo: maximo,
+          diasAbandono: dias,
+          diasAbandonoPerecible: diasPerecible,
+          activo: true,
+          userIdRegistration: req.user.id
+        }
+      })
+    ]);
+
+    // Auditoria
+    await registrarAuditoria(req.user.id, 'ALMACENAJE_ENCOMIENDA_ACTUALIZADO', 'CONFIGURACION', config.id, config);
+
+    res.json({
+      mensaje: 'Configuracion actualizada exitosamente',
+      configuracion: config
+    });
+  } catch (error) {
+    console.error('Error actualizando configuracion de almacenaje:', error);
+    res.status(500).json({ error: 'Error al actualizar configuracion' });
+  }
+};
+
 module.exports = {
   obtenerConfiguracionSistema,
   actualizarConfiguracionSistema,
   obtenerPreciosEncomienda,
-  actualizarPreciosEncomienda
+  actualizarPreciosEncomienda,
+  obtenerAlmacenajeEncomienda,
+  actualizarAlmacenajeEncomienda
 };
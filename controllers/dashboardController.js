@@ -246,6 +246,9 @@ const puntosDestino = async (req, res) => {
 
 /**
  * Ingreso total del dia (pasajes + encomiendas)
+ * Incluye las devoluciones de pasajes anulados en el periodo, por metodo de devolucion,
+ * y lo cobrado por metodo de pago segun la fecha de cobro (las encomiendas con pago al
+ * recojo se cobran al retirar).
  * GET /api/dashboard/ingreso-dia
  * Query params: fechaInicio, fechaFin
  */
@@ -255,11 +258,15 @@ const ingresoDia = async (req, res) => {
 
     let condicionFechaTickets = `DATE(t.fecha_venta) = CURRENT_DATE`;
     let condicionFechaEncomiendas = `DATE(e.date_time_registration) = CURRENT_DATE`;
+    let condicionFechaAnulacion = `DATE(t.fecha_anulacion) = CURRENT_DATE`;
+    let condicionFechaPagos = `DATE(pg.date_time_registration) = CURRENT_DATE`;
     const params = [];
 
     if (fechaInicio && fechaFin) {
       condicionFechaTickets = `DATE(t.fecha_venta) BETWEEN $1 AND $2`;
       condicionFechaEncomiendas = `DATE(e.date_time_registration) BETWEEN $1 AND $2`;
+      condicionFechaAnulacion = `DATE(t.fecha_anulacion) BETWEEN $1 AND $2`;
+      condicionFechaPagos = `DATE(pg.date_time_registration) BETWEEN $1 AND $2`;
       params.push(fechaInicio, fechaFin);
     }
 
@@ -276,18 +283,60 @@ const ingresoDia = async (req, res) => {
       WHERE ${condicionFechaEncomiendas}
     `;
 
-    const [resPasajes, resEncomiendas] = await Promise.all([
+    const queryDevoluciones = `
+      SELECT
+        COALESCE(t.metodo_devolucion, t.metodo_pago) as metodo,
+        COALESCE(SUM(t.monto_devolucion), 0) as total,
+        COUNT(t.id) as cantidad
+      FROM tbl_tickets t
+      WHERE t.estado = 'ANULADO'
+        AND t.monto_devolucion > 0
+        AND ${condicionFechaAnulacion}
+      GROUP BY COALESCE(t.metodo_devolucion, t.metodo_pago)
+    `;
+
+    // Cobros por metodo de pago (pasajes vigentes y encomiendas)
+    const queryPorMetodo = `
+      SELECT
+        pg.metodo,
+        COALESCE(SUM(pg.monto) FILTER (WHERE pg.id_ticket IS NOT NULL), 0) as pasajes,
+        COALESCE(SUM(pg.monto) FILTER (WHERE pg.id_encomienda IS NOT NULL), 0) as encomiendas,
+        COALESCE(SUM(pg.monto), 0) as total
+      FROM tbl_pagos pg
+      LEFT JOIN tbl_tickets t ON pg.id_ticket = t.id
+      WHERE (pg.id_ticket IS NULL OR t.estado = 'EMITIDO')
+        AND ${condicionFechaPagos}
+      GROUP BY pg.metodo
+      ORDER BY total DESC
+    `;
+
+    const [resPasajes, resEncomiendas, resDevoluciones, resPorMetodo] = await Promise.all([
       pool.query(queryPasajes, params),
-      pool.query(queryEncomiendas, params)
+      pool.query(queryEncomiendas, params),
+      pool.query(queryDevoluciones, params),
+      pool.query(queryPorMetodo, params)
     ]);
 
     const ingresoPasajes = parseFloat(resPasajes.rows[0].total);
     const ingresoEncomiendas = parseFloat(resEncomiendas.rows[0].total);
+    const devolucionesPorMetodo = resDevoluciones.rows.map(row => ({
+      metodo: row.metodo,
+      total: parseFloat(row.total),
+      cantidad: parseInt(row.cantidad)
+    }));
 
     res.json({
       ingresoTotal: ingresoPasajes + ingresoEncomiendas,
       ingresoPasajes,
-      ingresoEncomiendas
+      ingresoEncomiendas,
+      devolucionesPasajes: devolucionesPorMetodo.reduce((sum, d) => sum + d.total, 0),
+      devolucionesPorMetodo,
+      ingresoPorMetodo: resPorMetodo.rows.map(row => ({
+        metodo: row.metodo,
+        pasajes: parseFloat(row.pasajes),
+        encomiendas: parseFloat(row.encomiendas),
+        total: parseFloat(row.total)
+      }))
     });
   } catch (error) {
     console.error('Error obteniendo ingreso del dia:', error);
@@ -296,7 +345,7 @@ const ingresoDia = async (req, res) => {
 };
 
 /**
- * Ingreso por pasajes con desglose por agencia
+ * Ingreso por pasajes con desglose por agencia, por punto de venta y por metodo de pago
  * GET /api/dashboard/ingreso-pasajes
  * Query params: fechaInicio, fechaFin
  */
@@ -342,9 +391,41 @@ const ingresoPasajes = async (req, res) => {
       ORDER BY total DESC
     `;
 
-    const [resTotal, resPorAgencia] = await Promise.all([
+    // Desglose por punto de venta (punto del vendedor; la venta en linea figura como WEB)
+    const queryPorPuntoVenta = `
+      SELECT
+        p.id as punto_id,
+        COALESCE(p.nombre, 'SIN PUNTO') as punto_nombre,
+        COALESCE(SUM(COALESCE(t.precio_final, t.precio_original, 0)), 0) as total,
+        COUNT(t.id) as cantidad
+      FROM tbl_tickets t
+      JOIN tbl_usuarios u ON t.id_usuario_venta = u.id
+      LEFT JOIN tbl_puntos p ON u.id_punto = p.id
+      WHERE t.estado = 'EMITIDO'
+        AND ${condicionFecha}
+      GROUP BY p.id, p.nombre
+      ORDER BY total DESC
+    `;
+
+    // Desglose por metodo de pago (una venta puede pagarse con varios medios)
+    const queryPorMetodo = `
+      SELECT
+        pg.metodo,
+        COALESCE(SUM(pg.monto), 0) as total,
+        COUNT(DISTINCT t.id) as cantidad
+      FROM tbl_pagos pg
+      JOIN tbl_tickets t ON pg.id_ticket = t.id
+      WHERE t.estado = 'EMITIDO'
+        AND ${condicionFecha}
+      GROUP BY pg.metodo
+      ORDER BY total DESC
+    `;
+
+    const [resTotal, resPorAgencia, resPorPuntoVenta, resPorMetodo] = await Promise.all([
       pool.query(queryTotal, params),
-      pool.query(queryPorAgencia, params)
+      pool.query(queryPorAgencia, params),
+      pool.query(queryPorPuntoVenta, params),
+      pool.query(queryPorMetodo, params)
     ]);
 
     res.json({
@@ -354,6 +435,16 @@ const ingresoPasajes = async (req, res) => {
         ...row,
         total: parseFloat(row.total),
         cantidad: parseInt(row.cantidad)
+      })),
+      porPuntoVenta: resPorPuntoVenta.rows.map(row => ({
+        ...row,
+        total: parseFloat(row.total),
+        cantidad: parseInt(row.cantidad)
+      })),
+      porMetodo: resPorMetodo.rows.map(row => ({
+        ...row,
+        total: parseFloat(row.total),
+        cantidad: parseInt(row.cantidad)
       }))
     });
   } catch (error) {
@@ -363,7 +454,8 @@ const ingresoPasajes = async (req, res) => {
 };
 
 /**
- * Ingreso por encomiendas con desglose por agencia
+ * Ingreso por encomiendas con desglose por agencia y por metodo de pago
+ * Las encomiendas con pago al recojo figuran por metodo recien al retirarse.
  * GET /api/dashboard/ingreso-encomiendas
  * Query params: fechaInicio, fechaFin
  */
@@ -405,9 +497,23 @@ const ingresoEncomiendas = async (req, res) => {
       ORDER BY total DESC
     `;
 
-    const [resTotal, resPorAgencia] = await Promise.all([
+    // Desglose por metodo de pago
+    const queryPorMetodo = `
+      SELECT
+        pg.metodo,
+        COALESCE(SUM(pg.monto), 0) as total,
+        COUNT(DISTINCT e.id) as cantidad
+      FROM tbl_pagos pg
+      JOIN tbl_encomiendas e ON pg.id_encomienda = e.id
+      WHERE ${condicionFecha}
+      GROUP BY pg.metodo
+      ORDER BY total DESC
+    `;
+
+    const [resTotal, resPorAgencia, resPorMetodo] = await Promise.all([
       pool.query(queryTotal, params),
-      pool.query(queryPorAgencia, params)
+      pool.query(queryPorAgencia, params),
+      pool.query(queryPorMetodo, params)
     ]);
 
     res.json({
@@ -417,6 +523,11 @@ const ingresoEncomiendas = async (req, res) => {
         ...row,
         total: parseFloat(row.total),
         cantidad: parseInt(row.cantidad)
+      })),
+      porMetodo: resPorMetodo.rows.map(row => ({
+        ...row,
+        total: parseFloat(row.total),
+        cantidad: parseInt(row.cantidad)
       }))
     });
   } catch (error) {
@@ -0,0 +1,476 @@
+/**
+ * Despachos Controller
+ * Controlador para despachos (manifiestos de carga) de encomiendas por viaje
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { generarCodigoDespacho } = require('../services/codigoService');
+const { validarCodigoEscaneado } = require('../services/bultosService');
+const { obtenerParadasRuta, resolverTramo, MENSAJES_TRAMO } = require('../services/tramosService');
+const {
+  ESTADOS_DESPACHO,
+  ESTADOS_VIAJE_DESPACHO,
+  MENSAJES_DESPACHO,
+  INCLUDE_DESPACHO,
+  esErrorDespacho,
+  obtenerAsignacionViaje,
+  bloquearDespacho,
+  cargarEncomienda,
+  quitarEncomienda,
+  despacharDespacho,
+  recibirDespacho
+} = require('../services/despachosService');
+const { utcNow } = require('../utils/dateUtils');
+
+// Mensajes de tramo expresados para los puntos del despacho
+const MENSAJES_PUNTOS_DESPACHO = {
+  [MENSAJES_TRAMO.SUBIDA_INVALIDA]: 'El punto de origen no pertenece a la ruta del viaje',
+  [MENSAJES_TRAMO.BAJADA_INVALIDA]: 'El punto de destino no pertenece a la ruta del viaje',
+  [MENSAJES_TRAMO.ORDEN_INVALIDO]: 'El punto de destino debe ser posterior al origen en la ruta del viaje'
+};
+
+/**
+ * Verificar que el usuario opere en el punto indicado
+ * Superadmin (sin punto asignado) puede operar en cualquier punto
+ * @param {Object} req - Request con user
+ * @param {number} idPunto - Punto requerido
+ * @returns {boolean}
+ */
+const operaEnPunto = (req, idPunto) => !req.user.id_punto || req.user.id_punto === idPunto;
+
+/**
+ * Resumen de las encomiendas de un despacho por estado
+ * @param {Object[]} encomiendas - Encomiendas del despacho
+ * @returns {Object} { CARGADA, RECIBIDA, FALTANTE, SOBRANTE }
+ */
+const resumirEncomiendas = (encomiendas) => {
+  const resumen = { CARGADA: 0, RECIBIDA: 0, FALTANTE: 0, SOBRANTE: 0 };
+  for (const item of encomiendas) {
+    resumen[item.estado]++;
+  }
+  return resumen;
+};
+
+/**
+ * Obtener despacho con detalle y resumen
+ * @param {number} id - ID del despacho
+ * @returns {Promise<Object|null>}
+ */
+const obtenerDetalle = async (id) => {
+  const despacho = await prisma.despacho.findUnique({
+    where: { id },
+    include: INCLUDE_DESPACHO
+  });
+
+  return despacho ? { ...despacho, resumen: resumirEncomiendas(despacho.encomiendas) } : null;
+};
+
+/**
+ * Responder los errores comunes de las operaciones de despacho
+ */
+const responderError = (res, error, mensaje) => {
+  if (esErrorDespacho(error)) {
+    return res.status(400).json({
+      error: error.message,
+      ...(error.estadoActual && { estadoActual: error.estadoActual }),
+      ...(error.despacho && { despacho: error.despacho }),
+      ...(error.codigos && { codigos: error.codigos })
+    });
+  }
+
+  res.status(500).json({ error: mensaje });
+};
+
+/**
+ * Listar despachos
+ * GET /api/despachos
+ * Query params: idViaje, estado, idPuntoOrigen, idPuntoDestino
+ */
+const listar = async (req, res) => {
+  try {
+    const { idViaje, estado, idPuntoOrigen, idPuntoDestino } = req.query;
+
+    const where = {};
+
+    if (idViaje) {
+      where.idViaje = parseInt(idViaje);
+    }
+
+    if (estado) {
+      if (!ESTADOS_DESPACHO.includes(estado)) {
+        return res.status(400).json({ error: 'Estado invalido', estadosValidos: ESTADOS_DESPACHO });
+      }
+      where.estado = estado;
+    }
+
+    if (idPuntoOrigen) {
+      where.idPuntoOrigen = parseInt(idPuntoOrigen);
+    }
+
+    if (idPuntoDestino) {
+      where.idPuntoDestino = parseInt(idPuntoDestino);
+    }
+
+    const despachos = await prisma.despacho.findMany({
+      where,
+      include: {
+        viaje: INCLUDE_DESPACHO.viaje,
+        vehiculo: INCLUDE_DESPACHO.vehiculo,
+        puntoOrigen: INCLUDE_DESPACHO.puntoOrigen,
+        puntoDestino: INCLUDE_DESPACHO.puntoDestino,
+        encomiendas: { select: { estado: true } }
+      },
+      orderBy: { id: 'desc' },
+      take: 200
+    });
+
+    res.json({
+      despachos: despachos.map(({ encomiendas, ...despacho }) => ({
+        ...despacho,
+        resumen: resumirEncomiendas(encomiendas)
+      }))
+    });
+  } catch (error) {
+    console.error('Error listando despachos:', error);
+    res.status(500).json({ error: 'Error al listar despachos' });
+  }
+};
+
+/**
+ * Obtener despacho por ID con sus encomiendas
+ * GET /api/despachos/:id
+ */
+const obtener = async (req, res) => {
+  try {
+    const despacho = await obtenerDetalle(parseInt(req.params.id));
+
+    if (!despacho) {
+      return res.status(404).json({ error: 'Despacho no encontrado' });
+    }
+
+    res.json({ despacho });
+  } catch (error) {
+    console.error('Error obteniendo despacho:', error);
+    res.status(500).json({ error: 'Error al obtener despacho' });
+  }
+};
+
+/**
+ * Crear despacho para un viaje desde el punto del usuario hacia un punto posterior de la ruta
+ * El vehiculo y conductor se toman de la asignacion del viaje.
+ * POST /api/despachos
+ * Body: { idViaje, idPuntoOrigen (por defecto el punto del usuario), idPuntoDestino, observacion }
+ */
+const crear = async (req, res) => {
+  try {
+    const { idViaje, idPuntoDestino, observacion } = req.body;
+    const idPuntoOrigen = parseInt(req.body.idPuntoOrigen) || req.user.id_punto;
+
+    if (!idViaje || !idPuntoOrigen || !idPuntoDestino) {
+      return res.status(400).json({ error: 'Viaje, punto de origen y punto de destino son requeridos' });
+    }
+
+    if (!operaEnPunto(req, idPuntoOrigen)) {
+      return res.status(403).json({ error: 'Solo puede crear despachos desde su punto de operacion' });
+    }
+
+    const asignacion = await obtenerAsignacionViaje(prisma, parseInt(idViaje));
+    if (!asignacion) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    if (!ESTADOS_VIAJE_DESPACHO.includes(asignacion.viaje.estado)) {
+      return res.status(400).json({ error: MENSAJES_DESPACHO.VIAJE_NO_OPERABLE });
+    }
+
+    const paradas = await obtenerParadasRuta(prisma, asignacion.viaje.idRuta);
+    const tramo = resolverTramo(paradas, idPuntoOrigen, idPuntoDestino);
+    if (tramo.error) {
+      return res.status(400).json({ error: MENSAJES_PUNTOS_DESPACHO[tramo.error] });
+    }
+
+    const creado = await prisma.$transaction(async (tx) => {
+      const codigo = await generarCodigoDespacho(tx);
+
+      return tx.despacho.create({
+        data: {
+          codigo,
+          idViaje: asignacion.viaje.id,
+          idVehiculo: asignacion.idVehiculo,
+          idConductor: asignacion.idConductor,
+          idPuntoOrigen: tramo.paradaSubida.idPunto,
+          idPuntoDestino: tramo.paradaBajada.idPunto,
+          observacion: observacion?.trim().slice(0, 255) || null,
+          userIdRegistration: req.user.id
+        }
+      });
+    });
+
+    await registrarAuditoria(req.user.id, 'DESPACHO_CREADO', 'DESPACHO', creado.id, {
+      codigo: creado.codigo,
+      idViaje: creado.idViaje,
+      idPuntoOrigen: creado.idPuntoOrigen,
+      idPuntoDestino: creado.idPuntoDestino,
+      idVehiculo: creado.idVehiculo,
+      idConductor: creado.idConductor
+    });
+
+    res.status(201).json({
+      mensaje: 'Despacho creado exitosamente',
+      despacho: await obtenerDetalle(creado.id)
+    });
+  } catch (error) {
+    console.error('Error creando despacho:', error);
+    res.status(500).json({ error: 'Error al crear despacho' });
+  }
+};
+
+/**
+ * Cargar una encomienda en el despacho por escaneo de su codigo de tracking
+ * La encomienda debe estar EN_ALMACEN con el origen y destino del despacho. Las guias de
+ * varios bultos se cargan escaneando el subcodigo de cada bulto.
+ * POST /api/despachos/:id/encomiendas
+ * Body: { codigo }
+ */
+const cargar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { codigo } = req.body;
+
+    if (!codigo) {
+      return res.status(400).json({ error: 'El codigo de tracking es requerido' });
+    }
+
+    if (!validarCodigoEscaneado(codigo)) {
+      return res.status(400).json({ error: 'Codigo de tracking invalido. Verifique que este bien escrito' });
+    }
+
+    const despacho = await prisma.despacho.findUnique({ where: { id: parseInt(id) } });
+    if (!despacho) {
+      return res.status(404).json({ error: 'Despacho no encontrado' });
+    }
+
+    if (!operaEnPunto(req, despacho.idPuntoOrigen)) {
+      return res.status(403).json({ error: 'Solo el punto de origen puede cargar el despacho' });
+    }
+
+    const { encomienda, bulto, bultosCargados } = await prisma.$transaction(async (tx) => {
+      return cargarEncomienda(tx, despacho.id, codigo, req.user.id);
+    });
+
+    await registrarAuditoria(req.user.id, 'DESPACHO_ENCOMIENDA_CARGADA', 'DESPACHO', despacho.id, {
+      codigo: despacho.codigo,
+      idEncomienda: encomienda.id,
+      codigoTracking: encomienda.codigoTracking,
+      ...(bulto && { bulto: bulto.codigo })
+    });
+
+    res.status(201).json({
+      mensaje: bulto
+        ? `Bulto cargado exitosamente (${bultosCargados} de ${encomienda.totalBultos})`
+        : 'Encomienda cargada exitosamente',
+      despacho: await obtenerDetalle(despacho.id)
+    });
+  } catch (error) {
+    console.error('Error cargando encomienda en despacho:', error);
+    responderError(res, error, 'Error al cargar encomienda');
+  }
+};
+
+/**
+ * Quitar una encomienda de un despacho abierto
+ * DELETE /api/despachos/:id/encomiendas/:idEncomienda
+ */
+const quitar = async (req, res) => {
+  try {
+    const { id, idEncomienda } = req.params;
+
+    const despacho = await prisma.despacho.findUnique({ where: { id: parseInt(id) } });
+    if (!despacho) {
+      return res.status(404).json({ error: 'Despacho no encontrado' });
+    }
+
+    if (!operaEnPunto(req, despacho.idPuntoOrigen)) {
+      return res.status(403).json({ error: 'Solo el punto de origen puede modificar el despacho' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      return quitarEncomienda(tx, despacho.id, parseInt(idEncomienda));
+    });
+
+    await registrarAuditoria(req.user.id, 'DESPACHO_ENCOMIENDA_QUITADA', 'DESPACHO', despacho.id, {
+      codigo: despacho.codigo,
+      idEncomienda: parseInt(idEncomienda)
+    });
+
+    res.json({
+      mensaje: 'Encomienda quitada del despacho exitosamente',
+      despacho: await obtenerDetalle(despacho.id)
+    });
+  } catch (error) {
+    console.error('Error quitando encomienda del despacho:', error);
+    responderError(res, error, 'Error al quitar encomienda');
+  }
+};
+
+/**
+ * Despachar: todas las encomiendas cargadas pasan a EN_RUTA con su evento
+ * POST /api/despachos/:id/despachar
+ * Body: { nota }
+ */
+const despachar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nota } = req.body;
+
+    const despacho = await prisma.despacho.findUnique({ where: { id: parseInt(id) } });
+    if (!despacho) {
+      return res.status(404).json({ error: 'Despacho no encontrado' });
+    }
+
+    if (!operaEnPunto(req, despacho.idPuntoOrigen)) {
+      return res.status(403).json({ error: 'Solo el punto de origen puede despachar' });
+    }
+
+    const resultado = await prisma.$transaction(async (tx) => {
+      return despacharDespacho(tx, despacho.id, { nota: nota?.trim() || null, userId: req.user.id });
+    });
+
+    await registrarAuditoria(req.user.id, 'DESPACHO_DESPACHADO', 'DESPACHO', despacho.id, {
+      codigo: despacho.codigo,
+      idVehiculo: resultado.despacho.idVehiculo,
+      idConductor: resultado.despacho.idConductor,
+      encomiendas: resultado.encomiendas
+    });
+
+    res.json({
+      mensaje: 'Despacho enviado exitosamente',
+      despacho: await obtenerDetalle(despacho.id)
+    });
+  } catch (error) {
+    console.error('Error despachando:', error);
+    responderError(res, error, 'Error al despachar');
+  }
+};
+
+/**
+ * Recibir despacho en el punto de destino
+ * Con codigos escaneados marca faltantes (no escaneados) y sobrantes (fuera del manifiesto);
+ * sin codigos se recibe el manifiesto completo. Las guias de varios bultos se reciben por
+ * el subcodigo de cada bulto; con bultos sin escanear quedan como llegada parcial.
+ * POST /api/despachos/:id/recibir
+ * Body: { codigos: [codigoTracking | codigoBulto], nota }
+ */
+const recibir = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { codigos, nota } = req.body;
+
+    if (codigos !== undefined && codigos !== null && !Array.isArray(codigos)) {
+      return res.status(400).json({ error: 'codigos debe ser un arreglo de codigos de tracking' });
+    }
+
+    const despacho = await prisma.despacho.findUnique({ where: { id: parseInt(id) } });
+    if (!despacho) {
+      return res.status(404).json({ error: 'Despacho no encontrado' });
+    }
+
+    if (!operaEnPunto(req, despacho.idPuntoDestino)) {
+      return res.status(403).json({ error: 'Solo el punto de destino puede recibir el despacho' });
+    }
+
+    const resultado = await prisma.$transaction(async (tx) => {
+      return recibirDespacho(tx, despacho.id, {
+        codigos: codigos ?? null,
+        nota: nota?.trim() || null,
+        userId: req.user.id
+      });
+    });
+
+    const { despacho: recibido, ...conciliacion } = resultado;
+
+    await registrarAuditoria(req.user.id, 'DESPACHO_RECIBIDO', 'DESPACHO', recibido.id, {
+      codigo: recibido.codigo,
+      ...conciliacion
+    });
+
+    const conDiferencias = conciliacion.faltantes.length > 0 ||
+      conciliacion.sobrantes.length > 0 ||
+      conciliacion.desconocidos.length > 0;
+
+    res.json({
+      mensaje: conDiferencias
+        ? 'Despacho recibido con diferencias'
+        : 'Despacho recibido exitosamente',
+      ...conciliacion,
+      despacho: await obtenerDetalle(recibido.id)
+    });
+  } catch (error) {
+    console.error('Error recibiendo despacho:', error);
+    responderError(res, error, 'Error al recibir despacho');
+  }
+};
+
+/**
+ * Anular un despacho abierto (libera sus encomiendas para otro despacho)
+ * POST /api/despachos/:id/anular
+ * Body: { motivo }
+ */
+const anular = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { motivo } = req.body;
+
+    if (!motivo || motivo.trim() === '') {
+      return res.status(400).json({ error: 'El motivo de anulacion es requerido' });
+    }
+
+    const despacho = await prisma.despacho.findUnique({ where: { id: parseInt(id) } });
+    if (!despacho) {
+      return res.status(404).json({ error: 'Despacho no encontrado' });
+    }
+
+    if (!operaEnPunto(req, despacho.idPuntoOrigen)) {
+      return res.status(403).json({ error: 'Solo el punto de origen puede anular el despacho' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const bloqueado = await bloquearDespacho(tx, despacho.id);
+      if (bloqueado.estado !== 'ABIERTO') {
+        throw new Error(MENSAJES_DESPACHO.NO_ABIERTO);
+      }
+
+      await tx.despacho.update({
+        where: { id: despacho.id },
+        data: {
+          estado: 'ANULADO',
+          observacion: motivo.trim().slice(0, 255),
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+    });
+
+    await registrarAuditoria(req.user.id, 'DESPACHO_ANULADO', 'DESPACHO', despacho.id, {
+      codigo: despacho.codigo,
+      motivo: motivo.trim()
+    });
+
+    res.json({ mensaje: 'Despacho anulado exitosamente' });
+  } catch (error) {
+    console.error('Error anulando despacho:', error);
+    responderError(res, error, 'Error al anular despacho');
+  }
+};
+
+module.exports = {
+  listar,
+  obtener,
+  crear,
+  cargar,
+  quitar,
+  despachar,
+  recibir,
+  anular
+};
@@ -0,0 +1,481 @@
+/**
+ * Empresas Controller
+ * Controlador para empresas clientes con credito: cuenta corriente, abonos y facturacion consolidada
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { METODOS_PAGO } = require('../services/mediosPagoService');
+const { MENSAJES_CAJA, esErrorCaja, obtenerCajaAbierta, registrarMovimientos } = require('../services/cajaService');
+const {
+  esErrorCredito,
+  calcularDeudaVencida,
+  registrarAbono: registrarAbonoEmpresa,
+  validarPeriodo,
+  prepararFacturacion,
+  emitirFacturacion,
+  obtenerEstadoCuenta,
+  nombreArchivoEstadoCuenta,
+  exportarEstadoCuentaPdf
+} = require('../services/creditoEmpresaService');
+const { utcNow, parseCivilDate, combinarFechaHoraPeru, createTimeForDB, getFechaCivilHoyPeru } = require('../utils/dateUtils');
+
+/**
+ * Formatear empresa para la respuesta (credito disponible)
+ */
+const formatearEmpresa = (empresa) => ({
+  ...empresa,
+  disponible: Math.max(0, Math.round((parseFloat(empresa.limiteCredito) - parseFloat(empresa.saldo)) * 100) / 100)
+});
+
+/**
+ * Validar y normalizar los datos de una empresa cliente
+ * Solo se consideran los campos presentes en el body (para actualizaciones parciales)
+ * @param {Object} body - Datos recibidos
+ * @param {Object|null} existente - Empresa actual (en actualizacion)
+ * @returns {Promise<Object>} { data } o { error }
+ */
+const validarEmpresa = async (body, existente = null) => {
+  const data = {};
+
+  if (body.ruc !== undefined || !existente) {
+    const ruc = (body.ruc || '').toString().trim();
+    if (!/^\d{11}$/.test(ruc)) {
+      return { error: 'El RUC debe tener 11 digitos' };
+    }
+    data.ruc = ruc;
+  }
+
+  if (body.razonSocial !== undefined || !existente) {
+    if (!body.razonSocial || body.razonSocial.toString().trim() === '') {
+      return { error: 'La razon social es requerida' };
+    }
+    data.razonSocial = body.razonSocial.toString().trim();
+  }
+
+  for (const campo of ['direccion', 'contacto', 'telefono', 'email']) {
+    if (body[campo] !== undefined) {
+      data[campo] = body[campo]?.toString().trim() || null;
+    }
+  }
+
+  if (body.limiteCredito !== undefined || !existente) {
+    const limite = Math.round(parseFloat(body.limiteCredito) * 100) / 100;
+    if (isNaN(limite) || limite < 0) {
+      return { error: 'El limite de credito debe ser mayor o igual a 0' };
+    }
+    data.limiteCredito = limite;
+  }
+
+  if (body.diasCredito !== undefined) {
+    const dias = parseInt(body.diasCredito);
+    if (isNaN(dias) || dias < 0 || dias > 180) {
+      return { error: 'Los dias de credito deben estar entre 0 y 180' };
+    }
+    data.diasCredito = dias;
+  }
+
+  if (body.estado !== undefined) {
+    const estado = parseInt(body.estado);
+    if (![0, 1].includes(estado)) {
+      return { error: 'Estado invalido (1 = activo, 0 = inactivo)' };
+    }
+    data.estado = estado;
+  }
+
+  if (data.ruc && data.ruc !== existente?.ruc) {
+    const duplicado = await prisma.empresaCliente.findUnique({ where: { ruc: data.ruc } });
+    if (duplicado) {
+      return { error: 'Ya existe una empresa cliente con ese RUC' };
+    }
+  }
+
+  return { data };
+};
+
+/**
+ * Listar empresas clientes
+ * GET /api/empresas
+ * Query params: buscar (RUC o razon social), estado (1 activas por defecto, 0 inactivas, todas)
+ */
+const listar = async (req, res) => {
+  try {
+    const { buscar, estado = '1' } = req.query;
+
+    const where = {};
+
+    if (estado !== 'todas') {
+      where.estado = parseInt(estado) === 0 ? 0 : 1;
+    }
+
+    if (buscar) {
+      where.OR = [
+        { ruc: { contains: buscar } },
+        { razonSocial: { contains: buscar, mode: 'insensitive' } }
+      ];
+    }
+
+    const empresas = await prisma.empresaCliente.findMany({
+      where,
+      orderBy: { razonSocial: 'asc' }
+    });
+
+    res.json({ empresas: empresas.map(formatearEmpresa) });
+  } catch (error) {
+    console.error('Error listando empresas:', error);
+    res.status(500).json({ error: 'Error al listar empresas' });
+  }
+};
+
+/**
+ * Obtener empresa cliente por ID con su deuda vencida
+ * GET /api/empresas/:id
+ */
+const obtener = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const empresa = await prisma.empresaCliente.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa no encontrada' });
+    }
+
+    const deudaVencida = await calcularDeudaVencida(prisma, empresa.id);
+
+    res.json({ empresa: { ...formatearEmpresa(empresa), deudaVencida } });
+  } catch (error) {
+    console.error('Error obteniendo empresa:', error);
+    res.status(500).json({ error: 'Error al obtener empresa' });
+  }
+};
+
+/**
+ * Crear empresa cliente
+ * POST /api/empresas
+ * Body: { ruc, razonSocial, direccion, contacto, telefono, email, limiteCredito, diasCredito }
+ */
+const crear = async (req, res) => {
+  try {
+    const { data, error } = await validarEmpresa(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const empresa = await prisma.empresaCliente.create({
+      data: {
+        ...data,
+        userIdRegistration: req.user.id
+      }
+    });
+
+    await registrarAuditoria(req.user.id, 'EMPRESA_CREADA', 'EMPRESA', empresa.id, data);
+
+    res.status(201).json({
+      mensaje: 'Empresa creada exitosamente',
+      empresa: formatearEmpresa(empresa)
+    });
+  } catch (error) {
+    console.error('Error creando empresa:', error);
+    res.status(500).json({ error: 'Error al crear empresa' });
+  }
+};
+
+/**
+ * Actualizar empresa cliente (datos, linea de credito o estado)
+ * PUT /api/empresas/:id
+ */
+const actualizar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existente = await prisma.empresaCliente.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existente) {
+      return res.status(404).json({ error: 'Empresa no encontrada' });
+    }
+
+    const { data, error } = await validarEmpresa(req.body, existente);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const empresa = await prisma.empresaCliente.update({
+      where: { id: existente.id },
+      data: {
+        ...data,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    await registrarAuditoria(req.user.id, 'EMPRESA_ACTUALIZADA', 'EMPRESA', empresa.id, {
+      anterior: existente,
+      cambios: data
+    });
+
+    res.json({
+      mensaje: 'Empresa actualizada exitosamente',
+      empresa: formatearEmpresa(empresa)
+    });
+  } catch (error) {
+    console.error('Error actualizando empresa:', error);
+    res.status(500).json({ error: 'Error al actualizar empresa' });
+  }
+};
+
+/**
+ * Registrar abono (pago) de una empresa
+ * El cobro se registra en la caja abierta del usuario como COBRO_CREDITO.
+ * POST /api/empresas/:id/abonos
+ * Body: { monto, metodo, referencia, descripcion }
+ */
+const registrarAbono = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { monto, metodo = 'EFECTIVO', referencia, descripcion } = req.body;
+
+    if (!METODOS_PAGO.includes(metodo)) {
+      return res.status(400).json({ error: 'Metodo de pago invalido' });
+    }
+
+    const importe = Math.round(parseFloat(monto) * 100) / 100;
+    if (isNaN(importe) || importe <= 0) {
+      return res.status(400).json({ error: 'El monto debe ser mayor a 0' });
+    }
+
+    const referenciaAbono = referencia ? String(referencia).trim() : null;
+    if (referenciaAbono && referenciaAbono.length > 50) {
+      return res.status(400).json({ error: 'La referencia no puede superar 50 caracteres' });
+    }
+
+    if (metodo === 'TRANSFERENCIA' && !referenciaAbono) {
+      return res.status(400).json({ error: 'El pago con TRANSFERENCIA requiere el numero de operacion' });
+    }
+
+    const empresa = await prisma.empresaCliente.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa no encontrada' });
+    }
+
+    const caja = await obtenerCajaAbierta(prisma, req.user.id);
+    if (!caja) {
+      return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+    }
+
+    const detalle = descripcion?.trim() || `Abono ${empresa.razonSocial}`;
+
+    const saldo = await prisma.$transaction(async (tx) => {
+      const saldoResultante = await registrarAbonoEmpresa(tx, empresa.id, {
+        monto: importe,
+        metodo,
+        referencia: referenciaAbono,
+        descripcion: detalle.slice(0, 255),
+        userId: req.user.id
+      });
+
+      await registrarMovimientos(tx, caja.id, [{
+        tipo: 'COBRO_CREDITO',
+        metodo,
+        monto: importe,
+        referencia: referenciaAbono,
+        descripcion: `Abono credito RUC ${empresa.ruc}`
+      }], req.user.id);
+
+      return saldoResultante;
+    });
+
+    await registrarAuditoria(req.user.id, 'EMPRESA_ABONO', 'EMPRESA', empresa.id, {
+      monto: importe,
+      metodo,
+      referencia: referenciaAbono,
+      idCaja: caja.id,
+      saldo
+    });
+
+    res.status(201).json({
+      mensaje: 'Abono registrado exitosamente',
+      saldo
+    });
+  } catch (error) {
+    console.error('Error registrando abono de empresa:', error);
+
+    if (esErrorCredito(error)) {
+      return res.status(400).json({ error: error.message, saldo: error.saldo });
+    }
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+
+    res.status(500).json({ error: 'Error al registrar abono' });
+  }
+};
+
+/**
+ * Estado de cuenta de una empresa: linea de credito, movimientos del rango y facturas
+ * GET /api/empresas/:id/estado-cuenta
+ * Query params: desde, hasta (YYYY-MM-DD, dias civiles de Peru; por defecto el mes en curso),
+ *               formato (json | pdf, por defecto json)
+ */
+const estadoCuenta = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const formato = (req.query.formato || 'json').toLowerCase();
+
+    if (!['json', 'pdf'].includes(formato)) {
+      return res.status(400).json({ error: 'Formato invalido. Use json o pdf' });
+    }
+
+    const hoy = getFechaCivilHoyPeru();
+
+    const desdeFecha = parseCivilDate(req.query.desde, 'desde');
+    if (desdeFecha.error) {
+      return res.status(400).json({ error: desdeFecha.error });
+    }
+
+    const hastaFecha = parseCivilDate(req.query.hasta, 'hasta');
+    if (hastaFecha.error) {
+      return res.status(400).json({ error: hastaFecha.error });
+    }
+
+    const inicio = desdeFecha.date || new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth(), 1));
+    const fin = hastaFecha.date || hoy;
+
+    if (fin < inicio) {
+      return res.status(400).json({ error: 'La fecha hasta debe ser posterior a la fecha desde' });
+    }
+
+    // Hasta el inicio del dia siguiente
+    const medianoche = createTimeForDB(0, 0);
+    const estado = await obtenerEstadoCuenta(prisma, parseInt(id), {
+      desde: combinarFechaHoraPeru(inicio, medianoche),
+      hasta: combinarFechaHoraPeru(new Date(fin.getTime() + 24 * 60 * 60 * 1000), medianoche)
+    });
+
+    if (!estado) {
+      return res.status(404).json({ error: 'Empresa no encontrada' });
+    }
+
+    if (formato === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${nombreArchivoEstadoCuenta(estado)}"`);
+      return res.send(exportarEstadoCuentaPdf(estado));
+    }
+
+    res.json(estado);
+  } catch (error) {
+    console.error('Error generando estado de cuenta:', error);
+    res.status(500).json({ error: 'Error al generar estado de cuenta' });
+  }
+};
+
+/**
+ * Listar facturaciones consolidadas de una empresa
+ * GET /api/empresas/:id/facturaciones
+ */
+const listarFacturaciones = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const empresa = await prisma.empresaCliente.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true }
+    });
+
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa no encontrada' });
+    }
+
+    const facturaciones = await prisma.empresaFacturacion.findMany({
+      where: { idEmpresa: empresa.id },
+      include: { _count: { select: { movimientos: true } } },
+      orderBy: { periodo: 'desc' }
+    });
+
+    res.json({ facturaciones });
+  } catch (error) {
+    console.error('Error listando facturaciones de empresa:', error);
+    res.status(500).json({ error: 'Error al listar facturaciones' });
+  }
+};
+
+/**
+ * Emitir la factura consolidada de un mes cerrado
+ * Una factura por empresa y periodo con los pasajes y encomiendas a credito del mes.
+ * Si la emision falla la facturacion queda en ERROR y se puede reintentar con el mismo periodo.
+ * POST /api/empresas/:id/facturar
+ * Body: { periodo } (YYYY-MM)
+ */
+const facturar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rango = validarPeriodo(req.body.periodo);
+    if (rango.error) {
+      return res.status(400).json({ error: rango.error });
+    }
+
+    const empresa = await prisma.empresaCliente.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa no encontrada' });
+    }
+
+    const pendiente = await prisma.$transaction(async (tx) => {
+      return prepararFacturacion(tx, empresa.id, rango, req.user.id);
+    });
+
+    const facturacion = await emitirFacturacion(pendiente.id, req.user.id);
+
+    await registrarAuditoria(req.user.id, 'EMPRESA_FACTURADA', 'EMPRESA', empresa.id, {
+      idFacturacion: facturacion.id,
+      periodo: facturacion.periodo,
+      total: facturacion.total,
+      estado: facturacion.estado,
+      numeroComprobante: facturacion.numeroComprobante,
+      error: facturacion.error
+    });
+
+    if (facturacion.estado !== 'EMITIDA') {
+      return res.status(201).json({
+        mensaje: 'Facturacion registrada, pero hubo un error al emitir la factura',
+        facturacion,
+        comprobanteError: facturacion.error
+      });
+    }
+
+    res.status(201).json({
+      mensaje: 'Factura consolidada emitida exitosamente',
+      facturacion
+    });
+  } catch (error) {
+    console.error('Error facturando empresa:', error);
+
+    if (esErrorCredito(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al facturar empresa' });
+  }
+};
+
+module.exports = {
+  listar,
+  obtener,
+  crear,
+  actualizar,
+  registrarAbono,
+  estadoCuenta,
+  listarFacturaciones,
+  facturar
+};
@@ -5,10 +5,32 @@
 
 const prisma = require('../config/prisma');
 const { registrarAuditoria } = require('../services/auditoriaService');
-const { generarCodigoTracking } = require('../services/codigoService');
-const { calcularPrecioEncomienda } = require('../services/preciosService');
+const { generarCodigoTracking, validarCodigoTracking } = require('../services/codigoService');
+const { calcularPrecioBultos } = require('../services/preciosService');
+const { normalizarBultos, resumirBultos, crearBultos, parsearCodigoBulto } = require('../services/bultosService');
+const {
+  esErrorPago,
+  normalizarPagos,
+  ajustarPagos,
+  repartirPagos,
+  registrarPagosEncomienda
+} = require('../services/mediosPagoService');
+const {
+  obtenerConfiguracionAlmacenaje,
+  obtenerFechasLlegada,
+  calcularAlmacenaje,
+  reporteAntiguedad
+} = require('../services/almacenajeService');
+const { MENSAJES_CAJA, esErrorCaja, obtenerCajaAbierta } = require('../services/cajaService');
+const { esErrorCredito } = require('../services/creditoEmpresaService');
+const {
+  esErrorPromocion,
+  validarCodigoPromocion,
+  aplicarPromocion,
+  registrarCanje
+} = require('../services/promocionesService');
 const facturacionService = require('../services/facturacionService');
-const { guardarImagenBase64 } = require('../middleware/uploadMiddleware');
+const { esImagenBase64Valida, guardarImagenBase64, eliminarFotoEntrega } = require('../middleware/uploadMiddleware');
 const QRCode = require('qrcode');
 const { utcNow, parseCivilDate } = require('../utils/dateUtils');
 
@@ -48,6 +70,60 @@ const TRANSICIONES_PERMITIDAS = {
   'RETIRADO': []
 };
 
+// Estados de excepcion: permiso para aplicarlos (y para salir de ellos) y si exigen foto de evidencia
+const ESTADOS_EXCEPCION = {
+  'DEVUELTO_A_ORIGEN': { permiso: 'ENCOMIENDAS_INCIDENCIAS', foto: false },
+  'EXTRAVIADO': { permiso: 'ENCOMIENDAS_DECLARAR_PERDIDA', foto: false },
+  'DANADO': { permiso: 'ENCOMIENDAS_INCIDENCIAS', foto: true },
+  'ABANDONADO': { permiso: 'ENCOMIENDAS_DECLARAR_PERDIDA', foto: false },
+  'RETENIDO': { permiso: 'ENCOMIENDAS_INCIDENCIAS', foto: false }
+};
+
+// Transiciones hacia y desde estados de excepcion (requieren nota)
+// DEVUELTO_A_ORIGEN: la encomienda volvio al origen y la retira el remitente (POST /:id/retirar)
+const TRANSICIONES_EXCEPCION = {
+  'REGISTRADO': ['RETENIDO'],
+  'EN_ALMACEN': ['RETENIDO', 'DANADO', 'EXTRAVIADO', 'DEVUELTO_A_ORIGEN'],
+  'EN_RUTA': ['RETENIDO', 'DANADO', 'EXTRAVIADO'],
+  'LLEGO_A_DESTINO': ['RETENIDO', 'DANADO', 'EXTRAVIADO', 'ABANDONADO', 'DEVUELTO_A_ORIGEN'],
+  'RETIRADO': [],
+  'RETENIDO': ['EN_ALMACEN', 'LLEGO_A_DESTINO', 'DEVUELTO_A_ORIGEN'],
+  'DANADO': ['EN_ALMACEN', 'LLEGO_A_DESTINO', 'DEVUELTO_A_ORIGEN'],
+  'EXTRAVIADO': ['EN_ALMACEN', 'LLEGO_A_DESTINO'],
+  'ABANDONADO': [],
+  'DEVUELTO_A_ORIGEN': ['RETIRADO']
+};
+
+// Descripcion de cada estado en la consulta publica
+const DESCRIPCION_ESTADO = {
+  'REGISTRADO': 'Registrada',
+  'EN_ALMACEN': 'En almacen de origen',
+  'EN_RUTA': 'En ruta',
+  'LLEGO_A_DESTINO': 'Disponible para retiro en destino',
+  'RETIRADO': 'Entregada',
+  'DEVUELTO_A_ORIGEN': 'Devuelta al punto de origen',
+  'EXTRAVIADO': 'Extraviada',
+  'DANADO': 'Reportada con danos',
+  'ABANDONADO': 'Abandonada (plazo de retiro vencido)',
+  'RETENIDO': 'Retenida'
+};
+
+// Tamano maximo de una foto de evidencia en base64 (5MB * overhead base64)
+const MAX_FOTO_SIZE = 5 * 1024 * 1024 * 1.37;
+
+/**
+ * Estados a los que puede pasar una encomienda (flujo normal y excepciones)
+ * @param {string} estado - Estado actual
+ * @returns {string[]}
+ */
+const estadosSiguientes = (estado) => [
+  ...(TRANSICIONES_PERMITIDAS[estado] ?? []),
+  ...(TRANSICIONES_EXCEPCION[estado] ?? [])
+];
+
+// Maximo de codigos por cambio de estado en lote
+const MAX_CODIGOS_LOTE = 200;
+
 /**
  * Listar encomiendas
  * GET /api/encomiendas
@@ -150,6 +226,14 @@ const listar = async (req, res) => {
 /**
  * Registrar encomienda
  * POST /api/encomiendas
+ * Body: { ..., metodoPago | pagos: [{ metodo, monto, referencia }] } (sin metodo se registra EFECTIVO;
+ * con pago al recojo el cobro se registra al retirar). Requiere caja abierta del usuario.
+ * codigoPromocion opcional: descuento de la promocion sobre el precio calculado
+ * Pago CREDITO con idEmpresa: se carga a la cuenta de la empresa, se emite nota de venta
+ * (la factura sale en la consolidacion mensual) y no requiere caja
+ * paquete.bultos opcional: [{ peso, alto, ancho, largo, descripcion }] para varias piezas bajo
+ * la misma guia; el precio base se cobra una vez y cada bulto suma su cargo por peso y volumen
+ * paquete.perecible opcional: acorta el plazo de abandono en destino
  */
 const registrar = async (req, res) => {
   try {
@@ -163,9 +247,13 @@ const registrar = async (req, res) => {
       tipoDocumento,
       clienteFactura,
       pagoAlRecojo = false,
+      metodoPago = 'EFECTIVO',
+      pagos,
+      idEmpresa,
       claveSeguridad,
       comentario,
       idPrecioBase,
+      codigoPromocion,
       incluyeIgv
     } = req.body;
 
@@ -176,15 +264,21 @@ const registrar = async (req, res) => {
       });
     }
 
-    // Validar tipo de documento (obligatorio)
-    if (!tipoDocumento || !['BOLETA', 'FACTURA', 'VERIFICACION'].includes(tipoDocumento)) {
+    // Validar medios de pago (la suma contra el precio final se verifica al registrar)
+    const cobro = pagoAlRecojo === true ? null : normalizarPagos({ pagos, metodoPago, idEmpresa });
+    if (cobro?.error) {
+      return res.status(400).json({ error: cobro.error });
+    }
+
+    // Validar tipo de documento (obligatorio salvo credito, que se factura al consolidar)
+    if (!cobro?.credito && (!tipoDocumento || !['BOLETA', 'FACTURA', 'VERIFICACION'].includes(tipoDocumento))) {
       return res.status(400).json({
         error: 'Tipo de documento es obligatorio (BOLETA, FACTURA o VERIFICACION)'
       });
     }
 
     // Validar datos de factura si el tipo es FACTURA
-    if (tipoDocumento === 'FACTURA') {
+    if (tipoDocumento === 'FACTURA' && !cobro?.credito) {
       if (!clienteFactura || !clienteFactura.ruc || !clienteFactura.razonSocial) {
         return res.status(400).json({
           error: 'Para factura se requiere RUC y razon social del cliente'
@@ -237,17 +331,19 @@ const registrar = async (req, res) => {
       });
     }
 
-    if (!paquete?.tipo || !paquete?.peso || !paquete?.alto || !paquete?.ancho || !paquete?.largo) {
+    if (!paquete?.tipo) {
       return res.status(400).json({
-        error: 'Tipo, peso, alto, ancho y largo del paquete son requeridos'
+        error: 'El tipo de paquete es requerido'
       });
     }
 
-    if (paquete.peso <= 0 || paquete.alto <= 0 || paquete.ancho <= 0 || paquete.largo <= 0) {
-      return res.status(400).json({
-        error: 'Peso y dimensiones deben ser mayores a 0'
-      });
+    // Una o varias piezas (bultos) bajo la misma guia
+    const piezas = normalizarBultos(paquete);
+    if (piezas.error) {
+      return res.status(400).json({ error: piezas.error });
     }
+    const bultos = piezas.bultos;
+    const medidasGuia = resumirBultos(bultos);
 
     if (!idPrecioBase) {
       return res.status(400).json({
@@ -255,14 +351,19 @@ const registrar = async (req, res) => {
       });
     }
 
+    const promocion = validarCodigoPromocion(codigoPromocion);
+    if (promocion.error) {
+      return res.status(400).json({ error: promocion.error });
+    }
+
+    // La venta se registra en la caja abierta del usuario (la venta a credito no pasa por caja)
+    const caja = cobro?.credito ? null : await obtenerCajaAbierta(prisma, req.user.id);
+    if (!cobro?.credito && !caja) {
+      return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+    }
+
     // Calcular precio
-    const resultadoCalculo = await calcularPrecioEncomienda(
-      paquete.peso,
-      paquete.alto,
-      paquete.ancho,
-      paquete.largo,
-      idPrecioBase
-    );
+    const resultadoCalculo = await calcularPrecioBultos(bultos, idPrecioBase);
 
     if (resultadoCalculo === null) {
       return res.status(400).json({
@@ -287,7 +388,7 @@ const registrar = async (req, res) => {
     // Crear encomienda con evento inicial
     const encomienda = await prisma.$transaction(async (tx) => {
       // Generar codigo tracking dentro de la transaccion para evitar race conditions
-      const codigoTracking = await generarCodigoTracking(tx);
+      const codigoTracking = await generarCodigoTracking(tx, { idPunto: parseInt(idPuntoOrigen) });
 
       // Buscar o crear cliente (pasajero) por DNI del remitente
       let clienteDb = await tx.pasajero.findFirst({
@@ -303,18 +404,31 @@ const registrar = async (req, res) => {
         puntosHistoricosActuales = clienteDb.puntos_historicos ?? clienteDb.puntos ?? 0;
       }
 
+      // Descuento por codigo de promocion sobre el precio original (antes del canje de puntos)
+      const promocionAplicada = promocion.codigo
+        ? await aplicarPromocion(tx, {
+          codigo: promocion.codigo,
+          servicio: 'ENCOMIENDAS',
+          puntos: { idPuntoOrigen: parseInt(idPuntoOrigen), idPuntoDestino: parseInt(idPuntoDestino) },
+          documento: remitente.dni,
+          monto: precioOriginal,
+          puntosUsados
+        })
+        : null;
+      const descuentoPromocion = promocionAplicada?.descuento ?? 0;
+
       // Validar que no se intenten canjear mas puntos de los disponibles
       const puntosACanjearFinal = Math.min(puntosUsados, puntosDisponiblesActuales);
 
       // Calcular descuento por puntos
       let descuentoPuntos = puntosACanjearFinal / puntosPorSolDescuento;
-      // El descuento no puede superar el precio original
-      descuentoPuntos = Math.min(descuentoPuntos, precioOriginal);
+      // El descuento no puede superar el precio original (menos la promocion)
+      descuentoPuntos = Math.min(descuentoPuntos, precioOriginal - descuentoPromocion);
       // Redondear a 2 decimales
       descuentoPuntos = Math.round(descuentoPuntos * 100) / 100;
 
       // Calcular precio final
-      const precioFinal = Math.max(0, precioOriginal - descuentoPuntos);
+      const precioFinal = Math.max(0, Math.round((precioOriginal - descuentoPromocion - descuentoPuntos) * 100) / 100);
 
       // Calcular nuevos puntos del cliente
       const nuevosPuntosDisponibles = puntosDisponiblesActuales - puntosACanjearFinal + puntosGanados;
@@ -362,16 +476,20 @@ const registrar = async (req, res) => {
           destinatarioTelefono: destinatario.telefono,
           tipoPaquete: paquete.tipo,
           descripcion: paquete.descripcion || null,
-          peso: parseFloat(paquete.peso),
-          alto: parseFloat(paquete.alto),
-          ancho: parseFloat(paquete.ancho),
-          largo: parseFloat(paquete.largo),
+          peso: medidasGuia.peso,
+          alto: medidasGuia.alto,
+          ancho: medidasGuia.ancho,
+          largo: medidasGuia.largo,
+          totalBultos: bultos.length,
+          perecible: paquete.perecible === true,
           precioCalculado: precioOriginal,
           precio_final: precioFinal,
           id_cliente: clienteDb.id,
           puntos_ganados: puntosGanados,
           puntos_usados: puntosACanjearFinal,
           descuento_puntos: descuentoPuntos,
+          idPromocion: promocionAplicada?.promocion.id ?? null,
+          descuentoPromocion,
           estadoActual: 'REGISTRADO',
           idUsuarioCreacion: req.user.id,
           userIdRegistration: req.user.id,
@@ -389,6 +507,8 @@ const registrar = async (req, res) => {
         }
       });
 
+      const bultosGuia = await crearBultos(tx, enc, bultos, resultadoCalculo.bultos, req.user.id);
+
       // Crear evento REGISTRADO
       await tx.eventoEncomienda.create({
         data: {
@@ -401,11 +521,33 @@ const registrar = async (req, res) => {
         }
       });
 
+      if (promocionAplicada) {
+        await registrarCanje(tx, promocionAplicada, {
+          monto: precioOriginal,
+          documento: remitente.dni,
+          idEncomienda: enc.id,
+          userId: req.user.id
+        });
+      }
+
+      const pagosEncomienda = cobro
+        ? await registrarPagosEncomienda(tx, enc.id, precioFinal, cobro.pagos, req.user.id, {
+          idCaja: caja?.id ?? null,
+          descripcion: `Encomienda ${enc.codigoTracking}`,
+          idEmpresa: cobro.idEmpresa
+        })
+        : [];
+
       // Agregar campos calculados al resultado
       return {
         ...enc,
+        bultos: bultosGuia,
+        idEmpresa: cobro?.idEmpresa ?? null,
+        pagos: pagosEncomienda,
         cliente: clienteDb,
         idCliente: clienteDb.id,
+        codigoPromocion: promocionAplicada?.promocion.codigo ?? null,
+        descuentoPromocion,
         puntosUsados: puntosACanjearFinal,
         descuentoPuntos,
         precioFinal,
@@ -426,17 +568,23 @@ const registrar = async (req, res) => {
       destino: encomienda.puntoDestino.nombre,
       tipoDocumento,
       precioOriginal,
+      codigoPromocion: encomienda.codigoPromocion,
+      descuentoPromocion: encomienda.descuentoPromocion,
       puntosUsados: encomienda.puntosUsados,
       descuentoPuntos: encomienda.descuentoPuntos,
       precioFinal: encomienda.precioFinal,
       puntosGanados: encomienda.puntosGanados,
-      idCliente: encomienda.idCliente
+      idCliente: encomienda.idCliente,
+      pagoAlRecojo: pagoAlRecojo === true,
+      pagos: encomienda.pagos,
+      idEmpresa: encomienda.idEmpresa,
+      totalBultos: encomienda.totalBultos
     });
 
     // Emitir comprobante segun tipo de documento
-    // Si es pago al recojo, forzar emision de VERIFICACION (nota de venta)
+    // Si es pago al recojo o a credito, forzar emision de VERIFICACION (nota de venta)
     let comprobante = null;
-    const tipoDocumentoAEmitir = pagoAlRecojo ? 'VERIFICACION' : tipoDocumento;
+    const tipoDocumentoAEmitir = pagoAlRecojo || cobro?.credito ? 'VERIFICACION' : tipoDocumento;
     try {
       const precioParaComprobante = encomienda.precioFinal ?? precioOriginal;
 
@@ -594,6 +742,18 @@ const registrar = async (req, res) => {
     });
   } catch (error) {
     console.error('Error registrando encomienda:', error);
+    if (esErrorPromocion(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (esErrorPago(error)) {
+      return res.status(400).json({ error: error.message, total: error.total, totalPagos: error.totalPagos });
+    }
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+    if (esErrorCredito(error)) {
+      return res.status(400).json({ error: error.message, disponible: error.disponible });
+    }
     res.status(500).json({ error: 'Error al registrar encomienda' });
   }
 };
@@ -617,7 +777,12 @@ const obtener = async (req, res) => {
             usuarioEvento: { select: { id: true, nombres: true } }
           },
           orderBy: { fechaEvento: 'asc' }
-        }
+        },
+        pagos: {
+          select: { metodo: true, monto: true, referencia: true },
+          orderBy: { id: 'asc' }
+        },
+        bultos: { orderBy: { numero: 'asc' } }
       }
     });
 
@@ -662,11 +827,20 @@ const obtener = async (req, res) => {
 
 /**
  * Buscar encomienda por codigo (interno)
+ * Acepta el codigo de tracking o el subcodigo de uno de sus bultos
  * GET /api/encomiendas/codigo/:codigo
  */
 const buscarPorCodigo = async (req, res) => {
   try {
-    const { codigo } = req.params;
+    const { codigo: codigoEscaneado } = req.params;
+
+    // Se acepta el subcodigo de un bulto (etiqueta por pieza)
+    const bulto = parsearCodigoBulto(codigoEscaneado);
+    const codigo = bulto ? bulto.codigoTracking : codigoEscaneado;
+
+    if (!bulto && !validarCodigoTracking(codigo)) {
+      return res.status(400).json({ error: 'Codigo de tracking invalido. Verifique que este bien escrito' });
+    }
 
     // Priorizar busqueda por match exacto para evitar falsos positivos
     let encomienda = await prisma.encomienda.findFirst({
@@ -679,6 +853,10 @@ const buscarPorCodigo = async (req, res) => {
             puntoEvento: { select: { id: true, nombre: true } }
           },
           orderBy: { fechaEvento: 'desc' }
+        },
+        bultos: {
+          select: { codigo: true, numero: true, peso: true, descripcion: true },
+          orderBy: { numero: 'asc' }
         }
       }
     });
@@ -697,6 +875,10 @@ const buscarPorCodigo = async (req, res) => {
               puntoEvento: { select: { id: true, nombre: true } }
             },
             orderBy: { fechaEvento: 'desc' }
+          },
+          bultos: {
+            select: { codigo: true, numero: true, peso: true, descripcion: true },
+            orderBy: { numero: 'asc' }
           }
         }
       });
@@ -714,6 +896,9 @@ const buscarPorCodigo = async (req, res) => {
         estado: encomienda.estadoActual,
         descripcion: encomienda.descripcion || encomienda.tipoPaquete,
         peso: encomienda.peso,
+        totalBultos: encomienda.totalBultos,
+        bultos: encomienda.bultos,
+        bultoEscaneado: bulto ? codigoEscaneado.trim().toUpperCase() : null,
         remitenteNombre: encomienda.remitenteNombre,
         remitenteDni: encomienda.remitenteDni,
         remitenteTelefono: encomienda.remitenteTelefono,
@@ -739,11 +924,20 @@ const buscarPorCodigo = async (req, res) => {
 
 /**
  * Obtener encomienda por tracking
+ * Acepta el codigo de tracking o el subcodigo de uno de sus bultos
  * GET /api/encomiendas/tracking/:codigo
  */
 const obtenerPorTracking = async (req, res) => {
   try {
-    const { codigo } = req.params;
+    const { codigo: codigoEscaneado } = req.params;
+
+    // Se acepta el subcodigo de un bulto (etiqueta por pieza)
+    const bulto = parsearCodigoBulto(codigoEscaneado);
+    const codigo = bulto ? bulto.codigoTracking : codigoEscaneado;
+
+    if (!bulto && !validarCodigoTracking(codigo)) {
+      return res.status(400).json({ error: 'Codigo de tracking invalido. Verifique que este bien escrito' });
+    }
 
     const encomienda = await prisma.encomienda.findUnique({
       where: { codigoTracking: codigo },
@@ -755,6 +949,10 @@ const obtenerPorTracking = async (req, res) => {
             puntoEvento: { select: { id: true, nombre: true } }
           },
           orderBy: { fechaEvento: 'asc' }
+        },
+        bultos: {
+          select: { codigo: true, numero: true, peso: true, descripcion: true },
+          orderBy: { numero: 'asc' }
         }
       }
     });
@@ -772,12 +970,15 @@ const obtenerPorTracking = async (req, res) => {
 
 /**
  * Cambiar estado
+ * Los estados de excepcion (y la salida de ellos) requieren nota y el permiso del estado;
+ * DANADO requiere ademas foto de evidencia. DEVUELTO_A_ORIGEN solo lo registra el origen.
  * PATCH /api/encomiendas/:id/estado
+ * Body: { nuevoEstado, nota, fotoBase64 }
  */
 const cambiarEstado = async (req, res) => {
   try {
     const { id } = req.params;
-    const { nuevoEstado, nota } = req.body;
+    const { nuevoEstado, nota, fotoBase64 } = req.body;
 
     if (!nuevoEstado) {
       return res.status(400).json({
@@ -786,7 +987,7 @@ const cambiarEstado = async (req, res) => {
     }
 
     // Validar que nuevoEstado sea un valor valido del enum
-    const ESTADOS_VALIDOS = ['REGISTRADO', 'EN_ALMACEN', 'EN_RUTA', 'LLEGO_A_DESTINO', 'RETIRADO'];
+    const ESTADOS_VALIDOS = [...Object.keys(TRANSICIONES_PERMITIDAS), ...Object.keys(ESTADOS_EXCEPCION)];
     if (!ESTADOS_VALIDOS.includes(nuevoEstado)) {
       return res.status(400).json({
         error: 'Estado no valido',
@@ -825,7 +1026,7 @@ const cambiarEstado = async (req, res) => {
     }
 
     // Verificar transicion permitida
-    const estadosPermitidos = TRANSICIONES_PERMITIDAS[encomienda.estadoActual];
+    const estadosPermitidos = estadosSiguientes(encomienda.estadoActual);
     if (!estadosPermitidos.includes(nuevoEstado)) {
       await registrarAuditoria(req.user.id, 'TRANSICION_NO_PERMITIDA', 'ENCOMIENDA', id, {
         estadoActual: encomienda.estadoActual,
@@ -846,56 +1047,130 @@ const cambiarEstado = async (req, res) => {
       });
     }
 
+    // Excepciones: regla del estado destino o, al salir de una excepcion, la del estado actual
+    const excepcion = ESTADOS_EXCEPCION[nuevoEstado] ?? ESTADOS_EXCEPCION[encomienda.estadoActual] ?? null;
+    if (excepcion) {
+      if (!req.userPermisos?.includes(excepcion.permiso)) {
+        return res.status(403).json({
+          error: 'No tiene permisos para esta accion',
+          requeridos: [excepcion.permiso]
+        });
+      }
+
+      if (!nota || nota.trim() === '') {
+        return res.status(400).json({
+          error: 'La nota es obligatoria para registrar o resolver una excepcion'
+        });
+      }
+
+      if (ESTADOS_EXCEPCION[nuevoEstado]?.foto && !fotoBase64) {
+        return res.status(400).json({
+          error: `La foto de evidencia es obligatoria para el estado ${nuevoEstado}`
+        });
+      }
+    }
+
+    if (fotoBase64 && fotoBase64.length > MAX_FOTO_SIZE) {
+      return res.status(400).json({
+        error: 'La foto excede el tamano maximo permitido (5MB)'
+      });
+    }
+
+    if (fotoBase64 && !esImagenBase64Valida(fotoBase64)) {
+      return res.status(400).json({
+        error: 'Formato de foto invalido (se espera una imagen en base64)'
+      });
+    }
+
+    if (nuevoEstado === 'DEVUELTO_A_ORIGEN' && req.user.id_punto && req.user.id_punto !== encomienda.idPuntoOrigen) {
+      return res.status(403).json({
+        error: 'Solo el punto de origen puede registrar la devolucion de la encomienda'
+      });
+    }
+
+    // Una encomienda cargada en un despacho cambia de estado con el despacho
+    const enDespacho = await prisma.despachoEncomienda.findFirst({
+      where: {
+        idEncomienda: encomienda.id,
+        estado: 'CARGADA',
+        despacho: { estado: { in: ['ABIERTO', 'DESPACHADO'] } }
+      },
+      include: { despacho: { select: { id: true, codigo: true, estado: true } } }
+    });
+
+    if (enDespacho) {
+      return res.status(400).json({
+        error: `La encomienda esta cargada en el despacho ${enDespacho.despacho.codigo}. Use el despacho para cambiar su estado`,
+        despacho: enDespacho.despacho
+      });
+    }
+
     // Determinar el punto del evento
     // Usuario con punto: usar su punto (ya validamos que pertenece a origen o destino)
-    // Superadmin sin punto: EN_ALMACEN usa origen, otros estados usan destino
+    // Superadmin sin punto: EN_ALMACEN y DEVUELTO_A_ORIGEN usan origen, otros estados usan destino
     let idPuntoEvento = req.user.id_punto;
     if (!idPuntoEvento) {
-      idPuntoEvento = (nuevoEstado === 'EN_ALMACEN') ? encomienda.idPuntoOrigen : encomienda.idPuntoDestino;
+      idPuntoEvento = ['EN_ALMACEN', 'DEVUELTO_A_ORIGEN'].includes(nuevoEstado)
+        ? encomienda.idPuntoOrigen
+        : encomienda.idPuntoDestino;
     }
 
-    // Actualizar estado y crear evento (con optimistic locking)
-    const resultado = await prisma.$transaction(async (tx) => {
-      // Verificar que el estado no haya cambiado entre la lectura y la escritura
-      const encActual = await tx.encomienda.findUnique({
-        where: { id: parseInt(id) }
-      });
-      if (encActual.estadoActual !== encomienda.estadoActual) {
-        throw new Error('ESTADO_MODIFICADO_CONCURRENTEMENTE');
-      }
+    // Foto de evidencia (obligatoria para DANADO, opcional en el resto): se guarda fuera de
+    // la transaccion y se elimina si el cambio de estado no se registra
+    const fotoPath = fotoBase64 ? await guardarImagenBase64(fotoBase64, id) : null;
 
-      const enc = await tx.encomienda.update({
-        where: { id: parseInt(id) },
-        data: {
-          estadoActual: nuevoEstado,
-          userIdModification: req.user.id,
-          dateTimeModification: utcNow()
-        },
-        include: {
-          puntoOrigen: true,
-          puntoDestino: true
+    // Actualizar estado y crear evento (con optimistic locking)
+    let resultado;
+    try {
+      resultado = await prisma.$transaction(async (tx) => {
+        // Verificar que el estado no haya cambiado entre la lectura y la escritura
+        const encActual = await tx.encomienda.findUnique({
+          where: { id: parseInt(id) }
+        });
+        if (encActual.estadoActual !== encomienda.estadoActual) {
+          throw new Error('ESTADO_MODIFICADO_CONCURRENTEMENTE');
         }
-      });
 
-      await tx.eventoEncomienda.create({
-        data: {
-          idEncomienda: parseInt(id),
-          estadoDestino: nuevoEstado,
-          idUsuarioEvento: req.user.id,
-          idPuntoEvento: parseInt(idPuntoEvento),
-          nota: nota || null,
-          userIdRegistration: req.user.id
-        }
-      });
+        const enc = await tx.encomienda.update({
+          where: { id: parseInt(id) },
+          data: {
+            estadoActual: nuevoEstado,
+            userIdModification: req.user.id,
+            dateTimeModification: utcNow()
+          },
+          include: {
+            puntoOrigen: true,
+            puntoDestino: true
+          }
+        });
 
-      return enc;
-    });
+        await tx.eventoEncomienda.create({
+          data: {
+            idEncomienda: parseInt(id),
+            estadoDestino: nuevoEstado,
+            idUsuarioEvento: req.user.id,
+            idPuntoEvento: parseInt(idPuntoEvento),
+            nota: nota ? nota.trim().slice(0, 255) : null,
+            foto_evidencia_path: fotoPath,
+            userIdRegistration: req.user.id
+          }
+        });
+
+        return enc;
+      });
+    } catch (errorTransaccion) {
+      if (fotoPath) {
+        await eliminarFotoEntrega(fotoPath);
+      }
+      throw errorTransaccion;
+    }
 
     // Auditoria
     await registrarAuditoria(req.user.id, 'ESTADO_ENCOMIENDA_CAMBIADO', 'ENCOMIENDA', id, {
       estadoAnterior: encomienda.estadoActual,
       estadoNuevo: nuevoEstado,
-      nota
+      nota,
+      ...(excepcion && { excepcion: true, foto: !!fotoBase64 })
     });
 
     res.json({
@@ -913,14 +1188,203 @@ const cambiarEstado = async (req, res) => {
   }
 };
 
+/**
+ * Cambiar estado de varias encomiendas escaneadas (lote)
+ * Cada codigo se valida por separado (transicion permitida, punto del usuario y despacho);
+ * los validos se aplican y el resto se informa sin fallar el lote. Solo flujo normal: los
+ * estados de excepcion se registran por encomienda (nota y foto propias).
+ * POST /api/encomiendas/estado/lote
+ * Body: { codigos: [codigoTracking], nuevoEstado, nota }
+ * Resultado por codigo: OK, CODIGO_INVALIDO, DUPLICADO, NO_ENCONTRADA, PUNTO_NO_PERMITIDO,
+ * ESTADO_NO_PERMITIDO, EN_DESPACHO o MODIFICADA (cambiada por otro usuario durante el lote)
+ */
+const cambiarEstadoLote = async (req, res) => {
+  try {
+    const { codigos, nuevoEstado } = req.body;
+    const nota = typeof req.body.nota === 'string' && req.body.nota.trim()
+      ? req.body.nota.trim().slice(0, 255)
+      : null;
+
+    if (!Array.isArray(codigos) || codigos.length === 0) {
+      return res.status(400).json({ error: 'Debe enviar al menos un codigo de tracking' });
+    }
+
+    if (codigos.length > MAX_CODIGOS_LOTE) {
+      return res.status(400).json({ error: `Se permiten como maximo ${MAX_CODIGOS_LOTE} codigos por lote` });
+    }
+
+    const estadosValidos = Object.keys(TRANSICIONES_PERMITIDAS);
+    if (!estadosValidos.includes(nuevoEstado)) {
+      return res.status(400).json({
+        error: 'Estado no valido',
+        estadosValidos
+      });
+    }
+
+    if (nuevoEstado === 'RETIRADO') {
+      return res.status(400).json({
+        error: 'Para registrar retiro use el endpoint POST /api/encomiendas/:id/retirar'
+      });
+    }
+
+    const resultados = [];
+    const vistos = new Set();
+    const porCodigo = new Map();
+
+    for (const valor of codigos) {
+      const codigo = (valor || '').toString().trim().toUpperCase();
+
+      if (!validarCodigoTracking(codigo)) {
+        resultados.push({ codigo, resultado: 'CODIGO_INVALIDO' });
+      } else if (vistos.has(codigo)) {
+        resultados.push({ codigo, resultado: 'DUPLICADO' });
+      } else {
+        vistos.add(codigo);
+        const item = { codigo, resultado: null };
+        porCodigo.set(codigo, item);
+        resultados.push(item);
+      }
+    }
+
+    const encomiendas = await prisma.encomienda.findMany({
+      where: { codigoTracking: { in: [...porCodigo.keys()] } },
+      select: { id: true, codigoTracking: true, estadoActual: true, idPuntoOrigen: true, idPuntoDestino: true }
+    });
+
+    // Encomiendas cargadas en un despacho: cambian de estado con el despacho
+    const enDespacho = await prisma.despachoEncomienda.findMany({
+      where: {
+        idEncomienda: { in: encomiendas.map((enc) => enc.id) },
+        estado: 'CARGADA',
+        despacho: { estado: { in: ['ABIERTO', 'DESPACHADO'] } }
+      },
+      select: { idEncomienda: true, despacho: { select: { codigo: true } } }
+    });
+    const despachoDe = new Map(enDespacho.map((item) => [item.idEncomienda, item.despacho.codigo]));
+
+    const aplicables = [];
+    for (const encomienda of encomiendas) {
+      const item = porCodigo.get(encomienda.codigoTracking);
+      item.idEncomienda = encomienda.id;
+      item.estadoAnterior = encomienda.estadoActual;
+
+      // Mismas reglas que el cambio individual: punto origen o destino, salvo superadmin
+      if (req.user.id_punto &&
+          req.user.id_punto !== encomienda.idPuntoOrigen &&
+          req.user.id_punto !== encomienda.idPuntoDestino) {
+        item.resultado = 'PUNTO_NO_PERMITIDO';
+      } else if (!(TRANSICIONES_PERMITIDAS[encomienda.estadoActual] ?? []).includes(nuevoEstado)) {
+        item.resultado = 'ESTADO_NO_PERMITIDO';
+        item.estadosPermitidos = TRANSICIONES_PERMITIDAS[encomienda.estadoActual] ?? [];
+      } else if (despachoDe.has(encomienda.id)) {
+        item.resultado = 'EN_DESPACHO';
+        item.despacho = despachoDe.get(encomienda.id);
+      } else {
+        aplicables.push({
+          item,
+          encomienda,
+          idPuntoEvento: req.user.id_punto ||
+            (nuevoEstado === 'EN_ALMACEN' ? encomienda.idPuntoOrigen : encomienda.idPuntoDestino)
+        });
+      }
+    }
+
+    for (const item of porCodigo.values()) {
+      if (!item.resultado && !item.idEncomienda) {
+        item.resultado = 'NO_ENCONTRADA';
+      }
+    }
+
+    // Aplicar en una sola transaccion; cada update exige el estado leido (optimistic locking)
+    if (aplicables.length > 0) {
+      await prisma.$transaction(async (tx) => {
+        const aplicadas = [];
+
+        for (const { item, encomienda, idPuntoEvento } of aplicables) {
+          const { count } = await tx.encomienda.updateMany({
+            where: { id: encomienda.id, estadoActual: encomienda.estadoActual },
+            data: {
+              estadoActual: nuevoEstado,
+              userIdModification: req.user.id,
+              dateTimeModification: utcNow()
+            }
+          });
+
+          item.resultado = count === 1 ? 'OK' : 'MODIFICADA';
+          if (count === 1) {
+            aplicadas.push({ idEncomienda: encomienda.id, idPuntoEvento });
+          }
+        }
+
+        if (aplicadas.length > 0) {
+          await tx.eventoEncomienda.createMany({
+            data: aplicadas.map(({ idEncomienda, idPuntoEvento }) => ({
+              idEncomienda,
+              estadoDestino: nuevoEstado,
+              idUsuarioEvento: req.user.id,
+              idPuntoEvento: parseInt(idPuntoEvento),
+              nota,
+              userIdRegistration: req.user.id
+            }))
+          });
+        }
+      });
+    }
+
+    // Auditoria por encomienda, como en el cambio individual
+    for (const item of porCodigo.values()) {
+      if (item.resultado === 'OK') {
+        await registrarAuditoria(req.user.id, 'ESTADO_ENCOMIENDA_CAMBIADO', 'ENCOMIENDA', item.idEncomienda, {
+          estadoAnterior: item.estadoAnterior,
+          estadoNuevo: nuevoEstado,
+          nota,
+          lote: true
+        });
+      } else if (item.resultado === 'PUNTO_NO_PERMITIDO') {
+        await registrarAuditoria(req.user.id, 'CAMBIO_ESTADO_NO_AUTORIZADO', 'ENCOMIENDA', item.idEncomienda, {
+          codigoTracking: item.codigo,
+          idPuntoUsuario: req.user.id_punto,
+          estadoIntentado: nuevoEstado,
+          lote: true
+        });
+      }
+    }
+
+    const aplicados = resultados.filter((item) => item.resultado === 'OK').length;
+
+    res.json({
+      mensaje: `${aplicados} de ${resultados.length} encomienda(s) actualizadas`,
+      nuevoEstado,
+      aplicados,
+      rechazados: resultados.length - aplicados,
+      resultados
+    });
+  } catch (error) {
+    console.error('Error cambiando estado en lote:', error);
+    res.status(500).json({ error: 'Error al cambiar estado en lote' });
+  }
+};
+
 /**
  * Registrar retiro con foto
  * POST /api/encomiendas/:id/retirar
+ * Con pago al recojo o almacenaje vencido se registra el cobro: metodoPago | pagos: [{ metodo, monto, referencia }]
+ * (por defecto EFECTIVO) en la caja abierta del usuario. El almacenaje va como item aparte del comprobante.
+ * Una encomienda DEVUELTO_A_ORIGEN la retira el remitente en el punto de origen (sin clave ni cobro)
  */
 const retirar = async (req, res) => {
   try {
     const { id } = req.params;
-    const { dniRetiro, fotoBase64, nota, claveIngresada, tipoComprobante, clienteFactura } = req.body;
+    const {
+      dniRetiro,
+      fotoBase64,
+      nota,
+      claveIngresada,
+      tipoComprobante,
+      clienteFactura,
+      metodoPago = 'EFECTIVO',
+      pagos
+    } = req.body;
 
     if (!dniRetiro) {
       return res.status(400).json({
@@ -930,7 +1394,6 @@ const retirar = async (req, res) => {
 
     // Foto de evidencia opcional: si se envia, validar tamano (max 5MB en base64)
     if (fotoBase64) {
-      const MAX_FOTO_SIZE = 5 * 1024 * 1024 * 1.37; // 5MB * overhead base64
       if (fotoBase64.length > MAX_FOTO_SIZE) {
         return res.status(400).json({
           error: 'La foto excede el tamano maximo permitido (5MB)'
@@ -950,32 +1413,43 @@ const retirar = async (req, res) => {
       return res.status(404).json({ error: 'Encomienda no encontrada' });
     }
 
-    if (encomienda.estadoActual !== 'LLEGO_A_DESTINO') {
+    const devolucion = encomienda.estadoActual === 'DEVUELTO_A_ORIGEN';
+    if (encomienda.estadoActual !== 'LLEGO_A_DESTINO' && !devolucion) {
       return res.status(400).json({
-        error: 'Solo se puede retirar encomiendas que han llegado a destino',
+        error: 'Solo se puede retirar encomiendas que han llegado a destino o fueron devueltas a origen',
         estadoActual: encomienda.estadoActual
       });
     }
 
-    // Validar que el usuario pertenezca al punto de destino
-    // Solo usuarios del punto destino pueden registrar retiros (superadmin no tiene punto asignado)
-    if (req.user.id_punto && req.user.id_punto !== encomienda.idPuntoDestino) {
+    // Validar que el usuario pertenezca al punto de retiro (destino, u origen en devoluciones)
+    // Superadmin no tiene punto asignado
+    const idPuntoRetiro = devolucion ? encomienda.idPuntoOrigen : encomienda.idPuntoDestino;
+    if (req.user.id_punto && req.user.id_punto !== idPuntoRetiro) {
       await registrarAuditoria(req.user.id, 'INTENTO_RETIRO_NO_AUTORIZADO', 'ENCOMIENDA', parseInt(id), {
         codigoTracking: encomienda.codigoTracking,
         idPuntoUsuario: req.user.id_punto,
         idPuntoDestino: encomienda.idPuntoDestino,
-        nombrePuntoDestino: encomienda.puntoDestino?.nombre
+        nombrePuntoDestino: encomienda.puntoDestino?.nombre,
+        devolucion
       });
 
       return res.status(403).json({
         error: 'No tiene permiso para registrar el retiro de esta encomienda',
-        razon: 'Solo el punto de destino puede registrar la entrega',
-        puntoDestino: encomienda.puntoDestino?.nombre
+        razon: devolucion
+          ? 'Solo el punto de origen puede entregar una devolucion'
+          : 'Solo el punto de destino puede registrar la entrega',
+        puntoDestino: devolucion ? encomienda.puntoOrigen?.nombre : encomienda.puntoDestino?.nombre
       });
     }
 
-    // Validar clave de seguridad si la encomienda tiene una
-    if (encomienda.clave_seguridad) {
+    if (devolucion && dniRetiro.toString().trim() !== encomienda.remitenteDni) {
+      return res.status(400).json({
+        error: 'La encomienda devuelta solo puede retirarla el remitente'
+      });
+    }
+
+    // Validar clave de seguridad si la encomienda tiene una (la clave es del destinatario)
+    if (encomienda.clave_seguridad && !devolucion) {
       if (!claveIngresada) {
         return res.status(400).json({
           error: 'Esta encomienda requiere clave de seguridad para el retiro',
@@ -990,14 +1464,40 @@ const retirar = async (req, res) => {
       }
     }
 
-    // Punto del evento: siempre es destino (ya validamos que el usuario pertenece al destino o es superadmin)
-    const idPuntoEvento = encomienda.idPuntoDestino;
+    // Almacenaje desde la llegada a destino, vencidas las horas de gracia (no aplica a devoluciones)
+    let almacenaje = null;
+    if (!devolucion) {
+      const configAlmacenaje = await obtenerConfiguracionAlmacenaje();
+      const llegadas = await obtenerFechasLlegada(prisma, [encomienda.id]);
+      almacenaje = calcularAlmacenaje(configAlmacenaje, { ...encomienda, fechaLlegada: llegadas.get(encomienda.id) });
+    }
+
+    const montoFlete = encomienda.pago_al_recojo && !devolucion
+      ? parseFloat(encomienda.precio_final ?? encomienda.precioCalculado)
+      : 0;
+    const montoAlmacenaje = almacenaje?.monto ?? 0;
+    const totalCobro = Math.round((montoFlete + montoAlmacenaje) * 100) / 100;
+
+    // Cobro del flete (pago al recojo) y del almacenaje
+    const cobro = totalCobro > 0 ? normalizarPagos({ pagos, metodoPago }) : null;
+    if (cobro?.error) {
+      return res.status(400).json({ error: cobro.error });
+    }
+
+    const caja = cobro ? await obtenerCajaAbierta(prisma, req.user.id) : null;
+    if (cobro && !caja) {
+      return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+    }
+
+    // Punto del evento: el punto de retiro (ya validamos que el usuario pertenece a el o es superadmin)
+    const idPuntoEvento = idPuntoRetiro;
 
     // Procesar retiro (con optimistic locking)
+    let pagosRetiro = [];
     const resultado = await prisma.$transaction(async (tx) => {
       // Verificar que el estado no haya cambiado concurrentemente
       const encActual = await tx.encomienda.findUnique({ where: { id: parseInt(id) } });
-      if (encActual.estadoActual !== 'LLEGO_A_DESTINO') {
+      if (encActual.estadoActual !== encomienda.estadoActual) {
         throw new Error('ESTADO_MODIFICADO_CONCURRENTEMENTE');
       }
 
@@ -1006,6 +1506,11 @@ const retirar = async (req, res) => {
         where: { id: parseInt(id) },
         data: {
           estadoActual: 'RETIRADO',
+          ...(almacenaje?.vencida && {
+            fechaAlmacenaje: encActual.fechaAlmacenaje ?? almacenaje.inicio,
+            diasAlmacenaje: almacenaje.dias,
+            montoAlmacenaje
+          }),
           userIdModification: req.user.id,
           dateTimeModification: utcNow()
         },
@@ -1015,6 +1520,28 @@ const retirar = async (req, res) => {
         }
       });
 
+      if (cobro) {
+        const [pagosFlete, pagosAlmacenaje] = repartirPagos(
+          ajustarPagos(cobro.pagos, totalCobro),
+          [montoFlete, montoAlmacenaje]
+        );
+
+        if (montoFlete > 0) {
+          pagosRetiro.push(...await registrarPagosEncomienda(tx, encActual.id, montoFlete, pagosFlete, req.user.id, {
+            idCaja: caja.id,
+            tipoMovimiento: 'COBRO_RECOJO',
+            descripcion: `Cobro al recojo ${encActual.codigoTracking}`
+          }));
+        }
+        if (montoAlmacenaje > 0) {
+          pagosRetiro.push(...await registrarPagosEncomienda(tx, encActual.id, montoAlmacenaje, pagosAlmacenaje, req.user.id, {
+            idCaja: caja.id,
+            tipoMovimiento: 'COBRO_ALMACENAJE',
+            descripcion: `Almacenaje ${encActual.codigoTracking} (${almacenaje.dias} dias)`
+          }));
+        }
+      }
+
       // Guardar foto fisicamente en uploads/Entrega_encomiendas
       let fotoPath = null;
       if (fotoBase64) {
@@ -1028,7 +1555,7 @@ const retirar = async (req, res) => {
           estadoDestino: 'RETIRADO',
           idUsuarioEvento: req.user.id,
           idPuntoEvento: parseInt(idPuntoEvento),
-          nota: nota || 'Retiro completado',
+          nota: nota || (devolucion ? 'Devolucion entregada al remitente' : 'Retiro completado'),
           dniRetiro,
           userIdRegistration: req.user.id
         }
@@ -1049,18 +1576,41 @@ const retirar = async (req, res) => {
     // Auditoria
     await registrarAuditoria(req.user.id, 'ENCOMIENDA_RETIRADA', 'ENCOMIENDA', id, {
       codigoTracking: encomienda.codigoTracking,
-      dniRetiro
+      dniRetiro,
+      pagos: pagosRetiro,
+      almacenaje: montoAlmacenaje > 0 ? { dias: almacenaje.dias, monto: montoAlmacenaje } : null,
+      devolucion
     });
 
-    // Si es pago al recojo, emitir el comprobante seleccionado
+    // Si hay cobro (pago al recojo o almacenaje), emitir el comprobante seleccionado
     let comprobanteRetiro = null;
-    if (encomienda.pago_al_recojo) {
-      // Usar el tipo de comprobante enviado desde el frontend (prioridad) o el almacenado
-      const tipoComprobanteAEmitir = tipoComprobante || encomienda.tipo_comprobante_pendiente;
+    if (cobro) {
+      // Usar el tipo de comprobante enviado desde el frontend (prioridad) o el almacenado;
+      // solo almacenaje (flete ya pagado): boleta por defecto
+      const tipoComprobanteAEmitir = tipoComprobante || encomienda.tipo_comprobante_pendiente || (montoFlete > 0 ? null : 'BOLETA');
 
       if (tipoComprobanteAEmitir && tipoComprobanteAEmitir !== 'VERIFICACION') {
         try {
-          const precioParaComprobante = parseFloat(encomienda.precio_final ?? encomienda.precioCalculado);
+          const precioParaComprobante = totalCobro;
+          const itemsComprobante = [];
+          if (montoFlete > 0) {
+            itemsComprobante.push({
+              codigo: `ENC-${encomienda.codigoTracking}`,
+              descripcion: `Envio de encomienda ${encomienda.puntoOrigen.nombre} - ${encomienda.puntoDestino.nombre} (${encomienda.tipoPaquete})`,
+              unidadMedida: 'ZZ',
+              cantidad: 1,
+              precioUnitario: montoFlete
+            });
+          }
+          if (montoAlmacenaje > 0) {
+            itemsComprobante.push({
+              codigo: `ALM-${encomienda.codigoTracking}`,
+              descripcion: `Almacenaje de encomienda ${encomienda.codigoTracking} (${almacenaje.dias} dias)`,
+              unidadMedida: 'ZZ',
+              cantidad: 1,
+              precioUnitario: montoAlmacenaje
+            });
+          }
 
           if (tipoComprobanteAEmitir === 'BOLETA') {
             comprobanteRetiro = await facturacionService.emitirComprobante({
@@ -1072,21 +1622,18 @@ const retirar = async (req, res) => {
                 razonSocial: encomienda.destinatarioNombre,
                 direccion: ''
               },
-              items: [{
-                codigo: `ENC-${encomienda.codigoTracking}`,
-                descripcion: `Envio de encomienda ${encomienda.puntoOrigen.nombre} - ${encomienda.puntoDestino.nombre} (${encomienda.tipoPaquete})`,
-                unidadMedida: 'ZZ',
-                cantidad: 1,
-                precioUnitario: precioParaComprobante
-              }],
+              items: itemsComprobante,
               origenTipo: 'ENCOMIENDA',
               origenId: encomienda.id,
               userId: req.user.id
             });
 
-            await prisma.$executeRaw`
-              UPDATE tbl_encomiendas SET id_comprobante = ${comprobanteRetiro.id}, invoice_status = 'EMITIDO' WHERE id = ${encomienda.id}
-            `;
+            // El comprobante del flete queda como comprobante de la encomienda
+            if (montoFlete > 0) {
+              await prisma.$executeRaw`
+                UPDATE tbl_encomiendas SET id_comprobante = ${comprobanteRetiro.id}, invoice_status = 'EMITIDO' WHERE id = ${encomienda.id}
+              `;
+            }
 
           } else if (tipoComprobanteAEmitir === 'FACTURA') {
             // Usar datos de factura del frontend (prioridad) o los almacenados
@@ -1105,21 +1652,18 @@ const retirar = async (req, res) => {
                 razonSocial: datosFactura.razonSocial || '',
                 direccion: datosFactura.direccion || ''
               },
-              items: [{
-                codigo: `ENC-${encomienda.codigoTracking}`,
-                descripcion: `Envio de encomienda ${encomienda.puntoOrigen.nombre} - ${encomienda.puntoDestino.nombre} (${encomienda.tipoPaquete})`,
-                unidadMedida: 'ZZ',
-                cantidad: 1,
-                precioUnitario: precioParaComprobante
-              }],
+              items: itemsComprobante,
               origenTipo: 'ENCOMIENDA',
               origenId: encomienda.id,
               userId: req.user.id
             });
 
-            await prisma.$executeRaw`
-              UPDATE tbl_encomiendas SET id_comprobante = ${comprobanteRetiro.id}, invoice_status = 'EMITIDO' WHERE id = ${encomienda.id}
-            `;
+            // El comprobante del flete queda como comprobante de la encomienda
+            if (montoFlete > 0) {
+              await prisma.$executeRaw`
+                UPDATE tbl_encomiendas SET id_comprobante = ${comprobanteRetiro.id}, invoice_status = 'EMITIDO' WHERE id = ${encomienda.id}
+              `;
+            }
           }
 
           // Normalizar respuesta del comprobante
@@ -1138,6 +1682,7 @@ const retirar = async (req, res) => {
           return res.json({
             mensaje: 'Retiro registrado exitosamente, pero hubo un error al emitir el comprobante',
             encomienda: resultado,
+            almacenaje,
             comprobante: null,
             errorComprobante: errorComprobante.message
           });
@@ -1148,6 +1693,7 @@ const retirar = async (req, res) => {
     res.json({
       mensaje: 'Retiro registrado exitosamente',
       encomienda: resultado,
+      almacenaje,
       comprobante: comprobanteRetiro
     });
   } catch (error) {
@@ -1156,13 +1702,42 @@ const retirar = async (req, res) => {
         error: 'El estado de la encomienda fue modificado por otro usuario. Recargue e intente nuevamente.'
       });
     }
+    if (esErrorPago(error)) {
+      return res.status(400).json({ error: error.message, total: error.total, totalPagos: error.totalPagos });
+    }
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
     console.error('Error registrando retiro:', error);
     res.status(500).json({ error: 'Error al registrar retiro' });
   }
 };
 
+/**
+ * Etiquetas de una encomienda: una por bulto con su subcodigo y QR
+ * Una encomienda de una sola pieza lleva una etiqueta con el codigo de tracking.
+ * @param {Object} encomienda - Encomienda con bultos
+ * @returns {Promise<Array>} [{ codigo, numero, total, peso, dimensiones, descripcion, qr }]
+ */
+const generarEtiquetas = async (encomienda) => {
+  const piezas = encomienda.bultos?.length > 0
+    ? encomienda.bultos
+    : [{ ...encomienda, codigo: encomienda.codigoTracking, numero: 1 }];
+
+  return Promise.all(piezas.map(async (pieza) => ({
+    codigo: pieza.codigo,
+    numero: pieza.numero,
+    total: piezas.length,
+    peso: pieza.peso,
+    dimensiones: `${pieza.alto}x${pieza.ancho}x${pieza.largo} cm`,
+    descripcion: pieza.descripcion,
+    qr: await QRCode.toDataURL(pieza.codigo)
+  })));
+};
+
 /**
  * Vista imprimible
+ * Incluye una etiqueta por bulto (subcodigo y QR) para guias de varias piezas
  * GET /api/encomiendas/:id/imprimir
  */
 const imprimir = async (req, res) => {
@@ -1173,7 +1748,8 @@ const imprimir = async (req, res) => {
       where: { id: parseInt(id) },
       include: {
         puntoOrigen: true,
-        puntoDestino: true
+        puntoDestino: true,
+        bultos: { orderBy: { numero: 'asc' } }
       }
     });
 
@@ -1181,8 +1757,9 @@ const imprimir = async (req, res) => {
       return res.status(404).json({ error: 'Encomienda no encontrada' });
     }
 
-    // Generar QR
+    // Generar QR de la guia y etiquetas por bulto
     const qrDataUrl = await QRCode.toDataURL(encomienda.codigoTracking);
+    const etiquetas = await generarEtiquetas(encomienda);
 
     // Obtener datos de la agencia (punto del usuario o punto de origen)
     let agencia = null;
@@ -1238,8 +1815,10 @@ Recibido sin verificación de contenido.`;
           tipo: encomienda.tipoPaquete,
           descripcion: encomienda.descripcion,
           peso: encomienda.peso,
-          dimensiones: `${encomienda.alto}x${encomienda.ancho}x${encomienda.largo} cm`
+          dimensiones: `${encomienda.alto}x${encomienda.ancho}x${encomienda.largo} cm`,
+          totalBultos: encomienda.totalBultos
         },
+        etiquetas,
         precio: encomienda.precioCalculado,
         pagoAlRecojo: encomienda.pago_al_recojo || false,
         estado: encomienda.estadoActual,
@@ -1256,7 +1835,7 @@ Recibido sin verificación de contenido.`;
 };
 
 /**
- * Generar QR
+ * Generar QR de la guia y de cada bulto
  * GET /api/encomiendas/:id/qr
  */
 const generarQR = async (req, res) => {
@@ -1265,7 +1844,10 @@ const generarQR = async (req, res) => {
 
     const encomienda = await prisma.encomienda.findUnique({
       where: { id: parseInt(id) },
-      select: { codigoTracking: true }
+      select: {
+        codigoTracking: true,
+        bultos: { select: { codigo: true }, orderBy: { numero: 'asc' } }
+      }
     });
 
     if (!encomienda) {
@@ -1273,10 +1855,15 @@ const generarQR = async (req, res) => {
     }
 
     const qrDataUrl = await QRCode.toDataURL(encomienda.codigoTracking);
+    const bultos = await Promise.all(encomienda.bultos.map(async (bulto) => ({
+      codigo: bulto.codigo,
+      qr: await QRCode.toDataURL(bulto.codigo)
+    })));
 
     res.json({
       codigoTracking: encomienda.codigoTracking,
-      qr: qrDataUrl
+      qr: qrDataUrl,
+      bultos
     });
   } catch (error) {
     console.error('Error generando QR:', error);
@@ -1342,8 +1929,38 @@ const buscarPorDni = async (req, res) => {
   }
 };
 
+/**
+ * Reporte de antiguedad de encomiendas pendientes de retiro por punto de destino
+ * GET /api/encomiendas/reportes/almacenaje
+ * Query params: idPunto (solo usuarios sin punto asignado; los demas ven su punto)
+ */
+const reporteAlmacenaje = async (req, res) => {
+  try {
+    // Incluye datos de contacto de destinatarios: un usuario con punto solo ve el suyo
+    let idPunto = req.user.id_punto || null;
+    if (!idPunto && req.query.idPunto) {
+      idPunto = parseInt(req.query.idPunto);
+      if (isNaN(idPunto)) {
+        return res.status(400).json({ error: 'idPunto invalido' });
+      }
+    }
+
+    const puntos = await reporteAntiguedad({ idPunto });
+
+    res.json({
+      fechaCorte: utcNow(),
+      puntos,
+      total: puntos.reduce((suma, punto) => suma + punto.total, 0)
+    });
+  } catch (error) {
+    console.error('Error generando reporte de almacenaje:', error);
+    res.status(500).json({ error: 'Error al generar reporte de almacenaje' });
+  }
+};
+
 /**
  * Consulta publica
+ * El historial incluye los estados de excepcion con su descripcion
  * GET /api/public/tracking/:codigo
  */
 const consultaPublica = async (req, res) => {
@@ -1354,6 +1971,10 @@ const consultaPublica = async (req, res) => {
       return res.status(400).json({ error: 'El codigo de tracking es requerido' });
     }
 
+    if (!validarCodigoTracking(codigo)) {
+      return res.status(400).json({ error: 'Codigo de tracking invalido. Verifique que este bien escrito' });
+    }
+
     const encomienda = await prisma.encomienda.findUnique({
       where: { codigoTracking: codigo },
       select: {
@@ -1389,12 +2010,18 @@ const consultaPublica = async (req, res) => {
       encomienda: {
         codigo: encomienda.codigoTracking,
         estado: encomienda.estadoActual,
+        estadoDescripcion: DESCRIPCION_ESTADO[encomienda.estadoActual],
+        enExcepcion: !!ESTADOS_EXCEPCION[encomienda.estadoActual],
         origen: encomienda.puntoOrigen,
         destino: encomienda.puntoDestino,
         remitente: encomienda.remitenteNombre,
         destinatario: encomienda.destinatarioNombre,
         fechaRegistro: encomienda.dateTimeRegistration,
-        historial: encomienda.eventos
+        historial: encomienda.eventos.map((evento) => ({
+          ...evento,
+          descripcion: DESCRIPCION_ESTADO[evento.estadoDestino],
+          excepcion: !!ESTADOS_EXCEPCION[evento.estadoDestino]
+        }))
       }
     });
   } catch (error) {
@@ -1410,9 +2037,11 @@ module.exports = {
   buscarPorCodigo,
   obtenerPorTracking,
   cambiarEstado,
+  cambiarEstadoLote,
   retirar,
   imprimir,
   generarQR,
   buscarPorDni,
+  reporteAlmacenaje,
   consultaPublica
 };
@@ -383,6 +383,9 @@ const emitirGuiaDesdeEncomienda = async (req, res) => {
       transportista,
       conductor,
       vehiculo,
+      idVehiculo,
+      idConductor,
+      idViaje,
       observaciones
     } = req.body;
 
@@ -411,7 +414,8 @@ const emitirGuiaDesdeEncomienda = async (req, res) => {
       });
     }
 
-    if (!conductor || (!conductor.numDoc && !conductor.documento)) {
+    // El conductor puede completarse desde el registro de conductores (idConductor o idViaje)
+    if ((!conductor || (!conductor.numDoc && !conductor.documento)) && !idConductor && !idViaje) {
       return res.status(400).json({
         error: 'Se requieren datos del conductor (documento y nombre)'
       });
@@ -433,6 +437,9 @@ const emitirGuiaDesdeEncomienda = async (req, res) => {
         transportista,
         conductor,
         vehiculo,
+        idVehiculo,
+        idConductor,
+        idViaje,
         observaciones,
         userId: req.user.id
       }
@@ -477,6 +484,9 @@ const emitirGuia = async (req, res) => {
       transportista,
       conductor,
       vehiculo,
+      idVehiculo,
+      idConductor,
+      idViaje,
       observaciones,
       items
     } = req.body;
@@ -506,7 +516,8 @@ const emitirGuia = async (req, res) => {
       });
     }
 
-    if (!conductor || (!conductor.numDoc && !conductor.documento)) {
+    // El conductor puede completarse desde el registro de conductores (idConductor o idViaje)
+    if ((!conductor || (!conductor.numDoc && !conductor.documento)) && !idConductor && !idViaje) {
       return res.status(400).json({
         error: 'Se requieren datos del conductor (documento y nombre)'
       });
@@ -528,6 +539,9 @@ const emitirGuia = async (req, res) => {
       transportista,
       conductor,
       vehiculo,
+      idVehiculo,
+      idConductor,
+      idViaje,
       observaciones,
       items,
       userId: req.user.id
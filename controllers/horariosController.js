@@ -5,7 +5,71 @@
 
 const prisma = require('../config/prisma');
 const { registrarAuditoria } = require('../services/auditoriaService');
-const { parseTime, createTimeForDB, utcNow } = require('../utils/dateUtils');
+const {
+  TIPOS_EXCEPCION,
+  verificarViajesEnCalendario,
+  sincronizarCapacidadViaje
+} = require('../services/horariosService');
+const { promoverListaEspera } = require('../services/listaEsperaService');
+const {
+  parseTime,
+  createTimeForDB,
+  utcNow,
+  parseCivilDate,
+  getFechaCivilHoyPeru,
+  isBeforeToday,
+  diasAMascara,
+  mascaraADias
+} = require('../utils/dateUtils');
+
+/**
+ * Formatear horario para la respuesta (dias de operacion como lista)
+ */
+const formatearHorario = (horario) => ({
+  ...horario,
+  dias: mascaraADias(horario.diasSemana)
+});
+
+/**
+ * Validar los campos de calendario de un horario (dias de la semana y vigencia)
+ * Solo se consideran los campos presentes en el body (para actualizaciones parciales)
+ * @param {Object} body - Datos recibidos
+ * @param {Object|null} existente - Horario actual (en actualizacion)
+ * @returns {Object} { data } o { error }
+ */
+const validarCalendario = (body, existente = null) => {
+  const data = {};
+
+  if (body.diasSemana !== undefined && body.diasSemana !== null) {
+    // Lista vacia: el horario solo opera en fechas adicionales
+    const mascara = Array.isArray(body.diasSemana) && body.diasSemana.length === 0
+      ? 0
+      : diasAMascara(body.diasSemana);
+    if (mascara === null) {
+      return { error: 'Dias de la semana invalidos (0 = domingo ... 6 = sabado)' };
+    }
+    data.diasSemana = mascara;
+  }
+
+  for (const campo of ['vigenciaDesde', 'vigenciaHasta']) {
+    if (body[campo] === undefined) continue;
+    if (body[campo] === null || body[campo] === '') {
+      data[campo] = null;
+      continue;
+    }
+    const { date, error } = parseCivilDate(body[campo], campo);
+    if (error) return { error };
+    data[campo] = date;
+  }
+
+  const desde = data.vigenciaDesde !== undefined ? data.vigenciaDesde : existente?.vigenciaDesde;
+  const hasta = data.vigenciaHasta !== undefined ? data.vigenciaHasta : existente?.vigenciaHasta;
+  if (desde && hasta && hasta < desde) {
+    return { error: 'La vigencia hasta no puede ser anterior a la vigencia desde' };
+  }
+
+  return { data };
+};
 
 /**
  * Listar horarios por ruta
@@ -17,10 +81,16 @@ const listarPorRuta = async (req, res) => {
 
     const horarios = await prisma.horarioRuta.findMany({
       where: { idRuta: parseInt(id_ruta) },
+      include: {
+        excepciones: {
+          where: { fecha: { gte: getFechaCivilHoyPeru() } },
+          orderBy: { fecha: 'asc' }
+        }
+      },
       orderBy: { horaSalida: 'asc' }
     });
 
-    res.json({ horarios });
+    res.json({ horarios: horarios.map(formatearHorario) });
   } catch (error) {
     console.error('Error listando horarios:', error);
     res.status(500).json({ error: 'Error al listar horarios' });
@@ -30,6 +100,7 @@ const listarPorRuta = async (req, res) => {
 /**
  * Crear horario
  * POST /api/rutas/:id_ruta/horarios
+ * Body: { horaSalida, capacidadTotal, diasSemana (0 = domingo ... 6 = sabado), vigenciaDesde, vigenciaHasta }
  */
 const crear = async (req, res) => {
   try {
@@ -51,6 +122,11 @@ const crear = async (req, res) => {
       });
     }
 
+    const calendario = validarCalendario(req.body);
+    if (calendario.error) {
+      return res.status(400).json({ error: calendario.error });
+    }
+
     // Verificar que la ruta existe y esta activa
     const ruta = await prisma.ruta.findUnique({
       where: { id: parseInt(id_ruta) }
@@ -88,6 +164,7 @@ const crear = async (req, res) => {
         idRuta: parseInt(id_ruta),
         horaSalida: horaDate,
         capacidadTotal: capacidad,
+        ...calendario.data,
         habilitado: true,
         userIdRegistration: req.user.id
       }
@@ -98,7 +175,7 @@ const crear = async (req, res) => {
 
     res.status(201).json({
       mensaje: 'Horario creado exitosamente',
-      horario
+      horario: formatearHorario(horario)
     });
   } catch (error) {
     console.error('Error creando horario:', error);
@@ -109,6 +186,7 @@ const crear = async (req, res) => {
 /**
  * Actualizar horario
  * PUT /api/horarios/:id
+ * Body: { horaSalida, capacidadTotal, diasSemana, vigenciaDesde, vigenciaHasta }
  */
 const actualizar = async (req, res) => {
   try {
@@ -132,9 +210,15 @@ const actualizar = async (req, res) => {
       horaDate = createTimeForDB(parsedTime.hours, parsedTime.minutes, parsedTime.seconds);
     }
 
+    const calendario = validarCalendario(req.body, horarioExistente);
+    if (calendario.error) {
+      return res.status(400).json({ error: calendario.error });
+    }
+
     // Preparar datos de actualizacion
     const updateData = {
       horaSalida: horaDate,
+      ...calendario.data,
       userIdModification: req.user.id,
       dateTimeModification: utcNow()
     };
@@ -147,9 +231,16 @@ const actualizar = async (req, res) => {
       }
     }
 
-    const horario = await prisma.horarioRuta.update({
-      where: { id: parseInt(id) },
-      data: updateData
+    // El nuevo calendario no puede dejar fuera viajes ya programados
+    const horario = await prisma.$transaction(async (tx) => {
+      const actualizado = await tx.horarioRuta.update({
+        where: { id: parseInt(id) },
+        data: updateData
+      });
+
+      await verificarViajesEnCalendario(tx, actualizado.id);
+
+      return actualizado;
     });
 
     // Auditoria
@@ -160,10 +251,15 @@ const actualizar = async (req, res) => {
 
     res.json({
       mensaje: 'Horario actualizado exitosamente',
-      horario
+      horario: formatearHorario(horario)
     });
   } catch (error) {
     console.error('Error actualizando horario:', error);
+
+    if (error.message.startsWith('Hay viajes programados')) {
+      return res.status(400).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Error al actualizar horario' });
   }
 };
@@ -239,8 +335,9 @@ const eliminar = async (req, res) => {
       });
     }
 
-    await prisma.horarioRuta.delete({
-      where: { id: parseInt(id) }
+    await prisma.$transaction(async (tx) => {
+      await tx.horarioExcepcion.deleteMany({ where: { idHorario: parseInt(id) } });
+      await tx.horarioRuta.delete({ where: { id: parseInt(id) } });
     });
 
     // Auditoria
@@ -255,10 +352,203 @@ const eliminar = async (req, res) => {
   }
 };
 
+/**
+ * Listar excepciones de un horario
+ * GET /api/horarios/:id/excepciones
+ * Query params: desde, hasta (fechas YYYY-MM-DD, por defecto desde hoy)
+ */
+const listarExcepciones = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { desde, hasta } = req.query;
+
+    const horario = await prisma.horarioRuta.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!horario) {
+      return res.status(404).json({ error: 'Horario no encontrado' });
+    }
+
+    const fecha = { gte: getFechaCivilHoyPeru() };
+
+    if (desde) {
+      const { date, error } = parseCivilDate(desde, 'desde');
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      fecha.gte = date;
+    }
+
+    if (hasta) {
+      const { date, error } = parseCivilDate(hasta, 'hasta');
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      fecha.lte = date;
+    }
+
+    const excepciones = await prisma.horarioExcepcion.findMany({
+      where: { idHorario: horario.id, fecha },
+      orderBy: { fecha: 'asc' }
+    });
+
+    res.json({ horario: formatearHorario(horario), excepciones });
+  } catch (error) {
+    console.error('Error listando excepciones de horario:', error);
+    res.status(500).json({ error: 'Error al listar excepciones del horario' });
+  }
+};
+
+/**
+ * Registrar la excepcion de un horario para una fecha (reemplaza la existente)
+ * POST /api/horarios/:id/excepciones
+ * Body: { fecha, tipo (CANCELADO | ADICIONAL | CAPACIDAD), capacidadTotal, motivo }
+ */
+const guardarExcepcion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { fecha, tipo, capacidadTotal, motivo } = req.body;
+
+    if (!fecha || !TIPOS_EXCEPCION.includes(tipo)) {
+      return res.status(400).json({
+        error: 'Se requiere fecha y tipo (CANCELADO, ADICIONAL o CAPACIDAD)'
+      });
+    }
+
+    const { date: fechaDate, error: fechaError } = parseCivilDate(fecha, 'fecha');
+    if (fechaError) {
+      return res.status(400).json({ error: fechaError });
+    }
+
+    if (isBeforeToday(fecha)) {
+      return res.status(400).json({ error: 'No se pueden registrar excepciones en fechas pasadas' });
+    }
+
+    // Capacidad: obligatoria para CAPACIDAD, opcional para ADICIONAL
+    let capacidad = null;
+    if (tipo !== 'CANCELADO' && capacidadTotal !== undefined && capacidadTotal !== null && capacidadTotal !== '') {
+      capacidad = parseInt(capacidadTotal);
+      if (isNaN(capacidad) || capacidad <= 0) {
+        return res.status(400).json({ error: 'La capacidad debe ser mayor a 0' });
+      }
+    }
+
+    if (tipo === 'CAPACIDAD' && capacidad === null) {
+      return res.status(400).json({ error: 'Se requiere la capacidad para la fecha' });
+    }
+
+    const horario = await prisma.horarioRuta.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!horario) {
+      return res.status(404).json({ error: 'Horario no encontrado' });
+    }
+
+    const data = {
+      tipo,
+      capacidadTotal: capacidad,
+      motivo: motivo?.toString().trim() || null
+    };
+
+    const { guardada: excepcion, viaje } = await prisma.$transaction(async (tx) => {
+      const guardada = await tx.horarioExcepcion.upsert({
+        where: { idHorario_fecha: { idHorario: horario.id, fecha: fechaDate } },
+        create: {
+          idHorario: horario.id,
+          fecha: fechaDate,
+          ...data,
+          userIdRegistration: req.user.id
+        },
+        update: data
+      });
+
+      // Un viaje ya programado no se anula por calendario: debe cancelarse desde viajes
+      await verificarViajesEnCalendario(tx, horario.id, fechaDate);
+      const viaje = await sincronizarCapacidadViaje(tx, horario, fechaDate, req.user.id);
+
+      return { guardada, viaje };
+    });
+
+    await registrarAuditoria(req.user.id, 'HORARIO_EXCEPCION_REGISTRADA', 'HORARIO', horario.id, {
+      fecha,
+      ...data
+    });
+
+    // Con mayor capacidad del dia los asientos adicionales se ofrecen a la lista de espera
+    if (viaje) {
+      await promoverListaEspera(viaje.id, req.user.id);
+    }
+
+    res.status(201).json({
+      mensaje: 'Excepcion registrada exitosamente',
+      excepcion
+    });
+  } catch (error) {
+    console.error('Error registrando excepcion de horario:', error);
+
+    if (error.message.startsWith('Hay viajes programados') || error.message.startsWith('La capacidad es menor')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al registrar excepcion del horario' });
+  }
+};
+
+/**
+ * Eliminar la excepcion de un horario (la fecha vuelve al calendario regular)
+ * DELETE /api/horarios/:id/excepciones/:idExcepcion
+ */
+const eliminarExcepcion = async (req, res) => {
+  try {
+    const { id, idExcepcion } = req.params;
+
+    const excepcion = await prisma.horarioExcepcion.findUnique({
+      where: { id: parseInt(idExcepcion) },
+      include: { horario: true }
+    });
+
+    if (!excepcion || excepcion.idHorario !== parseInt(id)) {
+      return res.status(404).json({ error: 'Excepcion no encontrada' });
+    }
+
+    const viaje = await prisma.$transaction(async (tx) => {
+      await tx.horarioExcepcion.delete({ where: { id: excepcion.id } });
+
+      await verificarViajesEnCalendario(tx, excepcion.idHorario, excepcion.fecha);
+      return sincronizarCapacidadViaje(tx, excepcion.horario, excepcion.fecha, req.user.id);
+    });
+
+    await registrarAuditoria(req.user.id, 'HORARIO_EXCEPCION_ELIMINADA', 'HORARIO', excepcion.idHorario, {
+      fecha: excepcion.fecha,
+      tipo: excepcion.tipo,
+      capacidadTotal: excepcion.capacidadTotal
+    });
+
+    if (viaje) {
+      await promoverListaEspera(viaje.id, req.user.id);
+    }
+
+    res.json({ mensaje: 'Excepcion eliminada exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando excepcion de horario:', error);
+
+    if (error.message.startsWith('Hay viajes programados') || error.message.startsWith('La capacidad es menor')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al eliminar excepcion del horario' });
+  }
+};
+
 module.exports = {
   listarPorRuta,
   crear,
   actualizar,
   toggle,
-  eliminar
+  eliminar,
+  listarExcepciones,
+  guardarExcepcion,
+  eliminarExcepcion
 };
@@ -0,0 +1,375 @@
+/**
+ * Lista Espera Controller
+ * Controlador para la lista de espera de viajes con aforo completo
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { validarPasajero } = require('../services/ventaPasajeService');
+const { obtenerParadasRuta, resolverTramo, calcularCuposTramo } = require('../services/tramosService');
+const {
+  MAX_ASIENTOS_LISTA_ESPERA,
+  viajeAdmitePromocion,
+  promoverListaEspera,
+  convertirEntrada
+} = require('../services/listaEsperaService');
+const { utcNow, parseCivilDate, isBeforeToday } = require('../utils/dateUtils');
+
+// Estados de la lista de espera (enum EstadoListaEspera)
+const ESTADOS_LISTA_ESPERA = ['EN_ESPERA', 'PROMOVIDA', 'ATENDIDA', 'VENCIDA', 'CANCELADA'];
+
+// Relaciones a incluir al consultar una solicitud
+const INCLUDE_LISTA_ESPERA = {
+  viaje: {
+    include: {
+      ruta: {
+        include: {
+          puntoOrigen: { select: { id: true, nombre: true } },
+          puntoDestino: { select: { id: true, nombre: true } }
+        }
+      },
+      horario: { select: { id: true, horaSalida: true } }
+    }
+  },
+  pasajero: { select: { id: true, nombreCompleto: true, documentoIdentidad: true, telefono: true } },
+  puntoSubida: { select: { id: true, nombre: true } },
+  puntoBajada: { select: { id: true, nombre: true } },
+  reservas: {
+    select: { id: true, codigo: true, numeroAsiento: true, estado: true, fechaExpiracion: true },
+    orderBy: { numeroAsiento: 'asc' }
+  }
+};
+
+/**
+ * Listar solicitudes de lista de espera
+ * GET /api/lista-espera
+ * Query params: idViaje, estado (por defecto EN_ESPERA y PROMOVIDA), documento
+ */
+const listar = async (req, res) => {
+  try {
+    const { idViaje, estado, documento } = req.query;
+
+    const where = {};
+
+    if (estado) {
+      if (!ESTADOS_LISTA_ESPERA.includes(estado)) {
+        return res.status(400).json({ error: 'Estado de lista de espera invalido' });
+      }
+      where.estado = estado;
+    } else {
+      where.estado = { in: ['EN_ESPERA', 'PROMOVIDA'] };
+    }
+
+    if (idViaje) {
+      where.idViaje = parseInt(idViaje);
+    }
+
+    if (documento) {
+      where.pasajero = { documentoIdentidad: documento };
+    }
+
+    const solicitudes = await prisma.listaEspera.findMany({
+      where,
+      include: INCLUDE_LISTA_ESPERA,
+      orderBy: [{ dateTimeRegistration: 'asc' }, { id: 'asc' }]
+    });
+
+    // Posicion en la fila de cada solicitud en espera dentro de su viaje
+    const posiciones = new Map();
+    const lista = solicitudes.map((solicitud) => {
+      if (solicitud.estado !== 'EN_ESPERA') {
+        return { ...solicitud, posicion: null };
+      }
+      const posicion = (posiciones.get(solicitud.idViaje) || 0) + 1;
+      posiciones.set(solicitud.idViaje, posicion);
+      return { ...solicitud, posicion };
+    });
+
+    res.json({ listaEspera: lista });
+  } catch (error) {
+    console.error('Error listando lista de espera:', error);
+    res.status(500).json({ error: 'Error al listar lista de espera' });
+  }
+};
+
+/**
+ * Inscribir un pasajero en la lista de espera de un viaje con aforo completo
+ * POST /api/lista-espera
+ * Body: { idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada,
+ *         pasajero: { nombreCompleto, documentoIdentidad, telefono }, asientos, observacion }
+ */
+const crear = async (req, res) => {
+  try {
+    const {
+      idRuta,
+      idHorario,
+      fechaViaje,
+      idPuntoSubida,
+      idPuntoBajada,
+      pasajero,
+      asientos = 1,
+      observacion
+    } = req.body;
+
+    if (!idRuta || !idHorario || !fechaViaje || !pasajero) {
+      return res.status(400).json({
+        error: 'Ruta, horario, fecha de viaje y pasajero son requeridos'
+      });
+    }
+
+    const cantidad = parseInt(asientos);
+    if (isNaN(cantidad) || cantidad <= 0 || cantidad > MAX_ASIENTOS_LISTA_ESPERA) {
+      return res.status(400).json({
+        error: `La cantidad de asientos debe estar entre 1 y ${MAX_ASIENTOS_LISTA_ESPERA}`
+      });
+    }
+
+    const { tipoDocPasajero, error: errorPasajero } = validarPasajero(pasajero);
+    if (errorPasajero) {
+      return res.status(400).json({ error: errorPasajero });
+    }
+
+    const { date: fechaDate, error: fechaError } = parseCivilDate(fechaViaje, 'fechaViaje');
+    if (fechaError) {
+      return res.status(400).json({ error: fechaError });
+    }
+
+    if (isBeforeToday(fechaViaje)) {
+      return res.status(400).json({ error: 'La fecha del viaje no puede ser anterior a hoy' });
+    }
+
+    // La lista de espera aplica a viajes ya programados (con ventas)
+    const viaje = await prisma.viaje.findUnique({
+      where: {
+        idRuta_idHorario_fechaServicio: {
+          idRuta: parseInt(idRuta),
+          idHorario: parseInt(idHorario),
+          fechaServicio: fechaDate
+        }
+      },
+      include: { horario: true }
+    });
+
+    if (!viaje || !viajeAdmitePromocion(viaje)) {
+      return res.status(400).json({ error: 'El viaje no esta abierto para venta' });
+    }
+
+    const paradas = await obtenerParadasRuta(prisma, viaje.idRuta);
+    const tramo = resolverTramo(paradas, idPuntoSubida, idPuntoBajada);
+    if (tramo.error) {
+      return res.status(400).json({ error: tramo.error });
+    }
+
+    const cupos = await calcularCuposTramo(prisma, viaje, tramo.ordenSubida, tramo.ordenBajada);
+    if (cupos >= cantidad) {
+      return res.status(400).json({
+        error: 'El viaje tiene cupos disponibles para el tramo, venda o reserve directamente'
+      });
+    }
+
+    const solicitud = await prisma.$transaction(async (tx) => {
+      // Buscar o crear pasajero
+      let pasajeroDb = await tx.pasajero.findFirst({
+        where: { documentoIdentidad: pasajero.documentoIdentidad }
+      });
+
+      if (!pasajeroDb) {
+        pasajeroDb = await tx.pasajero.create({
+          data: {
+            nombreCompleto: pasajero.nombreCompleto,
+            documentoIdentidad: pasajero.documentoIdentidad,
+            tipo_documento: tipoDocPasajero,
+            telefono: pasajero.telefono,
+            userIdRegistration: req.user.id
+          }
+        });
+      }
+
+      const duplicada = await tx.listaEspera.findFirst({
+        where: {
+          idViaje: viaje.id,
+          idPasajero: pasajeroDb.id,
+          estado: { in: ['EN_ESPERA', 'PROMOVIDA'] }
+        }
+      });
+
+      if (duplicada) {
+        throw new Error('El pasajero ya esta en la lista de espera de este viaje');
+      }
+
+      return tx.listaEspera.create({
+        data: {
+          idViaje: viaje.id,
+          idPasajero: pasajeroDb.id,
+          telefono: pasajero.telefono,
+          asientos: cantidad,
+          idPuntoSubida: tramo.paradaSubida.idPunto,
+          idPuntoBajada: tramo.paradaBajada.idPunto,
+          ordenSubida: tramo.ordenSubida,
+          ordenBajada: tramo.ordenBajada,
+          observacion: observacion?.trim() || null,
+          userIdRegistration: req.user.id
+        },
+        include: INCLUDE_LISTA_ESPERA
+      });
+    });
+
+    await registrarAuditoria(req.user.id, 'LISTA_ESPERA_REGISTRADA', 'LISTA_ESPERA', solicitud.id, {
+      idViaje: solicitud.idViaje,
+      pasajero: solicitud.pasajero.nombreCompleto,
+      telefono: solicitud.telefono,
+      asientos: solicitud.asientos,
+      idPuntoSubida: solicitud.idPuntoSubida,
+      idPuntoBajada: solicitud.idPuntoBajada
+    });
+
+    const posicion = await prisma.listaEspera.count({
+      where: { idViaje: solicitud.idViaje, estado: 'EN_ESPERA', id: { lte: solicitud.id } }
+    });
+
+    res.status(201).json({
+      mensaje: 'Pasajero registrado en lista de espera exitosamente',
+      listaEspera: { ...solicitud, posicion }
+    });
+  } catch (error) {
+    console.error('Error registrando lista de espera:', error);
+
+    if (error.message === 'El pasajero ya esta en la lista de espera de este viaje') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al registrar lista de espera' });
+  }
+};
+
+/**
+ * Convertir una solicitud en reservas con tiempo limite (sin esperar su turno)
+ * Las reservas generadas se confirman con POST /api/reservas/:id/confirmar
+ * POST /api/lista-espera/:id/convertir
+ */
+const convertir = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const solicitud = await prisma.listaEspera.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!solicitud) {
+      return res.status(404).json({ error: 'Solicitud de lista de espera no encontrada' });
+    }
+
+    if (solicitud.estado !== 'EN_ESPERA') {
+      return res.status(400).json({ error: 'Solo se pueden convertir solicitudes en espera' });
+    }
+
+    const reservas = await convertirEntrada(solicitud, req.user.id);
+    if (!reservas) {
+      return res.status(400).json({
+        error: 'No hay asientos libres suficientes en el viaje para la solicitud'
+      });
+    }
+
+    await registrarAuditoria(req.user.id, 'LISTA_ESPERA_CONVERTIDA', 'LISTA_ESPERA', solicitud.id, {
+      idViaje: solicitud.idViaje,
+      asientos: reservas.map((r) => r.numeroAsiento),
+      reservas: reservas.map((r) => r.codigo)
+    });
+
+    const actualizada = await prisma.listaEspera.findUnique({
+      where: { id: solicitud.id },
+      include: INCLUDE_LISTA_ESPERA
+    });
+
+    res.json({
+      mensaje: 'Solicitud convertida en reserva exitosamente',
+      listaEspera: actualizada
+    });
+  } catch (error) {
+    console.error('Error convirtiendo lista de espera:', error);
+    res.status(500).json({ error: 'Error al convertir solicitud de lista de espera' });
+  }
+};
+
+/**
+ * Cancelar una solicitud de lista de espera (libera las reservas pendientes que haya generado)
+ * POST /api/lista-espera/:id/cancelar
+ * Body: { motivo }
+ */
+const cancelar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { motivo } = req.body;
+
+    const solicitud = await prisma.listaEspera.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!solicitud) {
+      return res.status(404).json({ error: 'Solicitud de lista de espera no encontrada' });
+    }
+
+    const motivoCierre = motivo?.trim() || 'Cancelada por el pasajero';
+
+    const reservasLiberadas = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.listaEspera.updateMany({
+        where: { id: solicitud.id, estado: { in: ['EN_ESPERA', 'PROMOVIDA'] } },
+        data: {
+          estado: 'CANCELADA',
+          motivoCierre,
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      if (count === 0) {
+        throw new Error('Solo se pueden cancelar solicitudes en espera o promovidas');
+      }
+
+      const { count: liberadas } = await tx.reserva.updateMany({
+        where: { idListaEspera: solicitud.id, estado: 'PENDIENTE' },
+        data: {
+          estado: 'LIBERADA',
+          fechaLiberacion: utcNow(),
+          idUsuarioLiberacion: req.user.id,
+          motivoLiberacion: `Lista de espera cancelada: ${motivoCierre}`,
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      return liberadas;
+    });
+
+    await registrarAuditoria(req.user.id, 'LISTA_ESPERA_CANCELADA', 'LISTA_ESPERA', solicitud.id, {
+      idViaje: solicitud.idViaje,
+      motivo: motivoCierre,
+      reservasLiberadas
+    });
+
+    // Los asientos liberados pasan a la siguiente solicitud en espera
+    if (reservasLiberadas > 0) {
+      await promoverListaEspera(solicitud.idViaje, req.user.id);
+    }
+
+    res.json({
+      mensaje: 'Solicitud de lista de espera cancelada exitosamente',
+      reservasLiberadas
+    });
+  } catch (error) {
+    console.error('Error cancelando lista de espera:', error);
+
+    if (error.message === 'Solo se pueden cancelar solicitudes en espera o promovidas') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al cancelar solicitud de lista de espera' });
+  }
+};
+
+module.exports = {
+  listar,
+  crear,
+  convertir,
+  cancelar
+};
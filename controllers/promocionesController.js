@@ -1,11 +1,125 @@
 /**
  * Promociones Controller
- * CRUD de promociones para la landing page
+ * CRUD de promociones para la landing page y reporte de canjes de sus codigos
  */
 
 const prisma = require('../config/prisma');
 const { registrarAuditoria } = require('../services/auditoriaService');
 const { procesarBannerFile, eliminarArchivoBanner } = require('../middleware/bannerUpload');
+const { APLICACIONES_PROMOCION } = require('../services/promocionesService');
+const { generarCsv } = require('../utils/exportUtils');
+const { parseCivilDate, combinarFechaHoraPeru, createTimeForDB } = require('../utils/dateUtils');
+
+/**
+ * Validar las reglas de canje del codigo de promocion
+ * Los campos pueden llegar como texto (formulario multipart con imagen).
+ * Al actualizar, los campos no enviados conservan el valor actual (null o '' limpia un limite).
+ * @param {Object} body - { aplicaA, limiteUsosTotal, limiteUsosCliente, acumulablePuntos, idsRutas }
+ * @param {Object} [actual] - Reglas actuales de la promocion que se actualiza
+ * @returns {Object} { reglas: { aplicaA, limiteUsosTotal, limiteUsosCliente, acumulablePuntos, idsRutas }, error }
+ */
+const normalizarReglasCanje = (body, actual = null) => {
+  const { limiteUsosTotal, limiteUsosCliente, idsRutas } = body;
+  const aplicaA = body.aplicaA ?? actual?.aplicaA ?? 'TODOS';
+  const acumulablePuntos = body.acumulablePuntos ?? actual?.acumulablePuntos ?? false;
+
+  if (!APLICACIONES_PROMOCION.includes(aplicaA)) {
+    return { error: 'aplicaA invalido (TODOS, PASAJES o ENCOMIENDAS)' };
+  }
+
+  const limites = {};
+  for (const [campo, valor] of [['limiteUsosTotal', limiteUsosTotal], ['limiteUsosCliente', limiteUsosCliente]]) {
+    if (valor === undefined) {
+      limites[campo] = actual?.[campo] ?? null;
+      continue;
+    }
+    if (valor === null || valor === '') {
+      limites[campo] = null;
+      continue;
+    }
+    const limite = Number(valor);
+    if (!Number.isInteger(limite) || limite <= 0) {
+      return { error: 'Los limites de uso deben ser enteros mayores a 0' };
+    }
+    limites[campo] = limite;
+  }
+
+  // idsRutas: arreglo, JSON o lista separada por comas; undefined = no modificar
+  let rutas;
+  if (idsRutas !== undefined) {
+    let lista = idsRutas;
+    if (typeof lista === 'string') {
+      try {
+        lista = lista.trim().startsWith('[') ? JSON.parse(lista) : lista.split(',').filter((v) => v.trim() !== '');
+      } catch (errorJson) {
+        return { error: 'idsRutas invalido' };
+      }
+    }
+    if (!Array.isArray(lista)) {
+      return { error: 'idsRutas invalido' };
+    }
+    rutas = [...new Set(lista.map((v) => parseInt(v)))];
+    if (rutas.some((v) => isNaN(v) || v <= 0)) {
+      return { error: 'idsRutas invalido' };
+    }
+  }
+
+  return {
+    reglas: {
+      aplicaA,
+      ...limites,
+      acumulablePuntos: acumulablePuntos === true || acumulablePuntos === 'true',
+      idsRutas: rutas
+    }
+  };
+};
+
+/**
+ * Validar que el codigo no lo use otra promocion y que las rutas existan
+ * @param {string|null} codigo - Codigo de promocion
+ * @param {number[]|undefined} idsRutas - Rutas de la promocion
+ * @param {number|null} idExcluido - Promocion que se actualiza
+ * @returns {Promise<string|null>} Mensaje de error o null
+ */
+const validarCodigoYRutas = async (codigo, idsRutas, idExcluido = null) => {
+  if (codigo) {
+    const repetido = await prisma.$queryRaw`
+      SELECT id FROM tbl_promociones_landing
+      WHERE UPPER(codigo_promocion) = ${codigo.trim().toUpperCase()}
+        AND id <> ${idExcluido ?? 0}
+      LIMIT 1
+    `;
+    if (repetido.length > 0) {
+      return 'Ya existe una promocion con ese codigo';
+    }
+  }
+
+  if (idsRutas && idsRutas.length > 0) {
+    const existentes = await prisma.ruta.count({ where: { id: { in: idsRutas } } });
+    if (existentes !== idsRutas.length) {
+      return 'Alguna de las rutas no existe';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Agregar las rutas configuradas a cada promocion
+ * @param {Object[]} promociones - Promociones
+ * @returns {Promise<Object[]>}
+ */
+const agregarRutas = async (promociones) => {
+  const rutas = await prisma.promocionRuta.findMany({
+    where: { idPromocion: { in: promociones.map((p) => p.id) } },
+    select: { idPromocion: true, idRuta: true }
+  });
+
+  return promociones.map((promocion) => ({
+    ...promocion,
+    idsRutas: rutas.filter((r) => r.idPromocion === promocion.id).map((r) => r.idRuta)
+  }));
+};
 
 /**
  * Obtener promociones activas y vigentes (publico)
@@ -61,13 +175,19 @@ const listar = async (req, res) => {
         activo,
         fecha_inicio as "fechaInicio",
         fecha_fin as "fechaFin",
+        aplica_a as "aplicaA",
+        limite_usos_total as "limiteUsosTotal",
+        limite_usos_cliente as "limiteUsosCliente",
+        acumulable_puntos as "acumulablePuntos",
+        (SELECT COUNT(*)::int FROM tbl_promociones_canjes c
+          WHERE c.id_promocion = tbl_promociones_landing.id AND c.estado = 'APLICADO') as "usos",
         date_time_registration as "createdAt",
         date_time_modification as "updatedAt"
       FROM tbl_promociones_landing
       ORDER BY orden ASC, id ASC
     `;
 
-    res.json({ promociones });
+    res.json({ promociones: await agregarRutas(promociones) });
   } catch (error) {
     console.error('Error listando promociones:', error);
     if (error.code === '42P01' || error.code === '42703') {
@@ -80,6 +200,8 @@ const listar = async (req, res) => {
 /**
  * Crear promocion
  * POST /api/promociones
+ * Reglas del codigo: aplicaA (TODOS | PASAJES | ENCOMIENDAS), limiteUsosTotal, limiteUsosCliente,
+ * acumulablePuntos, idsRutas (sin rutas aplica a todas)
  */
 const crear = async (req, res) => {
   try {
@@ -90,6 +212,16 @@ const crear = async (req, res) => {
       fechaInicio, fechaFin
     } = req.body;
 
+    const { reglas, error: errorReglas } = normalizarReglasCanje(req.body);
+    if (errorReglas) {
+      return res.status(400).json({ error: errorReglas });
+    }
+
+    const errorCodigo = await validarCodigoYRutas(codigoPromocion, reglas.idsRutas);
+    if (errorCodigo) {
+      return res.status(400).json({ error: errorCodigo });
+    }
+
     let imagenPath = null;
 
     if (req.file) {
@@ -109,6 +241,10 @@ const crear = async (req, res) => {
         activo,
         fecha_inicio,
         fecha_fin,
+        aplica_a,
+        limite_usos_total,
+        limite_usos_cliente,
+        acumulable_puntos,
         user_id_registration,
         date_time_registration
       ) VALUES (
@@ -123,6 +259,10 @@ const crear = async (req, res) => {
         ${activo !== false},
         ${fechaInicio ? new Date(fechaInicio) : null},
         ${fechaFin ? new Date(fechaFin) : null},
+        ${reglas.aplicaA},
+        ${reglas.limiteUsosTotal},
+        ${reglas.limiteUsosCliente},
+        ${reglas.acumulablePuntos},
         ${req.user.id},
         NOW()
       )
@@ -138,20 +278,33 @@ const crear = async (req, res) => {
         orden,
         activo,
         fecha_inicio as "fechaInicio",
-        fecha_fin as "fechaFin"
+        fecha_fin as "fechaFin",
+        aplica_a as "aplicaA",
+        limite_usos_total as "limiteUsosTotal",
+        limite_usos_cliente as "limiteUsosCliente",
+        acumulable_puntos as "acumulablePuntos"
     `;
 
+    const idsRutas = reglas.idsRutas || [];
+    if (idsRutas.length > 0) {
+      await prisma.promocionRuta.createMany({
+        data: idsRutas.map((idRuta) => ({ idPromocion: result[0].id, idRuta }))
+      });
+    }
+
+    const promocion = { ...result[0], idsRutas };
+
     await registrarAuditoria(
       req.user.id,
       'PROMOCION_CREADA',
       'PROMOCIONES_LANDING',
-      result[0].id,
-      result[0]
+      promocion.id,
+      promocion
     );
 
     res.status(201).json({
       mensaje: 'Promocion creada exitosamente',
-      promocion: result[0]
+      promocion
     });
   } catch (error) {
     console.error('Error creando promocion:', error);
@@ -162,6 +315,8 @@ const crear = async (req, res) => {
 /**
  * Actualizar promocion
  * PUT /api/promociones/:id
+ * Las rutas se reemplazan solo si se envia idsRutas; las demas reglas de canje no enviadas
+ * conservan su valor
  */
 const actualizar = async (req, res) => {
   try {
@@ -174,7 +329,13 @@ const actualizar = async (req, res) => {
     } = req.body;
 
     const actual = await prisma.$queryRaw`
-      SELECT id, imagen_path as "imagenPath"
+      SELECT
+        id,
+        imagen_path as "imagenPath",
+        aplica_a as "aplicaA",
+        limite_usos_total as "limiteUsosTotal",
+        limite_usos_cliente as "limiteUsosCliente",
+        acumulable_puntos as "acumulablePuntos"
       FROM tbl_promociones_landing
       WHERE id = ${parseInt(id)}
     `;
@@ -183,6 +344,16 @@ const actualizar = async (req, res) => {
       return res.status(404).json({ error: 'Promocion no encontrada' });
     }
 
+    const { reglas, error: errorReglas } = normalizarReglasCanje(req.body, actual[0]);
+    if (errorReglas) {
+      return res.status(400).json({ error: errorReglas });
+    }
+
+    const errorCodigo = await validarCodigoYRutas(codigoPromocion, reglas.idsRutas, parseInt(id));
+    if (errorCodigo) {
+      return res.status(400).json({ error: errorCodigo });
+    }
+
     let imagenPath = actual[0].imagenPath;
 
     if (req.file) {
@@ -203,6 +374,10 @@ const actualizar = async (req, res) => {
         activo = ${activo !== false},
         fecha_inicio = ${fechaInicio ? new Date(fechaInicio) : null},
         fecha_fin = ${fechaFin ? new Date(fechaFin) : null},
+        aplica_a = ${reglas.aplicaA},
+        limite_usos_total = ${reglas.limiteUsosTotal},
+        limite_usos_cliente = ${reglas.limiteUsosCliente},
+        acumulable_puntos = ${reglas.acumulablePuntos},
         user_id_modification = ${req.user.id},
         date_time_modification = NOW()
       WHERE id = ${parseInt(id)}
@@ -218,20 +393,35 @@ const actualizar = async (req, res) => {
         orden,
         activo,
         fecha_inicio as "fechaInicio",
-        fecha_fin as "fechaFin"
+        fecha_fin as "fechaFin",
+        aplica_a as "aplicaA",
+        limite_usos_total as "limiteUsosTotal",
+        limite_usos_cliente as "limiteUsosCliente",
+        acumulable_puntos as "acumulablePuntos"
     `;
 
+    if (reglas.idsRutas) {
+      await prisma.$transaction([
+        prisma.promocionRuta.deleteMany({ where: { idPromocion: parseInt(id) } }),
+        prisma.promocionRuta.createMany({
+          data: reglas.idsRutas.map((idRuta) => ({ idPromocion: parseInt(id), idRuta }))
+        })
+      ]);
+    }
+
+    const [promocion] = await agregarRutas(result);
+
     await registrarAuditoria(
       req.user.id,
       'PROMOCION_ACTUALIZADA',
       'PROMOCIONES_LANDING',
       parseInt(id),
-      result[0]
+      promocion
     );
 
     res.json({
       mensaje: 'Promocion actualizada exitosamente',
-      promocion: result[0]
+      promocion
     });
   } catch (error) {
     console.error('Error actualizando promocion:', error);
@@ -257,6 +447,14 @@ const eliminar = async (req, res) => {
       return res.status(404).json({ error: 'Promocion no encontrada' });
     }
 
+    // Los canjes quedan como historial de ventas: la promocion se desactiva en lugar de eliminarse
+    const canjes = await prisma.promocionCanje.count({ where: { idPromocion: parseInt(id) } });
+    if (canjes > 0) {
+      return res.status(400).json({
+        error: 'La promocion tiene canjes registrados. Desactivela en lugar de eliminarla'
+      });
+    }
+
     await eliminarArchivoBanner(promocion[0].imagenPath);
 
     await prisma.$executeRaw`DELETE FROM tbl_promociones_landing WHERE id = ${parseInt(id)}`;
@@ -315,11 +513,122 @@ const toggleActivo = async (req, res) => {
   }
 };
 
+/**
+ * Reporte de canjes de una promocion
+ * GET /api/contenido/promociones/:id/canjes
+ * Query params: fechaDesde, fechaHasta (fecha del canje, dias de Peru), formato (json | csv, por defecto json)
+ */
+const reporteCanjes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { fechaDesde, fechaHasta } = req.query;
+    const formato = (req.query.formato || 'json').toLowerCase();
+
+    if (!['json', 'csv'].includes(formato)) {
+      return res.status(400).json({ error: 'Formato invalido. Use json o csv' });
+    }
+
+    const promocion = await prisma.tbl_promociones_landing.findUnique({
+      where: { id: parseInt(id) },
+      select: {
+        id: true,
+        titulo: true,
+        codigo_promocion: true,
+        porcentaje_descuento: true,
+        aplica_a: true,
+        limite_usos_total: true,
+        limite_usos_cliente: true,
+        fecha_inicio: true,
+        fecha_fin: true,
+        activo: true
+      }
+    });
+
+    if (!promocion) {
+      return res.status(404).json({ error: 'Promocion no encontrada' });
+    }
+
+    const where = { idPromocion: promocion.id };
+
+    if (fechaDesde || fechaHasta) {
+      where.dateTimeRegistration = {};
+
+      if (fechaDesde) {
+        const { date, error } = parseCivilDate(fechaDesde, 'fechaDesde');
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        where.dateTimeRegistration.gte = combinarFechaHoraPeru(date, createTimeForDB(0, 0));
+      }
+
+      if (fechaHasta) {
+        const { date, error } = parseCivilDate(fechaHasta, 'fechaHasta');
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        const siguiente = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+        where.dateTimeRegistration.lt = combinarFechaHoraPeru(siguiente, createTimeForDB(0, 0));
+      }
+    }
+
+    const canjes = await prisma.promocionCanje.findMany({
+      where,
+      include: {
+        ticket: { select: { id: true, codigoInterno: true, precio_final: true } },
+        encomienda: { select: { id: true, codigoTracking: true, precio_final: true } }
+      },
+      orderBy: { id: 'asc' }
+    });
+
+    const aplicados = canjes.filter((c) => c.estado === 'APLICADO');
+    const sumar = (lista) => Math.round(lista.reduce((suma, c) => suma + parseFloat(c.montoDescuento), 0) * 100) / 100;
+
+    const resumen = {
+      usos: aplicados.length,
+      revertidos: canjes.length - aplicados.length,
+      clientes: new Set(aplicados.map((c) => c.documentoCliente)).size,
+      descuentoTotal: sumar(aplicados),
+      pasajes: aplicados.filter((c) => c.idTicket).length,
+      encomiendas: aplicados.filter((c) => c.idEncomienda).length,
+      usosDisponibles: promocion.limite_usos_total !== null
+        ? Math.max(0, promocion.limite_usos_total - aplicados.length)
+        : null
+    };
+
+    if (formato === 'csv') {
+      const filas = canjes.map((c) => [
+        new Date(c.dateTimeRegistration).toISOString().replace('T', ' ').slice(0, 16),
+        c.ticket ? 'PASAJE' : 'ENCOMIENDA',
+        c.ticket?.codigoInterno || c.encomienda?.codigoTracking || '',
+        c.documentoCliente,
+        parseFloat(c.montoBase).toFixed(2),
+        parseFloat(c.porcentaje).toFixed(2),
+        parseFloat(c.montoDescuento).toFixed(2),
+        c.estado
+      ]);
+      const codigo = (promocion.codigo_promocion || `promocion-${promocion.id}`).replace(/[^A-Za-z0-9_-]/g, '');
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="canjes-${codigo}.csv"`);
+      return res.send(generarCsv(
+        ['Fecha (UTC)', 'Servicio', 'Ticket / tracking', 'Documento cliente', 'Monto base', 'Porcentaje', 'Descuento', 'Estado'],
+        filas
+      ));
+    }
+
+    res.json({ promocion, resumen, canjes });
+  } catch (error) {
+    console.error('Error generando reporte de canjes:', error);
+    res.status(500).json({ error: 'Error al generar reporte de canjes' });
+  }
+};
+
 module.exports = {
   getPromocionesPublicas,
   listar,
   crear,
   actualizar,
   eliminar,
-  toggleActivo
+  toggleActivo,
+  reporteCanjes
 };
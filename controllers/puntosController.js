@@ -5,8 +5,33 @@
 
 const prisma = require('../config/prisma');
 const { registrarAuditoria } = require('../services/auditoriaService');
+const { validarFormatoCodigo } = require('../services/codigoService');
 const { utcNow } = require('../utils/dateUtils');
 
+/**
+ * Validar los formatos de codigo de ticket y tracking del punto
+ * Solo se consideran los campos presentes; vacio o null vuelve al formato por defecto.
+ * @param {Object} body - Datos recibidos
+ * @returns {Object} { data } o { error }
+ */
+const validarFormatos = (body) => {
+  const data = {};
+  const campos = { formatoTicket: 'TICKET', formatoTracking: 'TRACKING' };
+
+  for (const [campo, tipo] of Object.entries(campos)) {
+    if (body[campo] === undefined) continue;
+
+    const formato = body[campo]?.toString().trim().toUpperCase() || null;
+    if (formato) {
+      const error = validarFormatoCodigo(formato, tipo);
+      if (error) return { error: `${campo}: ${error}` };
+    }
+    data[campo] = formato;
+  }
+
+  return { data };
+};
+
 /**
  * Listar todos los puntos
  * GET /api/puntos
@@ -51,6 +76,8 @@ const obtener = async (req, res) => {
 /**
  * Crear punto
  * POST /api/puntos
+ * Body: { nombre, tipo, ciudad, direccion, formatoTicket, formatoTracking }
+ * Formatos: tokens {FECHA}, {ANIO} y {SEQ:n} (ej. LIM-{FECHA}-{SEQ:5})
  */
 const crear = async (req, res) => {
   try {
@@ -69,12 +96,18 @@ const crear = async (req, res) => {
       });
     }
 
+    const formatos = validarFormatos(req.body);
+    if (formatos.error) {
+      return res.status(400).json({ error: formatos.error });
+    }
+
     const punto = await prisma.punto.create({
       data: {
         nombre,
         tipo,
         ciudad,
         direccion,
+        ...formatos.data,
         estado: 1,
         userIdRegistration: req.user.id
       }
@@ -96,6 +129,7 @@ const crear = async (req, res) => {
 /**
  * Actualizar punto
  * PUT /api/puntos/:id
+ * Body: { nombre, tipo, ciudad, direccion, estado, formatoTicket, formatoTracking }
  */
 const actualizar = async (req, res) => {
   try {
@@ -110,6 +144,11 @@ const actualizar = async (req, res) => {
       return res.status(404).json({ error: 'Punto no encontrado' });
     }
 
+    const formatos = validarFormatos(req.body);
+    if (formatos.error) {
+      return res.status(400).json({ error: formatos.error });
+    }
+
     const punto = await prisma.punto.update({
       where: { id: parseInt(id) },
       data: {
@@ -118,6 +157,7 @@ const actualizar = async (req, res) => {
         ciudad: ciudad || puntoExistente.ciudad,
         direccion: direccion !== undefined ? direccion : puntoExistente.direccion,
         estado: estado !== undefined ? estado : puntoExistente.estado,
+        ...formatos.data,
         userIdModification: req.user.id,
         dateTimeModification: utcNow()
       }
@@ -0,0 +1,668 @@
+/**
+ * Reservas Controller
+ * Controlador para reservas de asientos sin pago (call-center / telefono)
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { generarCodigoReserva } = require('../services/codigoService');
+const { ocuparAsiento, esErrorAsiento } = require('../services/asientosService');
+const {
+  obtenerTiempoReserva,
+  expirarReservasVencidas
+} = require('../services/reservasService');
+const {
+  obtenerParadasRuta,
+  resolverTramo,
+  calcularHoraParada,
+  calcularCuposTramo
+} = require('../services/tramosService');
+const {
+  obtenerConfiguracionPuntos,
+  validarDocumentoVenta,
+  validarPasajero,
+  buscarOCrearViaje,
+  registrarTicket,
+  emitirComprobanteTicket,
+  obtenerAgencia,
+  normalizarComprobante
+} = require('../services/ventaPasajeService');
+const {
+  CATEGORIAS_PASAJERO,
+  calcularTarifa,
+  validarPrecioManual
+} = require('../services/tarifasService');
+const { obtenerHorarioFecha } = require('../services/horariosService');
+const { promoverListaEspera } = require('../services/listaEsperaService');
+const { esErrorPago, normalizarPagos, registrarPagosTickets } = require('../services/mediosPagoService');
+const { MENSAJES_CAJA, esErrorCaja, obtenerCajaAbierta } = require('../services/cajaService');
+const {
+  utcNow,
+  parseCivilDate,
+  hasTimePassed,
+  isToday,
+  isBeforeToday
+} = require('../utils/dateUtils');
+
+// Relaciones a incluir al consultar una reserva
+const INCLUDE_RESERVA = {
+  viaje: {
+    include: {
+      ruta: {
+        include: {
+          puntoOrigen: { select: { id: true, nombre: true } },
+          puntoDestino: { select: { id: true, nombre: true } }
+        }
+      },
+      horario: true
+    }
+  },
+  pasajero: true,
+  puntoSubida: { select: { id: true, nombre: true } },
+  puntoBajada: { select: { id: true, nombre: true } },
+  usuarioReserva: { select: { id: true, nombres: true } },
+  ticket: { select: { id: true, codigoInterno: true, estado: true } }
+};
+
+/**
+ * Listar reservas
+ * GET /api/reservas
+ * Query params: estado, idViaje, codigo, documento
+ */
+const listar = async (req, res) => {
+  try {
+    const { estado, idViaje, codigo, documento, page = 1, limit = 20 } = req.query;
+
+    // Actualizar estado de reservas vencidas antes de listar
+    await expirarReservasVencidas();
+
+    const where = {};
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    if (estado) {
+      where.estado = estado;
+    }
+
+    if (idViaje) {
+      where.idViaje = parseInt(idViaje);
+    }
+
+    if (codigo) {
+      where.codigo = {
+        contains: codigo,
+        mode: 'insensitive'
+      };
+    }
+
+    if (documento) {
+      where.pasajero = { documentoIdentidad: documento };
+    }
+
+    // Si el usuario tiene punto asignado, filtrar por ese punto
+    if (req.user.id_punto) {
+      where.viaje = {
+        ruta: {
+          OR: [
+            { idPuntoOrigen: req.user.id_punto },
+            { idPuntoDestino: req.user.id_punto }
+          ]
+        }
+      };
+    }
+
+    const [reservas, total] = await Promise.all([
+      prisma.reserva.findMany({
+        where,
+        include: INCLUDE_RESERVA,
+        orderBy: { dateTimeRegistration: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.reserva.count({ where })
+    ]);
+
+    res.json({
+      reservas,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error listando reservas:', error);
+    res.status(500).json({ error: 'Error al listar reservas' });
+  }
+};
+
+/**
+ * Obtener reserva por ID
+ * GET /api/reservas/:id
+ */
+const obtener = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await expirarReservasVencidas();
+
+    const reserva = await prisma.reserva.findUnique({
+      where: { id: parseInt(id) },
+      include: INCLUDE_RESERVA
+    });
+
+    if (!reserva) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    res.json({ reserva });
+  } catch (error) {
+    console.error('Error obteniendo reserva:', error);
+    res.status(500).json({ error: 'Error al obtener reserva' });
+  }
+};
+
+/**
+ * Crear reserva (retiene un asiento sin pago durante tiempo_reserva_minutos)
+ * POST /api/reservas
+ */
+const crear = async (req, res) => {
+  try {
+    const {
+      idRuta,
+      idHorario,
+      fechaViaje,
+      numeroAsiento,
+      idPuntoSubida,
+      idPuntoBajada,
+      pasajero,
+      observacion
+    } = req.body;
+
+    // Validaciones
+    if (!idRuta || !idHorario || !fechaViaje || !pasajero) {
+      return res.status(400).json({
+        error: 'Ruta, horario, fecha de viaje y pasajero son requeridos'
+      });
+    }
+
+    if (!numeroAsiento || isNaN(parseInt(numeroAsiento)) || parseInt(numeroAsiento) <= 0) {
+      return res.status(400).json({
+        error: 'El numero de asiento es requerido'
+      });
+    }
+
+    const { tipoDocPasajero, error: errorPasajero } = validarPasajero(pasajero);
+    if (errorPasajero) {
+      return res.status(400).json({ error: errorPasajero });
+    }
+
+    const { date: fechaDate, error: fechaError } = parseCivilDate(fechaViaje, 'fechaViaje');
+    if (fechaError) {
+      return res.status(400).json({ error: fechaError });
+    }
+
+    if (isBeforeToday(fechaViaje)) {
+      return res.status(400).json({
+        error: 'La fecha del viaje no puede ser anterior a hoy'
+      });
+    }
+
+    // Verificar ruta activa
+    const ruta = await prisma.ruta.findUnique({
+      where: { id: parseInt(idRuta) }
+    });
+
+    if (!ruta || ruta.estado !== 1) {
+      return res.status(400).json({
+        error: 'Ruta no habilitada'
+      });
+    }
+
+    // Resolver tramo (sin paradas indicadas se reserva la ruta completa)
+    const paradas = await obtenerParadasRuta(prisma, ruta.id);
+    const tramo = resolverTramo(paradas, idPuntoSubida, idPuntoBajada);
+    if (tramo.error) {
+      return res.status(400).json({ error: tramo.error });
+    }
+
+    // Verificar horario habilitado
+    const horario = await prisma.horarioRuta.findUnique({
+      where: { id: parseInt(idHorario) },
+      select: {
+        id: true,
+        horaSalida: true,
+        capacidadTotal: true,
+        habilitado: true,
+        diasSemana: true,
+        vigenciaDesde: true,
+        vigenciaHasta: true
+      }
+    });
+
+    if (!horario || !horario.habilitado) {
+      return res.status(400).json({
+        error: 'Horario no disponible'
+      });
+    }
+
+    // Verificar que el horario opere en la fecha (dias, vigencia y excepciones del calendario)
+    const calendario = await obtenerHorarioFecha(prisma, horario, fechaDate);
+    if (!calendario.opera) {
+      return res.status(400).json({
+        error: 'El horario no opera en la fecha seleccionada'
+      });
+    }
+
+    if (isToday(fechaViaje) &&
+      hasTimePassed(calcularHoraParada(horario.horaSalida, tramo.paradaSubida.minutosDesdeSalida))) {
+      return res.status(400).json({
+        error: 'El horario seleccionado ya no esta disponible para hoy'
+      });
+    }
+
+    const tiempoReservaMinutos = await obtenerTiempoReserva();
+
+    const reserva = await prisma.$transaction(async (tx) => {
+      const viaje = await buscarOCrearViaje(tx, {
+        idRuta: parseInt(idRuta),
+        idHorario: parseInt(idHorario),
+        fechaServicio: fechaDate,
+        capacidadTotal: calendario.capacidadTotal,
+        userId: req.user.id
+      });
+
+      // Verificar disponibilidad en el tramo (vendidos + reservas vigentes)
+      const cuposDisponibles = await calcularCuposTramo(tx, viaje, tramo.ordenSubida, tramo.ordenBajada);
+      if (cuposDisponibles <= 0) {
+        throw new Error('Aforo completo para este viaje');
+      }
+
+      if (viaje.estado !== 'ABIERTO') {
+        throw new Error('El viaje no esta abierto para venta');
+      }
+
+      // Retener asiento (rechaza asientos ocupados, reservados o bloqueados)
+      await ocuparAsiento(tx, viaje.id, parseInt(numeroAsiento), {
+        ordenSubida: tramo.ordenSubida,
+        ordenBajada: tramo.ordenBajada
+      });
+
+      // Buscar o crear pasajero (los puntos se otorgan al confirmar)
+      let pasajeroDb = await tx.pasajero.findFirst({
+        where: { documentoIdentidad: pasajero.documentoIdentidad }
+      });
+
+      if (!pasajeroDb) {
+        pasajeroDb = await tx.pasajero.create({
+          data: {
+            nombreCompleto: pasajero.nombreCompleto,
+            documentoIdentidad: pasajero.documentoIdentidad,
+            tipo_documento: tipoDocPasajero,
+            telefono: pasajero.telefono,
+            userIdRegistration: req.user.id
+          }
+        });
+      } else {
+        pasajeroDb = await tx.pasajero.update({
+          where: { id: pasajeroDb.id },
+          data: {
+            nombreCompleto: pasajero.nombreCompleto,
+            telefono: pasajero.telefono,
+            userIdModification: req.user.id,
+            dateTimeModification: utcNow()
+          }
+        });
+      }
+
+      const codigo = await generarCodigoReserva(tx);
+      const fechaExpiracion = new Date(utcNow().getTime() + tiempoReservaMinutos * 60 * 1000);
+
+      return tx.reserva.create({
+        data: {
+          codigo,
+          idViaje: viaje.id,
+          idPasajero: pasajeroDb.id,
+          numeroAsiento: parseInt(numeroAsiento),
+          idPuntoSubida: tramo.paradaSubida.idPunto,
+          idPuntoBajada: tramo.paradaBajada.idPunto,
+          ordenSubida: tramo.ordenSubida,
+          ordenBajada: tramo.ordenBajada,
+          estado: 'PENDIENTE',
+          fechaExpiracion,
+          observacion: observacion?.trim() || null,
+          idUsuarioReserva: req.user.id,
+          userIdRegistration: req.user.id
+        },
+        include: INCLUDE_RESERVA
+      });
+    });
+
+    // Auditoria
+    await registrarAuditoria(req.user.id, 'RESERVA_CREADA', 'RESERVA', reserva.id, {
+      codigo: reserva.codigo,
+      idViaje: reserva.idViaje,
+      numeroAsiento: reserva.numeroAsiento,
+      idPuntoSubida: reserva.idPuntoSubida,
+      idPuntoBajada: reserva.idPuntoBajada,
+      pasajero: reserva.pasajero.nombreCompleto,
+      fechaExpiracion: reserva.fechaExpiracion
+    });
+
+    res.status(201).json({
+      mensaje: 'Reserva registrada exitosamente',
+      tiempoReservaMinutos,
+      reserva
+    });
+  } catch (error) {
+    console.error('Error creando reserva:', error);
+
+    if (error.message === 'Aforo completo para este viaje' ||
+      error.message === 'El viaje no esta abierto para venta' ||
+      esErrorAsiento(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al crear reserva' });
+  }
+};
+
+/**
+ * Confirmar reserva: se convierte en ticket y se emite el comprobante
+ * La categoria del pasajero se indica al confirmar (al pagar se verifica su acreditacion).
+ * POST /api/reservas/:id/confirmar
+ * Body: { metodoPago | pagos: [{ metodo, monto, referencia }], tipoDocumento, clienteFactura, ... }
+ */
+const confirmar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      metodoPago,
+      pagos,
+      puntosACanjear = 0,
+      tipoDocumento,
+      clienteFactura,
+      precioManual,
+      motivoPrecioManual,
+      categoriaPasajero = 'GENERAL',
+      incluyeIgv,
+      comentario
+    } = req.body;
+
+    const cobro = normalizarPagos({ pagos, metodoPago });
+    if (cobro.error) {
+      return res.status(400).json({ error: cobro.error });
+    }
+
+    // El cobro se registra en la caja abierta del vendedor
+    const caja = await obtenerCajaAbierta(prisma, req.user.id);
+    if (!caja) {
+      return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+    }
+
+    if (!CATEGORIAS_PASAJERO.includes(categoriaPasajero)) {
+      return res.status(400).json({ error: 'Categoria de pasajero invalida' });
+    }
+
+    // El precio manual requiere permiso y motivo
+    const errorPrecio = validarPrecioManual({ precioManual, motivoPrecioManual, permisos: req.userPermisos });
+    if (errorPrecio) {
+      return res.status(errorPrecio.status).json({ error: errorPrecio.error });
+    }
+
+    const errorDocumento = validarDocumentoVenta({ tipoDocumento, clienteFactura });
+    if (errorDocumento) {
+      return res.status(400).json({ error: errorDocumento });
+    }
+
+    const reservaExistente = await prisma.reserva.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        pasajero: true,
+        viaje: { include: { ruta: true } }
+      }
+    });
+
+    if (!reservaExistente) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    if (reservaExistente.estado !== 'PENDIENTE') {
+      return res.status(400).json({ error: 'Solo se pueden confirmar reservas pendientes' });
+    }
+
+    if (reservaExistente.fechaExpiracion <= utcNow()) {
+      return res.status(400).json({ error: 'La reserva ha expirado' });
+    }
+
+    // Obtener configuracion de puntos
+    const { solesPorPunto, puntosPorSolDescuento } = await obtenerConfiguracionPuntos();
+
+    // Tarifa del tramo reservado (las paradas no cambian mientras existan reservas vigentes)
+    const paradas = await obtenerParadasRuta(prisma, reservaExistente.viaje.idRuta);
+    const tramo = resolverTramo(paradas, reservaExistente.idPuntoSubida, reservaExistente.idPuntoBajada);
+    if (tramo.error) {
+      return res.status(400).json({ error: tramo.error });
+    }
+
+    const tarifa = await calcularTarifa(prisma, {
+      idRuta: reservaExistente.viaje.idRuta,
+      idHorario: reservaExistente.viaje.idHorario,
+      fecha: reservaExistente.viaje.fechaServicio,
+      precioBase: tramo.precio,
+      categoria: categoriaPasajero
+    });
+    const precioOriginal = tarifa.precio;
+    const puntosGanados = Math.floor(precioOriginal / solesPorPunto);
+    const puntosUsados = Math.max(0, parseInt(puntosACanjear) || 0);
+
+    const pasajero = {
+      nombreCompleto: reservaExistente.pasajero.nombreCompleto,
+      documentoIdentidad: reservaExistente.pasajero.documentoIdentidad,
+      telefono: reservaExistente.pasajero.telefono,
+      comentario
+    };
+    const tipoDocPasajero = reservaExistente.pasajero.tipo_documento ||
+      (pasajero.documentoIdentidad.length === 11 ? '6' : '1');
+
+    const resultado = await prisma.$transaction(async (tx) => {
+      // Tomar la reserva solo si sigue vigente (evita doble confirmacion y carrera con la expiracion)
+      const { count } = await tx.reserva.updateMany({
+        where: {
+          id: reservaExistente.id,
+          estado: 'PENDIENTE',
+          fechaExpiracion: { gt: utcNow() }
+        },
+        data: {
+          estado: 'CONFIRMADA',
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      if (count === 0) {
+        throw new Error('La reserva ya no esta vigente');
+      }
+
+      const viaje = await tx.viaje.findUnique({
+        where: { id: reservaExistente.idViaje }
+      });
+
+      if (viaje.estado !== 'ABIERTO') {
+        throw new Error('El viaje no esta abierto para venta');
+      }
+
+      // El cupo ya estaba retenido por la reserva, no se vuelve a validar aforo
+      const ticket = await registrarTicket(tx, {
+        viaje,
+        pasajero,
+        tipoDocPasajero,
+        numeroAsiento: reservaExistente.numeroAsiento,
+        tramo,
+        metodoPago: cobro.metodoPrincipal,
+        precioOriginal,
+        puntosGanados,
+        puntosUsados,
+        puntosPorSolDescuento,
+        precioManual,
+        motivoPrecioManual,
+        categoriaPasajero,
+        tarifasAplicadas: tarifa,
+        userId: req.user.id,
+        idReservaExcluida: reservaExistente.id
+      });
+
+      await tx.reserva.update({
+        where: { id: reservaExistente.id },
+        data: { idTicket: ticket.id }
+      });
+
+      const pagosTicket = await registrarPagosTickets(tx, [ticket], cobro.pagos, req.user.id, { idCaja: caja.id });
+
+      return { ...ticket, pagos: pagosTicket };
+    });
+
+    // Auditoria
+    await registrarAuditoria(req.user.id, 'RESERVA_CONFIRMADA', 'RESERVA', reservaExistente.id, {
+      codigo: reservaExistente.codigo,
+      codigoInterno: resultado.codigoInterno,
+      numeroAsiento: resultado.numeroAsiento,
+      metodoPago: resultado.metodoPago,
+      tipoDocumento,
+      precioFinal: resultado.precioFinal,
+      categoria: categoriaPasajero,
+      tarifasAplicadas: tarifa.reglas,
+      precioManual: resultado.motivoPrecioManual ? resultado.precioFinal : null,
+      motivoPrecioManual: resultado.motivoPrecioManual
+    });
+
+    await registrarAuditoria(req.user.id, 'TICKET_VENDIDO', 'TICKET', resultado.id, {
+      codigoInterno: resultado.codigoInterno,
+      codigoReserva: reservaExistente.codigo,
+      pasajero: resultado.pasajero.nombreCompleto,
+      numeroAsiento: resultado.numeroAsiento,
+      metodoPago: resultado.metodoPago,
+      pagos: resultado.pagos,
+      tipoDocumento,
+      precioOriginal: resultado.precioOriginal,
+      puntosUsados: resultado.puntosUsados,
+      descuentoPuntos: resultado.descuentoPuntos,
+      precioFinal: resultado.precioFinal,
+      puntosGanados: resultado.puntosGanados
+    });
+
+    // Emitir comprobante segun tipo de documento
+    let comprobante = null;
+    try {
+      comprobante = await emitirComprobanteTicket({
+        ticket: resultado,
+        tipoDocumento,
+        tipoDocPasajero,
+        clienteFactura,
+        comentario,
+        incluyeIgv,
+        userId: req.user.id
+      });
+    } catch (errorComprobante) {
+      console.error('Error emitiendo comprobante:', errorComprobante);
+      return res.status(201).json({
+        mensaje: 'Reserva confirmada, pero hubo un error al generar el comprobante',
+        ticket: resultado,
+        comprobanteError: errorComprobante.message
+      });
+    }
+
+    const agencia = await obtenerAgencia(req.user.id_punto || resultado.viaje?.ruta?.idPuntoOrigen);
+
+    res.status(201).json({
+      mensaje: 'Reserva confirmada exitosamente',
+      ticket: { ...resultado, agencia },
+      comprobante: normalizarComprobante(comprobante, { tipoDocumento, agencia, ticket: resultado })
+    });
+  } catch (error) {
+    console.error('Error confirmando reserva:', error);
+
+    if (error.message === 'La reserva ya no esta vigente' ||
+      error.message === 'El viaje no esta abierto para venta' ||
+      esErrorAsiento(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (esErrorPago(error)) {
+      return res.status(400).json({ error: error.message, total: error.total, totalPagos: error.totalPagos });
+    }
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+
+    res.status(500).json({ error: 'Error al confirmar reserva' });
+  }
+};
+
+/**
+ * Liberar reserva manualmente
+ * POST /api/reservas/:id/liberar
+ */
+const liberar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { motivo } = req.body;
+
+    const reservaExistente = await prisma.reserva.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!reservaExistente) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const { count } = await prisma.reserva.updateMany({
+      where: { id: reservaExistente.id, estado: 'PENDIENTE' },
+      data: {
+        estado: 'LIBERADA',
+        fechaLiberacion: utcNow(),
+        idUsuarioLiberacion: req.user.id,
+        motivoLiberacion: motivo || 'Sin motivo especificado',
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({ error: 'Solo se pueden liberar reservas pendientes' });
+    }
+
+    // Auditoria
+    await registrarAuditoria(req.user.id, 'RESERVA_LIBERADA', 'RESERVA', reservaExistente.id, {
+      codigo: reservaExistente.codigo,
+      idViaje: reservaExistente.idViaje,
+      numeroAsiento: reservaExistente.numeroAsiento,
+      motivo: motivo || 'Sin motivo especificado'
+    });
+
+    // El asiento liberado se ofrece a la lista de espera del viaje
+    await promoverListaEspera(reservaExistente.idViaje, req.user.id);
+
+    const reserva = await prisma.reserva.findUnique({
+      where: { id: reservaExistente.id },
+      include: INCLUDE_RESERVA
+    });
+
+    res.json({
+      mensaje: 'Reserva liberada exitosamente',
+      reserva
+    });
+  } catch (error) {
+    console.error('Error liberando reserva:', error);
+    res.status(500).json({ error: 'Error al liberar reserva' });
+  }
+};
+
+module.exports = {
+  listar,
+  obtener,
+  crear,
+  confirmar,
+  liberar
+};
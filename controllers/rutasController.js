@@ -5,7 +5,9 @@
 
 const prisma = require('../config/prisma');
 const { registrarAuditoria } = require('../services/auditoriaService');
-const { utcNow } = require('../utils/dateUtils');
+const { whereReservaVigente } = require('../services/reservasService');
+const { normalizarParadas } = require('../services/tramosService');
+const { utcNow, parseCivilDate, getFechaPeruYYYYMMDD } = require('../utils/dateUtils');
 
 /**
  * Listar todas las rutas
@@ -53,6 +55,10 @@ const obtener = async (req, res) => {
         horarios: {
           where: { habilitado: true },
           orderBy: { horaSalida: 'asc' }
+        },
+        paradas: {
+          orderBy: { orden: 'asc' },
+          include: { punto: { select: { id: true, nombre: true, ciudad: true } } }
         }
       }
     });
@@ -270,10 +276,184 @@ const eliminar = async (req, res) => {
   }
 };
 
+/**
+ * Listar paradas de una ruta (origen, intermedias y destino)
+ * GET /api/rutas/:id/paradas
+ */
+const listarParadas = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const ruta = await prisma.ruta.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        puntoOrigen: { select: { id: true, nombre: true, ciudad: true } },
+        puntoDestino: { select: { id: true, nombre: true, ciudad: true } },
+        paradas: {
+          orderBy: { orden: 'asc' },
+          include: { punto: { select: { id: true, nombre: true, ciudad: true } } }
+        }
+      }
+    });
+
+    if (!ruta) {
+      return res.status(404).json({ error: 'Ruta no encontrada' });
+    }
+
+    res.json({
+      idRuta: ruta.id,
+      configuradas: ruta.paradas.length > 0,
+      paradas: normalizarParadas(ruta)
+    });
+  } catch (error) {
+    console.error('Error listando paradas:', error);
+    res.status(500).json({ error: 'Error al listar paradas' });
+  }
+};
+
+/**
+ * Configurar paradas de una ruta
+ * PUT /api/rutas/:id/paradas
+ * Body: { paradas: [{ idPunto, minutosDesdeSalida, precioTramo }] } en orden de recorrido.
+ * La primera parada debe ser el origen y la ultima el destino. precioTramo es la
+ * tarifa desde la parada anterior (0 para el origen).
+ */
+const guardarParadas = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paradas } = req.body;
+
+    const ruta = await prisma.ruta.findUnique({
+      where: { id: parseInt(id) },
+      include: { paradas: { orderBy: { orden: 'asc' } } }
+    });
+
+    if (!ruta) {
+      return res.status(404).json({ error: 'Ruta no encontrada' });
+    }
+
+    if (!Array.isArray(paradas) || paradas.length < 2) {
+      return res.status(400).json({
+        error: 'Se requieren al menos dos paradas (origen y destino)'
+      });
+    }
+
+    const data = paradas.map((parada, index) => ({
+      idRuta: ruta.id,
+      idPunto: parseInt(parada.idPunto),
+      orden: index + 1,
+      minutosDesdeSalida: index === 0 ? 0 : parseInt(parada.minutosDesdeSalida),
+      precioTramo: index === 0 ? 0 : parseFloat(parada.precioTramo),
+      userIdRegistration: req.user.id
+    }));
+
+    if (data[0].idPunto !== ruta.idPuntoOrigen) {
+      return res.status(400).json({
+        error: 'La primera parada debe ser el origen de la ruta'
+      });
+    }
+
+    if (data[data.length - 1].idPunto !== ruta.idPuntoDestino) {
+      return res.status(400).json({
+        error: 'La ultima parada debe ser el destino de la ruta'
+      });
+    }
+
+    if (new Set(data.map((p) => p.idPunto)).size !== data.length) {
+      return res.status(400).json({
+        error: 'No se puede repetir un punto en las paradas'
+      });
+    }
+
+    for (let i = 1; i < data.length; i++) {
+      if (isNaN(data[i].minutosDesdeSalida) || data[i].minutosDesdeSalida < data[i - 1].minutosDesdeSalida) {
+        return res.status(400).json({
+          error: 'Los minutos desde la salida deben ser crecientes segun el orden de las paradas'
+        });
+      }
+      if (isNaN(data[i].precioTramo) || data[i].precioTramo < 0) {
+        return res.status(400).json({
+          error: 'El precio de cada tramo debe ser mayor o igual a 0'
+        });
+      }
+    }
+
+    // Verificar que los puntos existan y esten activos
+    const puntosActivos = await prisma.punto.count({
+      where: { id: { in: data.map((p) => p.idPunto) }, estado: 1 }
+    });
+
+    if (puntosActivos !== data.length) {
+      return res.status(400).json({
+        error: 'Todas las paradas deben ser puntos activos'
+      });
+    }
+
+    // No se puede cambiar el recorrido si hay pasajes o reservas por tramo pendientes de viajar
+    const { date: fechaHoy } = parseCivilDate(getFechaPeruYYYYMMDD(), 'fecha');
+    const whereViajeFuturo = { idRuta: ruta.id, fechaServicio: { gte: fechaHoy } };
+
+    const [ticketsPorTramo, reservasPorTramo] = await Promise.all([
+      prisma.ticket.count({
+        where: { estado: 'EMITIDO', ordenSubida: { not: null }, viaje: whereViajeFuturo }
+      }),
+      prisma.reserva.count({
+        where: { ...whereReservaVigente(), ordenSubida: { not: null }, viaje: whereViajeFuturo }
+      })
+    ]);
+
+    if (ticketsPorTramo > 0 || reservasPorTramo > 0) {
+      return res.status(400).json({
+        error: 'No se pueden modificar las paradas: existen pasajes o reservas vigentes por tramo en viajes futuros'
+      });
+    }
+
+    // El precio de la ruta completa pasa a ser la suma de los tramos
+    const precioRutaCompleta = Math.round(data.reduce((total, p) => total + p.precioTramo, 0) * 100) / 100;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.paradaRuta.deleteMany({ where: { idRuta: ruta.id } });
+      await tx.paradaRuta.createMany({ data });
+      await tx.ruta.update({
+        where: { id: ruta.id },
+        data: {
+          precioPasaje: precioRutaCompleta,
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+    });
+
+    const paradasGuardadas = await prisma.paradaRuta.findMany({
+      where: { idRuta: ruta.id },
+      orderBy: { orden: 'asc' },
+      include: { punto: { select: { id: true, nombre: true, ciudad: true } } }
+    });
+
+    // Auditoria
+    await registrarAuditoria(req.user.id, 'RUTA_PARADAS_ACTUALIZADAS', 'RUTA', ruta.id, {
+      anterior: ruta.paradas,
+      nuevo: paradasGuardadas,
+      precioPasaje: precioRutaCompleta
+    });
+
+    res.json({
+      mensaje: 'Paradas actualizadas exitosamente',
+      precioPasaje: precioRutaCompleta,
+      paradas: normalizarParadas({ ...ruta, paradas: paradasGuardadas })
+    });
+  } catch (error) {
+    console.error('Error actualizando paradas:', error);
+    res.status(500).json({ error: 'Error al actualizar paradas' });
+  }
+};
+
 module.exports = {
   listar,
   obtener,
   crear,
   actualizar,
-  eliminar
+  eliminar,
+  listarParadas,
+  guardarParadas
 };
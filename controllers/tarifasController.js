@@ -0,0 +1,339 @@
+/**
+ * Tarifas Controller
+ * CRUD de reglas de tarifa de pasajes y cotizacion de precios
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { CATEGORIAS_PASAJERO, TIPOS_AJUSTE, calcularTarifa } = require('../services/tarifasService');
+const { obtenerParadasRuta, resolverTramo } = require('../services/tramosService');
+const {
+  utcNow,
+  parseCivilDate,
+  TODOS_LOS_DIAS,
+  diasAMascara,
+  mascaraADias
+} = require('../utils/dateUtils');
+
+const INCLUDE_REGLA = {
+  ruta: {
+    include: {
+      puntoOrigen: { select: { id: true, nombre: true } },
+      puntoDestino: { select: { id: true, nombre: true } }
+    }
+  },
+  horario: { select: { id: true, horaSalida: true } }
+};
+
+/**
+ * Formatear regla para la respuesta (dias de la semana como lista)
+ */
+const formatearRegla = (regla) => ({
+  ...regla,
+  dias: mascaraADias(regla.diasSemana)
+});
+
+/**
+ * Validar y normalizar los datos de una regla de tarifa
+ * @param {Object} body - Datos recibidos
+ * @returns {Promise<Object>} { data } o { error }
+ */
+const validarRegla = async (body) => {
+  const {
+    nombre,
+    idRuta,
+    idHorario,
+    categoria,
+    fechaInicio,
+    fechaFin,
+    diasSemana,
+    tipoAjuste,
+    valor,
+    prioridad = 0,
+    acumulable = false
+  } = body;
+
+  if (!nombre || nombre.trim() === '') {
+    return { error: 'El nombre es requerido' };
+  }
+
+  if (!TIPOS_AJUSTE.includes(tipoAjuste)) {
+    return { error: 'Tipo de ajuste invalido (PORCENTAJE o MONTO)' };
+  }
+
+  if (valor === undefined || valor === null || isNaN(parseFloat(valor)) || parseFloat(valor) === 0) {
+    return { error: 'El valor del ajuste es requerido (positivo = recargo, negativo = descuento)' };
+  }
+
+  if (tipoAjuste === 'PORCENTAJE' && parseFloat(valor) < -100) {
+    return { error: 'El descuento no puede superar el 100%' };
+  }
+
+  if (categoria && !CATEGORIAS_PASAJERO.includes(categoria)) {
+    return { error: 'Categoria de pasajero invalida' };
+  }
+
+  let fechaInicioDate = null;
+  let fechaFinDate = null;
+
+  if (fechaInicio) {
+    const { date, error } = parseCivilDate(fechaInicio, 'fechaInicio');
+    if (error) return { error };
+    fechaInicioDate = date;
+  }
+
+  if (fechaFin) {
+    const { date, error } = parseCivilDate(fechaFin, 'fechaFin');
+    if (error) return { error };
+    fechaFinDate = date;
+  }
+
+  if (fechaInicioDate && fechaFinDate && fechaFinDate < fechaInicioDate) {
+    return { error: 'La fecha fin no puede ser anterior a la fecha inicio' };
+  }
+
+  let mascara = TODOS_LOS_DIAS;
+  if (diasSemana !== undefined && diasSemana !== null) {
+    mascara = diasAMascara(diasSemana);
+    if (mascara === null) {
+      return { error: 'Dias de la semana invalidos (0 = domingo ... 6 = sabado)' };
+    }
+  }
+
+  if (idRuta) {
+    const ruta = await prisma.ruta.findUnique({ where: { id: parseInt(idRuta) } });
+    if (!ruta) {
+      return { error: 'Ruta no encontrada' };
+    }
+  }
+
+  if (idHorario) {
+    const horario = await prisma.horarioRuta.findUnique({ where: { id: parseInt(idHorario) } });
+    if (!horario) {
+      return { error: 'Horario no encontrado' };
+    }
+    if (idRuta && horario.idRuta !== parseInt(idRuta)) {
+      return { error: 'El horario no pertenece a la ruta' };
+    }
+  }
+
+  return {
+    data: {
+      nombre: nombre.trim(),
+      idRuta: idRuta ? parseInt(idRuta) : null,
+      idHorario: idHorario ? parseInt(idHorario) : null,
+      categoria: categoria || null,
+      fechaInicio: fechaInicioDate,
+      fechaFin: fechaFinDate,
+      diasSemana: mascara,
+      tipoAjuste,
+      valor: parseFloat(valor),
+      prioridad: parseInt(prioridad) || 0,
+      acumulable: acumulable === true || acumulable === 'true'
+    }
+  };
+};
+
+/**
+ * Listar reglas de tarifa activas
+ * GET /api/tarifas
+ * Query params: idRuta
+ */
+const listar = async (req, res) => {
+  try {
+    const { idRuta } = req.query;
+
+    const where = { estado: 1 };
+    if (idRuta) {
+      where.OR = [{ idRuta: null }, { idRuta: parseInt(idRuta) }];
+    }
+
+    const reglas = await prisma.tarifaRegla.findMany({
+      where,
+      include: INCLUDE_REGLA,
+      orderBy: [{ prioridad: 'desc' }, { id: 'asc' }]
+    });
+
+    res.json({ reglas: reglas.map(formatearRegla) });
+  } catch (error) {
+    console.error('Error listando reglas de tarifa:', error);
+    res.status(500).json({ error: 'Error al listar reglas de tarifa' });
+  }
+};
+
+/**
+ * Crear regla de tarifa
+ * POST /api/tarifas
+ * Body: { nombre, idRuta, idHorario, categoria, fechaInicio, fechaFin, diasSemana: [0..6],
+ *         tipoAjuste, valor, prioridad, acumulable }
+ */
+const crear = async (req, res) => {
+  try {
+    const { data, error } = await validarRegla(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const regla = await prisma.tarifaRegla.create({
+      data: {
+        ...data,
+        userIdRegistration: req.user.id
+      },
+      include: INCLUDE_REGLA
+    });
+
+    await registrarAuditoria(req.user.id, 'TARIFA_REGLA_CREADA', 'TARIFA', regla.id, data);
+
+    res.status(201).json({
+      mensaje: 'Regla de tarifa creada exitosamente',
+      regla: formatearRegla(regla)
+    });
+  } catch (error) {
+    console.error('Error creando regla de tarifa:', error);
+    res.status(500).json({ error: 'Error al crear regla de tarifa' });
+  }
+};
+
+/**
+ * Actualizar regla de tarifa
+ * PUT /api/tarifas/:id
+ */
+const actualizar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existente = await prisma.tarifaRegla.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existente || existente.estado !== 1) {
+      return res.status(404).json({ error: 'Regla de tarifa no encontrada' });
+    }
+
+    const { data, error } = await validarRegla(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const regla = await prisma.tarifaRegla.update({
+      where: { id: existente.id },
+      data: {
+        ...data,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      },
+      include: INCLUDE_REGLA
+    });
+
+    await registrarAuditoria(req.user.id, 'TARIFA_REGLA_ACTUALIZADA', 'TARIFA', regla.id, data);
+
+    res.json({
+      mensaje: 'Regla de tarifa actualizada exitosamente',
+      regla: formatearRegla(regla)
+    });
+  } catch (error) {
+    console.error('Error actualizando regla de tarifa:', error);
+    res.status(500).json({ error: 'Error al actualizar regla de tarifa' });
+  }
+};
+
+/**
+ * Eliminar regla de tarifa (soft delete)
+ * DELETE /api/tarifas/:id
+ */
+const eliminar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existente = await prisma.tarifaRegla.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existente || existente.estado !== 1) {
+      return res.status(404).json({ error: 'Regla de tarifa no encontrada' });
+    }
+
+    await prisma.tarifaRegla.update({
+      where: { id: existente.id },
+      data: {
+        estado: 0,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    await registrarAuditoria(req.user.id, 'TARIFA_REGLA_ELIMINADA', 'TARIFA', existente.id, {
+      nombre: existente.nombre
+    });
+
+    res.json({ mensaje: 'Regla de tarifa eliminada exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando regla de tarifa:', error);
+    res.status(500).json({ error: 'Error al eliminar regla de tarifa' });
+  }
+};
+
+/**
+ * Cotizar precio de un pasaje con las reglas de tarifa vigentes
+ * GET /api/tarifas/cotizar
+ * Query params: idRuta, fecha, idHorario, idPuntoSubida, idPuntoBajada, categoria
+ */
+const cotizar = async (req, res) => {
+  try {
+    const { idRuta, fecha, idHorario, idPuntoSubida, idPuntoBajada, categoria = 'GENERAL' } = req.query;
+
+    if (!idRuta || !fecha) {
+      return res.status(400).json({ error: 'Se requiere idRuta y fecha' });
+    }
+
+    if (!CATEGORIAS_PASAJERO.includes(categoria)) {
+      return res.status(400).json({ error: 'Categoria de pasajero invalida' });
+    }
+
+    const { date: fechaDate, error: fechaError } = parseCivilDate(fecha, 'fecha');
+    if (fechaError) {
+      return res.status(400).json({ error: fechaError });
+    }
+
+    const ruta = await prisma.ruta.findUnique({
+      where: { id: parseInt(idRuta) }
+    });
+
+    if (!ruta || ruta.estado !== 1) {
+      return res.status(404).json({ error: 'Ruta no encontrada' });
+    }
+
+    const paradas = await obtenerParadasRuta(prisma, ruta.id);
+    const tramo = resolverTramo(paradas, idPuntoSubida, idPuntoBajada);
+    if (tramo.error) {
+      return res.status(400).json({ error: tramo.error });
+    }
+
+    const tarifa = await calcularTarifa(prisma, {
+      idRuta: ruta.id,
+      idHorario: idHorario ? parseInt(idHorario) : null,
+      fecha: fechaDate,
+      precioBase: tramo.precio,
+      categoria
+    });
+
+    res.json({
+      tramo: {
+        subida: tramo.paradaSubida.punto,
+        bajada: tramo.paradaBajada.punto
+      },
+      ...tarifa
+    });
+  } catch (error) {
+    console.error('Error cotizando tarifa:', error);
+    res.status(500).json({ error: 'Error al cotizar tarifa' });
+  }
+};
+
+module.exports = {
+  listar,
+  crear,
+  actualizar,
+  eliminar,
+  cotizar
+};
@@ -5,8 +5,52 @@
 
 const prisma = require('../config/prisma');
 const { registrarAuditoria } = require('../services/auditoriaService');
-const { generarCodigoTicket } = require('../services/codigoService');
-const facturacionService = require('../services/facturacionService');
+const { ocuparAsiento, esErrorAsiento, obtenerCapacidadVentaInstantanea } = require('../services/asientosService');
+const {
+  obtenerParadasRuta,
+  resolverTramo,
+  calcularHoraParada,
+  calcularCuposTramo
+} = require('../services/tramosService');
+const {
+  obtenerConfiguracionPuntos,
+  obtenerCargoReprogramacion,
+  validarDocumentoVenta,
+  validarPasajero,
+  buscarOCrearViaje,
+  registrarTicket,
+  describirPasaje,
+  emitirComprobanteVenta,
+  emitirComprobanteTickets,
+  emitirComprobanteTicket,
+  obtenerAgencia,
+  normalizarComprobante,
+  anularTicketVenta,
+  validarViajeVenta
+} = require('../services/ventaPasajeService');
+const { verificarQrTicket, generarQrTicket } = require('../services/qrTicketService');
+const { calcularTarifa, validarPrecioManual } = require('../services/tarifasService');
+const { obtenerHorarioFecha } = require('../services/horariosService');
+const { promoverListaEspera } = require('../services/listaEsperaService');
+const { esErrorPromocion, validarCodigoPromocion } = require('../services/promocionesService');
+const {
+  METODOS_PAGO,
+  esErrorPago,
+  normalizarPagos,
+  registrarPagosTickets
+} = require('../services/mediosPagoService');
+const {
+  MENSAJES_CAJA,
+  esErrorCaja,
+  obtenerCajaAbierta,
+  registrarMovimientos
+} = require('../services/cajaService');
+const {
+  METODO_CREDITO,
+  esErrorCredito,
+  cargarCredito,
+  revertirCargoTicket
+} = require('../services/creditoEmpresaService');
 const {
   utcNow,
   parseCivilDate,
@@ -18,31 +62,15 @@ const {
   getFechaPeruYYYYMMDD
 } = require('../utils/dateUtils');
 
-/**
- * Obtener configuracion de puntos desde la BD
- * @returns {Object} { solesPorPunto, puntosPorSolDescuento }
- */
-const obtenerConfiguracionPuntos = async () => {
-  try {
-    const result = await prisma.$queryRaw`
-      SELECT
-        soles_por_punto as "solesPorPunto",
-        puntos_por_sol_descuento as "puntosPorSolDescuento"
-      FROM tbl_configuracion_sistema
-      WHERE activo = true
-      LIMIT 1
-    `;
-    if (result && result.length > 0) {
-      return {
-        solesPorPunto: parseFloat(result[0].solesPorPunto) || 10.00,
-        puntosPorSolDescuento: parseFloat(result[0].puntosPorSolDescuento) || 10.00
-      };
+// Datos del viaje a mostrar en el historial de reprogramaciones
+const INCLUDE_VIAJE_HISTORIAL = {
+  ruta: {
+    include: {
+      puntoOrigen: { select: { id: true, nombre: true } },
+      puntoDestino: { select: { id: true, nombre: true } }
     }
-  } catch (error) {
-    console.error('Error obteniendo configuracion de puntos:', error);
-  }
-  // Valores por defecto
-  return { solesPorPunto: 10.00, puntosPorSolDescuento: 10.00 };
+  },
+  horario: { select: { id: true, horaSalida: true } }
 };
 
 /**
@@ -151,6 +179,9 @@ const listar = async (req, res) => {
 /**
  * Vender pasaje
  * POST /api/tickets
+ * Body: { ..., metodoPago } o { ..., pagos: [{ metodo, monto, referencia }] } para varios medios de pago
+ * codigoPromocion opcional: descuento de la promocion sobre la tarifa (ver promocionesService)
+ * Con metodoPago CREDITO e idEmpresa se carga a la cuenta de la empresa y se emite nota de venta
  */
 const vender = async (req, res) => {
   try {
@@ -158,66 +189,72 @@ const vender = async (req, res) => {
       idRuta,
       idHorario,
       fechaViaje,
+      numeroAsiento,
+      idPuntoSubida,
+      idPuntoBajada,
       pasajero,
       metodoPago,
+      pagos,
+      idEmpresa,
       puntosACanjear = 0,
-      tipoDocumento,
+      tipoDocumento: tipoDocumentoSolicitado,
       clienteFactura,
       precioManual,
+      motivoPrecioManual,
+      codigoPromocion,
       incluyeIgv
     } = req.body;
 
     // Validaciones
-    if (!idRuta || !idHorario || !fechaViaje || !pasajero || !metodoPago) {
+    if (!idRuta || !idHorario || !fechaViaje || !pasajero || (!metodoPago && !pagos)) {
       return res.status(400).json({
         error: 'Todos los campos son requeridos'
       });
     }
 
-    // Validar tipo de documento (obligatorio)
-    if (!tipoDocumento || !['BOLETA', 'FACTURA', 'VERIFICACION'].includes(tipoDocumento)) {
+    if (!numeroAsiento || isNaN(parseInt(numeroAsiento)) || parseInt(numeroAsiento) <= 0) {
       return res.status(400).json({
-        error: 'Tipo de documento es obligatorio (BOLETA, FACTURA o VERIFICACION)'
+        error: 'El numero de asiento es requerido'
       });
     }
 
-    // Validar datos de factura si el tipo es FACTURA
-    if (tipoDocumento === 'FACTURA') {
-      if (!clienteFactura || !clienteFactura.ruc || !clienteFactura.razonSocial) {
-        return res.status(400).json({
-          error: 'Para factura se requiere RUC y razon social del cliente'
-        });
-      }
-      if (clienteFactura.ruc.length !== 11) {
-        return res.status(400).json({
-          error: 'El RUC debe tener 11 digitos'
-        });
-      }
+    // Validar medios de pago (la suma contra el precio final se verifica al registrar)
+    const cobro = normalizarPagos({ pagos, metodoPago, idEmpresa });
+    if (cobro.error) {
+      return res.status(400).json({ error: cobro.error });
     }
 
-    if (!pasajero.nombreCompleto || !pasajero.documentoIdentidad || !pasajero.telefono) {
-      return res.status(400).json({
-        error: 'Nombre, documento y telefono del pasajero son requeridos'
-      });
+    // La venta a credito se factura al consolidar el periodo de la empresa
+    const tipoDocumento = cobro.credito ? 'VERIFICACION' : tipoDocumentoSolicitado;
+
+    // Validar tipo de documento (obligatorio) y datos de factura
+    const errorDocumento = validarDocumentoVenta({ tipoDocumento, clienteFactura });
+    if (errorDocumento) {
+      return res.status(400).json({ error: errorDocumento });
     }
 
-    // Validar tipo de documento del pasajero segun longitud
-    const tipoDocPasajero = pasajero.tipoDocumento || (pasajero.documentoIdentidad?.length === 11 ? '6' : '1');
-    if (tipoDocPasajero === '1' && pasajero.documentoIdentidad?.length !== 8) {
-      return res.status(400).json({
-        error: 'El DNI debe tener 8 digitos'
-      });
+    // Validar pasajero y tipo de documento del pasajero segun longitud
+    const { tipoDocPasajero, categoria, error: errorPasajero } = validarPasajero(pasajero);
+    if (errorPasajero) {
+      return res.status(400).json({ error: errorPasajero });
     }
-    if (tipoDocPasajero === '6' && pasajero.documentoIdentidad?.length !== 11) {
-      return res.status(400).json({
-        error: 'El RUC debe tener 11 digitos'
-      });
+
+    // El precio manual requiere permiso y motivo
+    const errorPrecio = validarPrecioManual({ precioManual, motivoPrecioManual, permisos: req.userPermisos });
+    if (errorPrecio) {
+      return res.status(errorPrecio.status).json({ error: errorPrecio.error });
     }
 
-    if (!['EFECTIVO', 'YAPE', 'TARJETA'].includes(metodoPago)) {
-      return res.status(400).json({
-        error: 'Metodo de pago invalido'
-      });
+    // El codigo de promocion se valida contra la promocion al registrar el ticket
+    const promocion = validarCodigoPromocion(codigoPromocion, { precioManual });
+    if (promocion.error) {
+      return res.status(400).json({ error: promocion.error });
+    }
+
+    // El cobro se registra en la caja abierta del vendedor (la venta a credito no pasa por caja)
+    const caja = cobro.credito ? null : await obtenerCajaAbierta(prisma, req.user.id);
+    if (!cobro.credito && !caja) {
+      return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
     }
 
     // Parsear fecha civil usando utilidad centralizada
@@ -244,6 +281,13 @@ const vender = async (req, res) => {
       });
     }
 
+    // Resolver tramo (parada de subida y bajada); sin paradas se vende la ruta completa
+    const paradas = await obtenerParadasRuta(prisma, ruta.id);
+    const tramo = resolverTramo(paradas, idPuntoSubida, idPuntoBajada);
+    if (tramo.error) {
+      return res.status(400).json({ error: tramo.error });
+    }
+
     // Verificar horario habilitado (incluir capacidadTotal para crear viaje)
     const horario = await prisma.horarioRuta.findUnique({
       where: { id: parseInt(idHorario) },
@@ -251,7 +295,10 @@ const vender = async (req, res) => {
         id: true,
         horaSalida: true,
         capacidadTotal: true,
-        habilitado: true
+        habilitado: true,
+        diasSemana: true,
+        vigenciaDesde: true,
+        vigenciaHasta: true
       }
     });
 
@@ -261,9 +308,17 @@ const vender = async (req, res) => {
       });
     }
 
-    // Verificar que el horario no haya pasado si es para hoy (usando hora Perú)
+    // Verificar que el horario opere en la fecha (dias, vigencia y excepciones del calendario)
+    const calendario = await obtenerHorarioFecha(prisma, horario, fechaDate);
+    if (!calendario.opera) {
+      return res.status(400).json({
+        error: 'El horario no opera en la fecha seleccionada'
+      });
+    }
+
+    // Verificar que el bus no haya pasado por la parada de subida si es para hoy (usando hora Perú)
     if (isToday(fechaViaje)) {
-      if (hasTimePassed(horario.horaSalida)) {
+      if (hasTimePassed(calcularHoraParada(horario.horaSalida, tramo.paradaSubida.minutosDesdeSalida))) {
         return res.status(400).json({
           error: 'El horario seleccionado ya no esta disponible para hoy'
         });
@@ -273,8 +328,15 @@ const vender = async (req, res) => {
     // Obtener configuracion de puntos
     const { solesPorPunto, puntosPorSolDescuento } = await obtenerConfiguracionPuntos();
 
-    // Precio original del pasaje
-    const precioOriginal = parseFloat(ruta.precioPasaje);
+    // Precio original del pasaje: tarifa del tramo con reglas de tarifa
+    const tarifa = await calcularTarifa(prisma, {
+      idRuta: ruta.id,
+      idHorario: horario.id,
+      fecha: fechaDate,
+      precioBase: tramo.precio,
+      categoria
+    });
+    const precioOriginal = tarifa.precio;
 
     // Calcular puntos ganados por esta compra
     const puntosGanados = Math.floor(precioOriginal / solesPorPunto);
@@ -285,280 +347,87 @@ const vender = async (req, res) => {
     // Transaccion para la venta
     const resultado = await prisma.$transaction(async (tx) => {
       // Buscar o crear viaje
-      let viaje = await tx.viaje.findUnique({
-        where: {
-          idRuta_idHorario_fechaServicio: {
-            idRuta: parseInt(idRuta),
-            idHorario: parseInt(idHorario),
-            fechaServicio: fechaDate
-          }
-        }
+      const viaje = await buscarOCrearViaje(tx, {
+        idRuta: parseInt(idRuta),
+        idHorario: parseInt(idHorario),
+        fechaServicio: fechaDate,
+        capacidadTotal: calendario.capacidadTotal,
+        userId: req.user.id
       });
 
-      if (!viaje) {
-        // Crear viaje on-demand (usar capacidad del horario, no de la ruta)
-        viaje = await tx.viaje.create({
-          data: {
-            idRuta: parseInt(idRuta),
-            idHorario: parseInt(idHorario),
-            fechaServicio: fechaDate,
-            capacidadTotal: horario.capacidadTotal,
-            capacidadVendida: 0,
-            estado: 'ABIERTO',
-            userIdRegistration: req.user.id
-          }
-        });
-      }
-
-      // Verificar disponibilidad
-      const cuposDisponibles = viaje.capacidadTotal - viaje.capacidadVendida;
-      if (cuposDisponibles <= 0) {
-        throw new Error('Aforo completo para este viaje');
-      }
-
       if (viaje.estado !== 'ABIERTO') {
         throw new Error('El viaje no esta abierto para venta');
       }
 
-      // Buscar o crear pasajero
-      let pasajeroDb = await tx.pasajero.findFirst({
-        where: { documentoIdentidad: pasajero.documentoIdentidad }
-      });
-
-      // Obtener puntos disponibles actuales del cliente
-      let puntosDisponiblesActuales = 0;
-      let puntosHistoricosActuales = 0;
-
-      if (pasajeroDb) {
-        puntosDisponiblesActuales = pasajeroDb.puntos_disponibles ?? pasajeroDb.puntos ?? 0;
-        puntosHistoricosActuales = pasajeroDb.puntos_historicos ?? pasajeroDb.puntos ?? 0;
-      }
-
-      // Validar que no se intenten canjear mas puntos de los disponibles
-      const puntosACanjearFinal = Math.min(puntosUsados, puntosDisponiblesActuales);
-
-      // Calcular descuento por puntos
-      let descuentoPuntos = puntosACanjearFinal / puntosPorSolDescuento;
-      // El descuento no puede superar el precio original
-      descuentoPuntos = Math.min(descuentoPuntos, precioOriginal);
-      // Redondear a 2 decimales
-      descuentoPuntos = Math.round(descuentoPuntos * 100) / 100;
-
-      // Calcular precio final (usar precioManual si fue editado manualmente)
-      const precioFinal = precioManual != null && !isNaN(parseFloat(precioManual))
-        ? Math.max(0, Math.round(parseFloat(precioManual) * 100) / 100)
-        : Math.max(0, precioOriginal - descuentoPuntos);
-
-      // Calcular nuevos puntos del cliente
-      const nuevosPuntosDisponibles = puntosDisponiblesActuales - puntosACanjearFinal + puntosGanados;
-      const nuevosPuntosHistoricos = puntosHistoricosActuales + puntosGanados;
-
-      if (!pasajeroDb) {
-        // Crear nuevo pasajero con puntos iniciales
-        pasajeroDb = await tx.pasajero.create({
-          data: {
-            nombreCompleto: pasajero.nombreCompleto,
-            documentoIdentidad: pasajero.documentoIdentidad,
-            tipo_documento: tipoDocPasajero,
-            telefono: pasajero.telefono,
-            puntos_disponibles: puntosGanados,
-            puntos_historicos: puntosGanados,
-            userIdRegistration: req.user.id
-          }
-        });
-      } else {
-        // Actualizar datos del pasajero y puntos
-        pasajeroDb = await tx.pasajero.update({
-          where: { id: pasajeroDb.id },
-          data: {
-            nombreCompleto: pasajero.nombreCompleto,
-            telefono: pasajero.telefono,
-            puntos_disponibles: nuevosPuntosDisponibles,
-            puntos_historicos: nuevosPuntosHistoricos,
-            userIdModification: req.user.id,
-            dateTimeModification: utcNow()
-          }
-        });
+      // Verificar disponibilidad en el tramo (las reservas vigentes tambien ocupan cupo)
+      const cuposDisponibles = await calcularCuposTramo(tx, viaje, tramo.ordenSubida, tramo.ordenBajada);
+      if (cuposDisponibles <= 0) {
+        throw new Error('Aforo completo para este viaje');
       }
 
-      // Generar codigo unico
-      const codigoInterno = await generarCodigoTicket(tx);
-
-      // Crear ticket con todos los campos de puntos
-      const ticket = await tx.ticket.create({
-        data: {
-          idViaje: viaje.id,
-          idPasajero: pasajeroDb.id,
-          codigoInterno,
-          idUsuarioVenta: req.user.id,
-          metodoPago,
-          estado: 'EMITIDO',
-          userIdRegistration: req.user.id,
-          // Campos de puntos y precios
-          precio_original: precioOriginal,
-          puntos_usados: puntosACanjearFinal,
-          descuento_puntos: descuentoPuntos,
-          precio_final: precioFinal,
-          puntos_ganados: puntosGanados,
-          comentario: pasajero.comentario || null
-        },
-        include: {
-          viaje: {
-            include: {
-              ruta: {
-                include: {
-                  puntoOrigen: true,
-                  puntoDestino: true
-                }
-              },
-              horario: true
-            }
-          },
-          pasajero: true
-        }
+      const ticket = await registrarTicket(tx, {
+        viaje,
+        pasajero,
+        tipoDocPasajero,
+        numeroAsiento: parseInt(numeroAsiento),
+        tramo,
+        metodoPago: cobro.metodoPrincipal,
+        precioOriginal,
+        puntosGanados,
+        puntosUsados,
+        puntosPorSolDescuento,
+        precioManual,
+        motivoPrecioManual,
+        categoriaPasajero: categoria,
+        tarifasAplicadas: tarifa,
+        codigoPromocion: promocion.codigo,
+        userId: req.user.id
       });
 
-      // Incrementar capacidad vendida
-      await tx.viaje.update({
-        where: { id: viaje.id },
-        data: { capacidadVendida: viaje.capacidadVendida + 1 }
+      const pagosTicket = await registrarPagosTickets(tx, [ticket], cobro.pagos, req.user.id, {
+        idCaja: caja?.id ?? null,
+        idEmpresa: cobro.idEmpresa
       });
 
-      // Agregar campos calculados al resultado
-      return {
-        ...ticket,
-        precioOriginal,
-        puntosUsados: puntosACanjearFinal,
-        descuentoPuntos,
-        precioFinal,
-        puntosGanados,
-        // Incluir puntos acumulados del cliente (después de esta compra)
-        puntosAcumuladosCliente: nuevosPuntosHistoricos,
-        puntosDisponiblesCliente: nuevosPuntosDisponibles
-      };
+      return { ...ticket, idEmpresa: cobro.idEmpresa, pagos: pagosTicket };
     });
 
     // Auditoria
     await registrarAuditoria(req.user.id, 'TICKET_VENDIDO', 'TICKET', resultado.id, {
       codigoInterno: resultado.codigoInterno,
       pasajero: resultado.pasajero.nombreCompleto,
-      metodoPago,
+      numeroAsiento: resultado.numeroAsiento,
+      idPuntoSubida: resultado.idPuntoSubida,
+      idPuntoBajada: resultado.idPuntoBajada,
+      metodoPago: resultado.metodoPago,
+      pagos: resultado.pagos,
+      idEmpresa: resultado.idEmpresa,
       tipoDocumento,
       precioOriginal: resultado.precioOriginal,
+      codigoPromocion: resultado.codigoPromocion,
+      descuentoPromocion: resultado.descuentoPromocion,
       puntosUsados: resultado.puntosUsados,
       descuentoPuntos: resultado.descuentoPuntos,
       precioFinal: resultado.precioFinal,
-      puntosGanados: resultado.puntosGanados
+      puntosGanados: resultado.puntosGanados,
+      categoria,
+      tarifasAplicadas: tarifa.reglas,
+      precioManual: resultado.motivoPrecioManual ? resultado.precioFinal : null,
+      motivoPrecioManual: resultado.motivoPrecioManual
     });
 
     // Emitir comprobante segun tipo de documento
     let comprobante = null;
     try {
-      const precioParaComprobante = resultado.precioFinal ?? resultado.precioOriginal;
-
-      if (tipoDocumento === 'BOLETA') {
-        comprobante = await facturacionService.emitirComprobante({
-          tipoComprobante: '03',
-          serie: 'BT74',
-          cliente: {
-            tipoDoc: tipoDocPasajero,
-            numDoc: resultado.pasajero.documentoIdentidad,
-            razonSocial: resultado.pasajero.nombreCompleto,
-            direccion: ''
-          },
-          items: [{
-            codigo: `PAS-${resultado.codigoInterno}`,
-            descripcion: `Pasaje ${resultado.viaje.ruta.puntoOrigen.nombre} - ${resultado.viaje.ruta.puntoDestino.nombre}`,
-            unidadMedida: 'ZZ',
-            cantidad: 1,
-            precioUnitario: precioParaComprobante
-          }],
-          origenTipo: 'TICKET',
-          origenId: resultado.id,
-          userId: req.user.id,
-          comentario: pasajero.comentario || null,
-          incluyeIgv: incluyeIgv !== undefined ? incluyeIgv : null
-        });
-
-        await prisma.$executeRaw`
-          UPDATE tbl_tickets SET id_comprobante = ${comprobante.id}, invoice_status = 'EMITIDO' WHERE id = ${resultado.id}
-        `;
-
-      } else if (tipoDocumento === 'FACTURA') {
-        comprobante = await facturacionService.emitirComprobante({
-          tipoComprobante: '01',
-          serie: 'FT74',
-          cliente: {
-            tipoDoc: '6',
-            numDoc: clienteFactura.ruc,
-            razonSocial: clienteFactura.razonSocial,
-            direccion: clienteFactura.direccion || ''
-          },
-          items: [{
-            codigo: `PAS-${resultado.codigoInterno}`,
-            descripcion: `Pasaje ${resultado.viaje.ruta.puntoOrigen.nombre} - ${resultado.viaje.ruta.puntoDestino.nombre}`,
-            unidadMedida: 'ZZ',
-            cantidad: 1,
-            precioUnitario: precioParaComprobante
-          }],
-          origenTipo: 'TICKET',
-          origenId: resultado.id,
-          userId: req.user.id,
-          comentario: pasajero.comentario || null,
-          incluyeIgv: incluyeIgv !== undefined ? incluyeIgv : null
-        });
-
-        await prisma.$executeRaw`
-          UPDATE tbl_tickets SET id_comprobante = ${comprobante.id}, invoice_status = 'EMITIDO' WHERE id = ${resultado.id}
-        `;
-
-      } else if (tipoDocumento === 'VERIFICACION') {
-        // Obtener siguiente numero para nota de venta
-        const numeroResult = await prisma.$queryRaw`
-          UPDATE tbl_series_factura
-          SET numero_actual = numero_actual + 1
-          WHERE tipo_comprobante = 'NV' AND serie = 'NV01'
-          RETURNING numero_actual
-        `;
-
-        if (!numeroResult || numeroResult.length === 0) {
-          throw new Error('Serie NV01 no encontrada');
-        }
-
-        const numero = numeroResult[0].numero_actual;
-
-        // Crear nota de venta con comentario
-        const notaResult = await prisma.$queryRaw`
-          INSERT INTO tbl_notas_venta (
-            serie, numero, cliente_nombre, cliente_documento,
-            descripcion, total, origen_tipo, origen_id,
-            user_id_registration, comentario
-          ) VALUES (
-            'NV01', ${numero},
-            ${resultado.pasajero.nombreCompleto},
-            ${resultado.pasajero.documentoIdentidad},
-            ${'Pasaje ' + resultado.viaje.ruta.puntoOrigen.nombre + ' - ' + resultado.viaje.ruta.puntoDestino.nombre},
-            ${precioParaComprobante},
-            'TICKET', ${resultado.id},
-            ${req.user.id},
-            ${pasajero.comentario || null}
-          )
-          RETURNING id, numero_completo
-        `;
-
-        // Vincular nota de venta al ticket
-        await prisma.$executeRaw`
-          UPDATE tbl_tickets SET id_nota_venta = ${notaResult[0].id} WHERE id = ${resultado.id}
-        `;
-
-        comprobante = {
-          id: notaResult[0].id,
-          tipo: 'VERIFICACION',
-          numeroCompleto: notaResult[0].numero_completo,
-          total: precioParaComprobante,
-          comentario: pasajero.comentario || null
-        };
-      }
+      comprobante = await emitirComprobanteTicket({
+        ticket: resultado,
+        tipoDocumento,
+        tipoDocPasajero,
+        clienteFactura,
+        comentario: pasajero.comentario,
+        incluyeIgv,
+        userId: req.user.id
+      });
     } catch (errorComprobante) {
       console.error('Error emitiendo comprobante:', errorComprobante);
       // El ticket ya se creo, reportar error de comprobante sin bloquear
@@ -570,43 +439,337 @@ const vender = async (req, res) => {
     }
 
     // Obtener datos de la agencia (punto del vendedor o punto de origen de la ruta)
-    let agencia = null;
-    const idPuntoAgencia = req.user.id_punto || resultado.viaje?.ruta?.idPuntoOrigen;
-    if (idPuntoAgencia) {
-      const puntoResult = await prisma.$queryRaw`
-        SELECT nombre, ciudad, direccion FROM tbl_puntos WHERE id = ${idPuntoAgencia} AND estado = 1
-      `;
-      if (puntoResult && puntoResult.length > 0) {
-        agencia = puntoResult[0];
+    const agencia = await obtenerAgencia(req.user.id_punto || resultado.viaje?.ruta?.idPuntoOrigen);
+
+    res.status(201).json({
+      mensaje: 'Pasaje vendido exitosamente',
+      ticket: { ...resultado, agencia },
+      comprobante: normalizarComprobante(comprobante, { tipoDocumento, agencia, ticket: resultado })
+    });
+  } catch (error) {
+    console.error('Error vendiendo pasaje:', error);
+
+    // Con aforo completo se puede inscribir al pasajero en POST /api/lista-espera
+    if (error.message === 'Aforo completo para este viaje') {
+      return res.status(400).json({ error: error.message, listaEspera: true });
+    }
+
+    if (error.message === 'El viaje no esta abierto para venta') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (esErrorAsiento(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (esErrorPromocion(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (esErrorPago(error)) {
+      return res.status(400).json({ error: error.message, total: error.total, totalPagos: error.totalPagos });
+    }
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+
+    if (esErrorCredito(error)) {
+      return res.status(400).json({ error: error.message, disponible: error.disponible });
+    }
+
+    res.status(500).json({ error: 'Error al vender pasaje' });
+  }
+};
+
+/**
+ * Vender pasajes en lote (varios pasajeros y retorno opcional)
+ * POST /api/tickets/lote
+ *
+ * Todos los asientos se venden en una sola transaccion: si uno falla no se vende ninguno.
+ * Se emite un solo comprobante con un item por ticket.
+ * Body: { idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada,
+ *         pasajeros: [{ nombreCompleto, documentoIdentidad, telefono, numeroAsiento, numeroAsientoRetorno, puntosACanjear, categoria }],
+ *         retorno: { idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada },
+ *         metodoPago | pagos: [{ metodo, monto, referencia }], idEmpresa, tipoDocumento, clienteFactura, incluyeIgv, comentario }
+ * Los pagos cubren el total del lote y se reparten entre los tickets en orden.
+ * Con metodoPago CREDITO e idEmpresa el lote se carga a la cuenta de la empresa y se emite nota de venta.
+ */
+const venderLote = async (req, res) => {
+  try {
+    const {
+      idRuta,
+      idHorario,
+      fechaViaje,
+      idPuntoSubida,
+      idPuntoBajada,
+      pasajeros,
+      retorno,
+      metodoPago,
+      pagos,
+      idEmpresa,
+      tipoDocumento: tipoDocumentoSolicitado,
+      clienteFactura,
+      incluyeIgv,
+      comentario
+    } = req.body;
+
+    if (!Array.isArray(pasajeros) || pasajeros.length === 0) {
+      return res.status(400).json({
+        error: 'Se requiere al menos un pasajero'
+      });
+    }
+
+    const cobro = normalizarPagos({ pagos, metodoPago, idEmpresa });
+    if (cobro.error) {
+      return res.status(400).json({ error: cobro.error });
+    }
+
+    // La venta a credito se factura al consolidar el periodo de la empresa
+    const tipoDocumento = cobro.credito ? 'VERIFICACION' : tipoDocumentoSolicitado;
+
+    // El cobro se registra en la caja abierta del vendedor (la venta a credito no pasa por caja)
+    const caja = cobro.credito ? null : await obtenerCajaAbierta(prisma, req.user.id);
+    if (!cobro.credito && !caja) {
+      return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+    }
+
+    // Validar tipo de documento (obligatorio) y datos de factura
+    const errorDocumento = validarDocumentoVenta({ tipoDocumento, clienteFactura });
+    if (errorDocumento) {
+      return res.status(400).json({ error: errorDocumento });
+    }
+
+    // Validar cada pasajero y sus asientos
+    const pasajerosValidados = [];
+    for (const [index, pasajero] of pasajeros.entries()) {
+      const { tipoDocPasajero, categoria, error: errorPasajero } = validarPasajero(pasajero);
+      if (errorPasajero) {
+        return res.status(400).json({ error: `Pasajero ${index + 1}: ${errorPasajero}` });
+      }
+
+      const numeroAsiento = parseInt(pasajero.numeroAsiento);
+      const numeroAsientoRetorno = parseInt(pasajero.numeroAsientoRetorno);
+
+      if (!numeroAsiento || numeroAsiento <= 0) {
+        return res.status(400).json({ error: `Pasajero ${index + 1}: El numero de asiento es requerido` });
       }
+
+      if (retorno && (!numeroAsientoRetorno || numeroAsientoRetorno <= 0)) {
+        return res.status(400).json({ error: `Pasajero ${index + 1}: El numero de asiento de retorno es requerido` });
+      }
+
+      pasajerosValidados.push({
+        pasajero,
+        tipoDocPasajero,
+        categoria,
+        numeroAsiento,
+        numeroAsientoRetorno: retorno ? numeroAsientoRetorno : null,
+        puntosUsados: Math.max(0, parseInt(pasajero.puntosACanjear) || 0)
+      });
+    }
+
+    const hayRepetidos = (valores) => new Set(valores).size !== valores.length;
+
+    if (hayRepetidos(pasajerosValidados.map((p) => p.pasajero.documentoIdentidad))) {
+      return res.status(400).json({ error: 'Hay pasajeros repetidos en el lote' });
+    }
+
+    if (hayRepetidos(pasajerosValidados.map((p) => p.numeroAsiento)) ||
+      (retorno && hayRepetidos(pasajerosValidados.map((p) => p.numeroAsientoRetorno)))) {
+      return res.status(400).json({ error: 'Hay asientos repetidos en el lote' });
+    }
+
+    // Validar viaje de ida
+    const ida = await validarViajeVenta({ idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada });
+    if (ida.error) {
+      return res.status(400).json({ error: ida.error });
     }
 
-    // Normalizar respuesta del comprobante para todos los tipos
-    if (comprobante) {
-      comprobante.tipoDocumento = tipoDocumento;
-      comprobante.agencia = agencia;
-      // Normalizar campo numeroCompleto para BOLETA y FACTURA
-      if (!comprobante.numeroCompleto && comprobante.numero_completo) {
-        comprobante.numeroCompleto = comprobante.numero_completo;
+    // Validar viaje de retorno (opcional)
+    let vuelta = null;
+    if (retorno) {
+      vuelta = await validarViajeVenta(retorno);
+      if (vuelta.error) {
+        return res.status(400).json({ error: `Retorno: ${vuelta.error}` });
+      }
+
+      if (vuelta.fechaDate < ida.fechaDate) {
+        return res.status(400).json({ error: 'La fecha de retorno no puede ser anterior a la fecha de ida' });
+      }
+
+      if (vuelta.idRuta === ida.idRuta && vuelta.idHorario === ida.idHorario &&
+        vuelta.fechaDate.getTime() === ida.fechaDate.getTime()) {
+        return res.status(400).json({ error: 'El viaje de retorno debe ser distinto al de ida' });
       }
-      if (!comprobante.total) {
-        comprobante.total = comprobante.total_venta || resultado.precioFinal || resultado.precioOriginal;
+    }
+
+    // Obtener configuracion de puntos
+    const { solesPorPunto, puntosPorSolDescuento } = await obtenerConfiguracionPuntos();
+
+    // Los puntos a canjear se aplican solo al pasaje de ida de cada pasajero
+    const viajesLote = [
+      { tipo: 'IDA', datos: ida, asiento: (p) => p.numeroAsiento, puntos: (p) => p.puntosUsados },
+      vuelta && { tipo: 'RETORNO', datos: vuelta, asiento: (p) => p.numeroAsientoRetorno, puntos: () => 0 }
+    ].filter(Boolean);
+
+    // Transaccion unica para todos los pasajes (todo o nada); el timeout se amplia por el volumen de operaciones
+    const tickets = await prisma.$transaction(async (tx) => {
+      const vendidos = [];
+
+      for (const viajeLote of viajesLote) {
+        const { datos } = viajeLote;
+
+        const viaje = await buscarOCrearViaje(tx, {
+          idRuta: datos.idRuta,
+          idHorario: datos.idHorario,
+          fechaServicio: datos.fechaDate,
+          capacidadTotal: datos.horario.capacidadTotal,
+          userId: req.user.id
+        });
+
+        if (viaje.estado !== 'ABIERTO') {
+          throw new Error('El viaje no esta abierto para venta');
+        }
+
+        const cuposDisponibles = await calcularCuposTramo(tx, viaje, datos.tramo.ordenSubida, datos.tramo.ordenBajada);
+        if (cuposDisponibles < pasajerosValidados.length) {
+          throw new Error('No hay cupos suficientes para todos los pasajeros');
+        }
+
+        for (const item of pasajerosValidados) {
+          // Tarifa del tramo con reglas de tarifa segun la categoria de cada pasajero
+          const tarifa = await calcularTarifa(tx, {
+            idRuta: datos.idRuta,
+            idHorario: datos.idHorario,
+            fecha: datos.fechaDate,
+            precioBase: datos.tramo.precio,
+            categoria: item.categoria
+          });
+          const precioOriginal = tarifa.precio;
+          const puntosGanados = Math.floor(precioOriginal / solesPorPunto);
+
+          try {
+            const ticket = await registrarTicket(tx, {
+              viaje,
+              pasajero: item.pasajero,
+              tipoDocPasajero: item.tipoDocPasajero,
+              numeroAsiento: viajeLote.asiento(item),
+              tramo: datos.tramo,
+              metodoPago: cobro.metodoPrincipal,
+              precioOriginal,
+              puntosGanados,
+              puntosUsados: viajeLote.puntos(item),
+              puntosPorSolDescuento,
+              precioManual: null,
+              categoriaPasajero: item.categoria,
+              tarifasAplicadas: tarifa,
+              userId: req.user.id
+            });
+            vendidos.push({ ...ticket, tipoViaje: viajeLote.tipo });
+          } catch (errorAsiento) {
+            // Indicar que asiento fallo para que el vendedor pueda cambiarlo
+            if (esErrorAsiento(errorAsiento)) {
+              errorAsiento.numeroAsiento = viajeLote.asiento(item);
+              errorAsiento.tipoViaje = viajeLote.tipo;
+            }
+            throw errorAsiento;
+          }
+        }
       }
+
+      await registrarPagosTickets(tx, vendidos, cobro.pagos, req.user.id, {
+        idCaja: caja?.id ?? null,
+        idEmpresa: cobro.idEmpresa
+      });
+
+      return vendidos.map((ticket) => ({ ...ticket, idEmpresa: cobro.idEmpresa }));
+    }, { timeout: 30000 });
+
+    // Auditoria por ticket
+    for (const ticket of tickets) {
+      await registrarAuditoria(req.user.id, 'TICKET_VENDIDO', 'TICKET', ticket.id, {
+        codigoInterno: ticket.codigoInterno,
+        lote: true,
+        tipoViaje: ticket.tipoViaje,
+        pasajero: ticket.pasajero.nombreCompleto,
+        numeroAsiento: ticket.numeroAsiento,
+        idPuntoSubida: ticket.idPuntoSubida,
+        idPuntoBajada: ticket.idPuntoBajada,
+        metodoPago: ticket.metodoPago,
+        idEmpresa: ticket.idEmpresa,
+        tipoDocumento,
+        precioOriginal: ticket.precioOriginal,
+        puntosUsados: ticket.puntosUsados,
+        descuentoPuntos: ticket.descuentoPuntos,
+        precioFinal: ticket.precioFinal,
+        puntosGanados: ticket.puntosGanados,
+        categoria: ticket.categoriaPasajero,
+        tarifasAplicadas: ticket.tarifasAplicadas?.reglas || []
+      });
+    }
+
+    const total = Math.round(tickets.reduce((suma, t) => suma + t.precioFinal, 0) * 100) / 100;
+
+    // Emitir un solo comprobante para todo el lote
+    let comprobante = null;
+    try {
+      comprobante = await emitirComprobanteTickets({
+        tickets,
+        tipoDocumento,
+        tipoDocPasajero: pasajerosValidados[0].tipoDocPasajero,
+        clienteFactura,
+        comentario,
+        incluyeIgv,
+        userId: req.user.id
+      });
+    } catch (errorComprobante) {
+      console.error('Error emitiendo comprobante:', errorComprobante);
+      return res.status(201).json({
+        mensaje: 'Pasajes vendidos exitosamente, pero hubo un error al generar el comprobante',
+        tickets,
+        total,
+        comprobanteError: errorComprobante.message
+      });
     }
 
+    const agencia = await obtenerAgencia(req.user.id_punto || tickets[0].viaje?.ruta?.idPuntoOrigen);
+
     res.status(201).json({
-      mensaje: 'Pasaje vendido exitosamente',
-      ticket: { ...resultado, agencia },
-      comprobante
+      mensaje: 'Pasajes vendidos exitosamente',
+      tickets: tickets.map((ticket) => ({ ...ticket, agencia })),
+      total,
+      comprobante: normalizarComprobante(comprobante, { tipoDocumento, agencia, ticket: { precioFinal: total } })
     });
   } catch (error) {
-    console.error('Error vendiendo pasaje:', error);
+    console.error('Error vendiendo pasajes en lote:', error);
 
-    if (error.message === 'Aforo completo para este viaje') {
+    if (esErrorAsiento(error)) {
+      return res.status(400).json({
+        error: error.message,
+        numeroAsiento: error.numeroAsiento,
+        tipoViaje: error.tipoViaje
+      });
+    }
+
+    if (error.message === 'No hay cupos suficientes para todos los pasajeros' ||
+      error.message === 'El viaje no esta abierto para venta') {
       return res.status(400).json({ error: error.message });
     }
 
-    res.status(500).json({ error: 'Error al vender pasaje' });
+    if (esErrorPago(error)) {
+      return res.status(400).json({ error: error.message, total: error.total, totalPagos: error.totalPagos });
+    }
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+
+    if (esErrorCredito(error)) {
+      return res.status(400).json({ error: error.message, disponible: error.disponible });
+    }
+
+    res.status(500).json({ error: 'Error al vender pasajes' });
   }
 };
 
@@ -633,8 +796,24 @@ const obtener = async (req, res) => {
           }
         },
         pasajero: true,
+        puntoSubida: true,
+        puntoBajada: true,
         usuarioVenta: {
           select: { id: true, nombres: true }
+        },
+        // Medios de pago de la venta
+        pagos: {
+          select: { metodo: true, monto: true, referencia: true },
+          orderBy: { id: 'asc' }
+        },
+        // Historial de cambios de fecha/horario
+        reprogramaciones: {
+          orderBy: { fechaReprogramacion: 'asc' },
+          include: {
+            viajeAnterior: { include: INCLUDE_VIAJE_HISTORIAL },
+            viajeNuevo: { include: INCLUDE_VIAJE_HISTORIAL },
+            usuario: { select: { id: true, nombres: true } }
+          }
         }
       }
     });
@@ -690,11 +869,17 @@ const obtenerPorCodigo = async (req, res) => {
 /**
  * Anular ticket
  * POST /api/tickets/:id/anular
+ *
+ * Revierte la venta completa: libera asiento y cupo, revierte los puntos del pasajero,
+ * anula el comprobante (o emite nota de credito si el comprobante incluye otros tickets),
+ * anula la nota de venta y registra el monto y metodo de devolucion.
+ * En un pasaje a credito la devolucion se descuenta de la cuenta de la empresa (metodo CREDITO).
+ * Body: { motivo, montoDevolucion, metodoDevolucion }
  */
 const anular = async (req, res) => {
   try {
     const { id } = req.params;
-    const { motivo } = req.body;
+    const { motivo, montoDevolucion, metodoDevolucion } = req.body;
 
     const ticketExistente = await prisma.ticket.findUnique({
       where: { id: parseInt(id) },
@@ -709,48 +894,583 @@ const anular = async (req, res) => {
       return res.status(400).json({ error: 'Solo se pueden anular tickets emitidos' });
     }
 
-    // Transaccion para anular
-    const resultado = await prisma.$transaction(async (tx) => {
-      // Anular ticket
-      const ticket = await tx.ticket.update({
-        where: { id: parseInt(id) },
-        data: {
-          estado: 'ANULADO',
-          fechaAnulacion: utcNow(),
-          idUsuarioAnulacion: req.user.id,
-          motivoAnulacion: motivo || 'Sin motivo especificado',
-          userIdModification: req.user.id,
-          dateTimeModification: utcNow()
-        }
+    // Devolucion: por defecto el total pagado con el mismo metodo de pago
+    const precioPagado = parseFloat(ticketExistente.precio_final ?? ticketExistente.precio_original ?? 0);
+    const devolucion = montoDevolucion !== undefined && montoDevolucion !== null && montoDevolucion !== ''
+      ? Math.round(parseFloat(montoDevolucion) * 100) / 100
+      : precioPagado;
+    const credito = ticketExistente.metodoPago === METODO_CREDITO;
+    const metodo = credito ? METODO_CREDITO : metodoDevolucion || ticketExistente.metodoPago;
+
+    if (isNaN(devolucion) || devolucion < 0 || devolucion > precioPagado) {
+      return res.status(400).json({
+        error: 'El monto de devolucion debe estar entre 0 y el precio pagado'
       });
+    }
 
-      // Liberar cupo
-      await tx.viaje.update({
-        where: { id: ticketExistente.idViaje },
-        data: {
-          capacidadVendida: Math.max(0, ticketExistente.viaje.capacidadVendida - 1)
-        }
+    if (!credito && !METODOS_PAGO.includes(metodo)) {
+      return res.status(400).json({
+        error: 'Metodo de devolucion invalido'
       });
+    }
 
-      return ticket;
+    // La devolucion sale de la caja abierta de quien anula
+    let caja = null;
+    if (devolucion > 0 && !credito) {
+      caja = await obtenerCajaAbierta(prisma, req.user.id);
+      if (!caja) {
+        return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+      }
+    }
+
+    const motivoAnulacion = motivo || 'Sin motivo especificado';
+
+    const { reversion, reversionError, ...resultado } = await anularTicketVenta(ticketExistente, {
+      motivo: motivoAnulacion,
+      devolucion,
+      metodo,
+      userId: req.user.id,
+      idCaja: caja?.id ?? null
     });
 
     // Auditoria
-    await registrarAuditoria(req.user.id, 'TICKET_ANULADO', 'TICKET', resultado.id, {
-      codigoInterno: resultado.codigoInterno,
-      motivo: motivo || 'Sin motivo especificado'
+    await registrarAuditoria(req.user.id, 'TICKET_ANULADO', 'TICKET', resultado.ticket.id, {
+      codigoInterno: resultado.ticket.codigoInterno,
+      motivo: motivoAnulacion,
+      montoDevolucion: devolucion,
+      metodoDevolucion: metodo,
+      ...resultado.puntos,
+      reversion,
+      reversionError
     });
 
+    // El asiento liberado se ofrece a la lista de espera del viaje
+    await promoverListaEspera(resultado.ticket.idViaje, req.user.id);
+
     res.json({
-      mensaje: 'Ticket anulado exitosamente',
-      ticket: resultado
+      mensaje: reversionError
+        ? 'Ticket anulado exitosamente, pero hubo un error al revertir el comprobante'
+        : 'Ticket anulado exitosamente',
+      ticket: resultado.ticket,
+      devolucion: { monto: devolucion, metodo },
+      puntos: resultado.puntos,
+      reversion,
+      ...(reversionError && { reversionError })
     });
   } catch (error) {
     console.error('Error anulando ticket:', error);
+
+    if (error.message === 'Solo se pueden anular tickets emitidos' || esErrorCredito(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+
     res.status(500).json({ error: 'Error al anular ticket' });
   }
 };
 
+/**
+ * Reprogramar ticket (cambio de fecha, horario o ruta)
+ * POST /api/tickets/:id/reprogramar
+ *
+ * Mueve el ticket a otro viaje liberando el asiento y cupo anteriores en la misma transaccion.
+ * Se cobra o devuelve la diferencia entre el precio final pagado y el nuevo (con los mismos
+ * descuentos de puntos y promocion) y se aplica el cargo por cambio configurado.
+ * En un pasaje a credito la diferencia se carga o se devuelve en la cuenta de la empresa
+ * (sin caja ni comprobante: entra en la factura consolidada).
+ * Un pasaje vendido a precio manual conserva ese precio, salvo que se indique uno nuevo
+ * (con el mismo permiso y motivo que en la venta). Los puntos ganados se recalculan
+ * sobre el nuevo precio final.
+ * Body: { idRuta, idHorario, fechaViaje, numeroAsiento, idPuntoSubida, idPuntoBajada,
+ *         motivo, metodoPago, tipoDocumento, clienteFactura, incluyeIgv,
+ *         precioManual, motivoPrecioManual }
+ */
+const reprogramar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      idRuta,
+      idHorario,
+      fechaViaje,
+      numeroAsiento,
+      idPuntoSubida,
+      idPuntoBajada,
+      motivo,
+      metodoPago,
+      tipoDocumento,
+      clienteFactura,
+      incluyeIgv,
+      precioManual,
+      motivoPrecioManual
+    } = req.body;
+
+    if (!numeroAsiento || isNaN(parseInt(numeroAsiento)) || parseInt(numeroAsiento) <= 0) {
+      return res.status(400).json({
+        error: 'El numero de asiento es requerido'
+      });
+    }
+
+    const errorPrecio = validarPrecioManual({ precioManual, motivoPrecioManual, permisos: req.userPermisos });
+    if (errorPrecio) {
+      return res.status(errorPrecio.status).json({ error: errorPrecio.error });
+    }
+
+    const ticketExistente = await prisma.ticket.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        viaje: { include: { ruta: true } },
+        pasajero: true,
+        puntoSubida: true,
+        puntoBajada: true
+      }
+    });
+
+    if (!ticketExistente) {
+      return res.status(404).json({ error: 'Ticket no encontrado' });
+    }
+
+    if (ticketExistente.estado !== 'EMITIDO') {
+      return res.status(400).json({ error: 'Solo se pueden reprogramar tickets emitidos' });
+    }
+
+    // Los pasajes de viajes cancelados que no se reubicaron automaticamente se reprograman a mano
+    if (!['ABIERTO', 'CANCELADO'].includes(ticketExistente.viaje.estado)) {
+      return res.status(400).json({ error: 'Solo se pueden reprogramar pasajes de viajes abiertos o cancelados' });
+    }
+
+    // Validar viaje nuevo
+    const nuevo = await validarViajeVenta({ idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada });
+    if (nuevo.error) {
+      return res.status(400).json({ error: nuevo.error });
+    }
+
+    const viajeActual = ticketExistente.viaje;
+    if (nuevo.idRuta === viajeActual.idRuta && nuevo.idHorario === viajeActual.idHorario &&
+      nuevo.fechaDate.getTime() === viajeActual.fechaServicio.getTime()) {
+      return res.status(400).json({ error: 'El ticket ya pertenece a ese viaje' });
+    }
+
+    // Diferencia de tarifa y cargo por cambio (positivo = cobrar, negativo = devolver)
+    // La nueva tarifa se evalua con las reglas vigentes para la categoria del pasajero
+    const tarifaNueva = await calcularTarifa(prisma, {
+      idRuta: nuevo.idRuta,
+      idHorario: nuevo.idHorario,
+      fecha: nuevo.fechaDate,
+      precioBase: nuevo.tramo.precio,
+      categoria: ticketExistente.categoriaPasajero
+    });
+    const precioNuevo = tarifaNueva.precio;
+
+    // Los descuentos por puntos y por promocion del ticket se mantienen sobre la nueva tarifa;
+    // la diferencia se calcula entre lo pagado y el nuevo precio final
+    const descuentoPuntos = parseFloat(ticketExistente.descuento_puntos || 0);
+    const descuentoPromocion = parseFloat(ticketExistente.descuentoPromocion || 0);
+    const precioFinalAnterior = parseFloat(
+      ticketExistente.precio_final ?? ticketExistente.precio_original ?? viajeActual.ruta.precioPasaje
+    );
+
+    // Precio manual: el nuevo indicado o, si el pasaje se vendio a precio manual, el mismo precio final
+    const esPrecioManualNuevo = precioManual != null && precioManual !== '';
+    const motivoPrecioManualFinal = esPrecioManualNuevo
+      ? motivoPrecioManual.trim()
+      : ticketExistente.motivoPrecioManual;
+    let precioFinalNuevo;
+    if (esPrecioManualNuevo) {
+      precioFinalNuevo = Math.round(parseFloat(precioManual) * 100) / 100;
+    } else if (ticketExistente.motivoPrecioManual) {
+      precioFinalNuevo = precioFinalAnterior;
+    } else {
+      precioFinalNuevo = Math.max(0, Math.round((precioNuevo - descuentoPuntos - descuentoPromocion) * 100) / 100);
+    }
+    const diferenciaTarifa = Math.round((precioFinalNuevo - precioFinalAnterior) * 100) / 100;
+    const cargoCambio = await obtenerCargoReprogramacion();
+    const montoNeto = Math.round((diferenciaTarifa + cargoCambio) * 100) / 100;
+    const montoCobrado = Math.max(0, montoNeto);
+    const montoDevuelto = Math.max(0, -montoNeto);
+    const credito = ticketExistente.metodoPago === METODO_CREDITO && !!ticketExistente.idEmpresa;
+
+    // Los puntos ganados siguen al nuevo precio final; el saldo del pasajero se ajusta por la diferencia
+    const { solesPorPunto } = await obtenerConfiguracionPuntos();
+    const puntosGanadosAnterior = ticketExistente.puntos_ganados || 0;
+    const puntosGanadosNuevo = Math.floor(precioFinalNuevo / solesPorPunto);
+    const diferenciaPuntos = puntosGanadosNuevo - puntosGanadosAnterior;
+
+    if (montoNeto !== 0 && !credito && (!metodoPago || !METODOS_PAGO.includes(metodoPago))) {
+      return res.status(400).json({
+        error: 'Metodo de pago invalido'
+      });
+    }
+
+    if (montoCobrado > 0 && !credito) {
+      const errorDocumento = validarDocumentoVenta({ tipoDocumento, clienteFactura });
+      if (errorDocumento) {
+        return res.status(400).json({ error: errorDocumento });
+      }
+    }
+
+    // La diferencia cobrada o devuelta pasa por la caja abierta del usuario
+    let caja = null;
+    if (montoNeto !== 0 && !credito) {
+      caja = await obtenerCajaAbierta(prisma, req.user.id);
+      if (!caja) {
+        return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+      }
+    }
+
+    const resultado = await prisma.$transaction(async (tx) => {
+      const viaje = await buscarOCrearViaje(tx, {
+        idRuta: nuevo.idRuta,
+        idHorario: nuevo.idHorario,
+        fechaServicio: nuevo.fechaDate,
+        capacidadTotal: nuevo.horario.capacidadTotal,
+        userId: req.user.id
+      });
+
+      if (viaje.estado !== 'ABIERTO') {
+        throw new Error('El viaje no esta abierto para venta');
+      }
+
+      const cuposDisponibles = await calcularCuposTramo(tx, viaje, nuevo.tramo.ordenSubida, nuevo.tramo.ordenBajada);
+      if (cuposDisponibles <= 0) {
+        throw new Error('Aforo completo para este viaje');
+      }
+
+      await ocuparAsiento(tx, viaje.id, parseInt(numeroAsiento), {
+        ordenSubida: nuevo.tramo.ordenSubida,
+        ordenBajada: nuevo.tramo.ordenBajada
+      });
+
+      // Mover el ticket solo si sigue emitido en el viaje original (evita doble reprogramacion)
+      const { count } = await tx.ticket.updateMany({
+        where: { id: ticketExistente.id, estado: 'EMITIDO', idViaje: viajeActual.id },
+        data: {
+          idViaje: viaje.id,
+          numeroAsiento: parseInt(numeroAsiento),
+          idPuntoSubida: nuevo.tramo.paradaSubida.idPunto,
+          idPuntoBajada: nuevo.tramo.paradaBajada.idPunto,
+          ordenSubida: nuevo.tramo.ordenSubida,
+          ordenBajada: nuevo.tramo.ordenBajada,
+          precio_original: precioNuevo,
+          precio_final: precioFinalNuevo,
+          puntos_ganados: puntosGanadosNuevo,
+          tarifasAplicadas: tarifaNueva,
+          motivoPrecioManual: motivoPrecioManualFinal,
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      if (count === 0) {
+        throw new Error('El ticket ya no esta disponible para reprogramar');
+      }
+
+      if (diferenciaPuntos !== 0) {
+        const pasajero = await tx.pasajero.findUnique({ where: { id: ticketExistente.idPasajero } });
+        const puntosDisponibles = pasajero.puntos_disponibles ?? pasajero.puntos ?? 0;
+        const puntosHistoricos = pasajero.puntos_historicos ?? pasajero.puntos ?? 0;
+
+        // Si el pasajero ya gasto los puntos ganados, el saldo no baja de cero
+        await tx.pasajero.update({
+          where: { id: pasajero.id },
+          data: {
+            puntos_disponibles: Math.max(0, puntosDisponibles + diferenciaPuntos),
+            puntos_historicos: Math.max(0, puntosHistoricos + diferenciaPuntos),
+            userIdModification: req.user.id,
+            dateTimeModification: utcNow()
+          }
+        });
+      }
+
+      // Liberar cupo del viaje anterior y tomar cupo del nuevo
+      await tx.viaje.update({
+        where: { id: viajeActual.id },
+        data: { capacidadVendida: { decrement: 1 } }
+      });
+
+      await tx.viaje.update({
+        where: { id: viaje.id },
+        data: { capacidadVendida: { increment: 1 } }
+      });
+
+      const reprogramacion = await tx.ticketReprogramacion.create({
+        data: {
+          idTicket: ticketExistente.id,
+          idViajeAnterior: viajeActual.id,
+          idViajeNuevo: viaje.id,
+          numeroAsientoAnterior: ticketExistente.numeroAsiento,
+          numeroAsientoNuevo: parseInt(numeroAsiento),
+          idPuntoSubidaAnterior: ticketExistente.idPuntoSubida,
+          idPuntoBajadaAnterior: ticketExistente.idPuntoBajada,
+          idPuntoSubidaNuevo: nuevo.tramo.paradaSubida.idPunto,
+          idPuntoBajadaNuevo: nuevo.tramo.paradaBajada.idPunto,
+          precioAnterior: precioFinalAnterior,
+          precioNuevo: precioFinalNuevo,
+          diferenciaTarifa,
+          cargoCambio,
+          montoCobrado,
+          montoDevuelto,
+          metodoPago: montoNeto === 0 ? null : credito ? METODO_CREDITO : metodoPago,
+          motivo: motivo?.trim() || null,
+          idUsuario: req.user.id,
+          userIdRegistration: req.user.id
+        }
+      });
+
+      // Pasaje a credito: la diferencia se carga o devuelve en la cuenta de la empresa
+      if (credito && montoCobrado > 0) {
+        await cargarCredito(tx, ticketExistente.idEmpresa, [{
+          monto: montoCobrado,
+          idTicket: ticketExistente.id,
+          descripcion: `Reprogramacion ${ticketExistente.codigoInterno}`
+        }], req.user.id);
+      } else if (credito && montoDevuelto > 0) {
+        await revertirCargoTicket(tx, ticketExistente, {
+          monto: montoDevuelto,
+          userId: req.user.id,
+          descripcion: `Reprogramacion ${ticketExistente.codigoInterno}`
+        });
+      }
+
+      if (caja) {
+        await registrarMovimientos(tx, caja.id, [{
+          tipo: montoCobrado > 0 ? 'REPROGRAMACION' : 'DEVOLUCION',
+          metodo: metodoPago,
+          monto: montoCobrado > 0 ? montoCobrado : montoDevuelto,
+          idTicket: ticketExistente.id,
+          descripcion: `Reprogramacion ${ticketExistente.codigoInterno}`
+        }], req.user.id);
+      }
+
+      const ticket = await tx.ticket.findUnique({
+        where: { id: ticketExistente.id },
+        include: {
+          viaje: {
+            include: {
+              ruta: {
+                include: {
+                  puntoOrigen: true,
+                  puntoDestino: true
+                }
+              },
+              horario: true
+            }
+          },
+          pasajero: true,
+          puntoSubida: true,
+          puntoBajada: true
+        }
+      });
+
+      return { ticket, reprogramacion };
+    });
+
+    const { ticket, reprogramacion } = resultado;
+
+    // Auditoria
+    await registrarAuditoria(req.user.id, 'TICKET_REPROGRAMADO', 'TICKET', ticket.id, {
+      codigoInterno: ticket.codigoInterno,
+      idReprogramacion: reprogramacion.id,
+      idViajeAnterior: reprogramacion.idViajeAnterior,
+      idViajeNuevo: reprogramacion.idViajeNuevo,
+      numeroAsientoAnterior: reprogramacion.numeroAsientoAnterior,
+      numeroAsientoNuevo: reprogramacion.numeroAsientoNuevo,
+      precioAnterior: precioFinalAnterior,
+      precioNuevo: precioFinalNuevo,
+      diferenciaTarifa,
+      cargoCambio,
+      montoCobrado,
+      montoDevuelto,
+      metodoPago: reprogramacion.metodoPago,
+      motivo: reprogramacion.motivo,
+      precioManual: motivoPrecioManualFinal ? precioFinalNuevo : null,
+      motivoPrecioManual: motivoPrecioManualFinal,
+      puntosGanadosAnterior,
+      puntosGanadosNuevo
+    });
+
+    // El asiento liberado en el viaje anterior se ofrece a su lista de espera
+    await promoverListaEspera(reprogramacion.idViajeAnterior, req.user.id);
+
+    // Emitir comprobante por el monto cobrado (diferencia de tarifa y cargo por cambio);
+    // a credito se factura en la consolidacion mensual
+    let comprobante = null;
+    if (montoCobrado > 0 && !credito) {
+      const items = diferenciaTarifa >= 0
+        ? [
+          { codigo: `DIF-${ticket.codigoInterno}`, descripcion: `Diferencia de tarifa ${describirPasaje(ticket)}`, precioUnitario: diferenciaTarifa },
+          { codigo: `CAM-${ticket.codigoInterno}`, descripcion: 'Cargo por reprogramacion de pasaje', precioUnitario: cargoCambio }
+        ].filter((item) => item.precioUnitario > 0)
+        : [
+          { codigo: `CAM-${ticket.codigoInterno}`, descripcion: 'Cargo por reprogramacion de pasaje (neto de diferencia de tarifa)', precioUnitario: montoCobrado }
+        ];
+
+      try {
+        comprobante = await emitirComprobanteVenta({
+          tipoDocumento,
+          cliente: {
+            tipoDoc: ticket.pasajero.tipo_documento || (ticket.pasajero.documentoIdentidad.length === 11 ? '6' : '1'),
+            numDoc: ticket.pasajero.documentoIdentidad,
+            razonSocial: ticket.pasajero.nombreCompleto,
+            direccion: ''
+          },
+          clienteFactura,
+          items: items.map((item) => ({ ...item, unidadMedida: 'ZZ', cantidad: 1 })),
+          descripcion: `Reprogramacion ${ticket.codigoInterno}: ${describirPasaje(ticket)}`,
+          origenTipo: 'REPROGRAMACION',
+          origenId: reprogramacion.id,
+          comentario: motivo,
+          incluyeIgv,
+          userId: req.user.id
+        });
+
+        await prisma.ticketReprogramacion.update({
+          where: { id: reprogramacion.id },
+          data: comprobante?.tipo === 'VERIFICACION'
+            ? { idNotaVenta: comprobante.id }
+            : { idComprobante: comprobante?.id ?? null }
+        });
+      } catch (errorComprobante) {
+        console.error('Error emitiendo comprobante de reprogramacion:', errorComprobante);
+        return res.json({
+          mensaje: 'Ticket reprogramado exitosamente, pero hubo un error al generar el comprobante',
+          ticket,
+          reprogramacion,
+          comprobanteError: errorComprobante.message
+        });
+      }
+    }
+
+    res.json({
+      mensaje: 'Ticket reprogramado exitosamente',
+      ticket,
+      reprogramacion,
+      comprobante
+    });
+  } catch (error) {
+    console.error('Error reprogramando ticket:', error);
+
+    if (error.message === 'Aforo completo para este viaje' ||
+      error.message === 'El viaje no esta abierto para venta' ||
+      error.message === 'El ticket ya no esta disponible para reprogramar' ||
+      esErrorAsiento(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (esErrorCredito(error)) {
+      return res.status(400).json({ error: error.message, disponible: error.disponible });
+    }
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+
+    res.status(500).json({ error: 'Error al reprogramar ticket' });
+  }
+};
+
+/**
+ * Registrar abordaje escaneando el QR del ticket
+ * POST /api/tickets/abordar
+ * Body: { qr, idViaje }
+ */
+const abordar = async (req, res) => {
+  try {
+    const { qr, idViaje } = req.body;
+
+    if (!qr || !idViaje) {
+      return res.status(400).json({ error: 'Se requiere qr e idViaje' });
+    }
+
+    const codigoInterno = verificarQrTicket(qr);
+    if (!codigoInterno) {
+      return res.status(400).json({ error: 'Codigo QR invalido' });
+    }
+
+    const ticket = await prisma.ticket.findUnique({
+      where: { codigoInterno },
+      include: {
+        pasajero: true,
+        viaje: true,
+        usuarioAbordaje: { select: { id: true, nombres: true } }
+      }
+    });
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket no encontrado' });
+    }
+
+    if (ticket.idViaje !== parseInt(idViaje)) {
+      return res.status(400).json({ error: 'El ticket no pertenece a este viaje' });
+    }
+
+    if (ticket.estado !== 'EMITIDO') {
+      return res.status(400).json({ error: 'El ticket esta anulado' });
+    }
+
+    if (ticket.viaje.estado === 'CANCELADO') {
+      return res.status(400).json({ error: 'El viaje esta cancelado' });
+    }
+
+    if (ticket.viaje.estado === 'FINALIZADO') {
+      return res.status(400).json({ error: 'El viaje ya finalizo' });
+    }
+
+    const respuestaDuplicado = (fechaAbordaje, usuario) => res.status(409).json({
+      error: 'El pasajero ya abordo',
+      fechaAbordaje,
+      usuarioAbordaje: usuario
+    });
+
+    if (ticket.fechaAbordaje) {
+      return respuestaDuplicado(ticket.fechaAbordaje, ticket.usuarioAbordaje);
+    }
+
+    // Marcar solo si sigue sin abordar (dos lectores escaneando a la vez)
+    const fechaAbordaje = utcNow();
+    const { count } = await prisma.ticket.updateMany({
+      where: { id: ticket.id, estado: 'EMITIDO', fechaAbordaje: null },
+      data: {
+        fechaAbordaje,
+        idUsuarioAbordaje: req.user.id
+      }
+    });
+
+    if (count === 0) {
+      const actual = await prisma.ticket.findUnique({
+        where: { id: ticket.id },
+        include: { usuarioAbordaje: { select: { id: true, nombres: true } } }
+      });
+      return respuestaDuplicado(actual.fechaAbordaje, actual.usuarioAbordaje);
+    }
+
+    await registrarAuditoria(req.user.id, 'TICKET_ABORDADO', 'TICKET', ticket.id, {
+      codigoInterno,
+      idViaje: ticket.idViaje,
+      numeroAsiento: ticket.numeroAsiento
+    });
+
+    res.json({
+      mensaje: 'Abordaje registrado exitosamente',
+      ticket: {
+        id: ticket.id,
+        codigo: ticket.codigoInterno,
+        asiento: ticket.numeroAsiento,
+        pasajero: {
+          nombre: ticket.pasajero.nombreCompleto,
+          documento: ticket.pasajero.documentoIdentidad
+        },
+        fechaAbordaje
+      }
+    });
+  } catch (error) {
+    console.error('Error registrando abordaje:', error);
+    res.status(500).json({ error: 'Error al registrar abordaje' });
+  }
+};
+
 /**
  * Vista imprimible
  * GET /api/tickets/:id/imprimir
@@ -773,7 +1493,9 @@ const imprimir = async (req, res) => {
             horario: true
           }
         },
-        pasajero: true
+        pasajero: true,
+        puntoSubida: true,
+        puntoBajada: true
       }
     });
 
@@ -781,6 +1503,20 @@ const imprimir = async (req, res) => {
       return res.status(404).json({ error: 'Ticket no encontrado' });
     }
 
+    // Hora de paso por la parada de subida (tickets sin tramo suben en el origen)
+    let horaSubida = ticket.viaje.horario.horaSalida;
+    if (ticket.idPuntoSubida) {
+      const parada = await prisma.paradaRuta.findFirst({
+        where: { idRuta: ticket.viaje.idRuta, idPunto: ticket.idPuntoSubida }
+      });
+      if (parada) {
+        horaSubida = calcularHoraParada(horaSubida, parada.minutosDesdeSalida);
+      }
+    }
+
+    // QR firmado para el control de abordaje
+    const qrDataUrl = await generarQrTicket(ticket.codigoInterno);
+
     // Auditoria de reimpresion
     await registrarAuditoria(req.user.id, 'TICKET_REIMPRESO', 'TICKET', ticket.id, {
       codigoInterno: ticket.codigoInterno
@@ -792,6 +1528,7 @@ const imprimir = async (req, res) => {
         codigo: ticket.codigoInterno,
         estado: ticket.estado,
         fechaVenta: ticket.fechaVenta,
+        asiento: ticket.numeroAsiento,
         pasajero: {
           nombre: ticket.pasajero.nombreCompleto,
           documento: ticket.pasajero.documentoIdentidad,
@@ -800,10 +1537,12 @@ const imprimir = async (req, res) => {
         viaje: {
           fecha: ticket.viaje.fechaServicio,
           hora: ticket.viaje.horario.horaSalida,
-          origen: ticket.viaje.ruta.puntoOrigen.nombre,
-          destino: ticket.viaje.ruta.puntoDestino.nombre,
-          precio: ticket.viaje.ruta.precioPasaje
-        }
+          horaSubida,
+          origen: (ticket.puntoSubida || ticket.viaje.ruta.puntoOrigen).nombre,
+          destino: (ticket.puntoBajada || ticket.viaje.ruta.puntoDestino).nombre,
+          precio: ticket.precio_original ?? ticket.viaje.ruta.precioPasaje
+        },
+        qr: qrDataUrl
       }
     });
   } catch (error) {
@@ -818,71 +1557,79 @@ const imprimir = async (req, res) => {
  *
  * La venta se registra con la hora actual del momento de la venta.
  * Se crea automaticamente un horario "INSTANTANEO" por ruta si no existe.
+ * Acepta metodoPago o pagos: [{ metodo, monto, referencia }], idEmpresa (CREDITO) y codigoPromocion
+ * como la venta normal.
  */
 const venderInstantaneo = async (req, res) => {
   try {
     const {
       idRuta,
+      numeroAsiento,
+      idPuntoSubida,
+      idPuntoBajada,
       pasajero,
       metodoPago,
+      pagos,
+      idEmpresa,
       puntosACanjear = 0,
-      tipoDocumento,
+      tipoDocumento: tipoDocumentoSolicitado,
       clienteFactura,
       precioManual,
+      motivoPrecioManual,
+      codigoPromocion,
       incluyeIgv
     } = req.body;
 
     // Validaciones basicas
-    if (!idRuta || !pasajero || !metodoPago) {
+    if (!idRuta || !pasajero || (!metodoPago && !pagos)) {
       return res.status(400).json({
         error: 'Ruta, pasajero y metodo de pago son requeridos'
       });
     }
 
-    // Validar tipo de documento (obligatorio)
-    if (!tipoDocumento || !['BOLETA', 'FACTURA', 'VERIFICACION'].includes(tipoDocumento)) {
+    if (!numeroAsiento || isNaN(parseInt(numeroAsiento)) || parseInt(numeroAsiento) <= 0) {
       return res.status(400).json({
-        error: 'Tipo de documento es obligatorio (BOLETA, FACTURA o VERIFICACION)'
+        error: 'El numero de asiento es requerido'
       });
     }
 
-    // Validar datos de factura si el tipo es FACTURA
-    if (tipoDocumento === 'FACTURA') {
-      if (!clienteFactura || !clienteFactura.ruc || !clienteFactura.razonSocial) {
-        return res.status(400).json({
-          error: 'Para factura se requiere RUC y razon social del cliente'
-        });
-      }
-      if (clienteFactura.ruc.length !== 11) {
-        return res.status(400).json({
-          error: 'El RUC debe tener 11 digitos'
-        });
-      }
+    // Validar medios de pago (la suma contra el precio final se verifica al registrar)
+    const cobro = normalizarPagos({ pagos, metodoPago, idEmpresa });
+    if (cobro.error) {
+      return res.status(400).json({ error: cobro.error });
     }
 
-    if (!pasajero.nombreCompleto || !pasajero.documentoIdentidad || !pasajero.telefono) {
-      return res.status(400).json({
-        error: 'Nombre, documento y telefono del pasajero son requeridos'
-      });
+    // La venta a credito se factura al consolidar el periodo de la empresa
+    const tipoDocumento = cobro.credito ? 'VERIFICACION' : tipoDocumentoSolicitado;
+
+    // Validar tipo de documento (obligatorio) y datos de factura
+    const errorDocumento = validarDocumentoVenta({ tipoDocumento, clienteFactura });
+    if (errorDocumento) {
+      return res.status(400).json({ error: errorDocumento });
     }
 
-    // Validar tipo de documento del pasajero segun longitud
-    const tipoDocPasajero = pasajero.tipoDocumento || (pasajero.documentoIdentidad?.length === 11 ? '6' : '1');
-    if (tipoDocPasajero === '1' && pasajero.documentoIdentidad?.length !== 8) {
-      return res.status(400).json({
-        error: 'El DNI debe tener 8 digitos'
-      });
+    // Validar pasajero y tipo de documento del pasajero segun longitud
+    const { tipoDocPasajero, categoria, error: errorPasajero } = validarPasajero(pasajero);
+    if (errorPasajero) {
+      return res.status(400).json({ error: errorPasajero });
     }
-    if (tipoDocPasajero === '6' && pasajero.documentoIdentidad?.length !== 11) {
-      return res.status(400).json({
-        error: 'El RUC debe tener 11 digitos'
-      });
+
+    // El precio manual requiere permiso y motivo
+    const errorPrecio = validarPrecioManual({ precioManual, motivoPrecioManual, permisos: req.userPermisos });
+    if (errorPrecio) {
+      return res.status(errorPrecio.status).json({ error: errorPrecio.error });
     }
 
-    if (!['EFECTIVO', 'YAPE', 'TARJETA'].includes(metodoPago)) {
-      return res.status(400).json({
-        error: 'Metodo de pago invalido'
-      });
+    // El codigo de promocion se valida contra la promocion al registrar el ticket
+    const promocion = validarCodigoPromocion(codigoPromocion, { precioManual });
+    if (promocion.error) {
+      return res.status(400).json({ error: promocion.error });
+    }
+
+    // El cobro se registra en la caja abierta del vendedor (la venta a credito no pasa por caja)
+    const caja = cobro.credito ? null : await obtenerCajaAbierta(prisma, req.user.id);
+    if (!cobro.credito && !caja) {
+      return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
     }
 
     // Verificar ruta activa
@@ -896,6 +1643,13 @@ const venderInstantaneo = async (req, res) => {
       });
     }
 
+    // Resolver tramo (parada de subida y bajada); sin paradas se vende la ruta completa
+    const paradas = await obtenerParadasRuta(prisma, ruta.id);
+    const tramo = resolverTramo(paradas, idPuntoSubida, idPuntoBajada);
+    if (tramo.error) {
+      return res.status(400).json({ error: tramo.error });
+    }
+
     // Obtener fecha de hoy en Peru (formato YYYY-MM-DD)
     const fechaHoyStr = getFechaPeruYYYYMMDD();
     const fechaHoy = `${fechaHoyStr.slice(0, 4)}-${fechaHoyStr.slice(4, 6)}-${fechaHoyStr.slice(6, 8)}`;
@@ -904,8 +1658,16 @@ const venderInstantaneo = async (req, res) => {
     // Obtener configuracion de puntos
     const { solesPorPunto, puntosPorSolDescuento } = await obtenerConfiguracionPuntos();
 
-    // Precio original del pasaje
-    const precioOriginal = parseFloat(ruta.precioPasaje);
+    // Precio original del pasaje: tarifa del tramo con reglas de tarifa
+    // (en venta instantanea no aplican reglas limitadas a un horario)
+    const tarifa = await calcularTarifa(prisma, {
+      idRuta: ruta.id,
+      idHorario: null,
+      fecha: fechaDate,
+      precioBase: tramo.precio,
+      categoria
+    });
+    const precioOriginal = tarifa.precio;
 
     // Calcular puntos ganados por esta compra
     const puntosGanados = Math.floor(precioOriginal / solesPorPunto);
@@ -937,148 +1699,54 @@ const venderInstantaneo = async (req, res) => {
       }
 
       // 2. Buscar o crear viaje de hoy con el horario instantaneo
-      let viaje = await tx.viaje.findUnique({
-        where: {
-          idRuta_idHorario_fechaServicio: {
-            idRuta: parseInt(idRuta),
-            idHorario: horarioInstantaneo.id,
-            fechaServicio: fechaDate
-          }
-        }
+      // (con la capacidad de venta instantanea configurada, que es la de su mapa de asientos)
+      const viaje = await buscarOCrearViaje(tx, {
+        idRuta: parseInt(idRuta),
+        idHorario: horarioInstantaneo.id,
+        fechaServicio: fechaDate,
+        capacidadTotal: await obtenerCapacidadVentaInstantanea(tx),
+        userId: req.user.id
       });
 
-      if (!viaje) {
-        viaje = await tx.viaje.create({
-          data: {
-            idRuta: parseInt(idRuta),
-            idHorario: horarioInstantaneo.id,
-            fechaServicio: fechaDate,
-            capacidadTotal: horarioInstantaneo.capacidadTotal,
-            capacidadVendida: 0,
-            estado: 'ABIERTO',
-            userIdRegistration: req.user.id
-          }
-        });
-      }
-
-      // 3. Verificar disponibilidad (aunque con 9999 casi nunca se llenara)
-      const cuposDisponibles = viaje.capacidadTotal - viaje.capacidadVendida;
-      if (cuposDisponibles <= 0) {
-        throw new Error('Aforo completo para ventas instantaneas de hoy');
-      }
-
       if (viaje.estado !== 'ABIERTO') {
         throw new Error('El viaje no esta abierto para venta');
       }
 
-      // 4. Buscar o crear pasajero
-      let pasajeroDb = await tx.pasajero.findFirst({
-        where: { documentoIdentidad: pasajero.documentoIdentidad }
-      });
-
-      // Obtener puntos disponibles actuales del cliente
-      let puntosDisponiblesActuales = 0;
-      let puntosHistoricosActuales = 0;
-
-      if (pasajeroDb) {
-        puntosDisponiblesActuales = pasajeroDb.puntos_disponibles ?? pasajeroDb.puntos ?? 0;
-        puntosHistoricosActuales = pasajeroDb.puntos_historicos ?? pasajeroDb.puntos ?? 0;
-      }
-
-      // Validar que no se intenten canjear mas puntos de los disponibles
-      const puntosACanjearFinal = Math.min(puntosUsados, puntosDisponiblesActuales);
-
-      // Calcular descuento por puntos
-      let descuentoPuntos = puntosACanjearFinal / puntosPorSolDescuento;
-      descuentoPuntos = Math.min(descuentoPuntos, precioOriginal);
-      descuentoPuntos = Math.round(descuentoPuntos * 100) / 100;
-
-      // Calcular precio final (usar precioManual si fue editado manualmente)
-      const precioFinal = precioManual != null && !isNaN(parseFloat(precioManual))
-        ? Math.max(0, Math.round(parseFloat(precioManual) * 100) / 100)
-        : Math.max(0, precioOriginal - descuentoPuntos);
-
-      // Calcular nuevos puntos del cliente
-      const nuevosPuntosDisponibles = puntosDisponiblesActuales - puntosACanjearFinal + puntosGanados;
-      const nuevosPuntosHistoricos = puntosHistoricosActuales + puntosGanados;
-
-      if (!pasajeroDb) {
-        pasajeroDb = await tx.pasajero.create({
-          data: {
-            nombreCompleto: pasajero.nombreCompleto,
-            documentoIdentidad: pasajero.documentoIdentidad,
-            tipo_documento: tipoDocPasajero,
-            telefono: pasajero.telefono,
-            puntos_disponibles: puntosGanados,
-            puntos_historicos: puntosGanados,
-            userIdRegistration: req.user.id
-          }
-        });
-      } else {
-        pasajeroDb = await tx.pasajero.update({
-          where: { id: pasajeroDb.id },
-          data: {
-            nombreCompleto: pasajero.nombreCompleto,
-            telefono: pasajero.telefono,
-            puntos_disponibles: nuevosPuntosDisponibles,
-            puntos_historicos: nuevosPuntosHistoricos,
-            userIdModification: req.user.id,
-            dateTimeModification: utcNow()
-          }
-        });
+      // 3. Verificar disponibilidad en el tramo
+      const cuposDisponibles = await calcularCuposTramo(tx, viaje, tramo.ordenSubida, tramo.ordenBajada);
+      if (cuposDisponibles <= 0) {
+        throw new Error('Aforo completo para ventas instantaneas de hoy');
       }
 
-      // 5. Generar codigo unico
-      const codigoInterno = await generarCodigoTicket(tx);
-
-      // 6. Crear ticket - fechaVenta sera la hora actual automaticamente
-      const ticket = await tx.ticket.create({
-        data: {
-          idViaje: viaje.id,
-          idPasajero: pasajeroDb.id,
-          codigoInterno,
-          idUsuarioVenta: req.user.id,
-          metodoPago,
-          estado: 'EMITIDO',
-          userIdRegistration: req.user.id,
-          precio_original: precioOriginal,
-          puntos_usados: puntosACanjearFinal,
-          descuento_puntos: descuentoPuntos,
-          precio_final: precioFinal,
-          puntos_ganados: puntosGanados,
-          comentario: pasajero.comentario || null
-        },
-        include: {
-          viaje: {
-            include: {
-              ruta: {
-                include: {
-                  puntoOrigen: true,
-                  puntoDestino: true
-                }
-              },
-              horario: true
-            }
-          },
-          pasajero: true
-        }
+      // 4. Registrar ticket (asiento, pasajero, puntos y capacidad vendida)
+      const ticket = await registrarTicket(tx, {
+        viaje,
+        pasajero,
+        tipoDocPasajero,
+        numeroAsiento: parseInt(numeroAsiento),
+        tramo,
+        metodoPago: cobro.metodoPrincipal,
+        precioOriginal,
+        puntosGanados,
+        puntosUsados,
+        puntosPorSolDescuento,
+        precioManual,
+        motivoPrecioManual,
+        categoriaPasajero: categoria,
+        tarifasAplicadas: tarifa,
+        codigoPromocion: promocion.codigo,
+        userId: req.user.id
       });
 
-      // 7. Incrementar capacidad vendida
-      await tx.viaje.update({
-        where: { id: viaje.id },
-        data: { capacidadVendida: viaje.capacidadVendida + 1 }
+      const pagosTicket = await registrarPagosTickets(tx, [ticket], cobro.pagos, req.user.id, {
+        idCaja: caja?.id ?? null,
+        idEmpresa: cobro.idEmpresa
       });
 
       return {
         ...ticket,
-        precioOriginal,
-        puntosUsados: puntosACanjearFinal,
-        descuentoPuntos,
-        precioFinal,
-        puntosGanados,
-        puntosAcumuladosCliente: nuevosPuntosHistoricos,
-        puntosDisponiblesCliente: nuevosPuntosDisponibles,
+        idEmpresa: cobro.idEmpresa,
+        pagos: pagosTicket,
         esVentaInstantanea: true,
         horaVentaReal: ticket.fechaVenta  // Hora real de la venta instantánea
       };
@@ -1088,120 +1756,38 @@ const venderInstantaneo = async (req, res) => {
     await registrarAuditoria(req.user.id, 'TICKET_VENDIDO_INSTANTANEO', 'TICKET', resultado.id, {
       codigoInterno: resultado.codigoInterno,
       pasajero: resultado.pasajero.nombreCompleto,
-      metodoPago,
+      numeroAsiento: resultado.numeroAsiento,
+      idPuntoSubida: resultado.idPuntoSubida,
+      idPuntoBajada: resultado.idPuntoBajada,
+      metodoPago: resultado.metodoPago,
+      pagos: resultado.pagos,
+      idEmpresa: resultado.idEmpresa,
       tipoDocumento,
       precioOriginal: resultado.precioOriginal,
+      codigoPromocion: resultado.codigoPromocion,
+      descuentoPromocion: resultado.descuentoPromocion,
       puntosUsados: resultado.puntosUsados,
       descuentoPuntos: resultado.descuentoPuntos,
       precioFinal: resultado.precioFinal,
-      puntosGanados: resultado.puntosGanados
+      puntosGanados: resultado.puntosGanados,
+      categoria,
+      tarifasAplicadas: tarifa.reglas,
+      precioManual: resultado.motivoPrecioManual ? resultado.precioFinal : null,
+      motivoPrecioManual: resultado.motivoPrecioManual
     });
 
     // Emitir comprobante segun tipo de documento
     let comprobante = null;
     try {
-      const precioParaComprobante = resultado.precioFinal ?? resultado.precioOriginal;
-
-      if (tipoDocumento === 'BOLETA') {
-        comprobante = await facturacionService.emitirComprobante({
-          tipoComprobante: '03',
-          serie: 'BT74',
-          cliente: {
-            tipoDoc: tipoDocPasajero,
-            numDoc: resultado.pasajero.documentoIdentidad,
-            razonSocial: resultado.pasajero.nombreCompleto,
-            direccion: ''
-          },
-          items: [{
-            codigo: `PAS-${resultado.codigoInterno}`,
-            descripcion: `Pasaje ${resultado.viaje.ruta.puntoOrigen.nombre} - ${resultado.viaje.ruta.puntoDestino.nombre}`,
-            unidadMedida: 'ZZ',
-            cantidad: 1,
-            precioUnitario: precioParaComprobante
-          }],
-          origenTipo: 'TICKET',
-          origenId: resultado.id,
-          userId: req.user.id,
-          comentario: pasajero.comentario || null,
-          incluyeIgv: incluyeIgv !== undefined ? incluyeIgv : null
-        });
-
-        await prisma.$executeRaw`
-          UPDATE tbl_tickets SET id_comprobante = ${comprobante.id}, invoice_status = 'EMITIDO' WHERE id = ${resultado.id}
-        `;
-
-      } else if (tipoDocumento === 'FACTURA') {
-        comprobante = await facturacionService.emitirComprobante({
-          tipoComprobante: '01',
-          serie: 'FT74',
-          cliente: {
-            tipoDoc: '6',
-            numDoc: clienteFactura.ruc,
-            razonSocial: clienteFactura.razonSocial,
-            direccion: clienteFactura.direccion || ''
-          },
-          items: [{
-            codigo: `PAS-${resultado.codigoInterno}`,
-            descripcion: `Pasaje ${resultado.viaje.ruta.puntoOrigen.nombre} - ${resultado.viaje.ruta.puntoDestino.nombre}`,
-            unidadMedida: 'ZZ',
-            cantidad: 1,
-            precioUnitario: precioParaComprobante
-          }],
-          origenTipo: 'TICKET',
-          origenId: resultado.id,
-          userId: req.user.id,
-          comentario: pasajero.comentario || null,
-          incluyeIgv: incluyeIgv !== undefined ? incluyeIgv : null
-        });
-
-        await prisma.$executeRaw`
-          UPDATE tbl_tickets SET id_comprobante = ${comprobante.id}, invoice_status = 'EMITIDO' WHERE id = ${resultado.id}
-        `;
-
-      } else if (tipoDocumento === 'VERIFICACION') {
-        const numeroResult = await prisma.$queryRaw`
-          UPDATE tbl_series_factura
-          SET numero_actual = numero_actual + 1
-          WHERE tipo_comprobante = 'NV' AND serie = 'NV01'
-          RETURNING numero_actual
-        `;
-
-        if (!numeroResult || numeroResult.length === 0) {
-          throw new Error('Serie NV01 no encontrada');
-        }
-
-        const numero = numeroResult[0].numero_actual;
-
-        const notaResult = await prisma.$queryRaw`
-          INSERT INTO tbl_notas_venta (
-            serie, numero, cliente_nombre, cliente_documento,
-            descripcion, total, origen_tipo, origen_id,
-            user_id_registration, comentario
-          ) VALUES (
-            'NV01', ${numero},
-            ${resultado.pasajero.nombreCompleto},
-            ${resultado.pasajero.documentoIdentidad},
-            ${'Pasaje ' + resultado.viaje.ruta.puntoOrigen.nombre + ' - ' + resultado.viaje.ruta.puntoDestino.nombre},
-            ${precioParaComprobante},
-            'TICKET', ${resultado.id},
-            ${req.user.id},
-            ${pasajero.comentario || null}
-          )
-          RETURNING id, numero_completo
-        `;
-
-        await prisma.$executeRaw`
-          UPDATE tbl_tickets SET id_nota_venta = ${notaResult[0].id} WHERE id = ${resultado.id}
-        `;
-
-        comprobante = {
-          id: notaResult[0].id,
-          tipo: 'VERIFICACION',
-          numeroCompleto: notaResult[0].numero_completo,
-          total: precioParaComprobante,
-          comentario: pasajero.comentario || null
-        };
-      }
+      comprobante = await emitirComprobanteTicket({
+        ticket: resultado,
+        tipoDocumento,
+        tipoDocPasajero,
+        clienteFactura,
+        comentario: pasajero.comentario,
+        incluyeIgv,
+        userId: req.user.id
+      });
     } catch (errorComprobante) {
       console.error('Error emitiendo comprobante:', errorComprobante);
       return res.status(201).json({
@@ -1212,41 +1798,38 @@ const venderInstantaneo = async (req, res) => {
     }
 
     // Obtener datos de la agencia
-    let agencia = null;
-    const idPuntoAgencia = req.user.id_punto || resultado.viaje?.ruta?.idPuntoOrigen;
-    if (idPuntoAgencia) {
-      const puntoResult = await prisma.$queryRaw`
-        SELECT nombre, ciudad, direccion FROM tbl_puntos WHERE id = ${idPuntoAgencia} AND estado = 1
-      `;
-      if (puntoResult && puntoResult.length > 0) {
-        agencia = puntoResult[0];
-      }
-    }
-
-    // Normalizar respuesta del comprobante
-    if (comprobante) {
-      comprobante.tipoDocumento = tipoDocumento;
-      comprobante.agencia = agencia;
-      if (!comprobante.numeroCompleto && comprobante.numero_completo) {
-        comprobante.numeroCompleto = comprobante.numero_completo;
-      }
-      if (!comprobante.total) {
-        comprobante.total = comprobante.total_venta || resultado.precioFinal || resultado.precioOriginal;
-      }
-    }
+    const agencia = await obtenerAgencia(req.user.id_punto || resultado.viaje?.ruta?.idPuntoOrigen);
 
     res.status(201).json({
       mensaje: 'Venta instantanea realizada exitosamente',
       ticket: { ...resultado, agencia },
-      comprobante
+      comprobante: normalizarComprobante(comprobante, { tipoDocumento, agencia, ticket: resultado })
     });
   } catch (error) {
     console.error('Error en venta instantanea:', error);
 
-    if (error.message === 'Aforo completo para ventas instantaneas de hoy') {
+    if (error.message === 'Aforo completo para ventas instantaneas de hoy' ||
+      error.message === 'El viaje no esta abierto para venta' ||
+      esErrorAsiento(error)) {
       return res.status(400).json({ error: error.message });
     }
 
+    if (esErrorPromocion(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (esErrorPago(error)) {
+      return res.status(400).json({ error: error.message, total: error.total, totalPagos: error.totalPagos });
+    }
+
+    if (esErrorCaja(error)) {
+      return res.status(400).json({ error: error.message, requiereCaja: true });
+    }
+
+    if (esErrorCredito(error)) {
+      return res.status(400).json({ error: error.message, disponible: error.disponible });
+    }
+
     res.status(500).json({ error: 'Error al procesar venta instantanea' });
   }
 };
@@ -1254,9 +1837,12 @@ const venderInstantaneo = async (req, res) => {
 module.exports = {
   listar,
   vender,
+  venderLote,
   venderInstantaneo,
   obtener,
   obtenerPorCodigo,
   anular,
+  reprogramar,
+  abordar,
   imprimir
 };
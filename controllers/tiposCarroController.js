@@ -7,6 +7,55 @@ const prisma = require('../config/prisma');
 const { registrarAuditoria } = require('../services/auditoriaService');
 const { utcNow } = require('../utils/dateUtils');
 
+/**
+ * Validar y normalizar la distribucion de asientos enviada en el body
+ * Solo se consideran los campos presentes en el body
+ * @param {Object} body - Body de la peticion
+ * @returns {Object} { data, error }
+ */
+const validarDistribucion = (body) => {
+  const data = {};
+
+  for (const campo of ['filas', 'columnas', 'pisos']) {
+    if (body[campo] === undefined) continue;
+    if (body[campo] === null) {
+      data[campo] = campo === 'pisos' ? 1 : null;
+      continue;
+    }
+    const valor = parseInt(body[campo]);
+    if (isNaN(valor) || valor <= 0) {
+      return { error: `El campo ${campo} debe ser un entero mayor a 0` };
+    }
+    data[campo] = valor;
+  }
+
+  if (body.columnaPasillo !== undefined) {
+    if (body.columnaPasillo === null) {
+      data.columnaPasillo = null;
+    } else {
+      const valor = parseInt(body.columnaPasillo);
+      const columnas = data.columnas ?? parseInt(body.columnas);
+      if (isNaN(valor) || valor <= 0 || (columnas && valor >= columnas)) {
+        return { error: 'La columna del pasillo debe estar entre las columnas del vehiculo' };
+      }
+      data.columnaPasillo = valor;
+    }
+  }
+
+  if (body.asientosBloqueados !== undefined) {
+    if (body.asientosBloqueados === null) {
+      data.asientosBloqueados = [];
+    } else if (!Array.isArray(body.asientosBloqueados) ||
+      body.asientosBloqueados.some((n) => isNaN(parseInt(n)) || parseInt(n) <= 0)) {
+      return { error: 'Los asientos bloqueados deben ser una lista de numeros de asiento' };
+    } else {
+      data.asientosBloqueados = [...new Set(body.asientosBloqueados.map((n) => parseInt(n)))];
+    }
+  }
+
+  return { data };
+};
+
 /**
  * Listar todos los tipos de carro activos
  * GET /api/tipos-carro
@@ -63,6 +112,11 @@ const crear = async (req, res) => {
       });
     }
 
+    const { data: distribucion, error: errorDistribucion } = validarDistribucion(req.body);
+    if (errorDistribucion) {
+      return res.status(400).json({ error: errorDistribucion });
+    }
+
     // Verificar que no exista un tipo con el mismo nombre
     const existente = await prisma.tipoCarro.findFirst({
       where: {
@@ -81,6 +135,7 @@ const crear = async (req, res) => {
       data: {
         nombre: nombre.trim(),
         descripcion: descripcion?.trim() || null,
+        ...distribucion,
         estado: 1,
         createdBy: req.user.id,
         createdAt: utcNow()
@@ -117,6 +172,11 @@ const actualizar = async (req, res) => {
       return res.status(404).json({ error: 'Tipo de carro no encontrado' });
     }
 
+    const { data: distribucion, error: errorDistribucion } = validarDistribucion(req.body);
+    if (errorDistribucion) {
+      return res.status(400).json({ error: errorDistribucion });
+    }
+
     // Si se cambia el nombre, verificar que no exista otro con el mismo nombre
     if (nombre && nombre.trim() !== tipoExistente.nombre) {
       const duplicado = await prisma.tipoCarro.findFirst({
@@ -140,6 +200,7 @@ const actualizar = async (req, res) => {
         nombre: nombre?.trim() || tipoExistente.nombre,
         descripcion: descripcion !== undefined ? (descripcion?.trim() || null) : tipoExistente.descripcion,
         estado: estado !== undefined ? estado : tipoExistente.estado,
+        ...distribucion,
         updatedBy: req.user.id,
         updatedAt: utcNow()
       }
@@ -0,0 +1,349 @@
+/**
+ * Vehiculos Controller
+ * Controlador para la flota de vehiculos (buses) de la empresa
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const {
+  ESTADOS_VEHICULO,
+  DIAS_AVISO_VENCIMIENTO,
+  resumenDocumentos,
+  capacidadTipoCarro
+} = require('../services/vehiculosService');
+const { utcNow, parseCivilDate, getFechaCivilHoyPeru } = require('../utils/dateUtils');
+
+// Placa peruana: 6 caracteres alfanumericos con guion opcional (ej: ABC-123, A1B-234)
+const PLACA_REGEX = /^[A-Z0-9]{3}-?[A-Z0-9]{3}$/;
+
+const INCLUDE_VEHICULO = {
+  tipoCarro: { select: { id: true, nombre: true } }
+};
+
+/**
+ * Formatear vehiculo para la respuesta (situacion de documentos a hoy)
+ */
+const formatearVehiculo = (vehiculo) => ({
+  ...vehiculo,
+  documentos: resumenDocumentos(vehiculo, getFechaCivilHoyPeru())
+});
+
+/**
+ * Validar y normalizar los datos de un vehiculo
+ * Solo se consideran los campos presentes en el body (para actualizaciones parciales)
+ * @param {Object} body - Datos recibidos
+ * @param {Object|null} existente - Vehiculo actual (en actualizacion)
+ * @returns {Promise<Object>} { data } o { error }
+ */
+const validarVehiculo = async (body, existente = null) => {
+  const data = {};
+
+  if (body.placa !== undefined || !existente) {
+    const placa = (body.placa || '').toString().trim().toUpperCase().replace(/\s+/g, '');
+    if (!PLACA_REGEX.test(placa)) {
+      return { error: 'La placa es requerida y debe tener el formato ABC-123' };
+    }
+    data.placa = placa.includes('-') ? placa : `${placa.slice(0, 3)}-${placa.slice(3)}`;
+  }
+
+  let tipoCarro = null;
+  if (body.idTipoCarro !== undefined || !existente) {
+    tipoCarro = body.idTipoCarro
+      ? await prisma.tipoCarro.findUnique({ where: { id: parseInt(body.idTipoCarro) } })
+      : null;
+    if (!tipoCarro || tipoCarro.estado !== 1) {
+      return { error: 'Tipo de carro no encontrado' };
+    }
+    data.idTipoCarro = tipoCarro.id;
+  } else {
+    tipoCarro = await prisma.tipoCarro.findUnique({ where: { id: existente.idTipoCarro } });
+  }
+
+  // Capacidad: por defecto la distribucion del tipo de carro (sin asientos bloqueados)
+  const capacidadDistribucion = capacidadTipoCarro(tipoCarro);
+  if (body.capacidadAsientos !== undefined || !existente) {
+    const capacidad = body.capacidadAsientos !== undefined && body.capacidadAsientos !== null
+      ? parseInt(body.capacidadAsientos)
+      : capacidadDistribucion;
+    if (!capacidad || isNaN(capacidad) || capacidad <= 0) {
+      return { error: 'La capacidad de asientos debe ser un entero mayor a 0' };
+    }
+    data.capacidadAsientos = capacidad;
+  }
+
+  const capacidadFinal = data.capacidadAsientos ?? existente?.capacidadAsientos;
+  if (capacidadDistribucion && capacidadFinal > capacidadDistribucion) {
+    return {
+      error: `La capacidad no puede superar los ${capacidadDistribucion} asientos de la distribucion del tipo de carro`
+    };
+  }
+
+  for (const campo of ['marca', 'modelo']) {
+    if (body[campo] !== undefined) {
+      data[campo] = body[campo]?.toString().trim() || null;
+    }
+  }
+
+  if (body.anio !== undefined) {
+    const anio = body.anio === null || body.anio === '' ? null : parseInt(body.anio);
+    if (anio !== null && (isNaN(anio) || anio < 1950 || anio > new Date().getUTCFullYear() + 1)) {
+      return { error: 'El anio de fabricacion es invalido' };
+    }
+    data.anio = anio;
+  }
+
+  for (const campo of ['vencimientoSoat', 'vencimientoRevision']) {
+    if (body[campo] === undefined) continue;
+    if (body[campo] === null || body[campo] === '') {
+      data[campo] = null;
+      continue;
+    }
+    const { date, error } = parseCivilDate(body[campo], campo);
+    if (error) return { error };
+    data[campo] = date;
+  }
+
+  if (body.estado !== undefined) {
+    if (!ESTADOS_VEHICULO.includes(body.estado)) {
+      return { error: 'Estado invalido (OPERATIVO, MANTENIMIENTO o INACTIVO)' };
+    }
+    data.estado = body.estado;
+  }
+
+  if (data.placa && data.placa !== existente?.placa) {
+    const duplicado = await prisma.vehiculo.findUnique({ where: { placa: data.placa } });
+    if (duplicado) {
+      return { error: 'Ya existe un vehiculo con esa placa' };
+    }
+  }
+
+  return { data };
+};
+
+/**
+ * Listar vehiculos
+ * GET /api/vehiculos
+ * Query params: estado, idTipoCarro, porVencer (true = SOAT o revision vencidos o por vencer)
+ */
+const listar = async (req, res) => {
+  try {
+    const { estado, idTipoCarro, porVencer } = req.query;
+
+    const where = {};
+
+    if (estado) {
+      if (!ESTADOS_VEHICULO.includes(estado)) {
+        return res.status(400).json({ error: 'Estado invalido (OPERATIVO, MANTENIMIENTO o INACTIVO)' });
+      }
+      where.estado = estado;
+    } else {
+      where.estado = { not: 'INACTIVO' };
+    }
+
+    if (idTipoCarro) {
+      where.idTipoCarro = parseInt(idTipoCarro);
+    }
+
+    if (porVencer === 'true') {
+      const limite = new Date(getFechaCivilHoyPeru().getTime() + DIAS_AVISO_VENCIMIENTO * 24 * 60 * 60 * 1000);
+      where.OR = [
+        { vencimientoSoat: null },
+        { vencimientoSoat: { lte: limite } },
+        { vencimientoRevision: null },
+        { vencimientoRevision: { lte: limite } }
+      ];
+    }
+
+    const vehiculos = await prisma.vehiculo.findMany({
+      where,
+      include: INCLUDE_VEHICULO,
+      orderBy: { placa: 'asc' }
+    });
+
+    res.json({ vehiculos: vehiculos.map(formatearVehiculo) });
+  } catch (error) {
+    console.error('Error listando vehiculos:', error);
+    res.status(500).json({ error: 'Error al listar vehiculos' });
+  }
+};
+
+/**
+ * Obtener vehiculo por ID con sus proximos viajes asignados
+ * GET /api/vehiculos/:id
+ */
+const obtener = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const vehiculo = await prisma.vehiculo.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        ...INCLUDE_VEHICULO,
+        viajes: {
+          where: {
+            fechaServicio: { gte: getFechaCivilHoyPeru() },
+            estado: { not: 'CANCELADO' }
+          },
+          include: {
+            ruta: {
+              include: {
+                puntoOrigen: { select: { id: true, nombre: true } },
+                puntoDestino: { select: { id: true, nombre: true } }
+              }
+            },
+            horario: { select: { id: true, horaSalida: true } }
+          },
+          orderBy: { fechaServicio: 'asc' }
+        }
+      }
+    });
+
+    if (!vehiculo) {
+      return res.status(404).json({ error: 'Vehiculo no encontrado' });
+    }
+
+    res.json({ vehiculo: formatearVehiculo(vehiculo) });
+  } catch (error) {
+    console.error('Error obteniendo vehiculo:', error);
+    res.status(500).json({ error: 'Error al obtener vehiculo' });
+  }
+};
+
+/**
+ * Crear vehiculo
+ * POST /api/vehiculos
+ * Body: { placa, idTipoCarro, capacidadAsientos, marca, modelo, anio,
+ *         vencimientoSoat, vencimientoRevision, estado }
+ */
+const crear = async (req, res) => {
+  try {
+    const { data, error } = await validarVehiculo(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const vehiculo = await prisma.vehiculo.create({
+      data: {
+        ...data,
+        userIdRegistration: req.user.id
+      },
+      include: INCLUDE_VEHICULO
+    });
+
+    await registrarAuditoria(req.user.id, 'VEHICULO_CREADO', 'VEHICULO', vehiculo.id, data);
+
+    res.status(201).json({
+      mensaje: 'Vehiculo creado exitosamente',
+      vehiculo: formatearVehiculo(vehiculo)
+    });
+  } catch (error) {
+    console.error('Error creando vehiculo:', error);
+    res.status(500).json({ error: 'Error al crear vehiculo' });
+  }
+};
+
+/**
+ * Actualizar vehiculo
+ * PUT /api/vehiculos/:id
+ */
+const actualizar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existente = await prisma.vehiculo.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existente) {
+      return res.status(404).json({ error: 'Vehiculo no encontrado' });
+    }
+
+    const { data, error } = await validarVehiculo(req.body, existente);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // La capacidad de los viajes ya asignados no cambia; se toma al asignar el vehiculo
+    const vehiculo = await prisma.vehiculo.update({
+      where: { id: existente.id },
+      data: {
+        ...data,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      },
+      include: INCLUDE_VEHICULO
+    });
+
+    await registrarAuditoria(req.user.id, 'VEHICULO_ACTUALIZADO', 'VEHICULO', vehiculo.id, {
+      anterior: existente,
+      cambios: data
+    });
+
+    res.json({
+      mensaje: 'Vehiculo actualizado exitosamente',
+      vehiculo: formatearVehiculo(vehiculo)
+    });
+  } catch (error) {
+    console.error('Error actualizando vehiculo:', error);
+    res.status(500).json({ error: 'Error al actualizar vehiculo' });
+  }
+};
+
+/**
+ * Dar de baja un vehiculo (estado INACTIVO)
+ * DELETE /api/vehiculos/:id
+ */
+const eliminar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existente = await prisma.vehiculo.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!existente || existente.estado === 'INACTIVO') {
+      return res.status(404).json({ error: 'Vehiculo no encontrado' });
+    }
+
+    // Verificar si tiene viajes pendientes de operar
+    const viajesPendientes = await prisma.viaje.count({
+      where: {
+        idVehiculo: existente.id,
+        fechaServicio: { gte: getFechaCivilHoyPeru() },
+        estado: { in: ['ABIERTO', 'CERRADO', 'EN_RUTA'] }
+      }
+    });
+
+    if (viajesPendientes > 0) {
+      return res.status(400).json({
+        error: `No se puede eliminar. El vehiculo tiene ${viajesPendientes} viaje(s) pendiente(s) asignado(s)`
+      });
+    }
+
+    await prisma.vehiculo.update({
+      where: { id: existente.id },
+      data: {
+        estado: 'INACTIVO',
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    await registrarAuditoria(req.user.id, 'VEHICULO_ELIMINADO', 'VEHICULO', existente.id, {
+      placa: existente.placa
+    });
+
+    res.json({ mensaje: 'Vehiculo eliminado exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando vehiculo:', error);
+    res.status(500).json({ error: 'Error al eliminar vehiculo' });
+  }
+};
+
+module.exports = {
+  listar,
+  obtener,
+  crear,
+  actualizar,
+  eliminar
+};
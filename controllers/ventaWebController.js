@@ -0,0 +1,894 @@
+/**
+ * Venta Web Controller
+ * Controlador para la compra de pasajes en linea (endpoints publicos)
+ *
+ * Flujo: buscar viajes -> elegir asiento -> reservar (retiene el asiento por
+ * MINUTOS_RESERVA_WEB) -> pagar con el proveedor de pagos -> ticket y boleta.
+ * Las ventas se registran a nombre del usuario de sistema del canal WEB.
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const { generarCodigoReserva } = require('../services/codigoService');
+const {
+  ocuparAsiento,
+  esErrorAsiento,
+  esHorarioInstantaneo,
+  construirDistribucion,
+  obtenerMapaAsientos
+} = require('../services/asientosService');
+const {
+  normalizarParadas,
+  obtenerParadasRuta,
+  resolverTramo,
+  calcularHoraParada,
+  calcularCuposTramo
+} = require('../services/tramosService');
+const { obtenerHorariosFecha } = require('../services/horariosService');
+const { calcularTarifa } = require('../services/tarifasService');
+const { whereReservaVigente } = require('../services/reservasService');
+const {
+  obtenerConfiguracionPuntos,
+  validarViajeVenta,
+  buscarOCrearViaje,
+  registrarTicket,
+  describirPasaje,
+  emitirComprobanteTicket,
+  obtenerAgencia,
+  normalizarComprobante
+} = require('../services/ventaPasajeService');
+const {
+  MINUTOS_RESERVA_WEB,
+  MAX_RESERVAS_WEB_PASAJERO,
+  obtenerCanalWeb,
+  normalizarTexto,
+  validarIdentidadPasajero
+} = require('../services/ventaWebService');
+const { obtenerProveedor, cobrar, reembolsar } = require('../services/pagosService');
+const { registrarPagosTickets } = require('../services/mediosPagoService');
+const { generarQrTicket } = require('../services/qrTicketService');
+const {
+  utcNow,
+  parseCivilDate,
+  formatTimeForAPI,
+  hasTimePassed,
+  isToday,
+  isBeforeToday
+} = require('../utils/dateUtils');
+
+// Errores de negocio que se devuelven al cliente con 400
+const ERRORES_RESERVA = [
+  'Aforo completo para este viaje',
+  'El viaje no esta abierto para venta',
+  'La reserva ya no esta vigente',
+  'La reserva ya tiene un pago en proceso o aprobado',
+  `No puede tener mas de ${MAX_RESERVAS_WEB_PASAJERO} reservas en linea pendientes de pago`
+];
+
+// Relaciones a incluir al consultar una reserva web
+const INCLUDE_RESERVA_WEB = {
+  viaje: {
+    include: {
+      ruta: {
+        include: {
+          puntoOrigen: { select: { id: true, nombre: true, ciudad: true } },
+          puntoDestino: { select: { id: true, nombre: true, ciudad: true } }
+        }
+      },
+      horario: true
+    }
+  },
+  pasajero: true,
+  puntoSubida: { select: { id: true, nombre: true, ciudad: true } },
+  puntoBajada: { select: { id: true, nombre: true, ciudad: true } },
+  ticket: { select: { id: true, codigoInterno: true, precio_final: true, estado: true } }
+};
+
+/**
+ * Formatear reserva para el cliente (sin datos internos)
+ */
+const formatearReservaWeb = (reserva, precio = null) => ({
+  codigo: reserva.codigo,
+  estado: reserva.estado,
+  numeroAsiento: reserva.numeroAsiento,
+  fechaExpiracion: reserva.fechaExpiracion,
+  fechaServicio: reserva.viaje.fechaServicio,
+  horaSalida: formatTimeForAPI(reserva.viaje.horario.horaSalida),
+  origen: reserva.puntoSubida || reserva.viaje.ruta.puntoOrigen,
+  destino: reserva.puntoBajada || reserva.viaje.ruta.puntoDestino,
+  pasajero: {
+    nombreCompleto: reserva.pasajero.nombreCompleto,
+    documentoIdentidad: reserva.pasajero.documentoIdentidad
+  },
+  precio,
+  ticket: reserva.ticket
+    ? { codigoInterno: reserva.ticket.codigoInterno, estado: reserva.ticket.estado }
+    : null
+});
+
+/**
+ * Tarifa general del tramo reservado
+ * @param {Object} reserva - Reserva con viaje incluido
+ * @returns {Promise<Object>} { tramo, tarifa } o { error }
+ */
+const calcularTarifaReserva = async (reserva) => {
+  const paradas = await obtenerParadasRuta(prisma, reserva.viaje.idRuta);
+  const tramo = resolverTramo(paradas, reserva.idPuntoSubida, reserva.idPuntoBajada);
+  if (tramo.error) {
+    return { error: tramo.error };
+  }
+
+  const tarifa = await calcularTarifa(prisma, {
+    idRuta: reserva.viaje.idRuta,
+    idHorario: reserva.viaje.idHorario,
+    fecha: reserva.viaje.fechaServicio,
+    precioBase: tramo.precio,
+    categoria: 'GENERAL'
+  });
+
+  return { tramo, tarifa };
+};
+
+/**
+ * Buscar la reserva web de un pasajero por codigo
+ * @returns {Promise<Object|null>} Reserva o null si no existe, no es web o el documento no coincide
+ */
+const buscarReservaWeb = async (codigo, documentoIdentidad, canal) => {
+  const reserva = await prisma.reserva.findUnique({
+    where: { codigo: (codigo || '').toUpperCase() },
+    include: INCLUDE_RESERVA_WEB
+  });
+
+  if (!reserva ||
+    reserva.idUsuarioReserva !== canal.userId ||
+    reserva.pasajero.documentoIdentidad !== (documentoIdentidad || '').toString().trim()) {
+    return null;
+  }
+
+  return reserva;
+};
+
+/**
+ * Buscar viajes por ciudad de origen, ciudad de destino y fecha
+ * GET /api/public/viajes
+ * Query params: origen, destino (ciudades), fecha (YYYY-MM-DD)
+ */
+const buscarViajes = async (req, res) => {
+  try {
+    const { origen, destino, fecha } = req.query;
+
+    if (!origen || !destino || !fecha) {
+      return res.status(400).json({ error: 'Origen, destino y fecha son requeridos' });
+    }
+
+    const { date: fechaDate, error: fechaError } = parseCivilDate(fecha, 'fecha');
+    if (fechaError) {
+      return res.status(400).json({ error: fechaError });
+    }
+
+    if (isBeforeToday(fecha)) {
+      return res.status(400).json({ error: 'La fecha del viaje no puede ser anterior a hoy' });
+    }
+
+    const ciudadOrigen = normalizarTexto(origen);
+    const ciudadDestino = normalizarTexto(destino);
+
+    const rutas = await prisma.ruta.findMany({
+      where: { estado: 1 },
+      include: {
+        puntoOrigen: { select: { id: true, nombre: true, ciudad: true, direccion: true } },
+        puntoDestino: { select: { id: true, nombre: true, ciudad: true, direccion: true } },
+        paradas: {
+          orderBy: { orden: 'asc' },
+          include: { punto: { select: { id: true, nombre: true, ciudad: true, direccion: true } } }
+        },
+        horarios: {
+          where: { habilitado: true },
+          orderBy: { horaSalida: 'asc' },
+          select: {
+            id: true,
+            horaSalida: true,
+            capacidadTotal: true,
+            habilitado: true,
+            diasSemana: true,
+            vigenciaDesde: true,
+            vigenciaHasta: true
+          }
+        }
+      },
+      orderBy: { id: 'asc' }
+    });
+
+    const viajes = [];
+
+    for (const ruta of rutas) {
+      const paradas = normalizarParadas(ruta);
+
+      // Primera parada en la ciudad de origen y siguiente parada en la ciudad de destino
+      const indiceSubida = paradas.findIndex((p) => normalizarTexto(p.punto?.ciudad) === ciudadOrigen);
+      if (indiceSubida === -1) continue;
+
+      const paradaBajada = paradas
+        .slice(indiceSubida + 1)
+        .find((p) => normalizarTexto(p.punto?.ciudad) === ciudadDestino);
+      if (!paradaBajada) continue;
+
+      const tramo = resolverTramo(paradas, paradas[indiceSubida].idPunto, paradaBajada.idPunto);
+      if (tramo.error) continue;
+
+      const horarios = await obtenerHorariosFecha(
+        prisma,
+        ruta.horarios.filter((h) => !esHorarioInstantaneo(h.horaSalida)),
+        fechaDate
+      );
+
+      for (const horario of horarios) {
+        const horaSubida = calcularHoraParada(horario.horaSalida, tramo.paradaSubida.minutosDesdeSalida);
+        if (isToday(fecha) && hasTimePassed(horaSubida)) continue;
+
+        const viaje = await prisma.viaje.findUnique({
+          where: {
+            idRuta_idHorario_fechaServicio: {
+              idRuta: ruta.id,
+              idHorario: horario.id,
+              fechaServicio: fechaDate
+            }
+          }
+        });
+
+        if (viaje && viaje.estado !== 'ABIERTO') continue;
+
+        const cuposDisponibles = viaje
+          ? await calcularCuposTramo(prisma, viaje, tramo.ordenSubida, tramo.ordenBajada)
+          : horario.capacidadTotal;
+
+        const tarifa = await calcularTarifa(prisma, {
+          idRuta: ruta.id,
+          idHorario: horario.id,
+          fecha: fechaDate,
+          precioBase: tramo.precio,
+          categoria: 'GENERAL'
+        });
+
+        const horaLlegada = tramo.paradaBajada.minutosDesdeSalida != null
+          ? calcularHoraParada(horario.horaSalida, tramo.paradaBajada.minutosDesdeSalida)
+          : null;
+
+        viajes.push({
+          idRuta: ruta.id,
+          idHorario: horario.id,
+          fecha,
+          idPuntoSubida: tramo.paradaSubida.idPunto,
+          idPuntoBajada: tramo.paradaBajada.idPunto,
+          subida: tramo.paradaSubida.punto,
+          bajada: tramo.paradaBajada.punto,
+          hora: formatTimeForAPI(horaSubida),
+          horaSubidaISO: horaSubida,
+          horaLlegada: horaLlegada ? formatTimeForAPI(horaLlegada) : null,
+          precio: tarifa.precio,
+          cuposDisponibles: Math.max(0, cuposDisponibles)
+        });
+      }
+    }
+
+    viajes.sort((a, b) => a.hora.localeCompare(b.hora));
+
+    res.json({ fecha, viajes });
+  } catch (error) {
+    console.error('Error buscando viajes en linea:', error);
+    res.status(500).json({ error: 'Error al buscar viajes' });
+  }
+};
+
+/**
+ * Mapa de asientos de un viaje para la venta en linea (sin datos de pasajeros)
+ * GET /api/public/viajes/asientos
+ * Query params: idRuta, idHorario, fecha, idPuntoSubida, idPuntoBajada
+ */
+const asientos = async (req, res) => {
+  try {
+    const { idRuta, idHorario, fecha, idPuntoSubida, idPuntoBajada } = req.query;
+
+    const venta = await validarViajeVenta({ idRuta, idHorario, fechaViaje: fecha, idPuntoSubida, idPuntoBajada });
+    if (venta.error) {
+      return res.status(400).json({ error: venta.error });
+    }
+
+    if (esHorarioInstantaneo(venta.horario.horaSalida)) {
+      return res.status(400).json({ error: 'Horario no disponible' });
+    }
+
+    const viaje = await prisma.viaje.findUnique({
+      where: {
+        idRuta_idHorario_fechaServicio: {
+          idRuta: venta.idRuta,
+          idHorario: venta.idHorario,
+          fechaServicio: venta.fechaDate
+        }
+      }
+    });
+
+    if (viaje && viaje.estado !== 'ABIERTO') {
+      return res.status(400).json({ error: 'El viaje no esta abierto para venta' });
+    }
+
+    let distribucion;
+    let mapa;
+
+    if (viaje) {
+      const resultado = await prisma.$transaction(async (tx) => obtenerMapaAsientos(tx, viaje.id, {
+        ordenSubida: venta.tramo.ordenSubida,
+        ordenBajada: venta.tramo.ordenBajada
+      }));
+      distribucion = resultado.distribucion;
+      mapa = resultado.asientos.map((a) => ({
+        numeroAsiento: a.numeroAsiento,
+        piso: a.piso,
+        fila: a.fila,
+        columna: a.columna,
+        // Para el cliente un asiento reservado esta igual de ocupado
+        estado: a.estado === 'LIBRE' || a.estado === 'BLOQUEADO' ? a.estado : 'OCUPADO'
+      }));
+    } else {
+      // Sin viaje creado todos los asientos estan libres
+      const ruta = await prisma.ruta.findUnique({
+        where: { id: venta.idRuta },
+        include: { tipoCarro: true }
+      });
+      const { asientos: asientosDistribucion, ...resto } = construirDistribucion(
+        ruta.tipoCarro,
+        venta.horario.capacidadTotal
+      );
+      distribucion = resto;
+      mapa = asientosDistribucion.map((a) => ({
+        numeroAsiento: a.numeroAsiento,
+        piso: a.piso,
+        fila: a.fila,
+        columna: a.columna,
+        estado: a.bloqueado ? 'BLOQUEADO' : 'LIBRE'
+      }));
+    }
+
+    res.json({
+      distribucion,
+      asientosLibres: mapa.filter((a) => a.estado === 'LIBRE').length,
+      asientos: mapa
+    });
+  } catch (error) {
+    console.error('Error obteniendo asientos en linea:', error);
+    res.status(500).json({ error: 'Error al obtener asientos' });
+  }
+};
+
+/**
+ * Reservar un asiento para pagarlo en linea
+ * El DNI se valida en RENIEC y el pasajero queda con el nombre oficial.
+ * POST /api/public/reservas
+ * Body: { idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada, numeroAsiento (opcional),
+ *         pasajero: { documentoIdentidad, nombreCompleto, telefono, correo } }
+ */
+const reservar = async (req, res) => {
+  try {
+    const {
+      idRuta,
+      idHorario,
+      fechaViaje,
+      idPuntoSubida,
+      idPuntoBajada,
+      numeroAsiento,
+      pasajero
+    } = req.body;
+
+    if (!pasajero || !pasajero.documentoIdentidad || !pasajero.nombreCompleto || !pasajero.telefono) {
+      return res.status(400).json({ error: 'Documento, nombre y telefono del pasajero son requeridos' });
+    }
+
+    const dni = pasajero.documentoIdentidad.toString().trim();
+    if (!/^\d{8}$/.test(dni)) {
+      return res.status(400).json({ error: 'La compra en linea requiere un DNI de 8 digitos' });
+    }
+
+    const correo = pasajero.correo?.toString().trim() || null;
+    if (correo && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(correo)) {
+      return res.status(400).json({ error: 'Correo invalido' });
+    }
+
+    if (numeroAsiento !== undefined && numeroAsiento !== null &&
+      (isNaN(parseInt(numeroAsiento)) || parseInt(numeroAsiento) <= 0)) {
+      return res.status(400).json({ error: 'Numero de asiento invalido' });
+    }
+
+    const venta = await validarViajeVenta({ idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada });
+    if (venta.error) {
+      return res.status(400).json({ error: venta.error });
+    }
+
+    if (esHorarioInstantaneo(venta.horario.horaSalida)) {
+      return res.status(400).json({ error: 'Horario no disponible' });
+    }
+
+    const identidad = await validarIdentidadPasajero(dni, pasajero.nombreCompleto);
+    if (identidad.error) {
+      return res.status(identidad.status).json({ error: identidad.error });
+    }
+
+    const canal = await obtenerCanalWeb();
+    const { tramo } = venta;
+
+    const reserva = await prisma.$transaction(async (tx) => {
+      const viaje = await buscarOCrearViaje(tx, {
+        idRuta: venta.idRuta,
+        idHorario: venta.idHorario,
+        fechaServicio: venta.fechaDate,
+        capacidadTotal: venta.horario.capacidadTotal,
+        userId: canal.userId
+      });
+
+      const cuposDisponibles = await calcularCuposTramo(tx, viaje, tramo.ordenSubida, tramo.ordenBajada);
+      if (cuposDisponibles <= 0) {
+        throw new Error('Aforo completo para este viaje');
+      }
+
+      if (viaje.estado !== 'ABIERTO') {
+        throw new Error('El viaje no esta abierto para venta');
+      }
+
+      let pasajeroDb = await tx.pasajero.findFirst({
+        where: { documentoIdentidad: dni }
+      });
+
+      if (!pasajeroDb) {
+        pasajeroDb = await tx.pasajero.create({
+          data: {
+            nombreCompleto: identidad.nombreCompleto,
+            documentoIdentidad: dni,
+            tipo_documento: '1',
+            telefono: pasajero.telefono.toString().trim(),
+            email: correo,
+            userIdRegistration: canal.userId
+          }
+        });
+      } else {
+        pasajeroDb = await tx.pasajero.update({
+          where: { id: pasajeroDb.id },
+          data: {
+            nombreCompleto: identidad.nombreCompleto,
+            telefono: pasajero.telefono.toString().trim(),
+            email: correo || pasajeroDb.email,
+            userIdModification: canal.userId,
+            dateTimeModification: utcNow()
+          }
+        });
+      }
+
+      // Limitar las reservas sin pagar de un mismo pasajero (evita acaparar asientos)
+      const pendientes = await tx.reserva.count({
+        where: { idPasajero: pasajeroDb.id, idUsuarioReserva: canal.userId, ...whereReservaVigente() }
+      });
+      if (pendientes >= MAX_RESERVAS_WEB_PASAJERO) {
+        throw new Error(`No puede tener mas de ${MAX_RESERVAS_WEB_PASAJERO} reservas en linea pendientes de pago`);
+      }
+
+      // Sin asiento elegido se asigna el primer asiento libre del tramo
+      let asiento = numeroAsiento ? parseInt(numeroAsiento) : null;
+      if (!asiento) {
+        const { asientos: mapa } = await obtenerMapaAsientos(tx, viaje.id, tramo);
+        const libre = mapa.find((a) => a.estado === 'LIBRE');
+        if (!libre) {
+          throw new Error('Aforo completo para este viaje');
+        }
+        asiento = libre.numeroAsiento;
+      }
+
+      await ocuparAsiento(tx, viaje.id, asiento, {
+        ordenSubida: tramo.ordenSubida,
+        ordenBajada: tramo.ordenBajada
+      });
+
+      const codigo = await generarCodigoReserva(tx);
+
+      return tx.reserva.create({
+        data: {
+          codigo,
+          idViaje: viaje.id,
+          idPasajero: pasajeroDb.id,
+          numeroAsiento: asiento,
+          idPuntoSubida: tramo.paradaSubida.idPunto,
+          idPuntoBajada: tramo.paradaBajada.idPunto,
+          ordenSubida: tramo.ordenSubida,
+          ordenBajada: tramo.ordenBajada,
+          estado: 'PENDIENTE',
+          fechaExpiracion: new Date(utcNow().getTime() + MINUTOS_RESERVA_WEB * 60 * 1000),
+          observacion: 'Reserva de venta en linea',
+          idUsuarioReserva: canal.userId,
+          userIdRegistration: canal.userId
+        },
+        include: INCLUDE_RESERVA_WEB
+      });
+    });
+
+    const { tarifa } = await calcularTarifaReserva(reserva);
+
+    await registrarAuditoria(canal.userId, 'RESERVA_CREADA', 'RESERVA', reserva.id, {
+      canal: 'WEB',
+      codigo: reserva.codigo,
+      idViaje: reserva.idViaje,
+      numeroAsiento: reserva.numeroAsiento,
+      idPuntoSubida: reserva.idPuntoSubida,
+      idPuntoBajada: reserva.idPuntoBajada,
+      pasajero: reserva.pasajero.nombreCompleto,
+      fechaExpiracion: reserva.fechaExpiracion
+    });
+
+    res.status(201).json({
+      mensaje: 'Asiento reservado exitosamente',
+      minutosParaPagar: MINUTOS_RESERVA_WEB,
+      reserva: formatearReservaWeb(reserva, tarifa.precio)
+    });
+  } catch (error) {
+    console.error('Error reservando en linea:', error);
+
+    if (ERRORES_RESERVA.includes(error.message) || esErrorAsiento(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al reservar asiento' });
+  }
+};
+
+/**
+ * Consultar una reserva web
+ * GET /api/public/reservas/:codigo
+ * Query params: documento (DNI del pasajero)
+ */
+const consultarReserva = async (req, res) => {
+  try {
+    const { codigo } = req.params;
+    const { documento } = req.query;
+
+    if (!documento) {
+      return res.status(400).json({ error: 'El documento del pasajero es requerido' });
+    }
+
+    const canal = await obtenerCanalWeb();
+    const reserva = await buscarReservaWeb(codigo, documento, canal);
+
+    if (!reserva) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const vigente = reserva.estado === 'PENDIENTE' && reserva.fechaExpiracion > utcNow();
+    const { tarifa } = vigente ? await calcularTarifaReserva(reserva) : { tarifa: null };
+
+    res.json({
+      reserva: {
+        ...formatearReservaWeb(reserva, tarifa ? tarifa.precio : reserva.ticket?.precio_final ?? null),
+        estado: reserva.estado === 'PENDIENTE' && !vigente ? 'EXPIRADA' : reserva.estado
+      }
+    });
+  } catch (error) {
+    console.error('Error consultando reserva en linea:', error);
+    res.status(500).json({ error: 'Error al consultar reserva' });
+  }
+};
+
+/**
+ * Pagar una reserva web: cobra con el proveedor de pagos, emite el ticket y la boleta
+ * Si el cobro se aprueba pero no se puede registrar o el ticket no se puede emitir
+ * (reserva vencida en el camino) el cobro se reembolsa.
+ * POST /api/public/reservas/:codigo/pagar
+ * Body: { documentoIdentidad, correo, tokenPago }
+ */
+const pagar = async (req, res) => {
+  try {
+    const { codigo } = req.params;
+    const { documentoIdentidad, tokenPago } = req.body;
+    const correo = req.body.correo?.toString().trim() || null;
+
+    if (!documentoIdentidad || !tokenPago) {
+      return res.status(400).json({ error: 'Documento del pasajero y token de pago son requeridos' });
+    }
+
+    if (correo && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(correo)) {
+      return res.status(400).json({ error: 'Correo invalido' });
+    }
+
+    const canal = await obtenerCanalWeb();
+    const reserva = await buscarReservaWeb(codigo, documentoIdentidad, canal);
+
+    if (!reserva) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    if (reserva.estado !== 'PENDIENTE' || reserva.fechaExpiracion <= utcNow()) {
+      return res.status(400).json({ error: 'La reserva ya no esta vigente' });
+    }
+
+    const { tramo, tarifa, error: errorTramo } = await calcularTarifaReserva(reserva);
+    if (errorTramo) {
+      return res.status(400).json({ error: errorTramo });
+    }
+
+    // Sin proveedor configurado (o FAKE no habilitado) no se cobra
+    let proveedor;
+    try {
+      ({ nombre: proveedor } = obtenerProveedor());
+    } catch (errorProveedor) {
+      console.error('Pago en linea no disponible:', errorProveedor.message);
+      return res.status(503).json({ error: 'El pago en linea no esta disponible en este momento' });
+    }
+
+    // Registrar el intento con la reserva bloqueada: evita dos cobros simultaneos
+    const pago = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM tbl_reservas WHERE id = ${reserva.id} FOR UPDATE`;
+
+      const enCurso = await tx.pagoWeb.findFirst({
+        where: { idReserva: reserva.id, estado: { in: ['PROCESANDO', 'APROBADO'] } }
+      });
+      if (enCurso) {
+        throw new Error('La reserva ya tiene un pago en proceso o aprobado');
+      }
+
+      return tx.pagoWeb.create({
+        data: {
+          idReserva: reserva.id,
+          proveedor,
+          monto: tarifa.precio,
+          correo: correo || reserva.pasajero.email
+        }
+      });
+    });
+
+    const cobro = await cobrar({
+      monto: tarifa.precio,
+      descripcion: `Pasaje ${tramo.paradaSubida.punto?.nombre} - ${tramo.paradaBajada.punto?.nombre}`,
+      referencia: reserva.codigo,
+      correo: pago.correo,
+      token: tokenPago
+    });
+
+    if (!cobro.aprobado) {
+      await prisma.pagoWeb.update({
+        where: { id: pago.id },
+        data: {
+          estado: 'RECHAZADO',
+          mensaje: cobro.mensaje?.slice(0, 255) || null,
+          respuestaJson: cobro.respuesta ?? undefined,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      await registrarAuditoria(canal.userId, 'PAGO_WEB_RECHAZADO', 'RESERVA', reserva.id, {
+        codigo: reserva.codigo,
+        proveedor,
+        monto: tarifa.precio,
+        mensaje: cobro.mensaje
+      });
+
+      return res.status(402).json({ error: cobro.mensaje || 'Pago rechazado' });
+    }
+
+    // Desde aqui el cobro esta aprobado: cualquier fallo al registrarlo o al emitir el
+    // pasaje se reembolsa
+    let resultado;
+    try {
+      await prisma.pagoWeb.update({
+        where: { id: pago.id },
+        data: {
+          idTransaccion: cobro.idTransaccion,
+          respuestaJson: cobro.respuesta ?? undefined,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      const { puntosPorSolDescuento, solesPorPunto } = await obtenerConfiguracionPuntos();
+
+      resultado = await prisma.$transaction(async (tx) => {
+        // Tomar la reserva solo si sigue vigente (carrera con la expiracion o la liberacion)
+        const { count } = await tx.reserva.updateMany({
+          where: {
+            id: reserva.id,
+            estado: 'PENDIENTE',
+            fechaExpiracion: { gt: utcNow() }
+          },
+          data: {
+            estado: 'CONFIRMADA',
+            userIdModification: canal.userId,
+            dateTimeModification: utcNow()
+          }
+        });
+
+        if (count === 0) {
+          throw new Error('La reserva ya no esta vigente');
+        }
+
+        const viaje = await tx.viaje.findUnique({ where: { id: reserva.idViaje } });
+        if (viaje.estado !== 'ABIERTO') {
+          throw new Error('El viaje no esta abierto para venta');
+        }
+
+        const ticket = await registrarTicket(tx, {
+          viaje,
+          pasajero: {
+            nombreCompleto: reserva.pasajero.nombreCompleto,
+            documentoIdentidad: reserva.pasajero.documentoIdentidad,
+            telefono: reserva.pasajero.telefono
+          },
+          tipoDocPasajero: '1',
+          numeroAsiento: reserva.numeroAsiento,
+          tramo,
+          metodoPago: 'TARJETA',
+          precioOriginal: tarifa.precio,
+          puntosGanados: Math.floor(tarifa.precio / solesPorPunto),
+          puntosUsados: 0,
+          puntosPorSolDescuento,
+          precioManual: null,
+          categoriaPasajero: 'GENERAL',
+          tarifasAplicadas: tarifa,
+          userId: canal.userId,
+          idReservaExcluida: reserva.id
+        });
+
+        await tx.reserva.update({
+          where: { id: reserva.id },
+          data: { idTicket: ticket.id }
+        });
+
+        if (correo) {
+          await tx.pasajero.update({
+            where: { id: reserva.idPasajero },
+            data: { email: correo }
+          });
+        }
+
+        // El cobro en linea queda como pago con tarjeta con la transaccion del proveedor
+        await registrarPagosTickets(tx, [ticket], [{
+          metodo: 'TARJETA',
+          monto: null,
+          referencia: cobro.idTransaccion?.slice(0, 50) || null
+        }], canal.userId);
+
+        await tx.pagoWeb.update({
+          where: { id: pago.id },
+          data: {
+            estado: 'APROBADO',
+            idTicket: ticket.id,
+            mensaje: cobro.mensaje?.slice(0, 255) || null,
+            dateTimeModification: utcNow()
+          }
+        });
+
+        return ticket;
+      });
+    } catch (errorVenta) {
+      console.error('Error emitiendo pasaje pagado en linea:', errorVenta);
+
+      const reembolso = await reembolsar(cobro.proveedor, {
+        idTransaccion: cobro.idTransaccion,
+        monto: tarifa.precio,
+        motivo: errorVenta.message
+      });
+
+      // Un fallo al registrar el reembolso no debe ocultar su resultado al cliente
+      try {
+        await prisma.pagoWeb.update({
+          where: { id: pago.id },
+          data: {
+            estado: reembolso.reembolsado ? 'REEMBOLSADO' : 'REEMBOLSO_FALLIDO',
+            idTransaccion: cobro.idTransaccion,
+            mensaje: `${errorVenta.message}. ${reembolso.mensaje || ''}`.slice(0, 255),
+            dateTimeModification: utcNow()
+          }
+        });
+      } catch (errorRegistro) {
+        console.error(`Error registrando reembolso del pago web ${pago.id} (${cobro.idTransaccion}):`, errorRegistro);
+      }
+
+      const accion = reembolso.reembolsado ? 'PAGO_WEB_REEMBOLSADO' : 'PAGO_WEB_REEMBOLSO_FALLIDO';
+      await registrarAuditoria(canal.userId, accion, 'RESERVA', reserva.id, {
+        codigo: reserva.codigo,
+        proveedor: cobro.proveedor,
+        idTransaccion: cobro.idTransaccion,
+        monto: tarifa.precio,
+        motivo: errorVenta.message
+      });
+
+      return res.status(409).json({
+        error: reembolso.reembolsado
+          ? 'No se pudo emitir el pasaje. El pago fue reembolsado'
+          : 'No se pudo emitir el pasaje y el reembolso quedo pendiente. Comuniquese con la empresa indicando su codigo de reserva',
+        codigoReserva: reserva.codigo
+      });
+    }
+
+    await registrarAuditoria(canal.userId, 'RESERVA_CONFIRMADA', 'RESERVA', reserva.id, {
+      canal: 'WEB',
+      codigo: reserva.codigo,
+      codigoInterno: resultado.codigoInterno,
+      numeroAsiento: resultado.numeroAsiento,
+      metodoPago: 'TARJETA',
+      tipoDocumento: 'BOLETA',
+      precioFinal: resultado.precioFinal,
+      proveedor: cobro.proveedor,
+      idTransaccion: cobro.idTransaccion
+    });
+
+    await registrarAuditoria(canal.userId, 'TICKET_VENDIDO', 'TICKET', resultado.id, {
+      canal: 'WEB',
+      codigoInterno: resultado.codigoInterno,
+      codigoReserva: reserva.codigo,
+      pasajero: resultado.pasajero.nombreCompleto,
+      numeroAsiento: resultado.numeroAsiento,
+      metodoPago: 'TARJETA',
+      tipoDocumento: 'BOLETA',
+      precioOriginal: resultado.precioOriginal,
+      precioFinal: resultado.precioFinal,
+      puntosGanados: resultado.puntosGanados
+    });
+
+    const agencia = await obtenerAgencia(canal.idPunto);
+    const qr = await generarQrTicket(resultado.codigoInterno);
+
+    const ticket = {
+      codigoInterno: resultado.codigoInterno,
+      numeroAsiento: resultado.numeroAsiento,
+      fechaServicio: resultado.viaje.fechaServicio,
+      horaSalida: formatTimeForAPI(resultado.viaje.horario.horaSalida),
+      horaSubida: formatTimeForAPI(calcularHoraParada(
+        resultado.viaje.horario.horaSalida,
+        tramo.paradaSubida.minutosDesdeSalida
+      )),
+      descripcion: describirPasaje(resultado),
+      pasajero: {
+        nombreCompleto: resultado.pasajero.nombreCompleto,
+        documentoIdentidad: resultado.pasajero.documentoIdentidad
+      },
+      precio: resultado.precioFinal,
+      puntosGanados: resultado.puntosGanados,
+      agencia,
+      qr
+    };
+
+    // Emitir boleta (un error no deshace la venta: la empresa la regulariza)
+    let comprobante = null;
+    try {
+      comprobante = await emitirComprobanteTicket({
+        ticket: resultado,
+        tipoDocumento: 'BOLETA',
+        tipoDocPasajero: '1',
+        clienteFactura: null,
+        comentario: null,
+        userId: canal.userId
+      });
+    } catch (errorComprobante) {
+      console.error('Error emitiendo boleta de venta en linea:', errorComprobante);
+      return res.status(201).json({
+        mensaje: 'Pago aprobado y pasaje emitido. La boleta se enviara cuando este disponible',
+        ticket,
+        comprobanteError: errorComprobante.message
+      });
+    }
+
+    res.status(201).json({
+      mensaje: 'Pago aprobado, pasaje emitido exitosamente',
+      ticket,
+      comprobante: normalizarComprobante(comprobante, { tipoDocumento: 'BOLETA', agencia, ticket: resultado })
+    });
+  } catch (error) {
+    console.error('Error pagando reserva en linea:', error);
+
+    if (ERRORES_RESERVA.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al procesar el pago' });
+  }
+};
+
+module.exports = {
+  buscarViajes,
+  asientos,
+  reservar,
+  consultarReserva,
+  pagar
+};
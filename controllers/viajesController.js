@@ -1,19 +1,133 @@
 /**
  * Viajes Controller
- * Controlador para consulta de viajes
+ * Controlador para consulta de viajes, manifiesto de pasajeros y ciclo de operacion
+ * (cierre, cancelacion, salida, llegada y retrasos)
  */
 
 const prisma = require('../config/prisma');
-const { parseCivilDate, isToday, hasTimePassed } = require('../utils/dateUtils');
+const { registrarAuditoria } = require('../services/auditoriaService');
+const {
+  parseCivilDate,
+  parseClientDateTime,
+  isToday,
+  isBeforeToday,
+  hasTimePassed,
+  utcNow,
+  combinarFechaHoraPeru
+} = require('../utils/dateUtils');
+const { construirDistribucion, obtenerMapaAsientos, esErrorAsiento } = require('../services/asientosService');
+const { contarReservasVigentes } = require('../services/reservasService');
+const { METODOS_PAGO } = require('../services/mediosPagoService');
+const { MENSAJES_CAJA, obtenerCajaAbierta } = require('../services/cajaService');
+const {
+  normalizarParadas,
+  obtenerParadasRuta,
+  resolverTramo,
+  calcularHoraParada,
+  calcularCuposTramo
+} = require('../services/tramosService');
+const {
+  obtenerViajeManifiesto,
+  construirPasajeros,
+  obtenerManifiesto,
+  nombreArchivoManifiesto,
+  exportarManifiestoCsv,
+  exportarManifiestoPdf
+} = require('../services/manifiestoService');
+const { ACCIONES_CANCELACION, atenderTicketsViajeCancelado } = require('../services/cancelacionViajeService');
+const { validarVehiculoViaje, asignarVehiculoViaje } = require('../services/vehiculosService');
+const { obtenerHorarioFecha, obtenerHorariosFecha } = require('../services/horariosService');
+const { promoverListaEspera } = require('../services/listaEsperaService');
+const {
+  INCLUDE_TRIPULACION,
+  validarTripulacion,
+  asignarTripulacionViaje
+} = require('../services/conductoresService');
+const { buscarOCrearViaje } = require('../services/ventaPasajeService');
+
+// Estados de viaje (enum EstadoViaje)
+const ESTADOS_VIAJE = ['ABIERTO', 'CERRADO', 'EN_RUTA', 'FINALIZADO', 'CANCELADO'];
+
+// Estados en los que el viaje aun no partio
+const ESTADOS_PREVIOS_SALIDA = ['ABIERTO', 'CERRADO'];
+
+const MINUTO_MS = 60 * 1000;
+
+/**
+ * Horarios programados y reales de un viaje
+ * La llegada programada solo se conoce si la ruta tiene paradas con minutos desde la salida.
+ * @param {Object} viaje - Viaje con horario incluido
+ * @param {number|null} minutosRuta - Minutos desde la salida hasta la ultima parada
+ * @returns {Object} { salidaProgramada, salidaEstimada, salidaReal, llegadaProgramada, llegadaReal,
+ *                     minutosRetraso, minutosRetrasoLlegada }
+ */
+const calcularTiemposViaje = (viaje, minutosRuta = null) => {
+  const salidaProgramada = combinarFechaHoraPeru(viaje.fechaServicio, viaje.horario.horaSalida);
+  const llegadaProgramada = minutosRuta
+    ? new Date(salidaProgramada.getTime() + minutosRuta * MINUTO_MS)
+    : null;
+
+  return {
+    salidaProgramada,
+    salidaEstimada: new Date(salidaProgramada.getTime() + viaje.minutosRetraso * MINUTO_MS),
+    salidaReal: viaje.horaSalidaReal,
+    llegadaProgramada,
+    llegadaReal: viaje.horaLlegadaReal,
+    minutosRetraso: viaje.minutosRetraso,
+    minutosRetrasoLlegada: llegadaProgramada && viaje.horaLlegadaReal
+      ? Math.round((viaje.horaLlegadaReal.getTime() - llegadaProgramada.getTime()) / MINUTO_MS)
+      : null
+  };
+};
 
 /**
- * Listar viajes
+ * Obtener viaje con el horario y la ultima parada de la ruta (para los tiempos)
+ * @param {Object} tx - Cliente Prisma o transaccion
+ * @param {number} idViaje - ID del viaje
+ * @returns {Promise<Object|null>}
+ */
+const obtenerViajeOperacion = async (tx, idViaje) => {
+  return tx.viaje.findUnique({
+    where: { id: idViaje },
+    include: {
+      ruta: {
+        include: {
+          puntoOrigen: { select: { id: true, nombre: true } },
+          puntoDestino: { select: { id: true, nombre: true } },
+          paradas: {
+            orderBy: { orden: 'desc' },
+            take: 1,
+            select: { minutosDesdeSalida: true }
+          }
+        }
+      },
+      horario: true,
+      vehiculo: { select: { id: true, placa: true, marca: true, modelo: true } },
+      tripulacion: INCLUDE_TRIPULACION
+    }
+  });
+};
+
+/**
+ * Formatear viaje para la respuesta con horarios programados y reales
+ */
+const formatearViaje = (viaje) => {
+  const { paradas, ...ruta } = viaje.ruta;
+  return {
+    ...viaje,
+    ruta,
+    tiempos: calcularTiemposViaje(viaje, paradas?.[0]?.minutosDesdeSalida ?? null)
+  };
+};
+
+/**
+ * Listar viajes con horarios programados y reales
  * GET /api/viajes
- * Query params: fecha, idRuta
+ * Query params: fecha, idRuta, estado (uno o varios separados por coma)
  */
 const listar = async (req, res) => {
   try {
-    const { fecha, idRuta } = req.query;
+    const { fecha, idRuta, estado } = req.query;
 
     const where = {};
 
@@ -29,16 +143,31 @@ const listar = async (req, res) => {
       where.idRuta = parseInt(idRuta);
     }
 
+    if (estado) {
+      const estados = String(estado).split(',').map((e) => e.trim().toUpperCase());
+      if (estados.some((e) => !ESTADOS_VIAJE.includes(e))) {
+        return res.status(400).json({ error: `Estado invalido. Valores permitidos: ${ESTADOS_VIAJE.join(', ')}` });
+      }
+      where.estado = { in: estados };
+    }
+
     const viajes = await prisma.viaje.findMany({
       where,
       include: {
         ruta: {
           include: {
             puntoOrigen: { select: { id: true, nombre: true } },
-            puntoDestino: { select: { id: true, nombre: true } }
+            puntoDestino: { select: { id: true, nombre: true } },
+            paradas: {
+              orderBy: { orden: 'desc' },
+              take: 1,
+              select: { minutosDesdeSalida: true }
+            }
           }
         },
-        horario: true
+        horario: true,
+        vehiculo: { select: { id: true, placa: true, marca: true, modelo: true } },
+        tripulacion: INCLUDE_TRIPULACION
       },
       orderBy: [
         { fechaServicio: 'asc' },
@@ -46,7 +175,7 @@ const listar = async (req, res) => {
       ]
     });
 
-    res.json({ viajes });
+    res.json({ viajes: viajes.map(formatearViaje) });
   } catch (error) {
     console.error('Error listando viajes:', error);
     res.status(500).json({ error: 'Error al listar viajes' });
@@ -56,11 +185,11 @@ const listar = async (req, res) => {
 /**
  * Obtener disponibilidad para venta
  * GET /api/viajes/disponibilidad
- * Query params: idRuta, fecha
+ * Query params: idRuta, fecha, idPuntoSubida, idPuntoBajada (tramo opcional, por defecto ruta completa)
  */
 const disponibilidad = async (req, res) => {
   try {
-    const { idRuta, fecha } = req.query;
+    const { idRuta, fecha, idPuntoSubida, idPuntoBajada } = req.query;
 
     if (!idRuta || !fecha) {
       return res.status(400).json({
@@ -74,6 +203,11 @@ const disponibilidad = async (req, res) => {
       include: {
         puntoOrigen: true,
         puntoDestino: true,
+        tipoCarro: true,
+        paradas: {
+          orderBy: { orden: 'asc' },
+          include: { punto: { select: { id: true, nombre: true, ciudad: true } } }
+        },
         horarios: {
           where: { habilitado: true },
           orderBy: { horaSalida: 'asc' },
@@ -81,7 +215,10 @@ const disponibilidad = async (req, res) => {
             id: true,
             horaSalida: true,
             capacidadTotal: true,
-            habilitado: true
+            habilitado: true,
+            diasSemana: true,
+            vigenciaDesde: true,
+            vigenciaHasta: true
           }
         }
       }
@@ -99,12 +236,22 @@ const disponibilidad = async (req, res) => {
       return res.status(400).json({ error: fechaError });
     }
 
+    // Resolver tramo solicitado dentro de las paradas de la ruta
+    const paradas = normalizarParadas(ruta);
+    const tramo = resolverTramo(paradas, idPuntoSubida, idPuntoBajada);
+    if (tramo.error) {
+      return res.status(400).json({ error: tramo.error });
+    }
+
     // Determinar si es hoy para filtrar horarios pasados (usando hora Perú)
     const esHoy = isToday(fecha);
 
+    // Solo los horarios que operan en la fecha segun su calendario (dias, vigencia y excepciones)
+    const horariosFecha = await obtenerHorariosFecha(prisma, ruta.horarios, fechaDate);
+
     // Para cada horario, verificar si existe viaje o calcular disponibilidad
     const disponibilidad = await Promise.all(
-      ruta.horarios.map(async (horario) => {
+      horariosFecha.map(async (horario) => {
         const viaje = await prisma.viaje.findUnique({
           where: {
             idRuta_idHorario_fechaServicio: {
@@ -115,14 +262,22 @@ const disponibilidad = async (req, res) => {
           }
         });
 
-        // Usar capacidad del horario (no de la ruta)
+        // Usar capacidad del horario para la fecha (no de la ruta)
         const capacidadTotal = viaje ? viaje.capacidadTotal : horario.capacidadTotal;
         const capacidadVendida = viaje ? viaje.capacidadVendida : 0;
-        let cuposDisponibles = capacidadTotal - capacidadVendida;
+        // Las reservas vigentes (no confirmadas ni vencidas) tambien ocupan cupo
+        const capacidadReservada = viaje ? await contarReservasVigentes(prisma, viaje.id) : 0;
+        // El aforo se controla por tramo: un asiento vendido A->B queda libre para B->C
+        let cuposDisponibles = viaje
+          ? await calcularCuposTramo(prisma, viaje, tramo.ordenSubida, tramo.ordenBajada)
+          : capacidadTotal;
+
+        // Hora de paso del bus por la parada de subida
+        const horaSubida = calcularHoraParada(horario.horaSalida, tramo.paradaSubida.minutosDesdeSalida);
 
-        // Si es hoy, verificar si el horario ya paso (usando hora Perú)
+        // Si es hoy, verificar si el bus ya paso por la parada de subida (usando hora Perú)
         let horarioPasado = false;
-        if (esHoy && hasTimePassed(horario.horaSalida)) {
+        if (esHoy && hasTimePassed(horaSubida)) {
           horarioPasado = true;
           cuposDisponibles = 0; // Marcar como no disponible
         }
@@ -130,12 +285,17 @@ const disponibilidad = async (req, res) => {
         return {
           idHorario: horario.id,
           horaSalida: horario.horaSalida,
+          horaSubida,
           capacidadTotal,
           capacidadVendida,
+          capacidadReservada,
           cuposDisponibles,
           viajeId: viaje ? viaje.id : null,
           estado: horarioPasado ? 'CERRADO' : (viaje ? viaje.estado : 'ABIERTO'),
-          horarioPasado
+          horarioPasado,
+          excepcion: horario.excepcion ? horario.excepcion.tipo : null,
+          // Sin viaje creado todos los asientos estan libres; con viaje usar GET /api/viajes/:id/asientos
+          distribucion: viaje ? null : construirDistribucion(ruta.tipoCarro, capacidadTotal)
         };
       })
     );
@@ -145,7 +305,20 @@ const disponibilidad = async (req, res) => {
         id: ruta.id,
         origen: ruta.puntoOrigen,
         destino: ruta.puntoDestino,
-        precioPasaje: ruta.precioPasaje
+        precioPasaje: ruta.precioPasaje,
+        paradas: paradas.map((parada) => ({
+          orden: parada.orden,
+          punto: parada.punto,
+          minutosDesdeSalida: parada.minutosDesdeSalida,
+          precioTramo: parada.precioTramo
+        }))
+      },
+      tramo: {
+        subida: tramo.paradaSubida.punto,
+        bajada: tramo.paradaBajada.punto,
+        ordenSubida: tramo.ordenSubida,
+        ordenBajada: tramo.ordenBajada,
+        precio: tramo.precio
       },
       fecha,
       horarios: disponibilidad
@@ -156,7 +329,786 @@ const disponibilidad = async (req, res) => {
   }
 };
 
+/**
+ * Obtener mapa de asientos de un viaje
+ * GET /api/viajes/:id/asientos
+ * Query params: idPuntoSubida, idPuntoBajada (tramo opcional, por defecto ruta completa)
+ */
+const asientos = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { idPuntoSubida, idPuntoBajada } = req.query;
+
+    const viaje = await prisma.viaje.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        ruta: {
+          include: {
+            puntoOrigen: { select: { id: true, nombre: true } },
+            puntoDestino: { select: { id: true, nombre: true } }
+          }
+        },
+        horario: true
+      }
+    });
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    const paradas = await obtenerParadasRuta(prisma, viaje.idRuta);
+    const tramo = resolverTramo(paradas, idPuntoSubida, idPuntoBajada);
+    if (tramo.error) {
+      return res.status(400).json({ error: tramo.error });
+    }
+
+    const mapa = await prisma.$transaction(async (tx) => obtenerMapaAsientos(tx, viaje.id, {
+      ordenSubida: tramo.ordenSubida,
+      ordenBajada: tramo.ordenBajada
+    }));
+
+    const libres = mapa.asientos.filter((a) => a.estado === 'LIBRE').length;
+
+    res.json({
+      viaje: {
+        id: viaje.id,
+        fechaServicio: viaje.fechaServicio,
+        horaSalida: viaje.horario.horaSalida,
+        origen: viaje.ruta.puntoOrigen,
+        destino: viaje.ruta.puntoDestino,
+        estado: viaje.estado
+      },
+      tramo: {
+        subida: tramo.paradaSubida.punto,
+        bajada: tramo.paradaBajada.punto,
+        precio: tramo.precio
+      },
+      distribucion: mapa.distribucion,
+      asientosLibres: libres,
+      asientos: mapa.asientos
+    });
+  } catch (error) {
+    console.error('Error obteniendo mapa de asientos:', error);
+    res.status(500).json({ error: 'Error al obtener mapa de asientos' });
+  }
+};
+
+/**
+ * Manifiesto de pasajeros del viaje
+ * GET /api/viajes/:id/manifiesto
+ * Query params: formato (json | csv | pdf, por defecto json)
+ */
+const manifiesto = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const formato = (req.query.formato || 'json').toLowerCase();
+
+    if (!['json', 'csv', 'pdf'].includes(formato)) {
+      return res.status(400).json({ error: 'Formato invalido. Use json, csv o pdf' });
+    }
+
+    const viaje = await obtenerViajeManifiesto(prisma, parseInt(id));
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    const resultado = await obtenerManifiesto(prisma, viaje);
+
+    if (formato === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivoManifiesto(resultado, 'csv')}"`);
+      return res.send(exportarManifiestoCsv(resultado));
+    }
+
+    if (formato === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${nombreArchivoManifiesto(resultado, 'pdf')}"`);
+      return res.send(exportarManifiestoPdf(resultado));
+    }
+
+    res.json(resultado);
+  } catch (error) {
+    console.error('Error obteniendo manifiesto:', error);
+    res.status(500).json({ error: 'Error al obtener manifiesto' });
+  }
+};
+
+/**
+ * Cerrar viaje: congela el manifiesto y pasa el viaje a CERRADO
+ * Las reservas pendientes del viaje se liberan.
+ * POST /api/viajes/:id/cerrar
+ * Body: { observaciones }
+ */
+const cerrar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { observaciones } = req.body;
+
+    const viaje = await obtenerViajeManifiesto(prisma, parseInt(id));
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    if (viaje.estado !== 'ABIERTO') {
+      return res.status(400).json({ error: 'Solo se pueden cerrar viajes abiertos' });
+    }
+
+    const resultado = await prisma.$transaction(async (tx) => {
+      // Cerrar solo si sigue abierto (evita ventas o cierres concurrentes)
+      const { count } = await tx.viaje.updateMany({
+        where: { id: viaje.id, estado: 'ABIERTO' },
+        data: {
+          estado: 'CERRADO',
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      if (count === 0) {
+        throw new Error('Solo se pueden cerrar viajes abiertos');
+      }
+
+      const pasajeros = await construirPasajeros(tx, viaje);
+
+      await tx.manifiestoViaje.create({
+        data: {
+          idViaje: viaje.id,
+          totalPasajeros: pasajeros.length,
+          pasajeros,
+          observaciones: observaciones || null,
+          idUsuarioCierre: req.user.id,
+          userIdRegistration: req.user.id
+        }
+      });
+
+      const reservasLiberadas = await tx.reserva.updateMany({
+        where: { idViaje: viaje.id, estado: 'PENDIENTE' },
+        data: {
+          estado: 'LIBERADA',
+          fechaLiberacion: utcNow(),
+          idUsuarioLiberacion: req.user.id,
+          motivoLiberacion: 'Viaje cerrado',
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      const viajeCerrado = await obtenerViajeManifiesto(tx, viaje.id);
+
+      return {
+        manifiesto: await obtenerManifiesto(tx, viajeCerrado),
+        reservasLiberadas: reservasLiberadas.count
+      };
+    });
+
+    await registrarAuditoria(req.user.id, 'VIAJE_CERRADO', 'VIAJE', viaje.id, {
+      totalPasajeros: resultado.manifiesto.totalPasajeros,
+      reservasLiberadas: resultado.reservasLiberadas,
+      observaciones: observaciones || null
+    });
+
+    res.json({
+      mensaje: 'Viaje cerrado exitosamente',
+      ...resultado
+    });
+  } catch (error) {
+    console.error('Error cerrando viaje:', error);
+
+    if (error.message === 'Solo se pueden cerrar viajes abiertos') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al cerrar viaje' });
+  }
+};
+
+/**
+ * Cancelar viaje y atender los pasajes vendidos
+ * Los tickets se reubican en otro horario de la misma ruta (accion REPROGRAMAR) o se
+ * anulan con devolucion total (accion DEVOLVER). Las reservas pendientes se liberan.
+ * Las devoluciones salen de la caja abierta del usuario que cancela.
+ * POST /api/viajes/:id/cancelar
+ * Body: { motivo, accion, idHorarioDestino, fechaDestino, metodoDevolucion }
+ */
+const cancelar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { motivo, accion, idHorarioDestino, fechaDestino, metodoDevolucion } = req.body;
+
+    if (!motivo || motivo.trim() === '') {
+      return res.status(400).json({ error: 'El motivo de cancelacion es requerido' });
+    }
+
+    if (!ACCIONES_CANCELACION.includes(accion)) {
+      return res.status(400).json({ error: 'Accion invalida para los pasajes vendidos (REPROGRAMAR o DEVOLVER)' });
+    }
+
+    if (metodoDevolucion && !METODOS_PAGO.includes(metodoDevolucion)) {
+      return res.status(400).json({ error: 'Metodo de devolucion invalido' });
+    }
+
+    const viaje = await obtenerViajeOperacion(prisma, parseInt(id));
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    if (!ESTADOS_PREVIOS_SALIDA.includes(viaje.estado)) {
+      return res.status(400).json({ error: 'Solo se pueden cancelar viajes que aun no han salido' });
+    }
+
+    let caja = null;
+    if (accion === 'DEVOLVER') {
+      caja = await obtenerCajaAbierta(prisma, req.user.id);
+      if (!caja) {
+        return res.status(400).json({ error: MENSAJES_CAJA.SIN_CAJA, requiereCaja: true });
+      }
+    }
+
+    // Viaje destino para reubicar a los pasajeros (misma ruta, otro horario o fecha)
+    let destino = null;
+    if (accion === 'REPROGRAMAR') {
+      if (!idHorarioDestino || !fechaDestino) {
+        return res.status(400).json({ error: 'Se requiere idHorarioDestino y fechaDestino para reprogramar' });
+      }
+
+      const { date: fechaDate, error: fechaError } = parseCivilDate(fechaDestino, 'fechaDestino');
+      if (fechaError) {
+        return res.status(400).json({ error: fechaError });
+      }
+
+      const horario = await prisma.horarioRuta.findUnique({
+        where: { id: parseInt(idHorarioDestino) }
+      });
+
+      if (!horario || horario.idRuta !== viaje.idRuta || !horario.habilitado) {
+        return res.status(400).json({ error: 'Horario destino no valido para la ruta del viaje' });
+      }
+
+      const calendario = await obtenerHorarioFecha(prisma, horario, fechaDate);
+      if (!calendario.opera) {
+        return res.status(400).json({ error: 'El horario destino no opera en la fecha indicada' });
+      }
+
+      if (isBeforeToday(fechaDestino) || (isToday(fechaDestino) && hasTimePassed(horario.horaSalida))) {
+        return res.status(400).json({ error: 'El horario destino ya paso' });
+      }
+
+      if (horario.id === viaje.idHorario && fechaDate.getTime() === viaje.fechaServicio.getTime()) {
+        return res.status(400).json({ error: 'El viaje destino debe ser distinto al viaje cancelado' });
+      }
+
+      destino = {
+        idRuta: viaje.idRuta,
+        idHorario: horario.id,
+        fechaServicio: fechaDate,
+        capacidadTotal: calendario.capacidadTotal
+      };
+    }
+
+    const motivoCancelacion = motivo.trim();
+
+    const reservasLiberadas = await prisma.$transaction(async (tx) => {
+      // Cancelar solo si aun no partio (evita carreras con el cierre o la salida)
+      const { count } = await tx.viaje.updateMany({
+        where: { id: viaje.id, estado: { in: ESTADOS_PREVIOS_SALIDA } },
+        data: {
+          estado: 'CANCELADO',
+          fechaCancelacion: utcNow(),
+          motivoCancelacion,
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      if (count === 0) {
+        throw new Error('Solo se pueden cancelar viajes que aun no han salido');
+      }
+
+      const { count: liberadas } = await tx.reserva.updateMany({
+        where: { idViaje: viaje.id, estado: 'PENDIENTE' },
+        data: {
+          estado: 'LIBERADA',
+          fechaLiberacion: utcNow(),
+          idUsuarioLiberacion: req.user.id,
+          motivoLiberacion: 'Viaje cancelado',
+          userIdModification: req.user.id,
+          dateTimeModification: utcNow()
+        }
+      });
+
+      return liberadas;
+    });
+
+    // Con el viaje ya cancelado (sin ventas nuevas) se atienden los pasajes uno por uno
+    const { reprogramados, devueltos, pendientes } = await atenderTicketsViajeCancelado(viaje, {
+      accion,
+      destino,
+      motivo: motivoCancelacion,
+      metodoDevolucion: metodoDevolucion || null,
+      userId: req.user.id,
+      idCaja: caja?.id ?? null
+    });
+
+    await registrarAuditoria(req.user.id, 'VIAJE_CANCELADO', 'VIAJE', viaje.id, {
+      motivo: motivoCancelacion,
+      accion,
+      destino,
+      reservasLiberadas,
+      reprogramados: reprogramados.length,
+      devueltos: devueltos.length,
+      pendientes: pendientes.map((p) => p.codigoInterno)
+    });
+
+    const viajeCancelado = await obtenerViajeOperacion(prisma, viaje.id);
+
+    res.json({
+      mensaje: pendientes.length > 0
+        ? 'Viaje cancelado exitosamente, pero algunos pasajes quedaron pendientes de atencion'
+        : 'Viaje cancelado exitosamente',
+      viaje: formatearViaje(viajeCancelado),
+      reservasLiberadas,
+      reprogramados,
+      devueltos,
+      pendientes
+    });
+  } catch (error) {
+    console.error('Error cancelando viaje:', error);
+
+    if (error.message === 'Solo se pueden cancelar viajes que aun no han salido') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al cancelar viaje' });
+  }
+};
+
+/**
+ * Registrar retraso estimado de un viaje que aun no sale
+ * POST /api/viajes/:id/retraso
+ * Body: { minutos, motivo }
+ */
+const retraso = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { minutos, motivo } = req.body;
+
+    const minutosRetraso = parseInt(minutos);
+    if (isNaN(minutosRetraso) || minutosRetraso < 0) {
+      return res.status(400).json({ error: 'Los minutos de retraso deben ser mayores o iguales a 0' });
+    }
+
+    if (minutosRetraso > 0 && (!motivo || motivo.trim() === '')) {
+      return res.status(400).json({ error: 'El motivo del retraso es requerido' });
+    }
+
+    const viaje = await obtenerViajeOperacion(prisma, parseInt(id));
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    const { count } = await prisma.viaje.updateMany({
+      where: { id: viaje.id, estado: { in: ESTADOS_PREVIOS_SALIDA } },
+      data: {
+        minutosRetraso,
+        motivoRetraso: minutosRetraso > 0 ? motivo.trim() : null,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({ error: 'Solo se puede registrar retraso en viajes que aun no han salido' });
+    }
+
+    await registrarAuditoria(req.user.id, 'VIAJE_RETRASO', 'VIAJE', viaje.id, {
+      minutosAnteriores: viaje.minutosRetraso,
+      minutosRetraso,
+      motivo: minutosRetraso > 0 ? motivo.trim() : null
+    });
+
+    const viajeActualizado = await obtenerViajeOperacion(prisma, viaje.id);
+
+    res.json({
+      mensaje: 'Retraso registrado exitosamente',
+      viaje: formatearViaje(viajeActualizado)
+    });
+  } catch (error) {
+    console.error('Error registrando retraso:', error);
+    res.status(500).json({ error: 'Error al registrar retraso' });
+  }
+};
+
+/**
+ * Leer la hora real enviada por el cliente (por defecto ahora)
+ * @param {string|number|undefined} fechaHora - ISO 8601 con zona horaria o epoch
+ * @returns {{ date: Date|null, error: string|null }}
+ */
+const leerHoraReal = (fechaHora) => {
+  if (fechaHora === undefined || fechaHora === null || fechaHora === '') {
+    return { date: utcNow(), error: null };
+  }
+
+  const { date, error } = parseClientDateTime(fechaHora, 'fechaHora');
+  if (error) return { date: null, error };
+
+  if (date.getTime() > utcNow().getTime() + MINUTO_MS * 5) {
+    return { date: null, error: 'La hora real no puede ser futura' };
+  }
+
+  return { date, error: null };
+};
+
+/**
+ * Registrar salida real del viaje (el manifiesto debe estar cerrado)
+ * El retraso se recalcula con la hora real frente a la programada.
+ * POST /api/viajes/:id/salida
+ * Body: { fechaHora } (opcional, por defecto ahora)
+ */
+const salida = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { date: horaSalidaReal, error: horaError } = leerHoraReal(req.body.fechaHora);
+    if (horaError) {
+      return res.status(400).json({ error: horaError });
+    }
+
+    const viaje = await obtenerViajeOperacion(prisma, parseInt(id));
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    if (viaje.estado === 'ABIERTO') {
+      return res.status(400).json({ error: 'Cierre el viaje (manifiesto) antes de registrar la salida' });
+    }
+
+    if (viaje.estado !== 'CERRADO') {
+      return res.status(400).json({ error: 'Solo se puede registrar la salida de viajes cerrados' });
+    }
+
+    const { salidaProgramada } = calcularTiemposViaje(viaje);
+    const minutosRetraso = Math.max(0, Math.round((horaSalidaReal.getTime() - salidaProgramada.getTime()) / MINUTO_MS));
+
+    const { count } = await prisma.viaje.updateMany({
+      where: { id: viaje.id, estado: 'CERRADO' },
+      data: {
+        estado: 'EN_RUTA',
+        horaSalidaReal,
+        minutosRetraso,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({ error: 'Solo se puede registrar la salida de viajes cerrados' });
+    }
+
+    await registrarAuditoria(req.user.id, 'VIAJE_SALIDA', 'VIAJE', viaje.id, {
+      salidaProgramada,
+      horaSalidaReal,
+      minutosRetraso
+    });
+
+    const viajeActualizado = await obtenerViajeOperacion(prisma, viaje.id);
+
+    res.json({
+      mensaje: 'Salida registrada exitosamente',
+      viaje: formatearViaje(viajeActualizado)
+    });
+  } catch (error) {
+    console.error('Error registrando salida:', error);
+    res.status(500).json({ error: 'Error al registrar salida' });
+  }
+};
+
+/**
+ * Registrar llegada real del viaje a destino
+ * POST /api/viajes/:id/llegada
+ * Body: { fechaHora } (opcional, por defecto ahora)
+ */
+const llegada = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { date: horaLlegadaReal, error: horaError } = leerHoraReal(req.body.fechaHora);
+    if (horaError) {
+      return res.status(400).json({ error: horaError });
+    }
+
+    const viaje = await obtenerViajeOperacion(prisma, parseInt(id));
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    if (viaje.estado !== 'EN_RUTA') {
+      return res.status(400).json({ error: 'Solo se puede registrar la llegada de viajes en ruta' });
+    }
+
+    if (horaLlegadaReal < viaje.horaSalidaReal) {
+      return res.status(400).json({ error: 'La hora de llegada no puede ser anterior a la salida' });
+    }
+
+    const { count } = await prisma.viaje.updateMany({
+      where: { id: viaje.id, estado: 'EN_RUTA' },
+      data: {
+        estado: 'FINALIZADO',
+        horaLlegadaReal,
+        userIdModification: req.user.id,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({ error: 'Solo se puede registrar la llegada de viajes en ruta' });
+    }
+
+    const viajeActualizado = await obtenerViajeOperacion(prisma, viaje.id);
+    const respuesta = formatearViaje(viajeActualizado);
+
+    await registrarAuditoria(req.user.id, 'VIAJE_LLEGADA', 'VIAJE', viaje.id, {
+      horaSalidaReal: viaje.horaSalidaReal,
+      horaLlegadaReal,
+      minutosRetrasoLlegada: respuesta.tiempos.minutosRetrasoLlegada
+    });
+
+    res.json({
+      mensaje: 'Llegada registrada exitosamente',
+      viaje: respuesta
+    });
+  } catch (error) {
+    console.error('Error registrando llegada:', error);
+    res.status(500).json({ error: 'Error al registrar llegada' });
+  }
+};
+
+// Errores de asignacion de vehiculo (se devuelven como 400)
+const ERRORES_VEHICULO = [
+  'El vehiculo ya esta asignado a otro viaje en la misma fecha y hora',
+  'La capacidad del vehiculo es menor a los pasajes vendidos y reservados'
+];
+
+/**
+ * Validar y asignar (o quitar) el vehiculo de un viaje
+ * @param {Object} viaje - Viaje obtenido con obtenerViajeOperacion
+ * @param {number|null} idVehiculo - Vehiculo a asignar (null para quitarlo)
+ * @param {number} userId - Usuario que asigna
+ * @returns {Promise<Object>} { viaje } o { status, error }
+ */
+const aplicarVehiculo = async (viaje, idVehiculo, userId) => {
+  if (!ESTADOS_PREVIOS_SALIDA.includes(viaje.estado)) {
+    return { status: 400, error: 'Solo se puede asignar vehiculo a viajes que aun no han salido' };
+  }
+
+  let vehiculo = null;
+  if (idVehiculo) {
+    vehiculo = await prisma.vehiculo.findUnique({ where: { id: parseInt(idVehiculo) } });
+    if (!vehiculo) {
+      return { status: 404, error: 'Vehiculo no encontrado' };
+    }
+
+    const errorVehiculo = validarVehiculoViaje(vehiculo, viaje);
+    if (errorVehiculo) {
+      return { status: 400, error: errorVehiculo };
+    }
+  }
+
+  await prisma.$transaction(async (tx) => asignarVehiculoViaje(tx, viaje, vehiculo, userId));
+
+  const actualizado = await obtenerViajeOperacion(prisma, viaje.id);
+
+  await registrarAuditoria(userId, vehiculo ? 'VIAJE_VEHICULO_ASIGNADO' : 'VIAJE_VEHICULO_RETIRADO', 'VIAJE', viaje.id, {
+    idVehiculoAnterior: viaje.idVehiculo,
+    idVehiculo: vehiculo?.id ?? null,
+    placa: vehiculo?.placa ?? null,
+    capacidadAnterior: viaje.capacidadTotal,
+    capacidadTotal: actualizado.capacidadTotal
+  });
+
+  // Los asientos adicionales se ofrecen a la lista de espera
+  if (actualizado.capacidadTotal > viaje.capacidadTotal) {
+    await promoverListaEspera(viaje.id, userId);
+  }
+
+  return { viaje: actualizado };
+};
+
+/**
+ * Programar un viaje (lo crea si aun no existe) y opcionalmente asignarle vehiculo
+ * POST /api/viajes/programar
+ * Body: { idRuta, idHorario, fecha, idVehiculo }
+ */
+const programar = async (req, res) => {
+  try {
+    const { idRuta, idHorario, fecha, idVehiculo } = req.body;
+
+    if (!idRuta || !idHorario || !fecha) {
+      return res.status(400).json({ error: 'Se requiere idRuta, idHorario y fecha' });
+    }
+
+    const { date: fechaDate, error: fechaError } = parseCivilDate(fecha, 'fecha');
+    if (fechaError) {
+      return res.status(400).json({ error: fechaError });
+    }
+
+    if (isBeforeToday(fecha)) {
+      return res.status(400).json({ error: 'No se pueden programar viajes en fechas pasadas' });
+    }
+
+    const horario = await prisma.horarioRuta.findUnique({
+      where: { id: parseInt(idHorario) },
+      include: { ruta: true }
+    });
+
+    if (!horario || horario.idRuta !== parseInt(idRuta) || !horario.ruta || horario.ruta.estado !== 1) {
+      return res.status(404).json({ error: 'Horario no encontrado para la ruta' });
+    }
+
+    const calendario = await obtenerHorarioFecha(prisma, horario, fechaDate);
+    if (!calendario.opera) {
+      return res.status(400).json({ error: 'El horario no opera en la fecha indicada' });
+    }
+
+    const { id } = await prisma.$transaction(async (tx) => buscarOCrearViaje(tx, {
+      idRuta: horario.idRuta,
+      idHorario: horario.id,
+      fechaServicio: fechaDate,
+      capacidadTotal: calendario.capacidadTotal,
+      userId: req.user.id
+    }));
+
+    let viaje = await obtenerViajeOperacion(prisma, id);
+
+    if (idVehiculo !== undefined && idVehiculo !== null) {
+      const resultado = await aplicarVehiculo(viaje, idVehiculo, req.user.id);
+      if (resultado.error) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      viaje = resultado.viaje;
+    }
+
+    res.status(201).json({
+      mensaje: 'Viaje programado exitosamente',
+      viaje: formatearViaje(viaje)
+    });
+  } catch (error) {
+    console.error('Error programando viaje:', error);
+
+    if (ERRORES_VEHICULO.includes(error.message) || esErrorAsiento(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al programar viaje' });
+  }
+};
+
+/**
+ * Asignar vehiculo a un viaje (la capacidad del viaje pasa a ser la del vehiculo)
+ * PUT /api/viajes/:id/vehiculo
+ * Body: { idVehiculo } (null para quitar el vehiculo y volver a la capacidad del horario)
+ */
+const asignarVehiculo = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { idVehiculo } = req.body;
+
+    if (idVehiculo === undefined) {
+      return res.status(400).json({ error: 'Se requiere idVehiculo (null para quitar el vehiculo)' });
+    }
+
+    const viaje = await obtenerViajeOperacion(prisma, parseInt(id));
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    const resultado = await aplicarVehiculo(viaje, idVehiculo, req.user.id);
+    if (resultado.error) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+
+    res.json({
+      mensaje: idVehiculo ? 'Vehiculo asignado exitosamente' : 'Vehiculo retirado exitosamente',
+      viaje: formatearViaje(resultado.viaje)
+    });
+  } catch (error) {
+    console.error('Error asignando vehiculo:', error);
+
+    if (ERRORES_VEHICULO.includes(error.message) || esErrorAsiento(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al asignar vehiculo' });
+  }
+};
+
+/**
+ * Asignar conductores y ayudantes a un viaje (reemplaza la tripulacion anterior)
+ * Los conductores deben tener licencia vigente a la fecha del viaje.
+ * PUT /api/viajes/:id/tripulacion
+ * Body: { conductores: [idConductor], ayudantes: [idConductor] } (el primer conductor es el principal)
+ */
+const asignarTripulacion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { conductores, ayudantes } = req.body;
+
+    const viaje = await obtenerViajeOperacion(prisma, parseInt(id));
+
+    if (!viaje) {
+      return res.status(404).json({ error: 'Viaje no encontrado' });
+    }
+
+    if (!ESTADOS_PREVIOS_SALIDA.includes(viaje.estado)) {
+      return res.status(400).json({ error: 'Solo se puede asignar tripulacion a viajes que aun no han salido' });
+    }
+
+    const { tripulantes, error } = await validarTripulacion(prisma, viaje, { conductores, ayudantes });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await prisma.$transaction(async (tx) => asignarTripulacionViaje(tx, viaje, tripulantes, req.user.id));
+
+    await registrarAuditoria(req.user.id, 'VIAJE_TRIPULACION_ASIGNADA', 'VIAJE', viaje.id, {
+      anterior: viaje.tripulacion.map((t) => ({ idConductor: t.idConductor, rol: t.rol })),
+      tripulantes
+    });
+
+    const viajeActualizado = await obtenerViajeOperacion(prisma, viaje.id);
+
+    res.json({
+      mensaje: 'Tripulacion asignada exitosamente',
+      viaje: formatearViaje(viajeActualizado)
+    });
+  } catch (error) {
+    console.error('Error asignando tripulacion:', error);
+
+    if (error.message.endsWith('ya esta asignado a otro viaje en la misma fecha y hora')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al asignar tripulacion' });
+  }
+};
+
 module.exports = {
   listar,
-  disponibilidad
+  disponibilidad,
+  asientos,
+  manifiesto,
+  cerrar,
+  cancelar,
+  retraso,
+  salida,
+  llegada,
+  programar,
+  asignarVehiculo,
+  asignarTripulacion
 };
@@ -36,6 +36,8 @@ const morgan = require('morgan');
 const path = require('path');
 
 const routes = require('./routes');
+const reservasJob = require('./jobs/reservasJob');
+const almacenajeJob = require('./jobs/almacenajeJob');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -53,6 +55,9 @@ const isDevelopment = process.env.NODE_ENV === 'development';
 // Seguridad
 app.use(helmet());
 
+// Detras del proxy de Railway: req.ip es la IP del cliente (limites por IP de rutas publicas)
+app.set('trust proxy', 1);
+
 // CORS - Configurado segun el entorno
 // En desarrollo: permite localhost:5173 (Vite)
 // En produccion: permite el dominio configurado en Railway
@@ -138,6 +143,11 @@ app.listen(PORT, () => {
   ╚═══════════════════════════════════════════════════════════════╝
   `);
 
+  // Procesos periodicos
+  if (process.env.NODE_ENV !== 'test') {
+    reservasJob.iniciar();
+    almacenajeJob.iniciar();
+  }
 });
 
 module.exports = app;
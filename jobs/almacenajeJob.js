@@ -0,0 +1,37 @@
+/**
+ * Almacenaje Job
+ * Proceso diario que marca en almacenaje las encomiendas no retiradas y abandona las vencidas
+ */
+
+const { procesarEncomiendasVencidas } = require('../services/almacenajeService');
+
+// Intervalo de ejecucion: una vez al dia
+const INTERVALO_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ejecutar una pasada de almacenaje y abandono de encomiendas
+ */
+const ejecutar = async () => {
+  try {
+    const { almacenadas, abandonadas } = await procesarEncomiendasVencidas();
+    if (almacenadas > 0 || abandonadas > 0) {
+      console.log(`[almacenajeJob] ${almacenadas} encomienda(s) en almacenaje, ${abandonadas} abandonada(s)`);
+    }
+  } catch (error) {
+    console.error('Error procesando almacenaje de encomiendas:', error);
+  }
+};
+
+/**
+ * Iniciar el job de almacenaje de encomiendas
+ * @returns {NodeJS.Timeout} Referencia del intervalo
+ */
+const iniciar = () => {
+  ejecutar();
+  return setInterval(ejecutar, INTERVALO_MS);
+};
+
+module.exports = {
+  ejecutar,
+  iniciar
+};
@@ -0,0 +1,48 @@
+/**
+ * Reservas Job
+ * Proceso periodico que marca como EXPIRADA las reservas vencidas y atiende la lista de espera
+ */
+
+const { expirarReservasVencidas } = require('../services/reservasService');
+const { procesarListaEspera } = require('../services/listaEsperaService');
+
+// Intervalo de ejecucion: cada minuto
+const INTERVALO_MS = 60 * 1000;
+
+/**
+ * Ejecutar una pasada de expiracion de reservas y de lista de espera
+ */
+const ejecutar = async () => {
+  try {
+    const expiradas = await expirarReservasVencidas();
+    if (expiradas > 0) {
+      console.log(`[reservasJob] ${expiradas} reserva(s) expirada(s)`);
+    }
+  } catch (error) {
+    console.error('Error expirando reservas:', error);
+  }
+
+  // Los cupos de reservas vencidas se ofrecen a la lista de espera
+  try {
+    const { cerradas, promovidas } = await procesarListaEspera();
+    if (cerradas > 0 || promovidas > 0) {
+      console.log(`[reservasJob] Lista de espera: ${promovidas} promovida(s), ${cerradas} cerrada(s)`);
+    }
+  } catch (error) {
+    console.error('Error procesando lista de espera:', error);
+  }
+};
+
+/**
+ * Iniciar el job de expiracion de reservas
+ * @returns {NodeJS.Timeout} Referencia del intervalo
+ */
+const iniciar = () => {
+  ejecutar();
+  return setInterval(ejecutar, INTERVALO_MS);
+};
+
+module.exports = {
+  ejecutar,
+  iniciar
+};
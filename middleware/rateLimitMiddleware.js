@@ -0,0 +1,48 @@
+/**
+ * Rate Limit Middleware
+ * Limite de solicitudes por IP para endpoints publicos (en memoria, por instancia)
+ */
+
+// Intervalo de limpieza de ventanas vencidas
+const LIMPIEZA_MS = 5 * 60 * 1000;
+
+/**
+ * Crear un limitador de solicitudes por IP con ventana fija
+ * @param {Object} opciones - { ventanaMs, maximo, mensaje }
+ * @returns {Function} Middleware de Express
+ */
+const limitarPorIp = ({ ventanaMs, maximo, mensaje = 'Demasiadas solicitudes, intente nuevamente mas tarde' }) => {
+  const contadores = new Map();
+
+  // Liberar las IPs cuya ventana ya vencio (el intervalo no retiene el proceso)
+  setInterval(() => {
+    const ahora = Date.now();
+    for (const [ip, contador] of contadores) {
+      if (contador.reinicio <= ahora) contadores.delete(ip);
+    }
+  }, LIMPIEZA_MS).unref();
+
+  return (req, res, next) => {
+    const ip = req.ip || req.socket?.remoteAddress || 'desconocida';
+    const ahora = Date.now();
+
+    let contador = contadores.get(ip);
+    if (!contador || contador.reinicio <= ahora) {
+      contador = { cantidad: 0, reinicio: ahora + ventanaMs };
+      contadores.set(ip, contador);
+    }
+
+    contador.cantidad++;
+    if (contador.cantidad > maximo) {
+      const segundos = Math.ceil((contador.reinicio - ahora) / 1000);
+      res.set('Retry-After', String(segundos));
+      return res.status(429).json({ error: mensaje, reintentarEnSegundos: segundos });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  limitarPorIp
+};
@@ -73,6 +73,16 @@ const procesarFotoEntrega = async (file, encomiendaId) => {
   }
 };
 
+// Imagen en base64 con encabezado data URI: data:image/<tipo>;base64,<datos>
+const FORMATO_IMAGEN_BASE64 = /^data:image\/(\w+);base64,(.+)$/;
+
+/**
+ * Verifica que una imagen base64 tenga el formato que acepta guardarImagenBase64
+ * @param {string} base64Data - Imagen en base64
+ * @returns {boolean}
+ */
+const esImagenBase64Valida = (base64Data) => typeof base64Data === 'string' && FORMATO_IMAGEN_BASE64.test(base64Data);
+
 /**
  * Guarda imagen desde base64
  * @param {string} base64Data - Imagen en base64
@@ -98,7 +108,7 @@ const guardarImagenBase64 = async (base64Data, encomiendaId) => {
       fs.mkdirSync(uploadPath, { recursive: true });
     }
 
-    const matches = base64Data.match(/^data:image\/(\w+);base64,(.+)$/);
+    const matches = base64Data.match(FORMATO_IMAGEN_BASE64);
     if (!matches) {
       throw new Error('Formato de imagen base64 invalido');
     }
@@ -131,6 +141,9 @@ const eliminarFotoEntrega = async (urlOrPath) => {
     const url = new URL(urlOrPath);
     const key = url.pathname.split('/').slice(2).join('/');
     return await s3Service.deleteFile(key);
+  } else if (s3Service.isConfigured()) {
+    // Es una key de S3 (guardarImagenBase64 retorna la key)
+    return await s3Service.deleteFile(urlOrPath);
   } else {
     // Es una ruta local: eliminar archivo
     const fullPath = path.join(UPLOADS_BASE, urlOrPath);
@@ -150,6 +163,7 @@ const eliminarFotoEntrega = async (urlOrPath) => {
 module.exports = {
   uploadFotoEntrega,
   procesarFotoEntrega,
+  esImagenBase64Valida,
   guardarImagenBase64,
   eliminarFotoEntrega,
   UPLOADS_BASE,
@@ -0,0 +1,43 @@
+-- Migración de mapa de asientos numerados por viaje
+-- Fecha: 2026-10-19
+-- Propósito: Distribución de asientos por tipo de carro, inventario de asientos por viaje
+--            y asiento asignado en cada ticket
+
+-- ============================================
+-- 1. DISTRIBUCION DE ASIENTOS EN tbl_tipos_carro
+-- ============================================
+ALTER TABLE "tbl_tipos_carro" ADD COLUMN IF NOT EXISTS "filas" INTEGER;
+ALTER TABLE "tbl_tipos_carro" ADD COLUMN IF NOT EXISTS "columnas" INTEGER;
+ALTER TABLE "tbl_tipos_carro" ADD COLUMN IF NOT EXISTS "columna_pasillo" INTEGER;
+ALTER TABLE "tbl_tipos_carro" ADD COLUMN IF NOT EXISTS "pisos" INTEGER DEFAULT 1;
+ALTER TABLE "tbl_tipos_carro" ADD COLUMN IF NOT EXISTS "asientos_bloqueados" JSONB;
+
+-- ============================================
+-- 2. CREAR TABLA tbl_asientos_viaje
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_asientos_viaje" (
+    "id" SERIAL NOT NULL,
+    "id_viaje" INTEGER NOT NULL,
+    "numero_asiento" INTEGER NOT NULL,
+    "piso" INTEGER NOT NULL DEFAULT 1,
+    "fila" INTEGER NOT NULL,
+    "columna" INTEGER NOT NULL,
+    "bloqueado" BOOLEAN NOT NULL DEFAULT false,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "tbl_asientos_viaje_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_asientos_viaje_id_viaje_numero_asiento_key"
+ON "tbl_asientos_viaje"("id_viaje", "numero_asiento");
+
+ALTER TABLE "tbl_asientos_viaje"
+ADD CONSTRAINT "tbl_asientos_viaje_id_viaje_fkey"
+FOREIGN KEY ("id_viaje") REFERENCES "tbl_viajes"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- ============================================
+-- 3. ASIENTO ASIGNADO EN tbl_tickets
+-- ============================================
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "numero_asiento" INTEGER;
+
+CREATE INDEX IF NOT EXISTS "idx_tickets_viaje_asiento" ON "tbl_tickets"("id_viaje", "numero_asiento");
@@ -0,0 +1,68 @@
+-- Migración de reservas de asientos con tiempo límite
+-- Fecha: 2026-10-19
+-- Propósito: Retener asientos sin pago durante tiempo_reserva_minutos (call-center)
+
+-- ============================================
+-- 1. ENUM estado_reserva
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "estado_reserva" AS ENUM ('PENDIENTE', 'CONFIRMADA', 'LIBERADA', 'EXPIRADA');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 2. CREAR TABLA tbl_reservas
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_reservas" (
+    "id" SERIAL NOT NULL,
+    "codigo" VARCHAR(20) NOT NULL,
+    "id_viaje" INTEGER NOT NULL,
+    "id_pasajero" INTEGER NOT NULL,
+    "numero_asiento" INTEGER NOT NULL,
+    "estado" "estado_reserva" NOT NULL DEFAULT 'PENDIENTE',
+    "fecha_expiracion" TIMESTAMPTZ(6) NOT NULL,
+    "observacion" VARCHAR(500),
+    "id_ticket" INTEGER,
+    "id_usuario_reserva" INTEGER NOT NULL,
+    "fecha_liberacion" TIMESTAMPTZ(6),
+    "id_usuario_liberacion" INTEGER,
+    "motivo_liberacion" VARCHAR(255),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+    CONSTRAINT "tbl_reservas_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_reservas_codigo_key" ON "tbl_reservas"("codigo");
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_reservas_id_ticket_key" ON "tbl_reservas"("id_ticket");
+CREATE INDEX IF NOT EXISTS "idx_reservas_viaje_estado" ON "tbl_reservas"("id_viaje", "estado");
+CREATE INDEX IF NOT EXISTS "idx_reservas_estado_expiracion" ON "tbl_reservas"("estado", "fecha_expiracion");
+
+ALTER TABLE "tbl_reservas"
+ADD CONSTRAINT "tbl_reservas_id_viaje_fkey"
+FOREIGN KEY ("id_viaje") REFERENCES "tbl_viajes"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_reservas"
+ADD CONSTRAINT "tbl_reservas_id_pasajero_fkey"
+FOREIGN KEY ("id_pasajero") REFERENCES "tbl_pasajeros"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_reservas"
+ADD CONSTRAINT "tbl_reservas_id_ticket_fkey"
+FOREIGN KEY ("id_ticket") REFERENCES "tbl_tickets"("id")
+ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_reservas"
+ADD CONSTRAINT "tbl_reservas_id_usuario_reserva_fkey"
+FOREIGN KEY ("id_usuario_reserva") REFERENCES "tbl_usuarios"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- ============================================
+-- 3. PERMISO PASAJES_RESERVAR
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES ('PASAJES_RESERVAR', 'Reservar pasaje', 'ACCION', 'pasajes', 1)
+ON CONFLICT ("codigo") DO NOTHING;
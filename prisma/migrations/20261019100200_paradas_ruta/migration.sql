@@ -0,0 +1,69 @@
+-- Migración de paradas intermedias por ruta y aforo por tramo
+-- Fecha: 2026-10-19
+-- Propósito: Paradas ordenadas con tarifa por tramo; tickets y reservas guardan subida y bajada
+
+-- ============================================
+-- 1. CREAR TABLA tbl_paradas_ruta
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_paradas_ruta" (
+    "id" SERIAL NOT NULL,
+    "id_ruta" INTEGER NOT NULL,
+    "id_punto" INTEGER NOT NULL,
+    "orden" INTEGER NOT NULL,
+    "minutos_desde_salida" INTEGER NOT NULL DEFAULT 0,
+    "precio_tramo" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+    CONSTRAINT "tbl_paradas_ruta_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_paradas_ruta_id_ruta_orden_key" ON "tbl_paradas_ruta"("id_ruta", "orden");
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_paradas_ruta_id_ruta_id_punto_key" ON "tbl_paradas_ruta"("id_ruta", "id_punto");
+
+ALTER TABLE "tbl_paradas_ruta"
+ADD CONSTRAINT "tbl_paradas_ruta_id_ruta_fkey"
+FOREIGN KEY ("id_ruta") REFERENCES "tbl_rutas"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_paradas_ruta"
+ADD CONSTRAINT "tbl_paradas_ruta_id_punto_fkey"
+FOREIGN KEY ("id_punto") REFERENCES "tbl_puntos"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- ============================================
+-- 2. TRAMO EN TICKETS (NULL = ruta completa)
+-- ============================================
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "id_punto_subida" INTEGER;
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "id_punto_bajada" INTEGER;
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "orden_subida" INTEGER;
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "orden_bajada" INTEGER;
+
+ALTER TABLE "tbl_tickets"
+ADD CONSTRAINT "tbl_tickets_id_punto_subida_fkey"
+FOREIGN KEY ("id_punto_subida") REFERENCES "tbl_puntos"("id")
+ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_tickets"
+ADD CONSTRAINT "tbl_tickets_id_punto_bajada_fkey"
+FOREIGN KEY ("id_punto_bajada") REFERENCES "tbl_puntos"("id")
+ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- ============================================
+-- 3. TRAMO EN RESERVAS (NULL = ruta completa)
+-- ============================================
+ALTER TABLE "tbl_reservas" ADD COLUMN IF NOT EXISTS "id_punto_subida" INTEGER;
+ALTER TABLE "tbl_reservas" ADD COLUMN IF NOT EXISTS "id_punto_bajada" INTEGER;
+ALTER TABLE "tbl_reservas" ADD COLUMN IF NOT EXISTS "orden_subida" INTEGER;
+ALTER TABLE "tbl_reservas" ADD COLUMN IF NOT EXISTS "orden_bajada" INTEGER;
+
+ALTER TABLE "tbl_reservas"
+ADD CONSTRAINT "tbl_reservas_id_punto_subida_fkey"
+FOREIGN KEY ("id_punto_subida") REFERENCES "tbl_puntos"("id")
+ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_reservas"
+ADD CONSTRAINT "tbl_reservas_id_punto_bajada_fkey"
+FOREIGN KEY ("id_punto_bajada") REFERENCES "tbl_puntos"("id")
+ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,68 @@
+-- Migración de reprogramación de pasajes
+-- Fecha: 2026-10-19
+-- Propósito: Historial de cambios de fecha/horario con diferencia de tarifa y cargo por cambio
+
+-- ============================================
+-- 1. CARGO POR REPROGRAMACIÓN EN CONFIGURACIÓN
+-- ============================================
+ALTER TABLE "tbl_configuracion_sistema" ADD COLUMN IF NOT EXISTS "cargo_reprogramacion" DECIMAL(10,2) DEFAULT 0;
+
+-- ============================================
+-- 2. CREAR TABLA tbl_tickets_reprogramaciones
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_tickets_reprogramaciones" (
+    "id" SERIAL NOT NULL,
+    "id_ticket" INTEGER NOT NULL,
+    "id_viaje_anterior" INTEGER NOT NULL,
+    "id_viaje_nuevo" INTEGER NOT NULL,
+    "numero_asiento_anterior" INTEGER,
+    "numero_asiento_nuevo" INTEGER NOT NULL,
+    "id_punto_subida_anterior" INTEGER,
+    "id_punto_bajada_anterior" INTEGER,
+    "id_punto_subida_nuevo" INTEGER,
+    "id_punto_bajada_nuevo" INTEGER,
+    "precio_anterior" DECIMAL(10,2) NOT NULL,
+    "precio_nuevo" DECIMAL(10,2) NOT NULL,
+    "diferencia_tarifa" DECIMAL(10,2) NOT NULL,
+    "cargo_cambio" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "monto_cobrado" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "monto_devuelto" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "metodo_pago" "metodo_pago",
+    "id_comprobante" INTEGER,
+    "id_nota_venta" INTEGER,
+    "motivo" VARCHAR(255),
+    "id_usuario" INTEGER NOT NULL,
+    "fecha_reprogramacion" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "tbl_tickets_reprogramaciones_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_tickets_reprogramaciones_ticket" ON "tbl_tickets_reprogramaciones"("id_ticket");
+
+ALTER TABLE "tbl_tickets_reprogramaciones"
+ADD CONSTRAINT "tbl_tickets_reprogramaciones_id_ticket_fkey"
+FOREIGN KEY ("id_ticket") REFERENCES "tbl_tickets"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_tickets_reprogramaciones"
+ADD CONSTRAINT "tbl_tickets_reprogramaciones_id_viaje_anterior_fkey"
+FOREIGN KEY ("id_viaje_anterior") REFERENCES "tbl_viajes"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_tickets_reprogramaciones"
+ADD CONSTRAINT "tbl_tickets_reprogramaciones_id_viaje_nuevo_fkey"
+FOREIGN KEY ("id_viaje_nuevo") REFERENCES "tbl_viajes"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_tickets_reprogramaciones"
+ADD CONSTRAINT "tbl_tickets_reprogramaciones_id_usuario_fkey"
+FOREIGN KEY ("id_usuario") REFERENCES "tbl_usuarios"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- ============================================
+-- 3. PERMISO PASAJES_REPROGRAMAR
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES ('PASAJES_REPROGRAMAR', 'Reprogramar pasaje', 'ACCION', 'pasajes', 1)
+ON CONFLICT ("codigo") DO NOTHING;
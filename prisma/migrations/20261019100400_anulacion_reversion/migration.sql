@@ -0,0 +1,26 @@
+-- Migración de reversión completa al anular pasajes
+-- Fecha: 2026-10-19
+-- Propósito: Notas de crédito sobre comprobantes y registro de devolución en tickets anulados
+
+-- ============================================
+-- 1. REFERENCIA Y MOTIVO EN COMPROBANTES (NOTA DE CRÉDITO)
+-- ============================================
+ALTER TABLE "tbl_comprobantes" ADD COLUMN IF NOT EXISTS "id_referencia" INTEGER;
+ALTER TABLE "tbl_comprobantes" ADD COLUMN IF NOT EXISTS "motivo_nota" VARCHAR(250);
+
+-- ============================================
+-- 2. DEVOLUCIÓN EN TICKETS
+-- ============================================
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "monto_devolucion" DECIMAL(10,2);
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "metodo_devolucion" "metodo_pago";
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "id_nota_credito" INTEGER;
+
+CREATE INDEX IF NOT EXISTS "idx_tickets_fecha_anulacion" ON "tbl_tickets"("fecha_anulacion");
+
+-- ============================================
+-- 3. SERIES DE NOTA DE CRÉDITO
+-- ============================================
+INSERT INTO "tbl_series_factura" ("tipo_comprobante", "serie", "numero_actual", "activo") VALUES
+    ('07', 'BC74', 0, true),
+    ('07', 'FC74', 0, true)
+ON CONFLICT ("tipo_comprobante", "serie") DO NOTHING;
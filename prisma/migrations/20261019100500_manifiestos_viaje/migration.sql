@@ -0,0 +1,39 @@
+-- Migración de manifiesto de pasajeros
+-- Fecha: 2026-10-19
+-- Propósito: Copia congelada del manifiesto al cerrar un viaje
+
+-- ============================================
+-- 1. CREAR TABLA tbl_manifiestos_viaje
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_manifiestos_viaje" (
+    "id" SERIAL NOT NULL,
+    "id_viaje" INTEGER NOT NULL,
+    "total_pasajeros" INTEGER NOT NULL,
+    "pasajeros" JSONB NOT NULL,
+    "observaciones" VARCHAR(500),
+    "id_usuario_cierre" INTEGER NOT NULL,
+    "fecha_cierre" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "tbl_manifiestos_viaje_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_manifiestos_viaje_id_viaje_key" ON "tbl_manifiestos_viaje"("id_viaje");
+
+ALTER TABLE "tbl_manifiestos_viaje"
+ADD CONSTRAINT "tbl_manifiestos_viaje_id_viaje_fkey"
+FOREIGN KEY ("id_viaje") REFERENCES "tbl_viajes"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_manifiestos_viaje"
+ADD CONSTRAINT "tbl_manifiestos_viaje_id_usuario_cierre_fkey"
+FOREIGN KEY ("id_usuario_cierre") REFERENCES "tbl_usuarios"("id")
+ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- ============================================
+-- 2. PERMISOS DE MANIFIESTO Y CIERRE
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado") VALUES
+    ('VIAJES_MANIFIESTO', 'Ver manifiesto de pasajeros', 'ACCION', 'viajes', 1),
+    ('VIAJES_CERRAR', 'Cerrar viaje', 'ACCION', 'viajes', 1)
+ON CONFLICT ("codigo") DO NOTHING;
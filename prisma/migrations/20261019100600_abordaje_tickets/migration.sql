@@ -0,0 +1,27 @@
+-- Migración de control de abordaje
+-- Fecha: 2026-10-19
+-- Propósito: Registro de embarque de pasajeros por escaneo del QR del ticket
+
+-- ============================================
+-- 1. CAMPOS DE ABORDAJE EN TICKETS
+-- ============================================
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "fecha_abordaje" TIMESTAMPTZ(6);
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "id_usuario_abordaje" INTEGER;
+
+CREATE INDEX IF NOT EXISTS "idx_tickets_viaje_abordaje" ON "tbl_tickets"("id_viaje", "fecha_abordaje");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_tickets"
+    ADD CONSTRAINT "tbl_tickets_id_usuario_abordaje_fkey"
+    FOREIGN KEY ("id_usuario_abordaje") REFERENCES "tbl_usuarios"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 2. PERMISO PASAJES_ABORDAR
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES ('PASAJES_ABORDAR', 'Registrar abordaje de pasajero', 'ACCION', 'pasajes', 1)
+ON CONFLICT ("codigo") DO NOTHING;
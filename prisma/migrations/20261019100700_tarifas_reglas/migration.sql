@@ -0,0 +1,72 @@
+-- Migración de reglas de tarifa de pasajes
+-- Fecha: 2026-10-19
+-- Propósito: Tarifas por temporada, feriados, horario y categoría de pasajero; precio manual con motivo
+
+-- ============================================
+-- 1. CREAR ENUMS
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "categoria_pasajero" AS ENUM ('GENERAL', 'NINO', 'ADULTO_MAYOR', 'ESTUDIANTE', 'DISCAPACIDAD');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "tipo_ajuste_tarifa" AS ENUM ('PORCENTAJE', 'MONTO');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 2. CREAR TABLA tbl_tarifas_reglas
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_tarifas_reglas" (
+    "id" SERIAL NOT NULL,
+    "nombre" VARCHAR(100) NOT NULL,
+    "id_ruta" INTEGER,
+    "id_horario" INTEGER,
+    "categoria" "categoria_pasajero",
+    "fecha_inicio" DATE,
+    "fecha_fin" DATE,
+    "dias_semana" INTEGER NOT NULL DEFAULT 127,
+    "tipo_ajuste" "tipo_ajuste_tarifa" NOT NULL,
+    "valor" DECIMAL(10,2) NOT NULL,
+    "prioridad" INTEGER NOT NULL DEFAULT 0,
+    "acumulable" BOOLEAN NOT NULL DEFAULT false,
+    "estado" INTEGER NOT NULL DEFAULT 1,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+    CONSTRAINT "tbl_tarifas_reglas_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_tarifas_reglas_estado_ruta" ON "tbl_tarifas_reglas"("estado", "id_ruta");
+
+ALTER TABLE "tbl_tarifas_reglas"
+ADD CONSTRAINT "tbl_tarifas_reglas_id_ruta_fkey"
+FOREIGN KEY ("id_ruta") REFERENCES "tbl_rutas"("id")
+ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "tbl_tarifas_reglas"
+ADD CONSTRAINT "tbl_tarifas_reglas_id_horario_fkey"
+FOREIGN KEY ("id_horario") REFERENCES "tbl_horarios_ruta"("id")
+ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- ============================================
+-- 3. TARIFA APLICADA Y PRECIO MANUAL EN TICKETS
+-- ============================================
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "categoria_pasajero" "categoria_pasajero" NOT NULL DEFAULT 'GENERAL';
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "tarifas_aplicadas" JSONB;
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "motivo_precio_manual" VARCHAR(255);
+
+-- ============================================
+-- 4. PERMISOS DE TARIFAS Y PRECIO MANUAL
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado") VALUES
+    ('PASAJES_PRECIO_MANUAL', 'Modificar precio de pasaje', 'ACCION', 'pasajes', 1),
+    ('TARIFAS_LISTAR', 'Listar reglas de tarifa', 'MENU', 'tarifas', 1),
+    ('TARIFAS_CREAR', 'Crear regla de tarifa', 'ACCION', 'tarifas', 1),
+    ('TARIFAS_EDITAR', 'Editar regla de tarifa', 'ACCION', 'tarifas', 1),
+    ('TARIFAS_ELIMINAR', 'Eliminar regla de tarifa', 'ACCION', 'tarifas', 1)
+ON CONFLICT ("codigo") DO NOTHING;
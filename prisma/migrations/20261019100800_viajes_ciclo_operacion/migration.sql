@@ -0,0 +1,30 @@
+-- Migración de ciclo de operacion de viajes
+-- Fecha: 2026-10-19
+-- Propósito: Cancelacion de viajes, registro de salida/llegada reales y retrasos
+
+-- ============================================
+-- 1. NUEVOS ESTADOS DE VIAJE
+-- ============================================
+ALTER TYPE "estado_viaje" ADD VALUE IF NOT EXISTS 'EN_RUTA';
+ALTER TYPE "estado_viaje" ADD VALUE IF NOT EXISTS 'FINALIZADO';
+
+-- ============================================
+-- 2. CAMPOS DE OPERACION EN VIAJES
+-- ============================================
+ALTER TABLE "tbl_viajes" ADD COLUMN IF NOT EXISTS "hora_salida_real" TIMESTAMPTZ(6);
+ALTER TABLE "tbl_viajes" ADD COLUMN IF NOT EXISTS "hora_llegada_real" TIMESTAMPTZ(6);
+ALTER TABLE "tbl_viajes" ADD COLUMN IF NOT EXISTS "minutos_retraso" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "tbl_viajes" ADD COLUMN IF NOT EXISTS "motivo_retraso" VARCHAR(255);
+ALTER TABLE "tbl_viajes" ADD COLUMN IF NOT EXISTS "fecha_cancelacion" TIMESTAMPTZ(6);
+ALTER TABLE "tbl_viajes" ADD COLUMN IF NOT EXISTS "motivo_cancelacion" VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS "idx_viajes_estado_fecha" ON "tbl_viajes"("estado", "fecha_servicio");
+
+-- ============================================
+-- 3. PERMISOS DE OPERACION DE VIAJES
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES
+    ('VIAJES_CANCELAR', 'Cancelar viaje', 'ACCION', 'viajes', 1),
+    ('VIAJES_OPERAR', 'Registrar salida, llegada y retrasos de viaje', 'ACCION', 'viajes', 1)
+ON CONFLICT ("codigo") DO NOTHING;
@@ -0,0 +1,73 @@
+-- Migración de flota de vehiculos
+-- Fecha: 2026-10-19
+-- Propósito: Registro de buses por tipo de carro y asignacion de vehiculo a cada viaje
+
+-- ============================================
+-- 1. ENUM DE ESTADO DE VEHICULO
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "estado_vehiculo" AS ENUM ('OPERATIVO', 'MANTENIMIENTO', 'INACTIVO');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 2. TABLA DE VEHICULOS
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_vehiculos" (
+    "id" SERIAL NOT NULL,
+    "placa" VARCHAR(10) NOT NULL,
+    "id_tipo_carro" INTEGER NOT NULL,
+    "capacidad_asientos" INTEGER NOT NULL,
+    "marca" VARCHAR(50),
+    "modelo" VARCHAR(50),
+    "anio" INTEGER,
+    "vencimiento_soat" DATE,
+    "vencimiento_revision" DATE,
+    "estado" "estado_vehiculo" NOT NULL DEFAULT 'OPERATIVO',
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_vehiculos_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_vehiculos_placa_key" ON "tbl_vehiculos"("placa");
+CREATE INDEX IF NOT EXISTS "idx_vehiculos_estado" ON "tbl_vehiculos"("estado");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_vehiculos"
+    ADD CONSTRAINT "tbl_vehiculos_id_tipo_carro_fkey"
+    FOREIGN KEY ("id_tipo_carro") REFERENCES "tbl_tipos_carro"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. VEHICULO ASIGNADO AL VIAJE
+-- ============================================
+ALTER TABLE "tbl_viajes" ADD COLUMN IF NOT EXISTS "id_vehiculo" INTEGER;
+
+CREATE INDEX IF NOT EXISTS "idx_viajes_vehiculo_fecha" ON "tbl_viajes"("id_vehiculo", "fecha_servicio");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_viajes"
+    ADD CONSTRAINT "tbl_viajes_id_vehiculo_fkey"
+    FOREIGN KEY ("id_vehiculo") REFERENCES "tbl_vehiculos"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 4. PERMISOS DE VEHICULOS
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES
+    ('VEHICULOS_LISTAR', 'Listar vehiculos', 'MENU', 'vehiculos', 1),
+    ('VEHICULOS_CREAR', 'Crear vehiculo', 'ACCION', 'vehiculos', 1),
+    ('VEHICULOS_EDITAR', 'Editar vehiculo', 'ACCION', 'vehiculos', 1),
+    ('VEHICULOS_ELIMINAR', 'Eliminar vehiculo', 'ACCION', 'vehiculos', 1)
+ON CONFLICT ("codigo") DO NOTHING;
@@ -0,0 +1,84 @@
+-- Migración de conductores y tripulacion de viajes
+-- Fecha: 2026-10-19
+-- Propósito: Registro de conductores con licencia y asignacion de conductores y ayudantes a cada viaje
+
+-- ============================================
+-- 1. ENUM DE ROL DE TRIPULANTE
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "rol_tripulante" AS ENUM ('CONDUCTOR', 'AYUDANTE');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 2. TABLA DE CONDUCTORES
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_conductores" (
+    "id" SERIAL NOT NULL,
+    "tipo_documento" VARCHAR(1) NOT NULL DEFAULT '1',
+    "numero_documento" VARCHAR(15) NOT NULL,
+    "nombres" VARCHAR(100) NOT NULL,
+    "apellidos" VARCHAR(100) NOT NULL,
+    "licencia_numero" VARCHAR(20),
+    "licencia_categoria" VARCHAR(10),
+    "licencia_vencimiento" DATE,
+    "telefono" VARCHAR(20),
+    "estado" INTEGER NOT NULL DEFAULT 1,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_conductores_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_conductores_numero_documento_key" ON "tbl_conductores"("numero_documento");
+CREATE INDEX IF NOT EXISTS "idx_conductores_estado" ON "tbl_conductores"("estado");
+
+-- ============================================
+-- 3. TRIPULACION DEL VIAJE
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_viajes_tripulacion" (
+    "id" SERIAL NOT NULL,
+    "id_viaje" INTEGER NOT NULL,
+    "id_conductor" INTEGER NOT NULL,
+    "rol" "rol_tripulante" NOT NULL,
+    "orden" INTEGER NOT NULL DEFAULT 1,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_viajes_tripulacion_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_viajes_tripulacion_id_viaje_id_conductor_key" ON "tbl_viajes_tripulacion"("id_viaje", "id_conductor");
+CREATE INDEX IF NOT EXISTS "idx_viajes_tripulacion_conductor" ON "tbl_viajes_tripulacion"("id_conductor");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_viajes_tripulacion"
+    ADD CONSTRAINT "tbl_viajes_tripulacion_id_viaje_fkey"
+    FOREIGN KEY ("id_viaje") REFERENCES "tbl_viajes"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_viajes_tripulacion"
+    ADD CONSTRAINT "tbl_viajes_tripulacion_id_conductor_fkey"
+    FOREIGN KEY ("id_conductor") REFERENCES "tbl_conductores"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 4. PERMISOS DE CONDUCTORES
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES
+    ('CONDUCTORES_LISTAR', 'Listar conductores', 'MENU', 'conductores', 1),
+    ('CONDUCTORES_CREAR', 'Crear conductor', 'ACCION', 'conductores', 1),
+    ('CONDUCTORES_EDITAR', 'Editar conductor', 'ACCION', 'conductores', 1),
+    ('CONDUCTORES_ELIMINAR', 'Eliminar conductor', 'ACCION', 'conductores', 1)
+ON CONFLICT ("codigo") DO NOTHING;
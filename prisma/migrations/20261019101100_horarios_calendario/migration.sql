@@ -0,0 +1,49 @@
+-- Migración de calendario de horarios
+-- Fecha: 2026-10-19
+-- Propósito: Dias de operacion, vigencia y excepciones por fecha (cancelacion, salida adicional
+-- y cambio de capacidad) de los horarios de ruta
+
+-- ============================================
+-- 1. DIAS DE OPERACION Y VIGENCIA DEL HORARIO
+-- ============================================
+-- dias_semana: mascara de bits (bit 0 = domingo ... bit 6 = sabado), 127 = todos los dias
+ALTER TABLE "tbl_horarios_ruta" ADD COLUMN IF NOT EXISTS "dias_semana" INTEGER NOT NULL DEFAULT 127;
+ALTER TABLE "tbl_horarios_ruta" ADD COLUMN IF NOT EXISTS "vigencia_desde" DATE;
+ALTER TABLE "tbl_horarios_ruta" ADD COLUMN IF NOT EXISTS "vigencia_hasta" DATE;
+
+-- ============================================
+-- 2. ENUM DE TIPO DE EXCEPCION
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "tipo_excepcion_horario" AS ENUM ('CANCELADO', 'ADICIONAL', 'CAPACIDAD');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. EXCEPCIONES POR FECHA
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_horarios_excepciones" (
+    "id" SERIAL NOT NULL,
+    "id_horario" INTEGER NOT NULL,
+    "fecha" DATE NOT NULL,
+    "tipo" "tipo_excepcion_horario" NOT NULL,
+    "capacidad_total" INTEGER,
+    "motivo" VARCHAR(255),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_horarios_excepciones_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_horarios_excepciones_id_horario_fecha_key" ON "tbl_horarios_excepciones"("id_horario", "fecha");
+CREATE INDEX IF NOT EXISTS "idx_horarios_excepciones_fecha" ON "tbl_horarios_excepciones"("fecha");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_horarios_excepciones"
+    ADD CONSTRAINT "tbl_horarios_excepciones_id_horario_fkey"
+    FOREIGN KEY ("id_horario") REFERENCES "tbl_horarios_ruta"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
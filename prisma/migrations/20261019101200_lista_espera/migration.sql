@@ -0,0 +1,92 @@
+-- Migración de lista de espera de viajes
+-- Fecha: 2026-10-19
+-- Propósito: Lista de espera por viaje con aforo completo y promocion automatica a reserva
+-- con tiempo limite cuando se liberan cupos
+
+-- ============================================
+-- 1. ENUM DE ESTADO DE LISTA DE ESPERA
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "estado_lista_espera" AS ENUM ('EN_ESPERA', 'PROMOVIDA', 'ATENDIDA', 'VENCIDA', 'CANCELADA');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 2. TABLA DE LISTA DE ESPERA
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_lista_espera" (
+    "id" SERIAL NOT NULL,
+    "id_viaje" INTEGER NOT NULL,
+    "id_pasajero" INTEGER NOT NULL,
+    "telefono" VARCHAR(20) NOT NULL,
+    "asientos" INTEGER NOT NULL DEFAULT 1,
+    "id_punto_subida" INTEGER,
+    "id_punto_bajada" INTEGER,
+    "orden_subida" INTEGER,
+    "orden_bajada" INTEGER,
+    "estado" "estado_lista_espera" NOT NULL DEFAULT 'EN_ESPERA',
+    "observacion" VARCHAR(500),
+    "fecha_promocion" TIMESTAMPTZ(6),
+    "motivo_cierre" VARCHAR(255),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_lista_espera_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_lista_espera_viaje_estado" ON "tbl_lista_espera"("id_viaje", "estado");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_lista_espera"
+    ADD CONSTRAINT "tbl_lista_espera_id_viaje_fkey"
+    FOREIGN KEY ("id_viaje") REFERENCES "tbl_viajes"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_lista_espera"
+    ADD CONSTRAINT "tbl_lista_espera_id_pasajero_fkey"
+    FOREIGN KEY ("id_pasajero") REFERENCES "tbl_pasajeros"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_lista_espera"
+    ADD CONSTRAINT "tbl_lista_espera_id_punto_subida_fkey"
+    FOREIGN KEY ("id_punto_subida") REFERENCES "tbl_puntos"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_lista_espera"
+    ADD CONSTRAINT "tbl_lista_espera_id_punto_bajada_fkey"
+    FOREIGN KEY ("id_punto_bajada") REFERENCES "tbl_puntos"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. RESERVAS GENERADAS DESDE LA LISTA DE ESPERA
+-- ============================================
+ALTER TABLE "tbl_reservas" ADD COLUMN IF NOT EXISTS "id_lista_espera" INTEGER;
+
+CREATE INDEX IF NOT EXISTS "idx_reservas_lista_espera" ON "tbl_reservas"("id_lista_espera");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_reservas"
+    ADD CONSTRAINT "tbl_reservas_id_lista_espera_fkey"
+    FOREIGN KEY ("id_lista_espera") REFERENCES "tbl_lista_espera"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,52 @@
+-- Migración de contadores de codigos
+-- Fecha: 2026-10-19
+-- Propósito: Correlativos de tickets, reservas y tracking en una tabla de contadores
+-- incrementada de forma atomica, y formatos de codigo configurables por punto
+
+-- ============================================
+-- 1. TABLA DE CONTADORES
+-- ============================================
+-- clave = TIPO:PLANTILLA (ej. TICKET:TKT-20261019-#, TRACKING:ENC-#)
+CREATE TABLE IF NOT EXISTS "tbl_contadores" (
+    "clave" VARCHAR(60) NOT NULL,
+    "valor" INTEGER NOT NULL DEFAULT 0,
+    "date_time_modification" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_contadores_pkey" PRIMARY KEY ("clave")
+);
+
+-- ============================================
+-- 2. CONTADORES INICIALES DESDE LOS CODIGOS EXISTENTES
+-- ============================================
+-- Tickets: correlativo por dia (TKT-YYYYMMDD-NNNNN)
+INSERT INTO "tbl_contadores" ("clave", "valor")
+SELECT 'TICKET:' || substring("codigo_interno" from 1 for 13) || '#',
+       MAX(CAST(substring("codigo_interno" from 14) AS INTEGER))
+FROM "tbl_tickets"
+WHERE "codigo_interno" ~ '^TKT-[0-9]{8}-[0-9]+$'
+GROUP BY substring("codigo_interno" from 1 for 13)
+ON CONFLICT ("clave") DO NOTHING;
+
+-- Reservas: correlativo por dia (RSV-YYYYMMDD-NNNNN)
+INSERT INTO "tbl_contadores" ("clave", "valor")
+SELECT 'RESERVA:' || substring("codigo" from 1 for 13) || '#',
+       MAX(CAST(substring("codigo" from 14) AS INTEGER))
+FROM "tbl_reservas"
+WHERE "codigo" ~ '^RSV-[0-9]{8}-[0-9]+$'
+GROUP BY substring("codigo" from 1 for 13)
+ON CONFLICT ("clave") DO NOTHING;
+
+-- Tracking: correlativo global (ENC-NNNNNNNN)
+INSERT INTO "tbl_contadores" ("clave", "valor")
+SELECT 'TRACKING:ENC-#', MAX(CAST(substring("codigo_tracking" from 5) AS INTEGER))
+FROM "tbl_encomiendas"
+WHERE "codigo_tracking" ~ '^ENC-[0-9]{8}$'
+HAVING COUNT(*) > 0
+ON CONFLICT ("clave") DO NOTHING;
+
+-- ============================================
+-- 3. FORMATOS DE CODIGO POR PUNTO
+-- ============================================
+-- NULL = formato por defecto (TKT-{FECHA}-{SEQ:5} / ENC-{SEQ:8})
+ALTER TABLE "tbl_puntos" ADD COLUMN IF NOT EXISTS "formato_ticket" VARCHAR(30);
+ALTER TABLE "tbl_puntos" ADD COLUMN IF NOT EXISTS "formato_tracking" VARCHAR(30);
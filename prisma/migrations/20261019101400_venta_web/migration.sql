@@ -0,0 +1,72 @@
+-- Migración de venta de pasajes en linea
+-- Fecha: 2026-10-19
+-- Propósito: Punto virtual WEB y usuario de sistema para atribuir las ventas en linea,
+-- y registro de los pagos procesados por el proveedor de pagos
+
+-- ============================================
+-- 1. ROL, PUNTO Y USUARIO DE LA VENTA EN LINEA
+-- ============================================
+-- El usuario queda inactivo: no puede iniciar sesion, solo registra las ventas web
+INSERT INTO "tbl_roles" ("nombre", "estado") VALUES ('SISTEMA', 1)
+ON CONFLICT ("nombre") DO NOTHING;
+
+INSERT INTO "tbl_puntos" ("nombre", "tipo", "ciudad", "direccion", "estado")
+SELECT 'WEB', 'AGENCIA', 'VENTA EN LINEA', NULL, 1
+WHERE NOT EXISTS (SELECT 1 FROM "tbl_usuarios" WHERE "correo" = 'ventas.web@sistema.local');
+
+INSERT INTO "tbl_usuarios" ("nombres", "correo", "contrasena", "id_rol", "id_punto", "estado")
+SELECT 'Venta en linea', 'ventas.web@sistema.local', '!', r."id",
+       (SELECT MAX("id") FROM "tbl_puntos" WHERE "nombre" = 'WEB' AND "ciudad" = 'VENTA EN LINEA'), 0
+FROM "tbl_roles" r
+WHERE r."nombre" = 'SISTEMA'
+ON CONFLICT ("correo") DO NOTHING;
+
+-- ============================================
+-- 2. ENUM DE ESTADO DE PAGO WEB
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "estado_pago_web" AS ENUM ('PROCESANDO', 'APROBADO', 'RECHAZADO', 'REEMBOLSADO', 'REEMBOLSO_FALLIDO');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. TABLA DE PAGOS WEB
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_pagos_web" (
+    "id" SERIAL NOT NULL,
+    "id_reserva" INTEGER NOT NULL,
+    "id_ticket" INTEGER,
+    "proveedor" VARCHAR(30) NOT NULL,
+    "id_transaccion" VARCHAR(100),
+    "monto" DECIMAL(10,2) NOT NULL,
+    "correo" VARCHAR(100),
+    "estado" "estado_pago_web" NOT NULL DEFAULT 'PROCESANDO',
+    "mensaje" VARCHAR(255),
+    "respuesta_json" JSONB,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_pagos_web_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_pagos_web_reserva" ON "tbl_pagos_web"("id_reserva");
+CREATE INDEX IF NOT EXISTS "idx_pagos_web_estado" ON "tbl_pagos_web"("estado");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_pagos_web"
+    ADD CONSTRAINT "tbl_pagos_web_id_reserva_fkey"
+    FOREIGN KEY ("id_reserva") REFERENCES "tbl_reservas"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_pagos_web"
+    ADD CONSTRAINT "tbl_pagos_web_id_ticket_fkey"
+    FOREIGN KEY ("id_ticket") REFERENCES "tbl_tickets"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,62 @@
+-- Migración de pagos multiples por venta
+-- Fecha: 2026-10-19
+-- Propósito: Nuevos metodos de pago (PLIN y transferencia) y detalle de pagos por ticket
+-- o encomienda, para cobrar una venta con varios medios y montos
+
+-- ============================================
+-- 1. NUEVOS METODOS DE PAGO
+-- ============================================
+ALTER TYPE "metodo_pago" ADD VALUE IF NOT EXISTS 'PLIN';
+ALTER TYPE "metodo_pago" ADD VALUE IF NOT EXISTS 'TRANSFERENCIA';
+
+-- ============================================
+-- 2. TABLA DE PAGOS
+-- ============================================
+-- Cada fila es un medio de pago con su monto; los pagos de una venta suman su precio final
+CREATE TABLE IF NOT EXISTS "tbl_pagos" (
+    "id" SERIAL NOT NULL,
+    "id_ticket" INTEGER,
+    "id_encomienda" INTEGER,
+    "metodo" "metodo_pago" NOT NULL,
+    "monto" DECIMAL(10,2) NOT NULL,
+    "referencia" VARCHAR(50),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_pagos_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "tbl_pagos_origen_check" CHECK (("id_ticket" IS NULL) <> ("id_encomienda" IS NULL)),
+    CONSTRAINT "tbl_pagos_monto_check" CHECK ("monto" > 0)
+);
+
+CREATE INDEX IF NOT EXISTS "idx_pagos_ticket" ON "tbl_pagos"("id_ticket");
+CREATE INDEX IF NOT EXISTS "idx_pagos_encomienda" ON "tbl_pagos"("id_encomienda");
+CREATE INDEX IF NOT EXISTS "idx_pagos_fecha_metodo" ON "tbl_pagos"("date_time_registration", "metodo");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_pagos"
+    ADD CONSTRAINT "tbl_pagos_id_ticket_fkey"
+    FOREIGN KEY ("id_ticket") REFERENCES "tbl_tickets"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_pagos"
+    ADD CONSTRAINT "tbl_pagos_id_encomienda_fkey"
+    FOREIGN KEY ("id_encomienda") REFERENCES "tbl_encomiendas"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. PAGOS DE LOS TICKETS EXISTENTES
+-- ============================================
+-- Un pago por ticket con su metodo y precio final a la fecha de venta.
+-- Las encomiendas anteriores no registraban metodo de pago y quedan sin detalle.
+INSERT INTO "tbl_pagos" ("id_ticket", "metodo", "monto", "user_id_registration", "date_time_registration")
+SELECT t."id", t."metodo_pago", COALESCE(t."precio_final", t."precio_original"), t."id_usuario_venta", t."fecha_venta"
+FROM "tbl_tickets" t
+WHERE COALESCE(t."precio_final", t."precio_original", 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM "tbl_pagos" p WHERE p."id_ticket" = t."id");
@@ -0,0 +1,183 @@
+-- Migración de sesiones de caja
+-- Fecha: 2026-10-19
+-- Propósito: Apertura y cierre de caja por usuario y punto, con los movimientos de
+-- dinero de la sesion (ventas, cobros, devoluciones, ingresos y egresos manuales)
+-- y el arqueo por metodo de pago al cierre
+
+-- ============================================
+-- 1. ENUMS DE CAJA
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "estado_caja" AS ENUM ('ABIERTA', 'CERRADA');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "tipo_movimiento_caja" AS ENUM (
+        'VENTA_PASAJE',
+        'VENTA_ENCOMIENDA',
+        'COBRO_RECOJO',
+        'REPROGRAMACION',
+        'DEVOLUCION',
+        'INGRESO',
+        'EGRESO'
+    );
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 2. TABLA DE CAJAS (SESIONES)
+-- ============================================
+CREATE TABLE IF NOT EXISTS "tbl_cajas" (
+    "id" SERIAL NOT NULL,
+    "id_usuario" INTEGER NOT NULL,
+    "id_punto" INTEGER,
+    "estado" "estado_caja" NOT NULL DEFAULT 'ABIERTA',
+    "monto_inicial" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "fecha_apertura" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "observacion_apertura" VARCHAR(255),
+    "fecha_cierre" TIMESTAMPTZ(6),
+    "id_usuario_cierre" INTEGER,
+    "observacion_cierre" VARCHAR(255),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_cajas_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_cajas_usuario_estado" ON "tbl_cajas"("id_usuario", "estado");
+CREATE INDEX IF NOT EXISTS "idx_cajas_punto_apertura" ON "tbl_cajas"("id_punto", "fecha_apertura");
+
+-- Un usuario tiene a lo sumo una caja abierta
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_cajas_usuario_abierta" ON "tbl_cajas"("id_usuario") WHERE "estado" = 'ABIERTA';
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_cajas"
+    ADD CONSTRAINT "tbl_cajas_id_usuario_fkey"
+    FOREIGN KEY ("id_usuario") REFERENCES "tbl_usuarios"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_cajas"
+    ADD CONSTRAINT "tbl_cajas_id_punto_fkey"
+    FOREIGN KEY ("id_punto") REFERENCES "tbl_puntos"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_cajas"
+    ADD CONSTRAINT "tbl_cajas_id_usuario_cierre_fkey"
+    FOREIGN KEY ("id_usuario_cierre") REFERENCES "tbl_usuarios"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. TABLA DE MOVIMIENTOS DE CAJA
+-- ============================================
+-- El monto es siempre positivo; DEVOLUCION y EGRESO son salidas de dinero
+CREATE TABLE IF NOT EXISTS "tbl_caja_movimientos" (
+    "id" SERIAL NOT NULL,
+    "id_caja" INTEGER NOT NULL,
+    "tipo" "tipo_movimiento_caja" NOT NULL,
+    "metodo" "metodo_pago" NOT NULL,
+    "monto" DECIMAL(10,2) NOT NULL,
+    "descripcion" VARCHAR(255),
+    "referencia" VARCHAR(50),
+    "id_ticket" INTEGER,
+    "id_encomienda" INTEGER,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_caja_movimientos_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "tbl_caja_movimientos_monto_check" CHECK ("monto" > 0)
+);
+
+CREATE INDEX IF NOT EXISTS "idx_caja_movimientos_caja" ON "tbl_caja_movimientos"("id_caja");
+CREATE INDEX IF NOT EXISTS "idx_caja_movimientos_ticket" ON "tbl_caja_movimientos"("id_ticket");
+CREATE INDEX IF NOT EXISTS "idx_caja_movimientos_encomienda" ON "tbl_caja_movimientos"("id_encomienda");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_caja_movimientos"
+    ADD CONSTRAINT "tbl_caja_movimientos_id_caja_fkey"
+    FOREIGN KEY ("id_caja") REFERENCES "tbl_cajas"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_caja_movimientos"
+    ADD CONSTRAINT "tbl_caja_movimientos_id_ticket_fkey"
+    FOREIGN KEY ("id_ticket") REFERENCES "tbl_tickets"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_caja_movimientos"
+    ADD CONSTRAINT "tbl_caja_movimientos_id_encomienda_fkey"
+    FOREIGN KEY ("id_encomienda") REFERENCES "tbl_encomiendas"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 4. TABLA DE ARQUEO DE CIERRE
+-- ============================================
+-- Un registro por metodo de pago: esperado segun movimientos vs contado por el cajero
+CREATE TABLE IF NOT EXISTS "tbl_caja_arqueos" (
+    "id" SERIAL NOT NULL,
+    "id_caja" INTEGER NOT NULL,
+    "metodo" "metodo_pago" NOT NULL,
+    "monto_esperado" DECIMAL(10,2) NOT NULL,
+    "monto_contado" DECIMAL(10,2),
+    "diferencia" DECIMAL(10,2),
+
+    CONSTRAINT "tbl_caja_arqueos_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_caja_arqueos_id_caja_metodo_key" ON "tbl_caja_arqueos"("id_caja", "metodo");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_caja_arqueos"
+    ADD CONSTRAINT "tbl_caja_arqueos_id_caja_fkey"
+    FOREIGN KEY ("id_caja") REFERENCES "tbl_cajas"("id")
+    ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 5. PERMISOS DE CAJA
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES
+    ('CAJA_OPERAR', 'Abrir, operar y cerrar caja', 'MENU', 'caja', 1),
+    ('CAJA_SUPERVISAR', 'Supervisar cajas de otros usuarios', 'ACCION', 'caja', 1)
+ON CONFLICT ("codigo") DO NOTHING;
+
+-- Las ventas y cobros en mostrador pasan a requerir caja abierta: los roles que ya
+-- venden, reservan, reprograman, anulan o cobran encomiendas reciben el permiso de operar caja
+INSERT INTO "tbl_roles_permisos" ("id_rol", "id_permiso", "estado")
+SELECT DISTINCT rp."id_rol", pc."id", 1
+FROM "tbl_roles_permisos" rp
+JOIN "tbl_permisos" p ON p."id" = rp."id_permiso"
+CROSS JOIN "tbl_permisos" pc
+WHERE pc."codigo" = 'CAJA_OPERAR'
+  AND rp."estado" = 1
+  AND p."codigo" IN ('PASAJES_VENDER', 'PASAJES_RESERVAR', 'PASAJES_REPROGRAMAR', 'PASAJES_ANULAR',
+                     'VIAJES_CANCELAR', 'ENCOMIENDAS_REGISTRAR', 'ENCOMIENDAS_RETIRAR')
+ON CONFLICT ("id_rol", "id_permiso") DO NOTHING;
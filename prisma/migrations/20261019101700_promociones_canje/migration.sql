@@ -0,0 +1,141 @@
+-- Migración de canje de codigos de promocion
+-- Fecha: 2026-10-19
+-- Propósito: Aplicar los codigos de las promociones de la landing en la venta de pasajes
+-- y encomiendas, con alcance por servicio y ruta, limites de uso y registro de canjes
+
+-- ============================================
+-- 1. REGLAS DE CANJE EN PROMOCIONES
+-- ============================================
+-- aplica_a: TODOS, PASAJES o ENCOMIENDAS
+-- limite_usos_total / limite_usos_cliente: NULL = sin limite
+-- acumulable_puntos: si se puede combinar con el canje de puntos del cliente
+ALTER TABLE "tbl_promociones_landing" ADD COLUMN IF NOT EXISTS "aplica_a" VARCHAR(20) NOT NULL DEFAULT 'TODOS';
+ALTER TABLE "tbl_promociones_landing" ADD COLUMN IF NOT EXISTS "limite_usos_total" INTEGER;
+ALTER TABLE "tbl_promociones_landing" ADD COLUMN IF NOT EXISTS "limite_usos_cliente" INTEGER;
+ALTER TABLE "tbl_promociones_landing" ADD COLUMN IF NOT EXISTS "acumulable_puntos" BOOLEAN NOT NULL DEFAULT false;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_promociones_landing"
+    ADD CONSTRAINT "tbl_promociones_landing_aplica_a_check"
+    CHECK ("aplica_a" IN ('TODOS', 'PASAJES', 'ENCOMIENDAS'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS "idx_promociones_landing_codigo" ON "tbl_promociones_landing"(UPPER("codigo_promocion"));
+
+-- ============================================
+-- 2. RUTAS DE LA PROMOCION
+-- ============================================
+-- Sin rutas la promocion aplica a todas. En encomiendas aplica si alguna ruta de la
+-- promocion une el origen y destino del envio.
+CREATE TABLE IF NOT EXISTS "tbl_promociones_rutas" (
+    "id_promocion" INTEGER NOT NULL,
+    "id_ruta" INTEGER NOT NULL,
+
+    CONSTRAINT "tbl_promociones_rutas_pkey" PRIMARY KEY ("id_promocion", "id_ruta")
+);
+
+CREATE INDEX IF NOT EXISTS "idx_promociones_rutas_ruta" ON "tbl_promociones_rutas"("id_ruta");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_promociones_rutas"
+    ADD CONSTRAINT "tbl_promociones_rutas_id_promocion_fkey"
+    FOREIGN KEY ("id_promocion") REFERENCES "tbl_promociones_landing"("id")
+    ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_promociones_rutas"
+    ADD CONSTRAINT "tbl_promociones_rutas_id_ruta_fkey"
+    FOREIGN KEY ("id_ruta") REFERENCES "tbl_rutas"("id")
+    ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. DESCUENTO POR PROMOCION EN TICKETS Y ENCOMIENDAS
+-- ============================================
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "id_promocion" INTEGER;
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "descuento_promocion" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE "tbl_encomiendas" ADD COLUMN IF NOT EXISTS "id_promocion" INTEGER;
+ALTER TABLE "tbl_encomiendas" ADD COLUMN IF NOT EXISTS "descuento_promocion" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_tickets"
+    ADD CONSTRAINT "tbl_tickets_id_promocion_fkey"
+    FOREIGN KEY ("id_promocion") REFERENCES "tbl_promociones_landing"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_encomiendas"
+    ADD CONSTRAINT "tbl_encomiendas_id_promocion_fkey"
+    FOREIGN KEY ("id_promocion") REFERENCES "tbl_promociones_landing"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 4. CANJES DE PROMOCIONES
+-- ============================================
+-- Un canje por ticket o encomienda. Al anular el ticket el canje pasa a REVERTIDO y deja
+-- de contar para los limites de uso.
+CREATE TABLE IF NOT EXISTS "tbl_promociones_canjes" (
+    "id" SERIAL NOT NULL,
+    "id_promocion" INTEGER NOT NULL,
+    "codigo" VARCHAR(50) NOT NULL,
+    "porcentaje" DECIMAL(5,2) NOT NULL,
+    "monto_base" DECIMAL(10,2) NOT NULL,
+    "monto_descuento" DECIMAL(10,2) NOT NULL,
+    "documento_cliente" VARCHAR(20) NOT NULL,
+    "id_ticket" INTEGER,
+    "id_encomienda" INTEGER,
+    "estado" VARCHAR(15) NOT NULL DEFAULT 'APLICADO',
+    "fecha_reversion" TIMESTAMPTZ(6),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_promociones_canjes_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "tbl_promociones_canjes_origen_check" CHECK (("id_ticket" IS NULL) <> ("id_encomienda" IS NULL)),
+    CONSTRAINT "tbl_promociones_canjes_estado_check" CHECK ("estado" IN ('APLICADO', 'REVERTIDO'))
+);
+
+CREATE INDEX IF NOT EXISTS "idx_promociones_canjes_promocion" ON "tbl_promociones_canjes"("id_promocion", "estado");
+CREATE INDEX IF NOT EXISTS "idx_promociones_canjes_cliente" ON "tbl_promociones_canjes"("id_promocion", "documento_cliente");
+CREATE INDEX IF NOT EXISTS "idx_promociones_canjes_ticket" ON "tbl_promociones_canjes"("id_ticket");
+CREATE INDEX IF NOT EXISTS "idx_promociones_canjes_encomienda" ON "tbl_promociones_canjes"("id_encomienda");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_promociones_canjes"
+    ADD CONSTRAINT "tbl_promociones_canjes_id_promocion_fkey"
+    FOREIGN KEY ("id_promocion") REFERENCES "tbl_promociones_landing"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_promociones_canjes"
+    ADD CONSTRAINT "tbl_promociones_canjes_id_ticket_fkey"
+    FOREIGN KEY ("id_ticket") REFERENCES "tbl_tickets"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_promociones_canjes"
+    ADD CONSTRAINT "tbl_promociones_canjes_id_encomienda_fkey"
+    FOREIGN KEY ("id_encomienda") REFERENCES "tbl_encomiendas"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,212 @@
+-- Migración de cuentas de credito de empresas clientes
+-- Fecha: 2026-10-19
+-- Propósito: Empresas clientes con linea de credito y plazo de pago, metodo de pago
+-- CREDITO para sus pasajes y encomiendas, cuenta corriente con cargos, anulaciones y
+-- abonos, y facturacion mensual consolidada (una factura por empresa y periodo)
+
+-- ============================================
+-- 1. METODO DE PAGO CREDITO Y COBRO EN CAJA
+-- ============================================
+ALTER TYPE "metodo_pago" ADD VALUE IF NOT EXISTS 'CREDITO';
+ALTER TYPE "tipo_movimiento_caja" ADD VALUE IF NOT EXISTS 'COBRO_CREDITO';
+
+-- ============================================
+-- 2. ENUMS DE CUENTA CORRIENTE
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "tipo_movimiento_empresa" AS ENUM ('CARGO', 'ANULACION', 'ABONO');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "estado_facturacion_empresa" AS ENUM ('PENDIENTE', 'EMITIDA', 'ERROR');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. TABLA DE EMPRESAS CLIENTES
+-- ============================================
+-- saldo: deuda actual (cargos - anulaciones - abonos)
+CREATE TABLE IF NOT EXISTS "tbl_empresas_clientes" (
+    "id" SERIAL NOT NULL,
+    "ruc" VARCHAR(11) NOT NULL,
+    "razon_social" VARCHAR(200) NOT NULL,
+    "direccion" VARCHAR(255),
+    "contacto" VARCHAR(150),
+    "telefono" VARCHAR(20),
+    "email" VARCHAR(150),
+    "limite_credito" DECIMAL(10,2) NOT NULL,
+    "dias_credito" INTEGER NOT NULL DEFAULT 30,
+    "saldo" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "estado" INTEGER NOT NULL DEFAULT 1,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_empresas_clientes_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "tbl_empresas_clientes_limite_check" CHECK ("limite_credito" >= 0),
+    CONSTRAINT "tbl_empresas_clientes_dias_check" CHECK ("dias_credito" >= 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_empresas_clientes_ruc_key" ON "tbl_empresas_clientes"("ruc");
+
+-- ============================================
+-- 4. TABLA DE FACTURACIONES CONSOLIDADAS
+-- ============================================
+-- Una factura por empresa y periodo (YYYY-MM) con los cargos netos del mes.
+-- Los abonos se aplican a las facturas en orden de emision (ver estado de cuenta)
+CREATE TABLE IF NOT EXISTS "tbl_empresas_facturaciones" (
+    "id" SERIAL NOT NULL,
+    "id_empresa" INTEGER NOT NULL,
+    "periodo" VARCHAR(7) NOT NULL,
+    "total" DECIMAL(10,2) NOT NULL,
+    "estado" "estado_facturacion_empresa" NOT NULL DEFAULT 'PENDIENTE',
+    "id_comprobante" INTEGER,
+    "numero_comprobante" VARCHAR(20),
+    "error" VARCHAR(500),
+    "fecha_emision" TIMESTAMPTZ(6),
+    "fecha_vencimiento" DATE,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_empresas_facturaciones_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_empresas_facturaciones_id_empresa_periodo_key" ON "tbl_empresas_facturaciones"("id_empresa", "periodo");
+CREATE INDEX IF NOT EXISTS "idx_empresas_facturaciones_estado" ON "tbl_empresas_facturaciones"("estado", "fecha_vencimiento");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_empresas_facturaciones"
+    ADD CONSTRAINT "tbl_empresas_facturaciones_id_empresa_fkey"
+    FOREIGN KEY ("id_empresa") REFERENCES "tbl_empresas_clientes"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_empresas_facturaciones"
+    ADD CONSTRAINT "tbl_empresas_facturaciones_id_comprobante_fkey"
+    FOREIGN KEY ("id_comprobante") REFERENCES "tbl_comprobantes"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 5. TABLA DE MOVIMIENTOS DE CUENTA CORRIENTE
+-- ============================================
+-- El monto es siempre positivo; CARGO aumenta el saldo, ANULACION y ABONO lo reducen.
+-- id_facturacion: factura consolidada que incluye el cargo o anulacion
+CREATE TABLE IF NOT EXISTS "tbl_empresas_movimientos" (
+    "id" SERIAL NOT NULL,
+    "id_empresa" INTEGER NOT NULL,
+    "tipo" "tipo_movimiento_empresa" NOT NULL,
+    "monto" DECIMAL(10,2) NOT NULL,
+    "saldo_resultante" DECIMAL(10,2) NOT NULL,
+    "descripcion" VARCHAR(255),
+    "metodo" "metodo_pago",
+    "referencia" VARCHAR(50),
+    "id_ticket" INTEGER,
+    "id_encomienda" INTEGER,
+    "id_facturacion" INTEGER,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_empresas_movimientos_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "tbl_empresas_movimientos_monto_check" CHECK ("monto" > 0)
+);
+
+CREATE INDEX IF NOT EXISTS "idx_empresas_movimientos_empresa_fecha" ON "tbl_empresas_movimientos"("id_empresa", "date_time_registration");
+CREATE INDEX IF NOT EXISTS "idx_empresas_movimientos_ticket" ON "tbl_empresas_movimientos"("id_ticket");
+CREATE INDEX IF NOT EXISTS "idx_empresas_movimientos_encomienda" ON "tbl_empresas_movimientos"("id_encomienda");
+CREATE INDEX IF NOT EXISTS "idx_empresas_movimientos_facturacion" ON "tbl_empresas_movimientos"("id_facturacion");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_empresas_movimientos"
+    ADD CONSTRAINT "tbl_empresas_movimientos_id_empresa_fkey"
+    FOREIGN KEY ("id_empresa") REFERENCES "tbl_empresas_clientes"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_empresas_movimientos"
+    ADD CONSTRAINT "tbl_empresas_movimientos_id_ticket_fkey"
+    FOREIGN KEY ("id_ticket") REFERENCES "tbl_tickets"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_empresas_movimientos"
+    ADD CONSTRAINT "tbl_empresas_movimientos_id_encomienda_fkey"
+    FOREIGN KEY ("id_encomienda") REFERENCES "tbl_encomiendas"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_empresas_movimientos"
+    ADD CONSTRAINT "tbl_empresas_movimientos_id_facturacion_fkey"
+    FOREIGN KEY ("id_facturacion") REFERENCES "tbl_empresas_facturaciones"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 6. EMPRESA EN TICKETS Y ENCOMIENDAS
+-- ============================================
+ALTER TABLE "tbl_tickets" ADD COLUMN IF NOT EXISTS "id_empresa" INTEGER;
+ALTER TABLE "tbl_encomiendas" ADD COLUMN IF NOT EXISTS "id_empresa" INTEGER;
+
+CREATE INDEX IF NOT EXISTS "idx_tickets_empresa" ON "tbl_tickets"("id_empresa");
+CREATE INDEX IF NOT EXISTS "idx_encomiendas_empresa" ON "tbl_encomiendas"("id_empresa");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_tickets"
+    ADD CONSTRAINT "tbl_tickets_id_empresa_fkey"
+    FOREIGN KEY ("id_empresa") REFERENCES "tbl_empresas_clientes"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_encomiendas"
+    ADD CONSTRAINT "tbl_encomiendas_id_empresa_fkey"
+    FOREIGN KEY ("id_empresa") REFERENCES "tbl_empresas_clientes"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 7. PERMISOS DE EMPRESAS
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES
+    ('EMPRESAS_LISTAR', 'Listar empresas clientes y estado de cuenta', 'MENU', 'empresas', 1),
+    ('EMPRESAS_GESTIONAR', 'Crear y editar empresas clientes y registrar abonos', 'ACCION', 'empresas', 1),
+    ('EMPRESAS_FACTURAR', 'Emitir facturacion consolidada de empresas', 'ACCION', 'empresas', 1)
+ON CONFLICT ("codigo") DO NOTHING;
+
+-- Quien vende pasajes o registra encomiendas necesita consultar las empresas para vender a credito
+INSERT INTO "tbl_roles_permisos" ("id_rol", "id_permiso", "estado")
+SELECT DISTINCT rp."id_rol", pe."id", 1
+FROM "tbl_roles_permisos" rp
+JOIN "tbl_permisos" p ON p."id" = rp."id_permiso"
+CROSS JOIN "tbl_permisos" pe
+WHERE pe."codigo" = 'EMPRESAS_LISTAR'
+  AND rp."estado" = 1
+  AND p."codigo" IN ('PASAJES_VENDER', 'ENCOMIENDAS_REGISTRAR')
+ON CONFLICT ("id_rol", "id_permiso") DO NOTHING;
@@ -0,0 +1,175 @@
+-- Migración de despachos de encomiendas
+-- Fecha: 2026-10-19
+-- Propósito: Manifiesto de carga de encomiendas ligado a un viaje (vehiculo y conductor).
+-- Las encomiendas EN_ALMACEN del punto de origen se cargan por escaneo, el despacho las
+-- pasa a EN_RUTA en bloque y la llegada al destino las pasa a LLEGO_A_DESTINO marcando
+-- faltantes y sobrantes
+
+-- ============================================
+-- 1. ENUMS DE DESPACHO
+-- ============================================
+DO $$ BEGIN
+    CREATE TYPE "estado_despacho" AS ENUM ('ABIERTO', 'DESPACHADO', 'RECIBIDO', 'ANULADO');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "estado_despacho_encomienda" AS ENUM ('CARGADA', 'RECIBIDA', 'FALTANTE', 'SOBRANTE');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 2. TABLA DE DESPACHOS
+-- ============================================
+-- id_vehiculo / id_conductor: copia de la asignacion del viaje al crear o despachar
+CREATE TABLE IF NOT EXISTS "tbl_despachos" (
+    "id" SERIAL NOT NULL,
+    "codigo" VARCHAR(20) NOT NULL,
+    "id_viaje" INTEGER NOT NULL,
+    "id_vehiculo" INTEGER,
+    "id_conductor" INTEGER,
+    "id_punto_origen" INTEGER NOT NULL,
+    "id_punto_destino" INTEGER NOT NULL,
+    "estado" "estado_despacho" NOT NULL DEFAULT 'ABIERTO',
+    "observacion" VARCHAR(255),
+    "fecha_despacho" TIMESTAMPTZ(6),
+    "id_usuario_despacho" INTEGER,
+    "fecha_llegada" TIMESTAMPTZ(6),
+    "id_usuario_llegada" INTEGER,
+    "observacion_llegada" VARCHAR(255),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_despachos_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "tbl_despachos_puntos_check" CHECK ("id_punto_origen" <> "id_punto_destino")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_despachos_codigo_key" ON "tbl_despachos"("codigo");
+CREATE INDEX IF NOT EXISTS "idx_despachos_viaje" ON "tbl_despachos"("id_viaje");
+CREATE INDEX IF NOT EXISTS "idx_despachos_origen_estado" ON "tbl_despachos"("id_punto_origen", "estado");
+CREATE INDEX IF NOT EXISTS "idx_despachos_destino_estado" ON "tbl_despachos"("id_punto_destino", "estado");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos"
+    ADD CONSTRAINT "tbl_despachos_id_viaje_fkey"
+    FOREIGN KEY ("id_viaje") REFERENCES "tbl_viajes"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos"
+    ADD CONSTRAINT "tbl_despachos_id_vehiculo_fkey"
+    FOREIGN KEY ("id_vehiculo") REFERENCES "tbl_vehiculos"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos"
+    ADD CONSTRAINT "tbl_despachos_id_conductor_fkey"
+    FOREIGN KEY ("id_conductor") REFERENCES "tbl_conductores"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos"
+    ADD CONSTRAINT "tbl_despachos_id_punto_origen_fkey"
+    FOREIGN KEY ("id_punto_origen") REFERENCES "tbl_puntos"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos"
+    ADD CONSTRAINT "tbl_despachos_id_punto_destino_fkey"
+    FOREIGN KEY ("id_punto_destino") REFERENCES "tbl_puntos"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos"
+    ADD CONSTRAINT "tbl_despachos_id_usuario_despacho_fkey"
+    FOREIGN KEY ("id_usuario_despacho") REFERENCES "tbl_usuarios"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos"
+    ADD CONSTRAINT "tbl_despachos_id_usuario_llegada_fkey"
+    FOREIGN KEY ("id_usuario_llegada") REFERENCES "tbl_usuarios"("id")
+    ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. ENCOMIENDAS DEL DESPACHO
+-- ============================================
+-- CARGADA: escaneada en origen. Al recibir: RECIBIDA o FALTANTE.
+-- SOBRANTE: encomienda escaneada en destino que no estaba en el manifiesto
+CREATE TABLE IF NOT EXISTS "tbl_despachos_encomiendas" (
+    "id" SERIAL NOT NULL,
+    "id_despacho" INTEGER NOT NULL,
+    "id_encomienda" INTEGER NOT NULL,
+    "estado" "estado_despacho_encomienda" NOT NULL DEFAULT 'CARGADA',
+    "fecha_recepcion" TIMESTAMPTZ(6),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_despachos_encomiendas_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_despachos_encomiendas_id_despacho_id_encomienda_key" ON "tbl_despachos_encomiendas"("id_despacho", "id_encomienda");
+CREATE INDEX IF NOT EXISTS "idx_despachos_encomiendas_encomienda" ON "tbl_despachos_encomiendas"("id_encomienda");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos_encomiendas"
+    ADD CONSTRAINT "tbl_despachos_encomiendas_id_despacho_fkey"
+    FOREIGN KEY ("id_despacho") REFERENCES "tbl_despachos"("id")
+    ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos_encomiendas"
+    ADD CONSTRAINT "tbl_despachos_encomiendas_id_encomienda_fkey"
+    FOREIGN KEY ("id_encomienda") REFERENCES "tbl_encomiendas"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 4. PERMISOS DE DESPACHOS
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES
+    ('DESPACHOS_LISTAR', 'Listar despachos de encomiendas', 'MENU', 'despachos', 1),
+    ('DESPACHOS_OPERAR', 'Cargar, despachar y recibir despachos de encomiendas', 'ACCION', 'despachos', 1)
+ON CONFLICT ("codigo") DO NOTHING;
+
+-- Quien cambia el estado de encomiendas opera los despachos
+INSERT INTO "tbl_roles_permisos" ("id_rol", "id_permiso", "estado")
+SELECT DISTINCT rp."id_rol", pd."id", 1
+FROM "tbl_roles_permisos" rp
+JOIN "tbl_permisos" p ON p."id" = rp."id_permiso"
+CROSS JOIN "tbl_permisos" pd
+WHERE pd."codigo" IN ('DESPACHOS_LISTAR', 'DESPACHOS_OPERAR')
+  AND rp."estado" = 1
+  AND p."codigo" = 'ENCOMIENDAS_CAMBIAR_ESTADO'
+ON CONFLICT ("id_rol", "id_permiso") DO NOTHING;
@@ -0,0 +1,81 @@
+-- Migración de encomiendas con varios bultos
+-- Fecha: 2026-10-19
+-- Propósito: Una guía puede llevar varios bultos (piezas), cada uno con su peso, medidas,
+-- precio y subcódigo (ENC-00001234-7-1/3) para su etiqueta. Los despachos registran el
+-- escaneo de cada bulto para detectar llegadas parciales
+
+-- ============================================
+-- 1. TOTAL DE BULTOS EN ENCOMIENDAS
+-- ============================================
+-- Las encomiendas existentes son de un solo bulto (sin filas en tbl_encomiendas_bultos)
+ALTER TABLE "tbl_encomiendas" ADD COLUMN IF NOT EXISTS "total_bultos" INTEGER NOT NULL DEFAULT 1;
+
+-- ============================================
+-- 2. TABLA DE BULTOS
+-- ============================================
+-- precio: cargo por peso y volumen del bulto (el precio base se cobra una vez por guía)
+CREATE TABLE IF NOT EXISTS "tbl_encomiendas_bultos" (
+    "id" SERIAL NOT NULL,
+    "id_encomienda" INTEGER NOT NULL,
+    "numero" INTEGER NOT NULL,
+    "codigo" VARCHAR(30) NOT NULL,
+    "peso" DECIMAL(10,2) NOT NULL,
+    "alto" DECIMAL(10,2) NOT NULL,
+    "ancho" DECIMAL(10,2) NOT NULL,
+    "largo" DECIMAL(10,2) NOT NULL,
+    "descripcion" VARCHAR(255),
+    "precio" DECIMAL(10,2) NOT NULL,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_encomiendas_bultos_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_encomiendas_bultos_codigo_key" ON "tbl_encomiendas_bultos"("codigo");
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_encomiendas_bultos_id_encomienda_numero_key" ON "tbl_encomiendas_bultos"("id_encomienda", "numero");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_encomiendas_bultos"
+    ADD CONSTRAINT "tbl_encomiendas_bultos_id_encomienda_fkey"
+    FOREIGN KEY ("id_encomienda") REFERENCES "tbl_encomiendas"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- ============================================
+-- 3. BULTOS ESCANEADOS EN DESPACHOS
+-- ============================================
+-- CARGADA: escaneado en origen. Al recibir: RECIBIDA o FALTANTE
+CREATE TABLE IF NOT EXISTS "tbl_despachos_bultos" (
+    "id" SERIAL NOT NULL,
+    "id_despacho_encomienda" INTEGER NOT NULL,
+    "id_bulto" INTEGER NOT NULL,
+    "estado" "estado_despacho_encomienda" NOT NULL DEFAULT 'CARGADA',
+    "fecha_recepcion" TIMESTAMPTZ(6),
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tbl_despachos_bultos_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "tbl_despachos_bultos_id_despacho_encomienda_id_bulto_key" ON "tbl_despachos_bultos"("id_despacho_encomienda", "id_bulto");
+CREATE INDEX IF NOT EXISTS "idx_despachos_bultos_bulto" ON "tbl_despachos_bultos"("id_bulto");
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos_bultos"
+    ADD CONSTRAINT "tbl_despachos_bultos_id_despacho_encomienda_fkey"
+    FOREIGN KEY ("id_despacho_encomienda") REFERENCES "tbl_despachos_encomiendas"("id")
+    ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "tbl_despachos_bultos"
+    ADD CONSTRAINT "tbl_despachos_bultos_id_bulto_fkey"
+    FOREIGN KEY ("id_bulto") REFERENCES "tbl_encomiendas_bultos"("id")
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,45 @@
+-- Migración de estados de excepcion de encomiendas
+-- Fecha: 2026-10-19
+-- Propósito: Estados fuera del flujo normal (devuelta a origen, extraviada, dañada,
+-- abandonada y retenida) con sus permisos. Las transiciones, la nota obligatoria y la
+-- foto de evidencia se validan en el cambio de estado
+
+-- ============================================
+-- 1. ESTADOS DE EXCEPCION
+-- ============================================
+ALTER TYPE "estado_encomienda" ADD VALUE IF NOT EXISTS 'DEVUELTO_A_ORIGEN';
+ALTER TYPE "estado_encomienda" ADD VALUE IF NOT EXISTS 'EXTRAVIADO';
+ALTER TYPE "estado_encomienda" ADD VALUE IF NOT EXISTS 'DANADO';
+ALTER TYPE "estado_encomienda" ADD VALUE IF NOT EXISTS 'ABANDONADO';
+ALTER TYPE "estado_encomienda" ADD VALUE IF NOT EXISTS 'RETENIDO';
+
+-- ============================================
+-- 2. PERMISOS DE EXCEPCIONES
+-- ============================================
+INSERT INTO "tbl_permisos" ("codigo", "nombre", "tipo", "recurso", "estado")
+VALUES
+    ('ENCOMIENDAS_INCIDENCIAS', 'Registrar encomienda retenida, danada o devuelta a origen', 'ACCION', 'encomiendas', 1),
+    ('ENCOMIENDAS_DECLARAR_PERDIDA', 'Declarar encomienda extraviada o abandonada', 'ACCION', 'encomiendas', 1)
+ON CONFLICT ("codigo") DO NOTHING;
+
+-- Quien cambia el estado de encomiendas registra incidencias
+INSERT INTO "tbl_roles_permisos" ("id_rol", "id_permiso", "estado")
+SELECT DISTINCT rp."id_rol", pe."id", 1
+FROM "tbl_roles_permisos" rp
+JOIN "tbl_permisos" p ON p."id" = rp."id_permiso"
+CROSS JOIN "tbl_permisos" pe
+WHERE pe."codigo" = 'ENCOMIENDAS_INCIDENCIAS'
+  AND rp."estado" = 1
+  AND p."codigo" = 'ENCOMIENDAS_CAMBIAR_ESTADO'
+ON CONFLICT ("id_rol", "id_permiso") DO NOTHING;
+
+-- Declarar perdidas queda para los roles que supervisan caja (administracion)
+INSERT INTO "tbl_roles_permisos" ("id_rol", "id_permiso", "estado")
+SELECT DISTINCT rp."id_rol", pe."id", 1
+FROM "tbl_roles_permisos" rp
+JOIN "tbl_permisos" p ON p."id" = rp."id_permiso"
+CROSS JOIN "tbl_permisos" pe
+WHERE pe."codigo" IN ('ENCOMIENDAS_INCIDENCIAS', 'ENCOMIENDAS_DECLARAR_PERDIDA')
+  AND rp."estado" = 1
+  AND p."codigo" = 'CAJA_SUPERVISAR'
+ON CONFLICT ("id_rol", "id_permiso") DO NOTHING;
@@ -0,0 +1,59 @@
+-- Migración de almacenaje y abandono de encomiendas
+-- Fecha: 2026-10-19
+-- Propósito: Aplicar la politica de encomiendas: pasado el plazo de retiro desde la llegada
+-- a destino la encomienda pasa a almacen (cobro diario configurable al retirar) y, vencido
+-- el plazo de almacenaje (menor si es perecible), un proceso diario la marca ABANDONADO
+
+-- ============================================
+-- 1. CAMPOS DE ALMACENAJE EN ENCOMIENDAS
+-- ============================================
+-- fecha_almacenaje: inicio del almacenaje, la marca el proceso diario al vencer el plazo de retiro
+-- dias_almacenaje / monto_almacenaje: lo cobrado al retirar
+ALTER TABLE "tbl_encomiendas" ADD COLUMN IF NOT EXISTS "perecible" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "tbl_encomiendas" ADD COLUMN IF NOT EXISTS "fecha_almacenaje" TIMESTAMPTZ(6);
+ALTER TABLE "tbl_encomiendas" ADD COLUMN IF NOT EXISTS "dias_almacenaje" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "tbl_encomiendas" ADD COLUMN IF NOT EXISTS "monto_almacenaje" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS "idx_encomiendas_estado_destino" ON "tbl_encomiendas"("estado_actual", "id_punto_destino");
+
+ALTER TYPE "tipo_movimiento_caja" ADD VALUE IF NOT EXISTS 'COBRO_ALMACENAJE';
+
+-- ============================================
+-- 2. CONFIGURACION DE ALMACENAJE
+-- ============================================
+-- Una sola configuracion activa (al actualizar se desactiva la anterior).
+-- Cobro por dia de almacen iniciado: tarifa_diaria + peso * tarifa_por_kg_dia, tope monto_maximo
+CREATE TABLE IF NOT EXISTS "tbl_configuracion_almacenaje_encomienda" (
+    "id" SERIAL NOT NULL,
+    "horas_gracia" INTEGER NOT NULL DEFAULT 48,
+    "tarifa_diaria" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "tarifa_por_kg_dia" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "monto_maximo" DECIMAL(10,2),
+    "dias_abandono" INTEGER NOT NULL DEFAULT 15,
+    "dias_abandono_perecible" INTEGER NOT NULL DEFAULT 3,
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "user_id_registration" INTEGER,
+    "date_time_registration" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "user_id_modification" INTEGER,
+    "date_time_modification" TIMESTAMPTZ(6),
+
+    CONSTRAINT "tbl_configuracion_almacenaje_encomienda_pkey" PRIMARY KEY ("id")
+);
+
+-- Plazos de la politica impresa; la tarifa queda en 0 hasta que se configure
+INSERT INTO "tbl_configuracion_almacenaje_encomienda" ("horas_gracia", "tarifa_diaria", "dias_abandono", "dias_abandono_perecible", "activo")
+SELECT 48, 0, 15, 3, true
+WHERE NOT EXISTS (SELECT 1 FROM "tbl_configuracion_almacenaje_encomienda");
+
+-- ============================================
+-- 3. USUARIO DE PROCESOS AUTOMATICOS
+-- ============================================
+-- Registra los eventos del proceso diario de abandono. Inactivo: no puede iniciar sesion
+INSERT INTO "tbl_roles" ("nombre", "estado") VALUES ('SISTEMA', 1)
+ON CONFLICT ("nombre") DO NOTHING;
+
+INSERT INTO "tbl_usuarios" ("nombres", "correo", "contrasena", "id_rol", "estado")
+SELECT 'Procesos automaticos', 'procesos@sistema.local', '!', r."id", 0
+FROM "tbl_roles" r
+WHERE r."nombre" = 'SISTEMA'
+ON CONFLICT ("correo") DO NOTHING;
@@ -0,0 +1,9 @@
+-- Migración de capacidad de venta instantánea
+-- Fecha: 2026-10-19
+-- Propósito: Capacidad explícita y configurable de los viajes de venta instantánea (horario 00:00),
+-- independiente de la capacidad por defecto de bus; define cuántos asientos se generan para ellos
+
+-- ============================================
+-- 1. CAPACIDAD DE VENTA INSTANTÁNEA EN CONFIGURACIÓN
+-- ============================================
+ALTER TABLE "tbl_configuracion_sistema" ADD COLUMN IF NOT EXISTS "capacidad_venta_instantanea" INTEGER DEFAULT 60;
@@ -61,12 +61,48 @@ async function main() {
     { codigo: 'PASAJES_LISTAR', nombre: 'Listar pasajes', tipo: 'MENU', recurso: 'pasajes' },
     { codigo: 'PASAJES_ANULAR', nombre: 'Anular pasaje', tipo: 'ACCION', recurso: 'pasajes' },
     { codigo: 'PASAJES_REIMPRIMIR', nombre: 'Reimprimir pasaje', tipo: 'ACCION', recurso: 'pasajes' },
+    { codigo: 'PASAJES_RESERVAR', nombre: 'Reservar pasaje', tipo: 'ACCION', recurso: 'pasajes' },
+    { codigo: 'PASAJES_REPROGRAMAR', nombre: 'Reprogramar pasaje', tipo: 'ACCION', recurso: 'pasajes' },
+    { codigo: 'PASAJES_ABORDAR', nombre: 'Registrar abordaje de pasajero', tipo: 'ACCION', recurso: 'pasajes' },
+    { codigo: 'PASAJES_PRECIO_MANUAL', nombre: 'Modificar precio de pasaje', tipo: 'ACCION', recurso: 'pasajes' },
+    // Tarifas
+    { codigo: 'TARIFAS_LISTAR', nombre: 'Listar reglas de tarifa', tipo: 'MENU', recurso: 'tarifas' },
+    { codigo: 'TARIFAS_CREAR', nombre: 'Crear regla de tarifa', tipo: 'ACCION', recurso: 'tarifas' },
+    { codigo: 'TARIFAS_EDITAR', nombre: 'Editar regla de tarifa', tipo: 'ACCION', recurso: 'tarifas' },
+    { codigo: 'TARIFAS_ELIMINAR', nombre: 'Eliminar regla de tarifa', tipo: 'ACCION', recurso: 'tarifas' },
+    // Viajes
+    { codigo: 'VIAJES_MANIFIESTO', nombre: 'Ver manifiesto de pasajeros', tipo: 'ACCION', recurso: 'viajes' },
+    { codigo: 'VIAJES_CERRAR', nombre: 'Cerrar viaje', tipo: 'ACCION', recurso: 'viajes' },
+    { codigo: 'VIAJES_CANCELAR', nombre: 'Cancelar viaje', tipo: 'ACCION', recurso: 'viajes' },
+    { codigo: 'VIAJES_OPERAR', nombre: 'Registrar salida, llegada y retrasos de viaje', tipo: 'ACCION', recurso: 'viajes' },
+    // Vehiculos
+    { codigo: 'VEHICULOS_LISTAR', nombre: 'Listar vehiculos', tipo: 'MENU', recurso: 'vehiculos' },
+    { codigo: 'VEHICULOS_CREAR', nombre: 'Crear vehiculo', tipo: 'ACCION', recurso: 'vehiculos' },
+    { codigo: 'VEHICULOS_EDITAR', nombre: 'Editar vehiculo', tipo: 'ACCION', recurso: 'vehiculos' },
+    { codigo: 'VEHICULOS_ELIMINAR', nombre: 'Eliminar vehiculo', tipo: 'ACCION', recurso: 'vehiculos' },
+    // Conductores
+    { codigo: 'CONDUCTORES_LISTAR', nombre: 'Listar conductores', tipo: 'MENU', recurso: 'conductores' },
+    { codigo: 'CONDUCTORES_CREAR', nombre: 'Crear conductor', tipo: 'ACCION', recurso: 'conductores' },
+    { codigo: 'CONDUCTORES_EDITAR', nombre: 'Editar conductor', tipo: 'ACCION', recurso: 'conductores' },
+    { codigo: 'CONDUCTORES_ELIMINAR', nombre: 'Eliminar conductor', tipo: 'ACCION', recurso: 'conductores' },
     // Encomiendas
     { codigo: 'ENCOMIENDAS_REGISTRAR', nombre: 'Registrar encomienda', tipo: 'ACCION', recurso: 'encomiendas' },
     { codigo: 'ENCOMIENDAS_LISTAR', nombre: 'Listar encomiendas', tipo: 'MENU', recurso: 'encomiendas' },
     { codigo: 'ENCOMIENDAS_ESCANEAR', nombre: 'Escanear QR encomienda', tipo: 'ACCION', recurso: 'encomiendas' },
     { codigo: 'ENCOMIENDAS_CAMBIAR_ESTADO', nombre: 'Cambiar estado encomienda', tipo: 'ACCION', recurso: 'encomiendas' },
     { codigo: 'ENCOMIENDAS_RETIRAR', nombre: 'Registrar retiro encomienda', tipo: 'ACCION', recurso: 'encomiendas' },
+    { codigo: 'ENCOMIENDAS_INCIDENCIAS', nombre: 'Registrar encomienda retenida, danada o devuelta a origen', tipo: 'ACCION', recurso: 'encomiendas' },
+    { codigo: 'ENCOMIENDAS_DECLARAR_PERDIDA', nombre: 'Declarar encomienda extraviada o abandonada', tipo: 'ACCION', recurso: 'encomiendas' },
+    // Caja
+    { codigo: 'CAJA_OPERAR', nombre: 'Abrir, operar y cerrar caja', tipo: 'MENU', recurso: 'caja' },
+    { codigo: 'CAJA_SUPERVISAR', nombre: 'Supervisar cajas de otros usuarios', tipo: 'ACCION', recurso: 'caja' },
+    // Empresas
+    { codigo: 'EMPRESAS_LISTAR', nombre: 'Listar empresas clientes y estado de cuenta', tipo: 'MENU', recurso: 'empresas' },
+    { codigo: 'EMPRESAS_GESTIONAR', nombre: 'Crear y editar empresas clientes y registrar abonos', tipo: 'ACCION', recurso: 'empresas' },
+    { codigo: 'EMPRESAS_FACTURAR', nombre: 'Emitir facturacion consolidada de empresas', tipo: 'ACCION', recurso: 'empresas' },
+    // Despachos
+    { codigo: 'DESPACHOS_LISTAR', nombre: 'Listar despachos de encomiendas', tipo: 'MENU', recurso: 'despachos' },
+    { codigo: 'DESPACHOS_OPERAR', nombre: 'Cargar, despachar y recibir despachos de encomiendas', tipo: 'ACCION', recurso: 'despachos' },
     // Dashboard
     { codigo: 'DASHBOARD_VER', nombre: 'Ver dashboard', tipo: 'MENU', recurso: 'dashboard' },
     // Usuarios
@@ -129,7 +165,13 @@ async function main() {
   const permisosAdmin = [
     'RUTAS_LISTAR', 'HORARIOS_LISTAR', 'HORARIOS_CREAR', 'HORARIOS_EDITAR',
     'HORARIOS_HABILITAR', 'PASAJES_LISTAR', 'PASAJES_ANULAR', 'CLIENTES_LISTAR',
-    'CLIENTES_VER_HISTORIAL', 'FACTURACION_VER'
+    'CLIENTES_VER_HISTORIAL', 'FACTURACION_VER', 'VIAJES_MANIFIESTO', 'VIAJES_CERRAR',
+    'PASAJES_ABORDAR', 'PASAJES_PRECIO_MANUAL', 'TARIFAS_LISTAR', 'TARIFAS_CREAR', 'TARIFAS_EDITAR',
+    'TARIFAS_ELIMINAR', 'VIAJES_CANCELAR', 'VIAJES_OPERAR', 'VEHICULOS_LISTAR', 'VEHICULOS_CREAR',
+    'VEHICULOS_EDITAR', 'VEHICULOS_ELIMINAR', 'CONDUCTORES_LISTAR', 'CONDUCTORES_CREAR',
+    'CONDUCTORES_EDITAR', 'CONDUCTORES_ELIMINAR', 'CAJA_OPERAR', 'CAJA_SUPERVISAR',
+    'EMPRESAS_LISTAR', 'EMPRESAS_GESTIONAR', 'EMPRESAS_FACTURAR', 'DESPACHOS_LISTAR',
+    'ENCOMIENDAS_INCIDENCIAS', 'ENCOMIENDAS_DECLARAR_PERDIDA'
   ];
   for (const codigo of permisosAdmin) {
     const permisoId = getPermisoId(codigo);
@@ -146,10 +188,12 @@ async function main() {
   const pvId = getRolId('PUNTO_VENTA');
   const permisosPV = [
     'HORARIOS_LISTAR', 'PASAJES_VENDER', 'PASAJES_LISTAR', 'PASAJES_ANULAR',
-    'PASAJES_REIMPRIMIR', 'ENCOMIENDAS_REGISTRAR', 'ENCOMIENDAS_LISTAR',
+    'PASAJES_REIMPRIMIR', 'PASAJES_RESERVAR', 'PASAJES_REPROGRAMAR', 'VIAJES_MANIFIESTO', 'VIAJES_CERRAR',
+    'PASAJES_ABORDAR', 'VIAJES_OPERAR', 'ENCOMIENDAS_REGISTRAR', 'ENCOMIENDAS_LISTAR',
     'ENCOMIENDAS_ESCANEAR', 'ENCOMIENDAS_CAMBIAR_ESTADO', 'ENCOMIENDAS_RETIRAR',
     'CLIENTES_CREAR', 'CLIENTES_EDITAR', 'CLIENTES_VER_HISTORIAL', 'CLIENTES_LISTAR',
-    'FACTURACION_VER', 'FACTURACION_EMITIR'
+    'FACTURACION_VER', 'FACTURACION_EMITIR', 'CAJA_OPERAR', 'EMPRESAS_LISTAR',
+    'DESPACHOS_LISTAR', 'DESPACHOS_OPERAR', 'ENCOMIENDAS_INCIDENCIAS'
   ];
   for (const codigo of permisosPV) {
     const permisoId = getPermisoId(codigo);
@@ -166,7 +210,8 @@ async function main() {
   const almacenId = getRolId('ALMACEN');
   const permisosAlmacen = [
     'ENCOMIENDAS_LISTAR', 'ENCOMIENDAS_ESCANEAR', 'ENCOMIENDAS_CAMBIAR_ESTADO',
-    'ENCOMIENDAS_RETIRAR'
+    'ENCOMIENDAS_RETIRAR', 'CAJA_OPERAR', 'DESPACHOS_LISTAR', 'DESPACHOS_OPERAR',
+    'ENCOMIENDAS_INCIDENCIAS'
   ];
   for (const codigo of permisosAlmacen) {
     const permisoId = getPermisoId(codigo);
@@ -222,6 +267,7 @@ async function main() {
       precio_base_encomienda_kg: 5.00,
       tiempo_reserva_minutos: 65,
       capacidad_default_bus: 40,
+      capacidad_venta_instantanea: 60,
       activo: true,
       soles_por_punto: 10.00,
       puntos_por_sol_descuento: 1.00,
@@ -277,7 +323,9 @@ Recibido sin verificacion de contenido.`,
     { tipo_comprobante: '03', serie: 'BT74', numero_actual: 0, activo: true },  // Boleta
     { tipo_comprobante: '01', serie: 'FT74', numero_actual: 0, activo: true },  // Factura
     { tipo_comprobante: 'NV', serie: 'NV01', numero_actual: 0, activo: true },  // Nota de Venta
-    { tipo_comprobante: '09', serie: 'TZ74', numero_actual: 0, activo: true }   // Guia de Remision
+    { tipo_comprobante: '09', serie: 'TZ74', numero_actual: 0, activo: true },  // Guia de Remision
+    { tipo_comprobante: '07', serie: 'BC74', numero_actual: 0, activo: true },  // Nota de Credito (boleta)
+    { tipo_comprobante: '07', serie: 'FC74', numero_actual: 0, activo: true }   // Nota de Credito (factura)
   ];
 
   for (const s of seriesData) {
@@ -0,0 +1,60 @@
+/**
+ * Caja Routes
+ * Rutas para apertura, movimientos y cierre de caja
+ */
+
+const express = require('express');
+const router = express.Router();
+const cajaController = require('../controllers/cajaController');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+
+// GET /api/caja - Listar cajas (filtros: estado, usuario, punto, fechas)
+router.get('/',
+  verifyToken,
+  requirePermission(['CAJA_OPERAR', 'CAJA_SUPERVISAR']),
+  cajaController.listar
+);
+
+// GET /api/caja/actual - Caja abierta del usuario
+router.get('/actual',
+  verifyToken,
+  requirePermission('CAJA_OPERAR'),
+  cajaController.actual
+);
+
+// POST /api/caja/abrir - Abrir caja con fondo inicial
+router.post('/abrir',
+  verifyToken,
+  requirePermission('CAJA_OPERAR'),
+  cajaController.abrir
+);
+
+// POST /api/caja/movimientos - Registrar ingreso o egreso manual
+router.post('/movimientos',
+  verifyToken,
+  requirePermission('CAJA_OPERAR'),
+  cajaController.registrarMovimiento
+);
+
+// GET /api/caja/:id - Obtener caja con movimientos y arqueo
+router.get('/:id',
+  verifyToken,
+  requirePermission(['CAJA_OPERAR', 'CAJA_SUPERVISAR']),
+  cajaController.obtener
+);
+
+// GET /api/caja/:id/reporte - Reporte de cierre imprimible
+router.get('/:id/reporte',
+  verifyToken,
+  requirePermission(['CAJA_OPERAR', 'CAJA_SUPERVISAR']),
+  cajaController.reporte
+);
+
+// POST /api/caja/:id/cerrar - Cerrar caja con conteo por metodo de pago
+router.post('/:id/cerrar',
+  verifyToken,
+  requirePermission(['CAJA_OPERAR', 'CAJA_SUPERVISAR']),
+  cajaController.cerrar
+);
+
+module.exports = router;
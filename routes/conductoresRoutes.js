@@ -0,0 +1,46 @@
+/**
+ * Conductores Routes
+ * Rutas para conductores y ayudantes
+ */
+
+const express = require('express');
+const router = express.Router();
+const conductoresController = require('../controllers/conductoresController');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+
+// GET /api/conductores - Listar conductores (filtros: busqueda, licencia por vencer)
+router.get('/',
+  verifyToken,
+  requirePermission(['CONDUCTORES_LISTAR', 'VIAJES_OPERAR']),
+  conductoresController.listar
+);
+
+// GET /api/conductores/:id - Obtener conductor con sus proximos viajes
+router.get('/:id',
+  verifyToken,
+  requirePermission(['CONDUCTORES_LISTAR', 'VIAJES_OPERAR']),
+  conductoresController.obtener
+);
+
+// POST /api/conductores - Crear conductor
+router.post('/',
+  verifyToken,
+  requirePermission('CONDUCTORES_CREAR'),
+  conductoresController.crear
+);
+
+// PUT /api/conductores/:id - Actualizar conductor
+router.put('/:id',
+  verifyToken,
+  requirePermission('CONDUCTORES_EDITAR'),
+  conductoresController.actualizar
+);
+
+// DELETE /api/conductores/:id - Eliminar conductor
+router.delete('/:id',
+  verifyToken,
+  requirePermission('CONDUCTORES_ELIMINAR'),
+  conductoresController.eliminar
+);
+
+module.exports = router;
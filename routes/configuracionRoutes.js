@@ -38,4 +38,18 @@ router.put('/precios-encomienda',
   configuracionController.actualizarPreciosEncomienda
 );
 
+// GET /api/configuracion/almacenaje-encomienda - Obtener config de almacenaje y abandono
+router.get('/almacenaje-encomienda',
+  verifyToken,
+  requirePermission(['DASHBOARD_VER', 'ENCOMIENDAS_RETIRAR']),
+  configuracionController.obtenerAlmacenajeEncomienda
+);
+
+// PUT /api/configuracion/almacenaje-encomienda - Actualizar config de almacenaje y abandono
+router.put('/almacenaje-encomienda',
+  verifyToken,
+  requirePermission('DASHBOARD_VER'),
+  configuracionController.actualizarAlmacenajeEncomienda
+);
+
 module.exports = router;
@@ -105,6 +105,10 @@ router.patch('/promociones/:id/toggle',
   requirePermission('BANNERS_EDITAR'),
   promocionesController.toggleActivo);
 
+router.get('/promociones/:id/canjes',
+  requirePermission('BANNERS_VER'),
+  promocionesController.reporteCanjes);
+
 // === CONTACTO MENSAJES ===
 router.get('/contacto-mensajes',
   requirePermission('LANDING_VER'),
@@ -0,0 +1,73 @@
+/**
+ * Despachos Routes
+ * Rutas para despachos (manifiestos de carga) de encomiendas
+ */
+
+const express = require('express');
+const router = express.Router();
+const despachosController = require('../controllers/despachosController');
+const { verifyToken, requirePermission, requireOwnPoint } = require('../middleware/authMiddleware');
+
+// GET /api/despachos - Listar despachos (filtros: viaje, estado, origen, destino)
+router.get('/',
+  verifyToken,
+  requirePermission(['DESPACHOS_LISTAR', 'DESPACHOS_OPERAR']),
+  despachosController.listar
+);
+
+// GET /api/despachos/:id - Obtener despacho con sus encomiendas
+router.get('/:id',
+  verifyToken,
+  requirePermission(['DESPACHOS_LISTAR', 'DESPACHOS_OPERAR']),
+  despachosController.obtener
+);
+
+// POST /api/despachos - Crear despacho para un viaje
+router.post('/',
+  verifyToken,
+  requirePermission('DESPACHOS_OPERAR'),
+  requireOwnPoint,
+  despachosController.crear
+);
+
+// POST /api/despachos/:id/encomiendas - Cargar encomienda por escaneo
+router.post('/:id/encomiendas',
+  verifyToken,
+  requirePermission('DESPACHOS_OPERAR'),
+  requireOwnPoint,
+  despachosController.cargar
+);
+
+// DELETE /api/despachos/:id/encomiendas/:idEncomienda - Quitar encomienda del despacho
+router.delete('/:id/encomiendas/:idEncomienda',
+  verifyToken,
+  requirePermission('DESPACHOS_OPERAR'),
+  requireOwnPoint,
+  despachosController.quitar
+);
+
+// POST /api/despachos/:id/despachar - Despachar (encomiendas a EN_RUTA)
+router.post('/:id/despachar',
+  verifyToken,
+  requirePermission('DESPACHOS_OPERAR'),
+  requireOwnPoint,
+  despachosController.despachar
+);
+
+// POST /api/despachos/:id/recibir - Recibir en destino (LLEGO_A_DESTINO, faltantes y sobrantes)
+router.post('/:id/recibir',
+  verifyToken,
+  requirePermission('DESPACHOS_OPERAR'),
+  requireOwnPoint,
+  despachosController.recibir
+);
+
+// POST /api/despachos/:id/anular - Anular despacho abierto
+router.post('/:id/anular',
+  verifyToken,
+  requirePermission('DESPACHOS_OPERAR'),
+  requireOwnPoint,
+  despachosController.anular
+);
+
+module.exports = router;
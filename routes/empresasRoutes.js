@@ -0,0 +1,67 @@
+/**
+ * Empresas Routes
+ * Rutas para empresas clientes con credito
+ */
+
+const express = require('express');
+const router = express.Router();
+const empresasController = require('../controllers/empresasController');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+
+// GET /api/empresas - Listar empresas clientes (filtros: busqueda, estado)
+router.get('/',
+  verifyToken,
+  requirePermission('EMPRESAS_LISTAR'),
+  empresasController.listar
+);
+
+// GET /api/empresas/:id - Obtener empresa con credito disponible y deuda vencida
+router.get('/:id',
+  verifyToken,
+  requirePermission('EMPRESAS_LISTAR'),
+  empresasController.obtener
+);
+
+// GET /api/empresas/:id/estado-cuenta - Estado de cuenta (json o pdf)
+router.get('/:id/estado-cuenta',
+  verifyToken,
+  requirePermission('EMPRESAS_LISTAR'),
+  empresasController.estadoCuenta
+);
+
+// GET /api/empresas/:id/facturaciones - Facturaciones consolidadas de la empresa
+router.get('/:id/facturaciones',
+  verifyToken,
+  requirePermission('EMPRESAS_LISTAR'),
+  empresasController.listarFacturaciones
+);
+
+// POST /api/empresas - Crear empresa cliente
+router.post('/',
+  verifyToken,
+  requirePermission('EMPRESAS_GESTIONAR'),
+  empresasController.crear
+);
+
+// PUT /api/empresas/:id - Actualizar empresa cliente
+router.put('/:id',
+  verifyToken,
+  requirePermission('EMPRESAS_GESTIONAR'),
+  empresasController.actualizar
+);
+
+// POST /api/empresas/:id/abonos - Registrar abono de la empresa (requiere caja abierta)
+router.post('/:id/abonos',
+  verifyToken,
+  requirePermission('EMPRESAS_GESTIONAR'),
+  empresasController.registrarAbono
+);
+
+// POST /api/empresas/:id/facturar - Emitir factura consolidada de un mes cerrado
+router.post('/:id/facturar',
+  verifyToken,
+  requirePermission('EMPRESAS_FACTURAR'),
+  empresasController.facturar
+);
+
+module.exports = router;
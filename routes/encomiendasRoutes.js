@@ -34,6 +34,13 @@ router.get('/dni/:dni',
   encomiendasController.buscarPorDni
 );
 
+// GET /api/encomiendas/reportes/almacenaje - Antiguedad de encomiendas por retirar y almacenaje por punto
+router.get('/reportes/almacenaje',
+  verifyToken,
+  requirePermission('ENCOMIENDAS_LISTAR'),
+  encomiendasController.reporteAlmacenaje
+);
+
 // GET /api/encomiendas/:id - Obtener encomienda por ID
 router.get('/:id',
   verifyToken,
@@ -63,6 +70,14 @@ router.post('/',
   encomiendasController.registrar
 );
 
+// POST /api/encomiendas/estado/lote - Cambiar estado de varias encomiendas escaneadas
+router.post('/estado/lote',
+  verifyToken,
+  requirePermission('ENCOMIENDAS_CAMBIAR_ESTADO'),
+  requireOwnPoint,
+  encomiendasController.cambiarEstadoLote
+);
+
 // PATCH /api/encomiendas/:id/estado - Cambiar estado
 router.patch('/:id/estado',
   verifyToken,
@@ -29,4 +29,25 @@ router.delete('/:id',
   horariosController.eliminar
 );
 
+// GET /api/horarios/:id/excepciones - Listar excepciones por fecha del horario
+router.get('/:id/excepciones',
+  verifyToken,
+  requirePermission('HORARIOS_LISTAR'),
+  horariosController.listarExcepciones
+);
+
+// POST /api/horarios/:id/excepciones - Registrar excepcion (cancelacion, salida adicional o capacidad)
+router.post('/:id/excepciones',
+  verifyToken,
+  requirePermission('HORARIOS_EDITAR'),
+  horariosController.guardarExcepcion
+);
+
+// DELETE /api/horarios/:id/excepciones/:idExcepcion - Eliminar excepcion
+router.delete('/:id/excepciones/:idExcepcion',
+  verifyToken,
+  requirePermission('HORARIOS_EDITAR'),
+  horariosController.eliminarExcepcion
+);
+
 module.exports = router;
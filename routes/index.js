@@ -13,7 +13,15 @@ const rutasRoutes = require('./rutasRoutes');
 const horariosRoutes = require('./horariosRoutes');
 const viajesRoutes = require('./viajesRoutes');
 const ticketsRoutes = require('./ticketsRoutes');
+const reservasRoutes = require('./reservasRoutes');
+const listaEsperaRoutes = require('./listaEsperaRoutes');
+const tarifasRoutes = require('./tarifasRoutes');
+const vehiculosRoutes = require('./vehiculosRoutes');
+const conductoresRoutes = require('./conductoresRoutes');
 const encomiendasRoutes = require('./encomiendasRoutes');
+const cajaRoutes = require('./cajaRoutes');
+const empresasRoutes = require('./empresasRoutes');
+const despachosRoutes = require('./despachosRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
 const usuariosRoutes = require('./usuariosRoutes');
 const rolesRoutes = require('./rolesRoutes');
@@ -36,7 +44,15 @@ router.use('/rutas', rutasRoutes);
 router.use('/horarios', horariosRoutes);
 router.use('/viajes', viajesRoutes);
 router.use('/tickets', ticketsRoutes);
+router.use('/reservas', reservasRoutes);
+router.use('/lista-espera', listaEsperaRoutes);
+router.use('/tarifas', tarifasRoutes);
+router.use('/vehiculos', vehiculosRoutes);
+router.use('/conductores', conductoresRoutes);
 router.use('/encomiendas', encomiendasRoutes);
+router.use('/caja', cajaRoutes);
+router.use('/empresas', empresasRoutes);
+router.use('/despachos', despachosRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/usuarios', usuariosRoutes);
 router.use('/roles', rolesRoutes);
@@ -0,0 +1,41 @@
+/**
+ * Lista Espera Routes
+ * Rutas para la lista de espera de viajes con aforo completo
+ */
+
+const express = require('express');
+const router = express.Router();
+const listaEsperaController = require('../controllers/listaEsperaController');
+const { verifyToken, requirePermission, requireOwnPoint } = require('../middleware/authMiddleware');
+
+// GET /api/lista-espera - Listar solicitudes (filtros: viaje, estado, documento)
+router.get('/',
+  verifyToken,
+  requirePermission(['PASAJES_RESERVAR', 'PASAJES_VENDER']),
+  listaEsperaController.listar
+);
+
+// POST /api/lista-espera - Inscribir pasajero en lista de espera de un viaje lleno
+router.post('/',
+  verifyToken,
+  requirePermission('PASAJES_RESERVAR'),
+  requireOwnPoint,
+  listaEsperaController.crear
+);
+
+// POST /api/lista-espera/:id/convertir - Convertir solicitud en reservas
+router.post('/:id/convertir',
+  verifyToken,
+  requirePermission('PASAJES_RESERVAR'),
+  requireOwnPoint,
+  listaEsperaController.convertir
+);
+
+// POST /api/lista-espera/:id/cancelar - Cancelar solicitud
+router.post('/:id/cancelar',
+  verifyToken,
+  requirePermission('PASAJES_RESERVAR'),
+  listaEsperaController.cancelar
+);
+
+module.exports = router;
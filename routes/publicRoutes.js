@@ -14,8 +14,31 @@ const promocionesController = require('../controllers/promocionesController');
 const contactoController = require('../controllers/contactoController');
 const encomiendasInfoController = require('../controllers/encomiendasInfoController');
 const infoViajeController = require('../controllers/infoViajeController');
+const ventaWebController = require('../controllers/ventaWebController');
 const prisma = require('../config/prisma');
-const { formatTimeForAPI } = require('../utils/dateUtils');
+const {
+  formatTimeForAPI,
+  parseCivilDate,
+  getFechaCivilHoyPeru,
+  mascaraADias
+} = require('../utils/dateUtils');
+const { normalizarParadas, resolverTramo, calcularHoraParada } = require('../services/tramosService');
+const { obtenerHorariosFecha } = require('../services/horariosService');
+const { CORREO_USUARIO_WEB } = require('../services/ventaWebService');
+const { limitarPorIp } = require('../middleware/rateLimitMiddleware');
+
+// Limites por IP de la venta en linea: la reserva consulta RENIEC (API de pago) y el pago
+// llama al proveedor de pagos
+const limiteReservasWeb = limitarPorIp({
+  ventanaMs: 15 * 60 * 1000,
+  maximo: 10,
+  mensaje: 'Demasiadas reservas desde esta conexion, intente nuevamente mas tarde'
+});
+const limitePagosWeb = limitarPorIp({
+  ventanaMs: 15 * 60 * 1000,
+  maximo: 10,
+  mensaje: 'Demasiados intentos de pago desde esta conexion, intente nuevamente mas tarde'
+});
 
 // GET /api/public/tracking/:codigo - Consultar encomienda (publico)
 router.get('/tracking/:codigo', encomiendasController.consultaPublica);
@@ -42,11 +65,26 @@ router.get('/festividades/:id', festividadesController.getFestividadById);
 router.get('/destinos-banner', landingController.getDestinosBannerPublico);
 
 /**
- * GET /api/public/rutas - Listar rutas con horarios y precios (publico)
+ * GET /api/public/rutas - Listar rutas con horarios, paradas y precios (publico)
  * Para mostrar en el landing page
+ * Query params: idPuntoOrigen, idPuntoDestino (opcional, busca rutas que pasen por ambos
+ * puntos en ese orden y devuelve la tarifa y hora de ese tramo), fecha (opcional, YYYY-MM-DD:
+ * solo horarios que operan ese dia segun su calendario; sin fecha se omiten los de vigencia vencida)
  */
 router.get('/rutas', async (req, res) => {
   try {
+    const { idPuntoOrigen, idPuntoDestino, fecha } = req.query;
+
+    let fechaDate = null;
+    if (fecha) {
+      const parsed = parseCivilDate(fecha, 'fecha');
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      fechaDate = parsed.date;
+    }
+    const hoy = getFechaCivilHoyPeru();
+
     const rutas = await prisma.ruta.findMany({
       where: { estado: 1 },
       include: {
@@ -56,10 +94,22 @@ router.get('/rutas', async (req, res) => {
         puntoDestino: {
           select: { id: true, nombre: true, ciudad: true, direccion: true }
         },
+        paradas: {
+          orderBy: { orden: 'asc' },
+          include: { punto: { select: { id: true, nombre: true, ciudad: true, direccion: true } } }
+        },
         horarios: {
           where: { habilitado: true },
           orderBy: { horaSalida: 'asc' },
-          select: { id: true, horaSalida: true, capacidadTotal: true }
+          select: {
+            id: true,
+            horaSalida: true,
+            capacidadTotal: true,
+            habilitado: true,
+            diasSemana: true,
+            vigenciaDesde: true,
+            vigenciaHasta: true
+          }
         }
       },
       orderBy: { id: 'asc' }
@@ -67,18 +117,70 @@ router.get('/rutas', async (req, res) => {
 
     // Formatear horarios para mejor lectura (capacidad por horario)
     // NOTA: Devolvemos hora en formato 24h (HH:mm) - el frontend convierte a formato local
-    const rutasFormateadas = rutas.map(ruta => ({
-      id: ruta.id,
-      origen: ruta.puntoOrigen,
-      destino: ruta.puntoDestino,
-      precioPasaje: ruta.precioPasaje,
-      horarios: ruta.horarios.map(h => ({
-        id: h.id,
-        hora: formatTimeForAPI(h.horaSalida),
-        horaSalidaISO: h.horaSalida, // ISO para que el frontend pueda formatear localmente
-        capacidadTotal: h.capacidadTotal
-      }))
-    }));
+    const rutasFormateadas = [];
+
+    for (const ruta of rutas) {
+      const paradas = normalizarParadas(ruta);
+
+      // Tramo buscado (por defecto la ruta completa); se omiten rutas que no lo cubren
+      const tramo = resolverTramo(paradas, idPuntoOrigen, idPuntoDestino);
+      if (tramo.error) continue;
+
+      // Horarios segun calendario: los que operan en la fecha o, sin fecha, los aun vigentes
+      const horarios = fechaDate
+        ? await obtenerHorariosFecha(prisma, ruta.horarios, fechaDate)
+        : ruta.horarios.filter((h) => !h.vigenciaHasta || h.vigenciaHasta >= hoy);
+      if (fechaDate && horarios.length === 0) continue;
+
+      // Precio acumulado desde el origen para cada parada
+      let precioDesdeOrigen = 0;
+      const paradasFormateadas = paradas.map((parada) => {
+        precioDesdeOrigen += parada.precioTramo;
+        return {
+          orden: parada.orden,
+          punto: parada.punto,
+          minutosDesdeSalida: parada.minutosDesdeSalida,
+          precioDesdeOrigen: Math.round(precioDesdeOrigen * 100) / 100
+        };
+      });
+
+      // Todos los tramos vendibles (subida antes que bajada)
+      const tramos = [];
+      for (let i = 0; i < paradasFormateadas.length; i++) {
+        for (let j = i + 1; j < paradasFormateadas.length; j++) {
+          tramos.push({
+            idPuntoSubida: paradasFormateadas[i].punto?.id,
+            idPuntoBajada: paradasFormateadas[j].punto?.id,
+            precio: Math.round((paradasFormateadas[j].precioDesdeOrigen - paradasFormateadas[i].precioDesdeOrigen) * 100) / 100
+          });
+        }
+      }
+
+      rutasFormateadas.push({
+        id: ruta.id,
+        origen: ruta.puntoOrigen,
+        destino: ruta.puntoDestino,
+        precioPasaje: ruta.precioPasaje,
+        subida: tramo.paradaSubida.punto,
+        bajada: tramo.paradaBajada.punto,
+        precioTramo: tramo.precio,
+        paradas: paradasFormateadas,
+        tramos,
+        horarios: horarios.map(h => {
+          const horaSubida = calcularHoraParada(h.horaSalida, tramo.paradaSubida.minutosDesdeSalida);
+          return {
+            id: h.id,
+            hora: formatTimeForAPI(horaSubida),
+            horaSalidaISO: h.horaSalida, // ISO para que el frontend pueda formatear localmente
+            horaSubidaISO: horaSubida,
+            capacidadTotal: h.capacidadTotal,
+            dias: mascaraADias(h.diasSemana),
+            vigenciaDesde: h.vigenciaDesde,
+            vigenciaHasta: h.vigenciaHasta
+          };
+        })
+      });
+    }
 
     res.json({ rutas: rutasFormateadas });
   } catch (error) {
@@ -93,8 +195,17 @@ router.get('/rutas', async (req, res) => {
  */
 router.get('/puntos', async (req, res) => {
   try {
+    // El punto virtual de la venta en linea no es un punto de cobertura
+    const usuarioWeb = await prisma.usuario.findUnique({
+      where: { correo: CORREO_USUARIO_WEB },
+      select: { idPunto: true }
+    });
+
     const puntos = await prisma.punto.findMany({
-      where: { estado: 1 },
+      where: {
+        estado: 1,
+        ...(usuarioWeb?.idPunto && { id: { not: usuarioWeb.idPunto } })
+      },
       select: {
         id: true,
         nombre: true,
@@ -121,6 +232,22 @@ router.get('/puntos', async (req, res) => {
   }
 });
 
+// === VENTA EN LINEA (publico) ===
+// GET /api/public/viajes - Buscar viajes por ciudad de origen, destino y fecha
+router.get('/viajes', ventaWebController.buscarViajes);
+
+// GET /api/public/viajes/asientos - Mapa de asientos de un viaje
+router.get('/viajes/asientos', ventaWebController.asientos);
+
+// POST /api/public/reservas - Reservar asiento para pagar en linea
+router.post('/reservas', limiteReservasWeb, ventaWebController.reservar);
+
+// GET /api/public/reservas/:codigo - Consultar reserva en linea
+router.get('/reservas/:codigo', ventaWebController.consultarReserva);
+
+// POST /api/public/reservas/:codigo/pagar - Pagar reserva y emitir pasaje y boleta
+router.post('/reservas/:codigo/pagar', limitePagosWeb, ventaWebController.pagar);
+
 // === DESTINOS (publico) ===
 router.get('/destinos', destinosPublicosController.getDestinosPublicos);
 router.get('/destinos/:slug', destinosPublicosController.getDestinoBySlug);
@@ -0,0 +1,48 @@
+/**
+ * Reservas Routes
+ * Rutas para reservas de asientos con tiempo limite
+ */
+
+const express = require('express');
+const router = express.Router();
+const reservasController = require('../controllers/reservasController');
+const { verifyToken, requirePermission, requireOwnPoint } = require('../middleware/authMiddleware');
+
+// GET /api/reservas - Listar reservas
+router.get('/',
+  verifyToken,
+  requirePermission(['PASAJES_RESERVAR', 'PASAJES_VENDER']),
+  reservasController.listar
+);
+
+// GET /api/reservas/:id - Obtener reserva por ID
+router.get('/:id',
+  verifyToken,
+  requirePermission(['PASAJES_RESERVAR', 'PASAJES_VENDER']),
+  reservasController.obtener
+);
+
+// POST /api/reservas - Crear reserva (retiene asiento sin pago)
+router.post('/',
+  verifyToken,
+  requirePermission('PASAJES_RESERVAR'),
+  requireOwnPoint,
+  reservasController.crear
+);
+
+// POST /api/reservas/:id/confirmar - Confirmar reserva y emitir ticket
+router.post('/:id/confirmar',
+  verifyToken,
+  requirePermission('PASAJES_VENDER'),
+  requireOwnPoint,
+  reservasController.confirmar
+);
+
+// POST /api/reservas/:id/liberar - Liberar reserva manualmente
+router.post('/:id/liberar',
+  verifyToken,
+  requirePermission('PASAJES_RESERVAR'),
+  reservasController.liberar
+);
+
+module.exports = router;
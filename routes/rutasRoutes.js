@@ -44,6 +44,24 @@ router.delete('/:id',
   rutasController.eliminar
 );
 
+// =============================================================================
+// PARADAS (anidadas bajo rutas)
+// =============================================================================
+
+// GET /api/rutas/:id/paradas - Listar paradas de la ruta
+router.get('/:id/paradas',
+  verifyToken,
+  requirePermission(['RUTAS_LISTAR', 'HORARIOS_LISTAR', 'PASAJES_VENDER']),
+  rutasController.listarParadas
+);
+
+// PUT /api/rutas/:id/paradas - Configurar paradas intermedias y tarifas por tramo
+router.put('/:id/paradas',
+  verifyToken,
+  requirePermission('RUTAS_EDITAR'),
+  rutasController.guardarParadas
+);
+
 // =============================================================================
 // HORARIOS (anidados bajo rutas)
 // =============================================================================
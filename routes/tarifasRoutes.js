@@ -0,0 +1,46 @@
+/**
+ * Tarifas Routes
+ * Rutas para reglas de tarifa de pasajes y cotizacion
+ */
+
+const express = require('express');
+const router = express.Router();
+const tarifasController = require('../controllers/tarifasController');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+
+// GET /api/tarifas/cotizar - Cotizar precio de pasaje (antes de /:id para evitar conflictos)
+router.get('/cotizar',
+  verifyToken,
+  requirePermission(['PASAJES_VENDER', 'TARIFAS_LISTAR']),
+  tarifasController.cotizar
+);
+
+// GET /api/tarifas - Listar reglas de tarifa
+router.get('/',
+  verifyToken,
+  requirePermission('TARIFAS_LISTAR'),
+  tarifasController.listar
+);
+
+// POST /api/tarifas - Crear regla de tarifa
+router.post('/',
+  verifyToken,
+  requirePermission('TARIFAS_CREAR'),
+  tarifasController.crear
+);
+
+// PUT /api/tarifas/:id - Actualizar regla de tarifa
+router.put('/:id',
+  verifyToken,
+  requirePermission('TARIFAS_EDITAR'),
+  tarifasController.actualizar
+);
+
+// DELETE /api/tarifas/:id - Eliminar regla de tarifa
+router.delete('/:id',
+  verifyToken,
+  requirePermission('TARIFAS_ELIMINAR'),
+  tarifasController.eliminar
+);
+
+module.exports = router;
@@ -44,6 +44,14 @@ router.post('/',
   ticketsController.vender
 );
 
+// POST /api/tickets/lote - Venta de varios pasajeros y retorno opcional con un solo comprobante
+router.post('/lote',
+  verifyToken,
+  requirePermission('PASAJES_VENDER'),
+  requireOwnPoint,
+  ticketsController.venderLote
+);
+
 // POST /api/tickets/instantanea - Venta instantanea (sin horario predefinido)
 router.post('/instantanea',
   verifyToken,
@@ -52,6 +60,13 @@ router.post('/instantanea',
   ticketsController.venderInstantaneo
 );
 
+// POST /api/tickets/abordar - Registrar abordaje escaneando el QR del ticket
+router.post('/abordar',
+  verifyToken,
+  requirePermission('PASAJES_ABORDAR'),
+  ticketsController.abordar
+);
+
 // POST /api/tickets/:id/anular - Anular ticket
 router.post('/:id/anular',
   verifyToken,
@@ -59,4 +74,12 @@ router.post('/:id/anular',
   ticketsController.anular
 );
 
+// POST /api/tickets/:id/reprogramar - Cambio de fecha/horario con diferencia de tarifa
+router.post('/:id/reprogramar',
+  verifyToken,
+  requirePermission('PASAJES_REPROGRAMAR'),
+  requireOwnPoint,
+  ticketsController.reprogramar
+);
+
 module.exports = router;
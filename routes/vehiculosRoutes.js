@@ -0,0 +1,46 @@
+/**
+ * Vehiculos Routes
+ * Rutas para la flota de vehiculos
+ */
+
+const express = require('express');
+const router = express.Router();
+const vehiculosController = require('../controllers/vehiculosController');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+
+// GET /api/vehiculos - Listar vehiculos (filtros: estado, tipo de carro, documentos por vencer)
+router.get('/',
+  verifyToken,
+  requirePermission(['VEHICULOS_LISTAR', 'VIAJES_OPERAR']),
+  vehiculosController.listar
+);
+
+// GET /api/vehiculos/:id - Obtener vehiculo con sus proximos viajes
+router.get('/:id',
+  verifyToken,
+  requirePermission(['VEHICULOS_LISTAR', 'VIAJES_OPERAR']),
+  vehiculosController.obtener
+);
+
+// POST /api/vehiculos - Crear vehiculo
+router.post('/',
+  verifyToken,
+  requirePermission('VEHICULOS_CREAR'),
+  vehiculosController.crear
+);
+
+// PUT /api/vehiculos/:id - Actualizar vehiculo
+router.put('/:id',
+  verifyToken,
+  requirePermission('VEHICULOS_EDITAR'),
+  vehiculosController.actualizar
+);
+
+// DELETE /api/vehiculos/:id - Dar de baja vehiculo
+router.delete('/:id',
+  verifyToken,
+  requirePermission('VEHICULOS_ELIMINAR'),
+  vehiculosController.eliminar
+);
+
+module.exports = router;
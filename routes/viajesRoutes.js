@@ -1,14 +1,14 @@
 /**
  * Viajes Routes
- * Rutas para consulta de viajes
+ * Rutas para consulta de viajes, manifiesto y ciclo de operacion
  */
 
 const express = require('express');
 const router = express.Router();
 const viajesController = require('../controllers/viajesController');
-const { verifyToken, requirePermission, requireOwnPoint } = require('../middleware/authMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
 
-// GET /api/viajes - Listar viajes (filtros: fecha, ruta)
+// GET /api/viajes - Listar viajes (filtros: fecha, ruta, estado)
 router.get('/',
   verifyToken,
   requirePermission(['PASAJES_VENDER', 'PASAJES_LISTAR']),
@@ -22,4 +22,74 @@ router.get('/disponibilidad',
   viajesController.disponibilidad
 );
 
+// POST /api/viajes/programar - Programar viaje (crear si no existe) con vehiculo opcional
+router.post('/programar',
+  verifyToken,
+  requirePermission('VIAJES_OPERAR'),
+  viajesController.programar
+);
+
+// GET /api/viajes/:id/asientos - Mapa de asientos del viaje
+router.get('/:id/asientos',
+  verifyToken,
+  requirePermission(['PASAJES_VENDER', 'PASAJES_LISTAR']),
+  viajesController.asientos
+);
+
+// GET /api/viajes/:id/manifiesto - Manifiesto de pasajeros (formato: json, csv, pdf)
+router.get('/:id/manifiesto',
+  verifyToken,
+  requirePermission(['VIAJES_MANIFIESTO', 'VIAJES_CERRAR']),
+  viajesController.manifiesto
+);
+
+// POST /api/viajes/:id/cerrar - Cerrar viaje y congelar manifiesto
+router.post('/:id/cerrar',
+  verifyToken,
+  requirePermission('VIAJES_CERRAR'),
+  viajesController.cerrar
+);
+
+// POST /api/viajes/:id/cancelar - Cancelar viaje y reprogramar o devolver los pasajes
+router.post('/:id/cancelar',
+  verifyToken,
+  requirePermission('VIAJES_CANCELAR'),
+  viajesController.cancelar
+);
+
+// PUT /api/viajes/:id/vehiculo - Asignar o quitar vehiculo del viaje
+router.put('/:id/vehiculo',
+  verifyToken,
+  requirePermission('VIAJES_OPERAR'),
+  viajesController.asignarVehiculo
+);
+
+// PUT /api/viajes/:id/tripulacion - Asignar conductores y ayudantes del viaje
+router.put('/:id/tripulacion',
+  verifyToken,
+  requirePermission('VIAJES_OPERAR'),
+  viajesController.asignarTripulacion
+);
+
+// POST /api/viajes/:id/retraso - Registrar retraso estimado
+router.post('/:id/retraso',
+  verifyToken,
+  requirePermission('VIAJES_OPERAR'),
+  viajesController.retraso
+);
+
+// POST /api/viajes/:id/salida - Registrar salida real
+router.post('/:id/salida',
+  verifyToken,
+  requirePermission('VIAJES_OPERAR'),
+  viajesController.salida
+);
+
+// POST /api/viajes/:id/llegada - Registrar llegada real
+router.post('/:id/llegada',
+  verifyToken,
+  requirePermission('VIAJES_OPERAR'),
+  viajesController.llegada
+);
+
 module.exports = router;
@@ -0,0 +1,278 @@
+/**
+ * Almacenaje Service
+ * Politica de almacenaje y abandono de encomiendas no retiradas
+ *
+ * El plazo de retiro corre desde el ultimo evento LLEGO_A_DESTINO. Vencidas las horas de
+ * gracia la encomienda pasa a almacenaje: se cobra por cada dia iniciado al retirar
+ * (tarifa diaria + tarifa por kg, con tope opcional) y, cumplidos los dias de abandono
+ * (menos si es perecible), el proceso diario la marca ABANDONADO.
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('./auditoriaService');
+const { utcNow } = require('../utils/dateUtils');
+
+// Usuario al que se atribuyen los eventos de los procesos automaticos
+const CORREO_USUARIO_PROCESOS = 'procesos@sistema.local';
+
+// Configuracion por defecto si no hay una activa (sin cobro, plazos de la politica)
+const CONFIGURACION_DEFAULT = {
+  horasGracia: 48,
+  tarifaDiaria: 0,
+  tarifaPorKgDia: 0,
+  montoMaximo: null,
+  diasAbandono: 15,
+  diasAbandonoPerecible: 3
+};
+
+// Tramos del reporte de antiguedad (dias desde la llegada, hasta inclusive)
+const TRAMOS_ANTIGUEDAD = [
+  { tramo: '0-2', hasta: 2 },
+  { tramo: '3-7', hasta: 7 },
+  { tramo: '8-15', hasta: 15 },
+  { tramo: '16+', hasta: null }
+];
+
+// Dias de anticipacion con que el reporte lista las encomiendas por abandonarse
+const DIAS_AVISO_ABANDONO = 2;
+
+const HORA_MS = 60 * 60 * 1000;
+const DIA_MS = 24 * HORA_MS;
+
+/**
+ * Obtener la configuracion de almacenaje activa
+ * @param {Object} [tx] - Cliente Prisma (transaccion)
+ * @returns {Promise<Object>} Configuracion (la de defecto si no hay una activa)
+ */
+const obtenerConfiguracionAlmacenaje = async (tx = prisma) => {
+  const config = await tx.configuracionAlmacenajeEncomienda.findFirst({
+    where: { activo: true },
+    orderBy: { id: 'desc' }
+  });
+
+  return config || CONFIGURACION_DEFAULT;
+};
+
+/**
+ * Fecha de llegada a destino (ultimo evento LLEGO_A_DESTINO) de cada encomienda
+ * @param {Object} tx - Cliente Prisma (transaccion)
+ * @param {number[]} ids - IDs de encomiendas
+ * @returns {Promise<Map<number, Date>>} idEncomienda -> fecha de llegada
+ */
+const obtenerFechasLlegada = async (tx, ids) => {
+  if (ids.length === 0) return new Map();
+
+  const llegadas = await tx.eventoEncomienda.groupBy({
+    by: ['idEncomienda'],
+    where: { idEncomienda: { in: ids }, estadoDestino: 'LLEGO_A_DESTINO' },
+    _max: { fechaEvento: true }
+  });
+
+  return new Map(llegadas.map((llegada) => [llegada.idEncomienda, llegada._max.fechaEvento]));
+};
+
+/**
+ * Calcular el almacenaje de una encomienda a una fecha
+ * @param {Object} config - Configuracion de almacenaje
+ * @param {Object} encomienda - { fechaLlegada, peso, perecible }
+ * @param {Date} [ahora] - Fecha de calculo
+ * @returns {{inicio: Date|null, fechaAbandono: Date|null, dias: number, monto: number, vencida: boolean, abandonable: boolean}}
+ */
+const calcularAlmacenaje = (config, { fechaLlegada, peso, perecible }, ahora = utcNow()) => {
+  if (!fechaLlegada) {
+    return { inicio: null, fechaAbandono: null, dias: 0, monto: 0, vencida: false, abandonable: false };
+  }
+
+  const inicio = new Date(new Date(fechaLlegada).getTime() + config.horasGracia * HORA_MS);
+  const diasLimite = perecible ? config.diasAbandonoPerecible : config.diasAbandono;
+  const fechaAbandono = new Date(inicio.getTime() + diasLimite * DIA_MS);
+
+  // Cada dia iniciado despues de la gracia se cobra completo
+  const transcurrido = ahora.getTime() - inicio.getTime();
+  const dias = transcurrido > 0 ? Math.ceil(transcurrido / DIA_MS) : 0;
+
+  const tarifaDia = parseFloat(config.tarifaDiaria) + parseFloat(peso || 0) * parseFloat(config.tarifaPorKgDia);
+  let monto = Math.round(dias * tarifaDia * 100) / 100;
+  if (config.montoMaximo !== null && config.montoMaximo !== undefined) {
+    monto = Math.min(monto, parseFloat(config.montoMaximo));
+  }
+
+  return {
+    inicio,
+    fechaAbandono,
+    dias,
+    monto,
+    vencida: dias > 0,
+    abandonable: ahora.getTime() >= fechaAbandono.getTime()
+  };
+};
+
+/**
+ * Marcar en almacenaje las encomiendas con plazo de retiro vencido y pasar a ABANDONADO
+ * las que cumplieron el plazo de abandono
+ * El evento de abandono se registra con el usuario de procesos en el punto de destino.
+ * @returns {Promise<{almacenadas: number, abandonadas: number}>}
+ */
+const procesarEncomiendasVencidas = async () => {
+  const usuario = await prisma.usuario.findUnique({
+    where: { correo: CORREO_USUARIO_PROCESOS },
+    select: { id: true }
+  });
+
+  if (!usuario) {
+    throw new Error('Usuario de procesos no configurado');
+  }
+
+  const config = await obtenerConfiguracionAlmacenaje();
+  const encomiendas = await prisma.encomienda.findMany({
+    where: { estadoActual: 'LLEGO_A_DESTINO' },
+    select: {
+      id: true,
+      codigoTracking: true,
+      idPuntoDestino: true,
+      peso: true,
+      perecible: true,
+      fechaAlmacenaje: true
+    }
+  });
+
+  const llegadas = await obtenerFechasLlegada(prisma, encomiendas.map((enc) => enc.id));
+  const ahora = utcNow();
+  let almacenadas = 0;
+  let abandonadas = 0;
+
+  for (const enc of encomiendas) {
+    const almacenaje = calcularAlmacenaje(config, { ...enc, fechaLlegada: llegadas.get(enc.id) }, ahora);
+
+    if (almacenaje.abandonable) {
+      // Solo abandonar si sigue en destino (pudo retirarse mientras tanto)
+      const abandonada = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.encomienda.updateMany({
+          where: { id: enc.id, estadoActual: 'LLEGO_A_DESTINO' },
+          data: {
+            estadoActual: 'ABANDONADO',
+            fechaAlmacenaje: enc.fechaAlmacenaje ?? almacenaje.inicio,
+            userIdModification: usuario.id,
+            dateTimeModification: ahora
+          }
+        });
+        if (count === 0) return false;
+
+        await tx.eventoEncomienda.create({
+          data: {
+            idEncomienda: enc.id,
+            estadoDestino: 'ABANDONADO',
+            idUsuarioEvento: usuario.id,
+            idPuntoEvento: enc.idPuntoDestino,
+            nota: `Plazo de almacenaje vencido (${almacenaje.dias} dias${enc.perecible ? ', perecible' : ''})`,
+            userIdRegistration: usuario.id
+          }
+        });
+        return true;
+      });
+
+      if (abandonada) {
+        abandonadas++;
+        await registrarAuditoria(null, 'ENCOMIENDA_ABANDONADA', 'ENCOMIENDA', enc.id, {
+          codigoTracking: enc.codigoTracking,
+          fechaLlegada: llegadas.get(enc.id),
+          diasAlmacenaje: almacenaje.dias,
+          perecible: enc.perecible
+        });
+      }
+    } else if (almacenaje.vencida && !enc.fechaAlmacenaje) {
+      const { count } = await prisma.encomienda.updateMany({
+        where: { id: enc.id, estadoActual: 'LLEGO_A_DESTINO', fechaAlmacenaje: null },
+        data: { fechaAlmacenaje: almacenaje.inicio }
+      });
+      almacenadas += count;
+    }
+  }
+
+  return { almacenadas, abandonadas };
+};
+
+/**
+ * Reporte de antiguedad de las encomiendas pendientes de retiro por punto de destino
+ * @param {Object} [filtros] - { idPunto }
+ * @returns {Promise<Object[]>} Por punto: totales por tramo, almacenaje acumulado y proximas a abandonarse
+ */
+const reporteAntiguedad = async ({ idPunto = null } = {}) => {
+  const config = await obtenerConfiguracionAlmacenaje();
+  const encomiendas = await prisma.encomienda.findMany({
+    where: {
+      estadoActual: 'LLEGO_A_DESTINO',
+      ...(idPunto && { idPuntoDestino: idPunto })
+    },
+    select: {
+      id: true,
+      codigoTracking: true,
+      destinatarioNombre: true,
+      destinatarioTelefono: true,
+      peso: true,
+      perecible: true,
+      idPuntoDestino: true,
+      puntoDestino: { select: { id: true, nombre: true, ciudad: true } }
+    }
+  });
+
+  const llegadas = await obtenerFechasLlegada(prisma, encomiendas.map((enc) => enc.id));
+  const ahora = utcNow();
+  const aviso = new Date(ahora.getTime() + DIAS_AVISO_ABANDONO * DIA_MS);
+  const porPunto = new Map();
+
+  for (const enc of encomiendas) {
+    if (!porPunto.has(enc.idPuntoDestino)) {
+      porPunto.set(enc.idPuntoDestino, {
+        punto: enc.puntoDestino,
+        total: 0,
+        tramos: Object.fromEntries(TRAMOS_ANTIGUEDAD.map(({ tramo }) => [tramo, 0])),
+        enAlmacenaje: 0,
+        montoAlmacenaje: 0,
+        proximasAbandono: []
+      });
+    }
+
+    const resumen = porPunto.get(enc.idPuntoDestino);
+    const fechaLlegada = llegadas.get(enc.id) ?? null;
+    const almacenaje = calcularAlmacenaje(config, { ...enc, fechaLlegada }, ahora);
+    const diasEnDestino = fechaLlegada ? Math.floor((ahora.getTime() - fechaLlegada.getTime()) / DIA_MS) : 0;
+    const { tramo } = TRAMOS_ANTIGUEDAD.find(({ hasta }) => hasta === null || diasEnDestino <= hasta);
+
+    resumen.total++;
+    resumen.tramos[tramo]++;
+    if (almacenaje.vencida) {
+      resumen.enAlmacenaje++;
+      resumen.montoAlmacenaje = Math.round((resumen.montoAlmacenaje + almacenaje.monto) * 100) / 100;
+    }
+    if (almacenaje.fechaAbandono && almacenaje.fechaAbandono <= aviso) {
+      resumen.proximasAbandono.push({
+        id: enc.id,
+        codigoTracking: enc.codigoTracking,
+        destinatarioNombre: enc.destinatarioNombre,
+        destinatarioTelefono: enc.destinatarioTelefono,
+        perecible: enc.perecible,
+        fechaLlegada,
+        diasAlmacenaje: almacenaje.dias,
+        montoAlmacenaje: almacenaje.monto,
+        fechaAbandono: almacenaje.fechaAbandono
+      });
+    }
+  }
+
+  return [...porPunto.values()]
+    .map((resumen) => ({
+      ...resumen,
+      proximasAbandono: resumen.proximasAbandono.sort((a, b) => a.fechaAbandono - b.fechaAbandono)
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
+module.exports = {
+  TRAMOS_ANTIGUEDAD,
+  obtenerConfiguracionAlmacenaje,
+  obtenerFechasLlegada,
+  calcularAlmacenaje,
+  procesarEncomiendasVencidas,
+  reporteAntiguedad
+};
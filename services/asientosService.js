@@ -0,0 +1,352 @@
+/**
+ * Asientos Service
+ * Servicio para distribucion de asientos por tipo de carro y ocupacion por viaje
+ */
+
+const { extractTimeFromDB } = require('../utils/dateUtils');
+const { whereReservaVigente } = require('./reservasService');
+const { tramosSeSolapan } = require('./tramosService');
+
+// Distribucion por defecto cuando el tipo de carro no tiene una configurada (2 + pasillo + 2)
+const COLUMNAS_DEFAULT = 4;
+const COLUMNA_PASILLO_DEFAULT = 2;
+
+// Capacidad de los viajes de venta instantanea si la configuracion no la define
+const CAPACIDAD_VENTA_INSTANTANEA_DEFAULT = 60;
+
+// Mensajes de error de asiento (se devuelven como 400 en los controladores)
+const MENSAJES_ASIENTO = {
+  REQUERIDO: 'El numero de asiento es requerido',
+  NO_EXISTE: 'El asiento seleccionado no existe en este viaje',
+  BLOQUEADO: 'El asiento seleccionado no esta habilitado para la venta',
+  OCUPADO: 'El asiento seleccionado ya esta ocupado',
+  RESERVADO: 'El asiento seleccionado esta reservado',
+  FUERA_DE_CAPACIDAD: 'Hay asientos vendidos o reservados fuera de la capacidad del vehiculo'
+};
+
+/**
+ * Verificar si un error corresponde a una validacion de asiento
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+const esErrorAsiento = (error) => Object.values(MENSAJES_ASIENTO).includes(error?.message);
+
+/**
+ * Verificar si un horario es el horario "INSTANTANEO" (00:00:00)
+ * @param {Date} horaSalida - Hora de salida desde BD
+ * @returns {boolean}
+ */
+const esHorarioInstantaneo = (horaSalida) => {
+  const { hours, minutes } = extractTimeFromDB(horaSalida);
+  return hours === 0 && minutes === 0;
+};
+
+/**
+ * Construir la distribucion de asientos de un tipo de carro
+ * Los asientos se numeran correlativamente por piso, fila y columna.
+ * Si el tipo de carro no tiene distribucion se usa una grilla de 4 columnas
+ * con pasillo al centro hasta completar la capacidad indicada.
+ * @param {Object|null} tipoCarro - Tipo de carro (filas, columnas, columnaPasillo, pisos, asientosBloqueados)
+ * @param {number} capacidad - Capacidad a usar si no hay distribucion configurada
+ * @returns {Object} { filas, columnas, columnaPasillo, pisos, asientos }
+ */
+const construirDistribucion = (tipoCarro, capacidad) => {
+  const configurada = Boolean(tipoCarro && tipoCarro.filas && tipoCarro.columnas);
+
+  const columnas = configurada ? tipoCarro.columnas : COLUMNAS_DEFAULT;
+  const pisos = configurada ? (tipoCarro.pisos || 1) : 1;
+  const filas = configurada ? tipoCarro.filas : Math.ceil(capacidad / COLUMNAS_DEFAULT);
+  const columnaPasillo = configurada ? (tipoCarro.columnaPasillo ?? null) : COLUMNA_PASILLO_DEFAULT;
+  const bloqueados = configurada && Array.isArray(tipoCarro.asientosBloqueados)
+    ? tipoCarro.asientosBloqueados.map((n) => parseInt(n))
+    : [];
+
+  const asientos = [];
+  let numero = 1;
+
+  for (let piso = 1; piso <= pisos; piso++) {
+    for (let fila = 1; fila <= filas; fila++) {
+      for (let columna = 1; columna <= columnas; columna++) {
+        if (!configurada && numero > capacidad) break;
+
+        asientos.push({
+          numeroAsiento: numero,
+          piso,
+          fila,
+          columna,
+          bloqueado: bloqueados.includes(numero)
+        });
+        numero++;
+      }
+    }
+  }
+
+  return { filas, columnas, columnaPasillo, pisos, asientos };
+};
+
+/**
+ * Obtener la capacidad configurada para los viajes de venta instantanea
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @returns {Promise<number>}
+ */
+const obtenerCapacidadVentaInstantanea = async (tx) => {
+  const config = await tx.$queryRaw`
+    SELECT capacidad_venta_instantanea as "capacidadVentaInstantanea"
+    FROM tbl_configuracion_sistema
+    WHERE activo = true
+    LIMIT 1
+  `;
+
+  return (config && config.length > 0 && config[0].capacidadVentaInstantanea) || CAPACIDAD_VENTA_INSTANTANEA_DEFAULT;
+};
+
+/**
+ * Obtener la capacidad a usar para generar asientos sin distribucion configurada
+ * El horario instantaneo tiene capacidad 9999, por lo que se usa la capacidad
+ * de venta instantanea de la configuracion del sistema (salvo que tenga vehiculo asignado).
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {Object} viaje - Viaje con horario incluido
+ * @returns {Promise<number>}
+ */
+const obtenerCapacidadParaDistribucion = async (tx, viaje) => {
+  if (viaje.idVehiculo || !viaje.horario || !esHorarioInstantaneo(viaje.horario.horaSalida)) {
+    return viaje.capacidadTotal;
+  }
+
+  return obtenerCapacidadVentaInstantanea(tx);
+};
+
+/**
+ * Generar el inventario de asientos de un viaje si aun no existe
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {number} idViaje - ID del viaje
+ * @returns {Promise<Object>} Distribucion usada (sin el arreglo de asientos)
+ */
+const asegurarAsientosViaje = async (tx, idViaje) => {
+  const viaje = await tx.viaje.findUnique({
+    where: { id: idViaje },
+    include: {
+      horario: true,
+      ruta: { include: { tipoCarro: true } }
+    }
+  });
+
+  const capacidad = await obtenerCapacidadParaDistribucion(tx, viaje);
+  const { asientos, ...distribucion } = construirDistribucion(viaje.ruta.tipoCarro, capacidad);
+
+  const existentes = await tx.asientoViaje.count({ where: { idViaje } });
+
+  if (existentes === 0) {
+    await tx.asientoViaje.createMany({
+      data: asientos.map((asiento) => ({ ...asiento, idViaje })),
+      skipDuplicates: true
+    });
+  }
+
+  return distribucion;
+};
+
+/**
+ * Ajustar el inventario de asientos ya generado de un viaje a su capacidad actual
+ * Se usa al cambiar el vehiculo asignado o la capacidad del dia: se agregan los asientos que faltan y se quitan
+ * los que quedan fuera de la distribucion, siempre que no esten vendidos ni reservados.
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {number} idViaje - ID del viaje
+ * @returns {Promise<void>}
+ */
+const ajustarAsientosViaje = async (tx, idViaje) => {
+  const existentes = await tx.asientoViaje.count({ where: { idViaje } });
+
+  // Sin inventario generado: se generara con la capacidad nueva en el primer uso
+  if (existentes === 0) return;
+
+  const viaje = await tx.viaje.findUnique({
+    where: { id: idViaje },
+    include: {
+      horario: true,
+      ruta: { include: { tipoCarro: true } }
+    }
+  });
+
+  const capacidad = await obtenerCapacidadParaDistribucion(tx, viaje);
+  const { asientos } = construirDistribucion(viaje.ruta.tipoCarro, capacidad);
+  const numeros = asientos.map((a) => a.numeroAsiento);
+
+  const [ticketsFuera, reservasFuera] = await Promise.all([
+    tx.ticket.count({
+      where: { idViaje, estado: 'EMITIDO', numeroAsiento: { notIn: numeros } }
+    }),
+    tx.reserva.count({
+      where: { idViaje, ...whereReservaVigente(), numeroAsiento: { notIn: numeros } }
+    })
+  ]);
+
+  if (ticketsFuera > 0 || reservasFuera > 0) {
+    throw new Error(MENSAJES_ASIENTO.FUERA_DE_CAPACIDAD);
+  }
+
+  await tx.asientoViaje.deleteMany({
+    where: { idViaje, numeroAsiento: { notIn: numeros } }
+  });
+
+  await tx.asientoViaje.createMany({
+    data: asientos.map((asiento) => ({ ...asiento, idViaje })),
+    skipDuplicates: true
+  });
+};
+
+/**
+ * Ocupar un asiento de un viaje dentro de una transaccion de venta
+ * Bloquea la fila del asiento (FOR UPDATE) para que dos ventas simultaneas
+ * del mismo asiento se ejecuten en serie y la segunda sea rechazada.
+ * Un asiento solo esta ocupado si otro ticket o reserva se solapa con el tramo pedido.
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {number} idViaje - ID del viaje
+ * @param {number} numeroAsiento - Numero de asiento solicitado
+ * @param {Object} opciones - { idReservaExcluida, ordenSubida, ordenBajada }
+ * @returns {Promise<Object>} Asiento ocupado
+ */
+const ocuparAsiento = async (tx, idViaje, numeroAsiento, {
+  idReservaExcluida = null,
+  ordenSubida = null,
+  ordenBajada = null
+} = {}) => {
+  if (!numeroAsiento) {
+    throw new Error(MENSAJES_ASIENTO.REQUERIDO);
+  }
+
+  await asegurarAsientosViaje(tx, idViaje);
+
+  const asientos = await tx.$queryRaw`
+    SELECT id, numero_asiento as "numeroAsiento", piso, fila, columna, bloqueado
+    FROM tbl_asientos_viaje
+    WHERE id_viaje = ${idViaje} AND numero_asiento = ${numeroAsiento}
+    FOR UPDATE
+  `;
+
+  if (!asientos || asientos.length === 0) {
+    throw new Error(MENSAJES_ASIENTO.NO_EXISTE);
+  }
+
+  if (asientos[0].bloqueado) {
+    throw new Error(MENSAJES_ASIENTO.BLOQUEADO);
+  }
+
+  const [tickets, reservas] = await Promise.all([
+    tx.ticket.findMany({
+      where: {
+        idViaje,
+        numeroAsiento,
+        estado: 'EMITIDO'
+      },
+      select: { ordenSubida: true, ordenBajada: true }
+    }),
+    tx.reserva.findMany({
+      where: {
+        idViaje,
+        numeroAsiento,
+        ...whereReservaVigente(),
+        ...(idReservaExcluida && { id: { not: idReservaExcluida } })
+      },
+      select: { ordenSubida: true, ordenBajada: true }
+    })
+  ]);
+
+  const seSolapa = (o) => tramosSeSolapan(o.ordenSubida, o.ordenBajada, ordenSubida, ordenBajada);
+
+  if (tickets.some(seSolapa)) {
+    throw new Error(MENSAJES_ASIENTO.OCUPADO);
+  }
+
+  if (reservas.some(seSolapa)) {
+    throw new Error(MENSAJES_ASIENTO.RESERVADO);
+  }
+
+  return asientos[0];
+};
+
+/**
+ * Obtener el mapa de asientos de un viaje con su estado de ocupacion
+ * Los asientos de tickets anulados y reservas vencidas quedan libres automaticamente.
+ * Si se indica un tramo, un asiento vendido en otro tramo que no se solapa aparece libre.
+ * @param {PrismaClient} tx - Cliente Prisma
+ * @param {number} idViaje - ID del viaje
+ * @param {Object} tramo - { ordenSubida, ordenBajada } (opcional, por defecto ruta completa)
+ * @returns {Promise<Object>} { distribucion, asientos }
+ */
+const obtenerMapaAsientos = async (tx, idViaje, { ordenSubida = null, ordenBajada = null } = {}) => {
+  const distribucion = await asegurarAsientosViaje(tx, idViaje);
+
+  const [asientos, tickets, reservas] = await Promise.all([
+    tx.asientoViaje.findMany({
+      where: { idViaje },
+      orderBy: { numeroAsiento: 'asc' }
+    }),
+    tx.ticket.findMany({
+      where: {
+        idViaje,
+        estado: 'EMITIDO',
+        numeroAsiento: { not: null }
+      },
+      select: {
+        id: true,
+        codigoInterno: true,
+        numeroAsiento: true,
+        ordenSubida: true,
+        ordenBajada: true,
+        pasajero: { select: { nombreCompleto: true, documentoIdentidad: true } }
+      }
+    }),
+    tx.reserva.findMany({
+      where: { idViaje, ...whereReservaVigente() },
+      select: {
+        id: true,
+        codigo: true,
+        numeroAsiento: true,
+        ordenSubida: true,
+        ordenBajada: true,
+        fechaExpiracion: true,
+        pasajero: { select: { nombreCompleto: true, documentoIdentidad: true } }
+      }
+    })
+  ]);
+
+  const seSolapa = (o) => tramosSeSolapan(o.ordenSubida, o.ordenBajada, ordenSubida, ordenBajada);
+
+  return {
+    distribucion,
+    asientos: asientos.map((asiento) => {
+      const ticket = tickets.find((t) => t.numeroAsiento === asiento.numeroAsiento && seSolapa(t)) || null;
+      const reserva = ticket
+        ? null
+        : (reservas.find((r) => r.numeroAsiento === asiento.numeroAsiento && seSolapa(r)) || null);
+
+      let estado = 'LIBRE';
+      if (asiento.bloqueado) estado = 'BLOQUEADO';
+      else if (ticket) estado = 'OCUPADO';
+      else if (reserva) estado = 'RESERVADO';
+
+      return {
+        numeroAsiento: asiento.numeroAsiento,
+        piso: asiento.piso,
+        fila: asiento.fila,
+        columna: asiento.columna,
+        estado,
+        ticket,
+        reserva
+      };
+    })
+  };
+};
+
+module.exports = {
+  MENSAJES_ASIENTO,
+  esErrorAsiento,
+  esHorarioInstantaneo,
+  obtenerCapacidadVentaInstantanea,
+  construirDistribucion,
+  asegurarAsientosViaje,
+  ajustarAsientosViaje,
+  ocuparAsiento,
+  obtenerMapaAsientos
+};
@@ -0,0 +1,151 @@
+/**
+ * Bultos Service
+ * Encomiendas de varias piezas (bultos) bajo una misma guia
+ *
+ * Cada bulto tiene su peso, medidas, cargo y un subcodigo para su etiqueta:
+ * <codigoTracking>-<numero>/<total> (ej. ENC-00001234-7-1/3). Las encomiendas de un
+ * solo bulto no tienen filas en tbl_encomiendas_bultos y se etiquetan con el codigo
+ * de tracking. En los despachos se escanea cada bulto para detectar llegadas parciales.
+ */
+
+const { validarCodigoTracking } = require('./codigoService');
+
+// Maximo de bultos por guia
+const MAX_BULTOS = 20;
+
+const CODIGO_BULTO = /^(.+)-(\d{1,2})\/(\d{1,2})$/;
+
+/**
+ * Normalizar los bultos de un paquete
+ * Acepta paquete.bultos o, para una sola pieza, el peso y medidas del paquete.
+ * @param {Object} paquete - { peso, alto, ancho, largo, descripcion, bultos: [{ peso, alto, ancho, largo, descripcion }] }
+ * @returns {{bultos?: Array, error?: string}}
+ */
+const normalizarBultos = (paquete) => {
+  const lista = Array.isArray(paquete?.bultos) && paquete.bultos.length > 0
+    ? paquete.bultos
+    : [{ peso: paquete?.peso, alto: paquete?.alto, ancho: paquete?.ancho, largo: paquete?.largo }];
+
+  if (lista.length > MAX_BULTOS) {
+    return { error: `Una guia admite como maximo ${MAX_BULTOS} bultos` };
+  }
+
+  const bultos = [];
+  for (const [indice, bulto] of lista.entries()) {
+    const medidas = ['peso', 'alto', 'ancho', 'largo'].map((campo) => parseFloat(bulto?.[campo]));
+    const etiqueta = lista.length > 1 ? ` del bulto ${indice + 1}` : ' del paquete';
+
+    if (medidas.some((valor) => Number.isNaN(valor))) {
+      return { error: `Peso, alto, ancho y largo${etiqueta} son requeridos` };
+    }
+    if (medidas.some((valor) => valor <= 0)) {
+      return { error: `Peso y dimensiones${etiqueta} deben ser mayores a 0` };
+    }
+
+    const [peso, alto, ancho, largo] = medidas;
+    bultos.push({
+      peso,
+      alto,
+      ancho,
+      largo,
+      descripcion: bulto?.descripcion?.toString().trim().slice(0, 255) || null
+    });
+  }
+
+  return { bultos };
+};
+
+/**
+ * Peso y medidas de la guia: peso total y medidas del bulto de mayor volumen
+ * @param {Array} bultos - Bultos normalizados
+ * @returns {{peso: number, alto: number, ancho: number, largo: number}}
+ */
+const resumirBultos = (bultos) => {
+  const mayor = bultos.reduce((actual, bulto) =>
+    bulto.alto * bulto.ancho * bulto.largo > actual.alto * actual.ancho * actual.largo ? bulto : actual
+  );
+
+  return {
+    peso: Math.round(bultos.reduce((total, bulto) => total + bulto.peso, 0) * 100) / 100,
+    alto: mayor.alto,
+    ancho: mayor.ancho,
+    largo: mayor.largo
+  };
+};
+
+/**
+ * Subcodigo de un bulto
+ * @param {string} codigoTracking - Codigo de tracking de la guia
+ * @param {number} numero - Numero del bulto (desde 1)
+ * @param {number} total - Total de bultos de la guia
+ * @returns {string}
+ */
+const codigoBulto = (codigoTracking, numero, total) => `${codigoTracking}-${numero}/${total}`;
+
+/**
+ * Separar un subcodigo de bulto escaneado
+ * @param {string} codigo - Codigo escaneado
+ * @returns {{codigoTracking: string, numero: number, total: number}|null} null si no es un subcodigo valido
+ */
+const parsearCodigoBulto = (codigo) => {
+  const partes = (codigo || '').toString().trim().toUpperCase().match(CODIGO_BULTO);
+  if (!partes) return null;
+
+  const numero = parseInt(partes[2]);
+  const total = parseInt(partes[3]);
+  if (numero < 1 || numero > total || !validarCodigoTracking(partes[1])) {
+    return null;
+  }
+
+  return { codigoTracking: partes[1], numero, total };
+};
+
+/**
+ * Validar un codigo escaneado: codigo de tracking o subcodigo de bulto
+ * @param {string} codigo - Codigo escaneado
+ * @returns {boolean}
+ */
+const validarCodigoEscaneado = (codigo) => validarCodigoTracking(codigo) || !!parsearCodigoBulto(codigo);
+
+/**
+ * Crear los bultos de una guia de varias piezas (dentro de una transaccion)
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} encomienda - { id, codigoTracking }
+ * @param {Array} bultos - Bultos normalizados
+ * @param {number[]} cargos - Cargo de cada bulto (calcularPrecioBultos)
+ * @param {number} userId - Usuario que registra
+ * @returns {Promise<Array>} Bultos creados (vacio para una sola pieza)
+ */
+const crearBultos = async (tx, encomienda, bultos, cargos, userId) => {
+  if (bultos.length < 2) return [];
+
+  await tx.encomiendaBulto.createMany({
+    data: bultos.map((bulto, indice) => ({
+      idEncomienda: encomienda.id,
+      numero: indice + 1,
+      codigo: codigoBulto(encomienda.codigoTracking, indice + 1, bultos.length),
+      peso: bulto.peso,
+      alto: bulto.alto,
+      ancho: bulto.ancho,
+      largo: bulto.largo,
+      descripcion: bulto.descripcion,
+      precio: cargos[indice],
+      userIdRegistration: userId
+    }))
+  });
+
+  return tx.encomiendaBulto.findMany({
+    where: { idEncomienda: encomienda.id },
+    orderBy: { numero: 'asc' }
+  });
+};
+
+module.exports = {
+  MAX_BULTOS,
+  normalizarBultos,
+  resumirBultos,
+  codigoBulto,
+  parsearCodigoBulto,
+  validarCodigoEscaneado,
+  crearBultos
+};
@@ -0,0 +1,328 @@
+/**
+ * Caja Service
+ * Sesiones de caja por usuario y punto: apertura con fondo inicial, movimientos de
+ * dinero de la sesion y arqueo por metodo de pago al cierre
+ *
+ * Las ventas y cobros en mostrador (pasajes, encomiendas, cobro al recojo, diferencias
+ * de reprogramacion y devoluciones) requieren una caja abierta del usuario y quedan
+ * como movimientos de esa caja. La venta en linea no pasa por caja.
+ */
+
+const { generarPdfTabla } = require('../utils/exportUtils');
+const { utcNow } = require('../utils/dateUtils');
+
+// Tipos de movimiento (enum TipoMovimientoCaja)
+const TIPOS_MOVIMIENTO_CAJA = [
+  'VENTA_PASAJE',
+  'VENTA_ENCOMIENDA',
+  'COBRO_RECOJO',
+  'REPROGRAMACION',
+  'DEVOLUCION',
+  'INGRESO',
+  'EGRESO',
+  'COBRO_CREDITO',
+  'COBRO_ALMACENAJE'
+];
+
+// Tipos de movimiento que son salidas de dinero
+const TIPOS_EGRESO = ['DEVOLUCION', 'EGRESO'];
+
+// Tipos de movimiento que se registran a mano desde la caja
+const TIPOS_MOVIMIENTO_MANUAL = ['INGRESO', 'EGRESO'];
+
+// Mensajes de error de caja lanzados dentro de las transacciones (se devuelven como 400)
+const MENSAJES_CAJA = {
+  SIN_CAJA: 'Debe abrir caja para registrar cobros y devoluciones',
+  CERRADA: 'La caja ya fue cerrada'
+};
+
+// Relaciones a incluir al consultar una caja
+const INCLUDE_CAJA = {
+  usuario: { select: { id: true, nombres: true } },
+  usuarioCierre: { select: { id: true, nombres: true } },
+  punto: { select: { id: true, nombre: true } }
+};
+
+/**
+ * Verificar si un error corresponde a una validacion de caja
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+const esErrorCaja = (error) => Object.values(MENSAJES_CAJA).includes(error?.message);
+
+const redondear = (monto) => Math.round(monto * 100) / 100;
+
+/**
+ * Obtener la caja abierta de un usuario
+ * @param {Object} tx - Cliente Prisma
+ * @param {number} idUsuario - ID del usuario
+ * @returns {Promise<Object|null>}
+ */
+const obtenerCajaAbierta = async (tx, idUsuario) => {
+  return tx.caja.findFirst({
+    where: { idUsuario, estado: 'ABIERTA' }
+  });
+};
+
+/**
+ * Bloquear la fila de una caja abierta hasta el fin de la transaccion
+ * Serializa los movimientos con el cierre: una venta no entra en una caja ya arqueada.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idCaja - ID de la caja
+ * @returns {Promise<boolean>} true si la caja sigue abierta
+ */
+const bloquearCajaAbierta = async (tx, idCaja) => {
+  const filas = await tx.$queryRaw`
+    SELECT id FROM tbl_cajas WHERE id = ${idCaja} AND estado = 'ABIERTA' FOR UPDATE
+  `;
+  return filas.length > 0;
+};
+
+/**
+ * Registrar movimientos en una caja abierta (dentro de una transaccion)
+ * Los movimientos con monto 0 se omiten.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idCaja - ID de la caja
+ * @param {Object[]} movimientos - [{ tipo, metodo, monto, descripcion, referencia, idTicket, idEncomienda }]
+ * @param {number} userId - Usuario que registra
+ * @returns {Promise<void>}
+ * @throws {Error} Si la caja ya no esta abierta
+ */
+const registrarMovimientos = async (tx, idCaja, movimientos, userId) => {
+  const filas = movimientos
+    .filter((m) => m.monto > 0)
+    .map((m) => ({
+      idCaja,
+      tipo: m.tipo,
+      metodo: m.metodo,
+      monto: redondear(m.monto),
+      descripcion: m.descripcion?.slice(0, 255) || null,
+      referencia: m.referencia || null,
+      idTicket: m.idTicket ?? null,
+      idEncomienda: m.idEncomienda ?? null,
+      userIdRegistration: userId
+    }));
+
+  if (filas.length === 0) return;
+
+  if (!(await bloquearCajaAbierta(tx, idCaja))) {
+    throw new Error(MENSAJES_CAJA.SIN_CAJA);
+  }
+
+  await tx.cajaMovimiento.createMany({ data: filas });
+};
+
+/**
+ * Resumen de una caja por metodo de pago y por tipo de movimiento
+ * El efectivo esperado incluye el fondo inicial.
+ * @param {Object} caja - Caja
+ * @param {Object[]} movimientos - Movimientos de la caja
+ * @returns {Object} { porMetodo: [{ metodo, ingresos, egresos, esperado }], porTipo, totalIngresos, totalEgresos }
+ */
+const calcularResumenCaja = (caja, movimientos) => {
+  const porMetodo = new Map([['EFECTIVO', { metodo: 'EFECTIVO', ingresos: 0, egresos: 0 }]]);
+  const porTipo = {};
+
+  for (const movimiento of movimientos) {
+    const monto = parseFloat(movimiento.monto);
+    const esEgreso = TIPOS_EGRESO.includes(movimiento.tipo);
+
+    if (!porMetodo.has(movimiento.metodo)) {
+      porMetodo.set(movimiento.metodo, { metodo: movimiento.metodo, ingresos: 0, egresos: 0 });
+    }
+    const totalMetodo = porMetodo.get(movimiento.metodo);
+    if (esEgreso) {
+      totalMetodo.egresos += monto;
+    } else {
+      totalMetodo.ingresos += monto;
+    }
+
+    porTipo[movimiento.tipo] = redondear((porTipo[movimiento.tipo] || 0) + monto);
+  }
+
+  const montoInicial = parseFloat(caja.montoInicial);
+  const resumenMetodos = [...porMetodo.values()].map((m) => ({
+    metodo: m.metodo,
+    ingresos: redondear(m.ingresos),
+    egresos: redondear(m.egresos),
+    esperado: redondear((m.metodo === 'EFECTIVO' ? montoInicial : 0) + m.ingresos - m.egresos)
+  }));
+
+  return {
+    montoInicial,
+    porMetodo: resumenMetodos,
+    porTipo,
+    totalIngresos: redondear(resumenMetodos.reduce((suma, m) => suma + m.ingresos, 0)),
+    totalEgresos: redondear(resumenMetodos.reduce((suma, m) => suma + m.egresos, 0))
+  };
+};
+
+/**
+ * Obtener una caja con sus movimientos, arqueo y resumen
+ * @param {Object} tx - Cliente Prisma
+ * @param {number} idCaja - ID de la caja
+ * @returns {Promise<Object|null>} { caja, movimientos, arqueos, resumen }
+ */
+const obtenerDetalleCaja = async (tx, idCaja) => {
+  const caja = await tx.caja.findUnique({
+    where: { id: idCaja },
+    include: {
+      ...INCLUDE_CAJA,
+      movimientos: {
+        orderBy: { id: 'asc' },
+        include: {
+          ticket: { select: { id: true, codigoInterno: true } },
+          encomienda: { select: { id: true, codigoTracking: true } }
+        }
+      },
+      arqueos: { orderBy: { id: 'asc' } }
+    }
+  });
+
+  if (!caja) return null;
+
+  const { movimientos, arqueos, ...datosCaja } = caja;
+
+  return {
+    caja: datosCaja,
+    movimientos,
+    arqueos,
+    resumen: calcularResumenCaja(caja, movimientos)
+  };
+};
+
+/**
+ * Cerrar una caja con el conteo por metodo de pago (dentro de una transaccion)
+ * Se guarda un arqueo por cada metodo con movimientos o contado.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} caja - Caja abierta
+ * @param {Object} params - { conteo: Map metodo -> monto contado, observacion, userId }
+ * @returns {Promise<Object[]>} Arqueos registrados
+ * @throws {Error} Si la caja ya fue cerrada
+ */
+const cerrarCaja = async (tx, caja, { conteo, observacion, userId }) => {
+  if (!(await bloquearCajaAbierta(tx, caja.id))) {
+    throw new Error(MENSAJES_CAJA.CERRADA);
+  }
+
+  const movimientos = await tx.cajaMovimiento.findMany({ where: { idCaja: caja.id } });
+  const { porMetodo } = calcularResumenCaja(caja, movimientos);
+
+  const metodos = new Set([...porMetodo.map((m) => m.metodo), ...conteo.keys()]);
+  const arqueos = [...metodos].map((metodo) => {
+    const montoEsperado = porMetodo.find((m) => m.metodo === metodo)?.esperado ?? 0;
+    const montoContado = conteo.has(metodo) ? conteo.get(metodo) : null;
+    return {
+      idCaja: caja.id,
+      metodo,
+      montoEsperado,
+      montoContado,
+      diferencia: montoContado === null ? null : redondear(montoContado - montoEsperado)
+    };
+  });
+
+  await tx.cajaArqueo.createMany({ data: arqueos });
+
+  await tx.caja.update({
+    where: { id: caja.id },
+    data: {
+      estado: 'CERRADA',
+      fechaCierre: utcNow(),
+      idUsuarioCierre: userId,
+      observacionCierre: observacion?.trim() || null,
+      userIdModification: userId,
+      dateTimeModification: utcNow()
+    }
+  });
+
+  return arqueos;
+};
+
+const formatearMonto = (monto) => (monto === null || monto === undefined ? '-' : parseFloat(monto).toFixed(2));
+
+const formatearFechaHora = (fecha) => (fecha ? new Date(fecha).toISOString().replace('T', ' ').slice(0, 16) : '-');
+
+// Columnas de los movimientos en el reporte de cierre (ancho en puntos PDF)
+const COLUMNAS_REPORTE_CAJA = [
+  { titulo: 'Fecha/hora (UTC)', ancho: 95 },
+  { titulo: 'Tipo', ancho: 100 },
+  { titulo: 'Metodo', ancho: 85 },
+  { titulo: 'Monto', ancho: 60 },
+  { titulo: 'Documento', ancho: 90 },
+  { titulo: 'Referencia', ancho: 90 },
+  { titulo: 'Descripcion', ancho: 250 }
+];
+
+/**
+ * Nombre de archivo del reporte de cierre
+ * @param {Object} detalle - Resultado de obtenerDetalleCaja
+ * @returns {string}
+ */
+const nombreArchivoReporteCaja = (detalle) => {
+  const fecha = new Date(detalle.caja.fechaApertura).toISOString().slice(0, 10);
+  return `cierre-caja-${detalle.caja.id}-${fecha}.pdf`;
+};
+
+/**
+ * Exportar el reporte de cierre de caja a PDF imprimible
+ * Encabezado con la sesion y el arqueo por metodo; tabla con los movimientos.
+ * @param {Object} detalle - Resultado de obtenerDetalleCaja
+ * @returns {Buffer} Contenido PDF
+ */
+const exportarReporteCajaPdf = (detalle) => {
+  const { caja, movimientos, arqueos, resumen } = detalle;
+
+  const encabezado = [
+    `Caja N° ${caja.id}    Usuario: ${caja.usuario?.nombres || '-'}    Punto: ${caja.punto?.nombre || '-'}    Estado: ${caja.estado}`,
+    `Apertura: ${formatearFechaHora(caja.fechaApertura)} UTC    Cierre: ${formatearFechaHora(caja.fechaCierre)} UTC` +
+      `${caja.usuarioCierre ? ` por ${caja.usuarioCierre.nombres}` : ''}`,
+    `Fondo inicial: S/ ${formatearMonto(resumen.montoInicial)}    Ingresos: S/ ${formatearMonto(resumen.totalIngresos)}    ` +
+      `Egresos: S/ ${formatearMonto(resumen.totalEgresos)}`
+  ];
+
+  // Con la caja cerrada se muestra el arqueo guardado; abierta, el esperado a la fecha
+  const lineasMetodo = arqueos.length > 0
+    ? arqueos.map((a) => `${a.metodo}: esperado S/ ${formatearMonto(a.montoEsperado)}    ` +
+      `contado S/ ${formatearMonto(a.montoContado)}    diferencia S/ ${formatearMonto(a.diferencia)}`)
+    : resumen.porMetodo.map((m) => `${m.metodo}: esperado S/ ${formatearMonto(m.esperado)}`);
+
+  encabezado.push(...lineasMetodo);
+
+  if (caja.observacionCierre) {
+    encabezado.push(`Observaciones: ${caja.observacionCierre}`);
+  }
+
+  const filas = movimientos.map((m) => [
+    formatearFechaHora(m.dateTimeRegistration),
+    m.tipo,
+    m.metodo,
+    `${TIPOS_EGRESO.includes(m.tipo) ? '-' : ''}${formatearMonto(m.monto)}`,
+    m.ticket?.codigoInterno || m.encomienda?.codigoTracking || '',
+    m.referencia || '',
+    m.descripcion || ''
+  ]);
+
+  return generarPdfTabla({
+    titulo: 'CIERRE DE CAJA',
+    encabezado,
+    columnas: COLUMNAS_REPORTE_CAJA,
+    filas,
+    pie: 'Firma del cajero: ____________________        Firma del supervisor: ____________________'
+  });
+};
+
+module.exports = {
+  TIPOS_MOVIMIENTO_CAJA,
+  TIPOS_EGRESO,
+  TIPOS_MOVIMIENTO_MANUAL,
+  MENSAJES_CAJA,
+  INCLUDE_CAJA,
+  esErrorCaja,
+  obtenerCajaAbierta,
+  registrarMovimientos,
+  calcularResumenCaja,
+  obtenerDetalleCaja,
+  cerrarCaja,
+  nombreArchivoReporteCaja,
+  exportarReporteCajaPdf
+};
@@ -0,0 +1,225 @@
+/**
+ * Cancelacion Viaje Service
+ * Atencion masiva de los pasajes vendidos de un viaje cancelado
+ *
+ * Cada ticket se procesa en su propia transaccion: se reubica en otro horario de la
+ * misma ruta (conservando tramo, precio y, si esta libre, el asiento) o se anula con
+ * devolucion total. Los tickets que no pueden atenderse quedan EMITIDOS en el viaje
+ * cancelado y se devuelven como pendientes para reprogramarlos o anularlos a mano.
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('./auditoriaService');
+const { ocuparAsiento, obtenerMapaAsientos } = require('./asientosService');
+const { calcularCuposTramo } = require('./tramosService');
+const { buscarOCrearViaje, anularTicketVenta } = require('./ventaPasajeService');
+const { METODO_CREDITO } = require('./creditoEmpresaService');
+const { utcNow } = require('../utils/dateUtils');
+
+// Acciones para los pasajes vendidos de un viaje cancelado
+const ACCIONES_CANCELACION = ['REPROGRAMAR', 'DEVOLVER'];
+
+/**
+ * Elegir asiento en el viaje destino: el mismo numero si esta libre para el tramo,
+ * si no el primer asiento libre
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idViaje - ID del viaje destino
+ * @param {number|null} numeroPreferido - Asiento del ticket original
+ * @param {Object} tramo - { ordenSubida, ordenBajada }
+ * @returns {Promise<number>} Numero de asiento
+ */
+const elegirAsiento = async (tx, idViaje, numeroPreferido, tramo) => {
+  const { asientos } = await obtenerMapaAsientos(tx, idViaje, tramo);
+  const libres = asientos.filter((a) => a.estado === 'LIBRE');
+
+  const preferido = libres.find((a) => a.numeroAsiento === numeroPreferido);
+  if (preferido) return preferido.numeroAsiento;
+
+  if (libres.length === 0) {
+    throw new Error('No hay asientos libres en el viaje destino');
+  }
+
+  return libres[0].numeroAsiento;
+};
+
+/**
+ * Reubicar un ticket del viaje cancelado en el viaje destino sin costo para el pasajero
+ * @param {Object} ticketExistente - Ticket EMITIDO del viaje cancelado
+ * @param {Object} params - { destino: { idRuta, idHorario, fechaServicio, capacidadTotal }, motivo, userId }
+ * @returns {Promise<Object>} { ticket, reprogramacion }
+ */
+const reubicarTicket = async (ticketExistente, { destino, motivo, userId }) => {
+  return prisma.$transaction(async (tx) => {
+    const viaje = await buscarOCrearViaje(tx, { ...destino, userId });
+
+    if (viaje.estado !== 'ABIERTO') {
+      throw new Error('El viaje destino no esta abierto para venta');
+    }
+
+    const tramo = {
+      ordenSubida: ticketExistente.ordenSubida,
+      ordenBajada: ticketExistente.ordenBajada
+    };
+
+    const cuposDisponibles = await calcularCuposTramo(tx, viaje, tramo.ordenSubida, tramo.ordenBajada);
+    if (cuposDisponibles <= 0) {
+      throw new Error('Aforo completo en el viaje destino');
+    }
+
+    const numeroAsiento = await elegirAsiento(tx, viaje.id, ticketExistente.numeroAsiento, tramo);
+    await ocuparAsiento(tx, viaje.id, numeroAsiento, tramo);
+
+    // Mover el ticket solo si sigue emitido en el viaje cancelado
+    const { count } = await tx.ticket.updateMany({
+      where: { id: ticketExistente.id, estado: 'EMITIDO', idViaje: ticketExistente.idViaje },
+      data: {
+        idViaje: viaje.id,
+        numeroAsiento,
+        userIdModification: userId,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    if (count === 0) {
+      throw new Error('El ticket ya no esta disponible para reprogramar');
+    }
+
+    await tx.viaje.updateMany({
+      where: { id: ticketExistente.idViaje, capacidadVendida: { gt: 0 } },
+      data: { capacidadVendida: { decrement: 1 } }
+    });
+
+    await tx.viaje.update({
+      where: { id: viaje.id },
+      data: { capacidadVendida: { increment: 1 } }
+    });
+
+    const precio = parseFloat(ticketExistente.precio_original ?? 0);
+
+    const reprogramacion = await tx.ticketReprogramacion.create({
+      data: {
+        idTicket: ticketExistente.id,
+        idViajeAnterior: ticketExistente.idViaje,
+        idViajeNuevo: viaje.id,
+        numeroAsientoAnterior: ticketExistente.numeroAsiento,
+        numeroAsientoNuevo: numeroAsiento,
+        idPuntoSubidaAnterior: ticketExistente.idPuntoSubida,
+        idPuntoBajadaAnterior: ticketExistente.idPuntoBajada,
+        idPuntoSubidaNuevo: ticketExistente.idPuntoSubida,
+        idPuntoBajadaNuevo: ticketExistente.idPuntoBajada,
+        precioAnterior: precio,
+        precioNuevo: precio,
+        diferenciaTarifa: 0,
+        motivo,
+        idUsuario: userId,
+        userIdRegistration: userId
+      }
+    });
+
+    const ticket = await tx.ticket.findUnique({ where: { id: ticketExistente.id } });
+
+    return { ticket, reprogramacion };
+  });
+};
+
+/**
+ * Atender los tickets EMITIDOS de un viaje cancelado
+ * @param {Object} viaje - Viaje cancelado
+ * @param {Object} params
+ * @param {string} params.accion - REPROGRAMAR | DEVOLVER
+ * @param {Object|null} params.destino - { idRuta, idHorario, fechaServicio, capacidadTotal } (REPROGRAMAR)
+ * @param {string} params.motivo - Motivo de la cancelacion
+ * @param {string|null} params.metodoDevolucion - Metodo de devolucion (por defecto el de pago)
+ * @param {number} params.userId - Usuario que cancela
+ * @param {number|null} params.idCaja - Caja abierta donde se registran las devoluciones (DEVOLVER)
+ * @returns {Promise<Object>} { reprogramados, devueltos, pendientes }
+ */
+const atenderTicketsViajeCancelado = async (viaje, { accion, destino, motivo, metodoDevolucion, userId, idCaja = null }) => {
+  const tickets = await prisma.ticket.findMany({
+    where: { idViaje: viaje.id, estado: 'EMITIDO' },
+    orderBy: [{ numeroAsiento: 'asc' }, { id: 'asc' }]
+  });
+
+  const motivoTicket = `Viaje cancelado: ${motivo}`;
+  const reprogramados = [];
+  const devueltos = [];
+  const pendientes = [];
+
+  for (const ticketExistente of tickets) {
+    try {
+      if (accion === 'REPROGRAMAR') {
+        const { ticket, reprogramacion } = await reubicarTicket(ticketExistente, {
+          destino,
+          motivo: motivoTicket,
+          userId
+        });
+
+        await registrarAuditoria(userId, 'TICKET_REPROGRAMADO', 'TICKET', ticket.id, {
+          codigoInterno: ticket.codigoInterno,
+          idReprogramacion: reprogramacion.id,
+          idViajeAnterior: reprogramacion.idViajeAnterior,
+          idViajeNuevo: reprogramacion.idViajeNuevo,
+          numeroAsientoAnterior: reprogramacion.numeroAsientoAnterior,
+          numeroAsientoNuevo: reprogramacion.numeroAsientoNuevo,
+          motivo: motivoTicket
+        });
+
+        reprogramados.push({
+          idTicket: ticket.id,
+          codigoInterno: ticket.codigoInterno,
+          idViajeNuevo: ticket.idViaje,
+          numeroAsientoAnterior: reprogramacion.numeroAsientoAnterior,
+          numeroAsientoNuevo: ticket.numeroAsiento
+        });
+      } else {
+        const devolucion = parseFloat(ticketExistente.precio_final ?? ticketExistente.precio_original ?? 0);
+        // Los pasajes a credito se devuelven a la cuenta de la empresa
+        const metodo = ticketExistente.metodoPago === METODO_CREDITO
+          ? METODO_CREDITO
+          : metodoDevolucion || ticketExistente.metodoPago;
+
+        const { ticket, puntos, reversion, reversionError } = await anularTicketVenta(ticketExistente, {
+          motivo: motivoTicket,
+          devolucion,
+          metodo,
+          userId,
+          idCaja
+        });
+
+        await registrarAuditoria(userId, 'TICKET_ANULADO', 'TICKET', ticket.id, {
+          codigoInterno: ticket.codigoInterno,
+          motivo: motivoTicket,
+          montoDevolucion: devolucion,
+          metodoDevolucion: metodo,
+          ...puntos,
+          reversion,
+          reversionError
+        });
+
+        devueltos.push({
+          idTicket: ticket.id,
+          codigoInterno: ticket.codigoInterno,
+          montoDevolucion: devolucion,
+          metodoDevolucion: metodo,
+          ...(reversionError && { reversionError })
+        });
+      }
+    } catch (error) {
+      console.error(`Error atendiendo ticket ${ticketExistente.codigoInterno} de viaje cancelado:`, error);
+      pendientes.push({
+        idTicket: ticketExistente.id,
+        codigoInterno: ticketExistente.codigoInterno,
+        numeroAsiento: ticketExistente.numeroAsiento,
+        error: error.message
+      });
+    }
+  }
+
+  return { reprogramados, devueltos, pendientes };
+};
+
+module.exports = {
+  ACCIONES_CANCELACION,
+  reubicarTicket,
+  atenderTicketsViajeCancelado
+};
@@ -1,68 +1,201 @@
 /**
  * Codigo Service
  * Servicio para generacion de codigos unicos
+ *
+ * Los correlativos salen de tbl_contadores (ver contadoresService). Los codigos de
+ * ticket y tracking usan el formato configurado en el punto o el formato por defecto:
+ * - {FECHA}: fecha Peru YYYYMMDD (el correlativo se reinicia cada dia)
+ * - {ANIO}: año Peru YYYY (el correlativo se reinicia cada año)
+ * - {SEQ:n}: correlativo de n digitos (obligatorio, una sola vez)
+ * Sin {FECHA} ni {ANIO} el correlativo es global para el formato.
+ * El codigo de tracking lleva ademas un digito verificador (-D) para rechazar
+ * codigos mal digitados antes de consultar la base de datos.
  */
 
+const { siguienteValor } = require('./contadoresService');
 const { getFechaPeruYYYYMMDD } = require('../utils/dateUtils');
 
+const FORMATO_TICKET_DEFECTO = 'TKT-{FECHA}-{SEQ:5}';
+const FORMATO_TRACKING_DEFECTO = 'ENC-{SEQ:8}';
+const FORMATO_RESERVA = 'RSV-{FECHA}-{SEQ:5}';
+const FORMATO_DESPACHO = 'DSP-{FECHA}-{SEQ:4}';
+
+// Longitud maxima de cada codigo (columnas codigo_interno y codigo_tracking)
+// El tracking reserva 2 caracteres para el digito verificador
+const LONGITUD_MAXIMA = { TICKET: 20, TRACKING: 18 };
+
+const TOKEN_SECUENCIA = /\{SEQ:(\d+)\}/;
+const ALFABETO_DV = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Codigos de tracking emitidos antes del digito verificador
+const TRACKING_ANTERIORES = [/^ENC-\d{8}$/, /^ENC-\d{8}-\d{5}$/];
+
 /**
- * Generar codigo de ticket
- * Formato: TKT-YYYYMMDD-NNNNN
- * @param {PrismaClient} tx - Cliente Prisma (transaccion)
- * @returns {Promise<string>} Codigo generado
+ * Reemplazar los tokens de fecha de un formato
+ * @param {string} formato - Formato con tokens
+ * @param {string} fecha - Fecha YYYYMMDD
+ * @returns {string}
+ */
+const renderizarFormato = (formato, fecha) => {
+  return formato.replace(/\{FECHA\}/g, fecha).replace(/\{ANIO\}/g, fecha.slice(0, 4));
+};
+
+/**
+ * Validar un formato de codigo configurable
+ * @param {string} formato - Formato a validar
+ * @param {string} tipo - TICKET o TRACKING
+ * @returns {string|null} Mensaje de error o null si es valido
  */
-const generarCodigoTicket = async (tx) => {
+const validarFormatoCodigo = (formato, tipo) => {
+  if (typeof formato !== 'string' || !/^([A-Z0-9-]|\{FECHA\}|\{ANIO\}|\{SEQ:\d+\})+$/.test(formato)) {
+    return 'Formato invalido. Use letras mayusculas, digitos, guiones y los tokens {FECHA}, {ANIO} y {SEQ:n}';
+  }
+
+  const secuencias = formato.match(/\{SEQ:\d+\}/g) || [];
+  if (secuencias.length !== 1) {
+    return 'El formato debe incluir el token {SEQ:n} una sola vez';
+  }
+
+  const digitos = parseInt(formato.match(TOKEN_SECUENCIA)[1]);
+  if (digitos < 3 || digitos > 10) {
+    return 'El correlativo {SEQ:n} debe tener entre 3 y 10 digitos';
+  }
+
+  const longitud = renderizarFormato(formato, '00000000').replace(TOKEN_SECUENCIA, '0'.repeat(digitos)).length;
+  if (longitud > LONGITUD_MAXIMA[tipo]) {
+    return `El codigo generado no puede superar ${LONGITUD_MAXIMA[tipo]} caracteres`;
+  }
+
+  return null;
+};
+
+/**
+ * Generar un codigo a partir de un formato y su contador
+ * @param {Object} tx - Transaccion Prisma
+ * @param {string} tipo - Tipo de codigo (prefijo de la clave del contador)
+ * @param {string} formato - Formato validado
+ * @returns {Promise<string>}
+ */
+const generarCodigo = async (tx, tipo, formato) => {
   // Usar zona horaria Peru (UTC-5) para la fecha
-  const fecha = getFechaPeruYYYYMMDD();
-
-  // Obtener el ultimo ticket del dia
-  const ultimoTicket = await tx.ticket.findFirst({
-    where: {
-      codigoInterno: {
-        startsWith: `TKT-${fecha}`
-      }
-    },
-    orderBy: {
-      codigoInterno: 'desc'
-    }
+  const plantilla = renderizarFormato(formato, getFechaPeruYYYYMMDD());
+  const [token, digitos] = plantilla.match(TOKEN_SECUENCIA);
+
+  const valor = await siguienteValor(tx, `${tipo}:${plantilla.replace(token, '#')}`);
+
+  return plantilla.replace(token, String(valor).padStart(parseInt(digitos), '0'));
+};
+
+/**
+ * Obtener el formato configurado en un punto
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number|null} idPunto - ID del punto
+ * @param {string} campo - formatoTicket o formatoTracking
+ * @returns {Promise<string|null>}
+ */
+const obtenerFormatoPunto = async (tx, idPunto, campo) => {
+  if (!idPunto) return null;
+
+  const punto = await tx.punto.findUnique({
+    where: { id: idPunto },
+    select: { [campo]: true }
   });
 
-  let secuencial = 1;
-  if (ultimoTicket) {
-    const partes = ultimoTicket.codigoInterno.split('-');
-    secuencial = parseInt(partes[2]) + 1;
+  return punto?.[campo] || null;
+};
+
+/**
+ * Calcular el digito verificador de un codigo (Luhn mod 36)
+ * Detecta cualquier caracter cambiado y la transposicion de caracteres vecinos.
+ * @param {string} base - Codigo sin digito verificador
+ * @returns {string} Caracter verificador [0-9A-Z]
+ */
+const calcularDigitoVerificador = (base) => {
+  const caracteres = base.toUpperCase().replace(/[^0-9A-Z]/g, '');
+  const n = ALFABETO_DV.length;
+
+  let suma = 0;
+  let factor = 2;
+  for (let i = caracteres.length - 1; i >= 0; i--) {
+    const producto = factor * ALFABETO_DV.indexOf(caracteres[i]);
+    suma += Math.floor(producto / n) + (producto % n);
+    factor = factor === 2 ? 1 : 2;
+  }
+
+  return ALFABETO_DV[(n - (suma % n)) % n];
+};
+
+/**
+ * Validar un codigo de tracking ingresado (digito verificador o formato anterior)
+ * @param {string} codigo - Codigo de tracking
+ * @returns {boolean}
+ */
+const validarCodigoTracking = (codigo) => {
+  const valor = (codigo || '').toString().trim().toUpperCase();
+
+  if (TRACKING_ANTERIORES.some((patron) => patron.test(valor))) {
+    return true;
   }
 
-  return `TKT-${fecha}-${String(secuencial).padStart(5, '0')}`;
+  const partes = valor.match(/^([0-9A-Z-]+)-([0-9A-Z])$/);
+  return !!partes && calcularDigitoVerificador(partes[1]) === partes[2];
+};
+
+/**
+ * Generar codigo de ticket
+ * Formato: el del punto de venta o TKT-YYYYMMDD-NNNNN
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {Object} opciones - { idPunto }
+ * @returns {Promise<string>} Codigo generado
+ */
+const generarCodigoTicket = async (tx, { idPunto = null } = {}) => {
+  const formato = await obtenerFormatoPunto(tx, idPunto, 'formatoTicket');
+  return generarCodigo(tx, 'TICKET', formato || FORMATO_TICKET_DEFECTO);
 };
 
 /**
  * Generar codigo de tracking para encomienda
- * Formato: ENC-NNNNNNNN (correlativo global de 8 digitos)
+ * Formato: el del punto de origen o ENC-NNNNNNNN (correlativo global de 8 digitos),
+ * seguido del digito verificador (ej. ENC-00000124-7)
  * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {Object} opciones - { idPunto }
  * @returns {Promise<string>} Codigo generado
  */
-const generarCodigoTracking = async (tx) => {
-  // Buscar el ultimo correlativo con el nuevo formato ENC-NNNNNNNN
-  // Se filtra por regex para ignorar encomiendas con el formato antiguo ENC-YYYYMMDD-NNNNN
-  const resultado = await tx.$queryRaw`
-    SELECT codigo_tracking
-    FROM tbl_encomiendas
-    WHERE codigo_tracking ~ '^ENC-[0-9]{8}$'
-    ORDER BY codigo_tracking DESC
-    LIMIT 1
-  `;
-
-  let secuencial = 1;
-  if (resultado && resultado.length > 0) {
-    const partes = resultado[0].codigo_tracking.split('-');
-    secuencial = parseInt(partes[1], 10) + 1;
-  }
+const generarCodigoTracking = async (tx, { idPunto = null } = {}) => {
+  const formato = await obtenerFormatoPunto(tx, idPunto, 'formatoTracking');
+  const base = await generarCodigo(tx, 'TRACKING', formato || FORMATO_TRACKING_DEFECTO);
+
+  return `${base}-${calcularDigitoVerificador(base)}`;
+};
 
-  return `ENC-${String(secuencial).padStart(8, '0')}`;
+/**
+ * Generar codigo de reserva
+ * Formato: RSV-YYYYMMDD-NNNNN
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @returns {Promise<string>} Codigo generado
+ */
+const generarCodigoReserva = async (tx) => {
+  return generarCodigo(tx, 'RESERVA', FORMATO_RESERVA);
+};
+
+/**
+ * Generar codigo de despacho de encomiendas
+ * Formato: DSP-YYYYMMDD-NNNN
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @returns {Promise<string>} Codigo generado
+ */
+const generarCodigoDespacho = async (tx) => {
+  return generarCodigo(tx, 'DESPACHO', FORMATO_DESPACHO);
 };
 
 module.exports = {
+  FORMATO_TICKET_DEFECTO,
+  FORMATO_TRACKING_DEFECTO,
+  validarFormatoCodigo,
+  calcularDigitoVerificador,
+  validarCodigoTracking,
   generarCodigoTicket,
-  generarCodigoTracking
+  generarCodigoTracking,
+  generarCodigoReserva,
+  generarCodigoDespacho
 };
@@ -0,0 +1,183 @@
+/**
+ * Conductores Service
+ * Reglas de conductores y tripulacion: vigencia de licencia, asignacion de
+ * conductores y ayudantes a viajes y datos del conductor para la guia de remision
+ */
+
+const { situacionDocumento } = require('./vehiculosService');
+
+const INCLUDE_TRIPULACION = {
+  orderBy: [{ rol: 'asc' }, { orden: 'asc' }],
+  include: {
+    conductor: {
+      select: {
+        id: true,
+        tipoDocumento: true,
+        numeroDocumento: true,
+        nombres: true,
+        apellidos: true,
+        licenciaNumero: true,
+        licenciaCategoria: true,
+        licenciaVencimiento: true,
+        telefono: true
+      }
+    }
+  }
+};
+
+/**
+ * Situacion de la licencia de un conductor a una fecha
+ * @param {Object} conductor - Conductor
+ * @param {Date} fecha - Fecha civil de referencia
+ * @returns {string} SIN_REGISTRO | VENCIDO | POR_VENCER | VIGENTE
+ */
+const situacionLicencia = (conductor, fecha) => {
+  if (!conductor.licenciaNumero) return 'SIN_REGISTRO';
+  return situacionDocumento(conductor.licenciaVencimiento, fecha);
+};
+
+/**
+ * Normalizar una lista de IDs de conductores del body
+ * @param {Array|undefined} lista - IDs recibidos
+ * @returns {number[]|null} IDs o null si la lista es invalida
+ */
+const normalizarIds = (lista) => {
+  if (lista === undefined || lista === null) return [];
+  if (!Array.isArray(lista) || lista.some((id) => isNaN(parseInt(id)))) return null;
+  return lista.map((id) => parseInt(id));
+};
+
+/**
+ * Validar la tripulacion de un viaje
+ * Se requiere al menos un conductor con licencia vigente a la fecha del viaje.
+ * @param {Object} tx - Cliente Prisma o transaccion
+ * @param {Object} viaje - Viaje (fechaServicio)
+ * @param {Object} params - { conductores: [idConductor], ayudantes: [idConductor] }
+ * @returns {Promise<Object>} { tripulantes: [{ idConductor, rol, orden }] } o { error }
+ */
+const validarTripulacion = async (tx, viaje, { conductores, ayudantes }) => {
+  const idsConductores = normalizarIds(conductores);
+  const idsAyudantes = normalizarIds(ayudantes);
+
+  if (!idsConductores || !idsAyudantes) {
+    return { error: 'Los conductores y ayudantes deben ser listas de IDs' };
+  }
+
+  if (idsConductores.length === 0) {
+    return { error: 'Se requiere al menos un conductor' };
+  }
+
+  const ids = [...idsConductores, ...idsAyudantes];
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'Un tripulante no puede asignarse dos veces al mismo viaje' };
+  }
+
+  const registros = await tx.conductor.findMany({
+    where: { id: { in: ids } }
+  });
+
+  for (const id of ids) {
+    const conductor = registros.find((c) => c.id === id);
+    if (!conductor || conductor.estado !== 1) {
+      return { error: `Conductor ${id} no encontrado o inactivo` };
+    }
+  }
+
+  for (const id of idsConductores) {
+    const conductor = registros.find((c) => c.id === id);
+    const licencia = situacionLicencia(conductor, viaje.fechaServicio);
+
+    if (licencia === 'SIN_REGISTRO') {
+      return { error: `El conductor ${conductor.nombres} ${conductor.apellidos} no tiene licencia registrada` };
+    }
+
+    if (licencia === 'VENCIDO') {
+      return { error: `La licencia del conductor ${conductor.nombres} ${conductor.apellidos} esta vencida para la fecha del viaje` };
+    }
+  }
+
+  return {
+    tripulantes: [
+      ...idsConductores.map((idConductor, i) => ({ idConductor, rol: 'CONDUCTOR', orden: i + 1 })),
+      ...idsAyudantes.map((idConductor, i) => ({ idConductor, rol: 'AYUDANTE', orden: i + 1 }))
+    ]
+  };
+};
+
+/**
+ * Reemplazar la tripulacion de un viaje dentro de una transaccion
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} viaje - Viaje con horario incluido
+ * @param {Array} tripulantes - Resultado de validarTripulacion
+ * @param {number} userId - Usuario que asigna
+ * @returns {Promise<void>}
+ */
+const asignarTripulacionViaje = async (tx, viaje, tripulantes, userId) => {
+  // Un tripulante no puede estar en dos viajes vigentes del mismo dia a la misma hora
+  const conflicto = await tx.viajeTripulante.findFirst({
+    where: {
+      idConductor: { in: tripulantes.map((t) => t.idConductor) },
+      viaje: {
+        id: { not: viaje.id },
+        fechaServicio: viaje.fechaServicio,
+        estado: { not: 'CANCELADO' },
+        horario: { horaSalida: viaje.horario.horaSalida }
+      }
+    },
+    include: { conductor: { select: { nombres: true, apellidos: true } } }
+  });
+
+  if (conflicto) {
+    throw new Error(`${conflicto.conductor.nombres} ${conflicto.conductor.apellidos} ya esta asignado a otro viaje en la misma fecha y hora`);
+  }
+
+  await tx.viajeTripulante.deleteMany({ where: { idViaje: viaje.id } });
+
+  await tx.viajeTripulante.createMany({
+    data: tripulantes.map((t) => ({
+      ...t,
+      idViaje: viaje.id,
+      userIdRegistration: userId
+    }))
+  });
+};
+
+/**
+ * Obtener los datos del conductor para una guia de remision
+ * Se usa el conductor indicado o, en su defecto, el conductor principal del viaje.
+ * @param {Object} tx - Cliente Prisma
+ * @param {Object} params - { idConductor, idViaje }
+ * @returns {Promise<Object|null>} { tipoDoc, numDoc, nombres, apellidos, licencia } o null
+ */
+const obtenerConductorGuia = async (tx, { idConductor = null, idViaje = null }) => {
+  let conductor = null;
+
+  if (idConductor) {
+    conductor = await tx.conductor.findUnique({ where: { id: parseInt(idConductor) } });
+  } else if (idViaje) {
+    const principal = await tx.viajeTripulante.findFirst({
+      where: { idViaje: parseInt(idViaje), rol: 'CONDUCTOR' },
+      orderBy: { orden: 'asc' },
+      include: { conductor: true }
+    });
+    conductor = principal?.conductor || null;
+  }
+
+  if (!conductor) return null;
+
+  return {
+    tipoDoc: conductor.tipoDocumento,
+    numDoc: conductor.numeroDocumento,
+    nombres: conductor.nombres,
+    apellidos: conductor.apellidos,
+    licencia: conductor.licenciaNumero
+  };
+};
+
+module.exports = {
+  INCLUDE_TRIPULACION,
+  situacionLicencia,
+  validarTripulacion,
+  asignarTripulacionViaje,
+  obtenerConductorGuia
+};
@@ -0,0 +1,31 @@
+/**
+ * Contadores Service
+ * Correlativos almacenados en tbl_contadores
+ *
+ * Cada contador se incrementa con un unico INSERT ... ON CONFLICT DO UPDATE, que
+ * bloquea la fila hasta el fin de la transaccion: dos ventas simultaneas nunca
+ * obtienen el mismo correlativo y un rollback no deja huecos.
+ */
+
+/**
+ * Obtener el siguiente valor de un contador (lo crea en 1 si no existe)
+ * @param {Object} tx - Transaccion Prisma
+ * @param {string} clave - Clave del contador (ej. TICKET:TKT-20261019-#)
+ * @returns {Promise<number>} Valor asignado
+ */
+const siguienteValor = async (tx, clave) => {
+  const [fila] = await tx.$queryRaw`
+    INSERT INTO tbl_contadores (clave, valor, date_time_modification)
+    VALUES (${clave}, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT (clave) DO UPDATE
+    SET valor = tbl_contadores.valor + 1,
+        date_time_modification = CURRENT_TIMESTAMP
+    RETURNING valor
+  `;
+
+  return fila.valor;
+};
+
+module.exports = {
+  siguienteValor
+};
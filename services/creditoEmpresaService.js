@@ -0,0 +1,691 @@
+/**
+ * Credito Empresas Service
+ * Cuentas de credito de empresas clientes: ventas con metodo CREDITO, cuenta corriente
+ * y facturacion mensual consolidada
+ *
+ * Una venta a credito no pasa por caja: suma un CARGO al saldo de la empresa y emite nota
+ * de venta. Al cerrar el mes se emite una sola factura por empresa con un item por pasaje
+ * o encomienda del periodo (neto de anulaciones). Los abonos reducen el saldo y se aplican
+ * a las facturas en orden de vencimiento.
+ */
+
+const prisma = require('../config/prisma');
+const facturacionService = require('./facturacionService');
+const { generarPdfTabla } = require('../utils/exportUtils');
+const {
+  utcNow,
+  getFechaPeruYYYYMMDD,
+  getFechaCivilHoyPeru,
+  combinarFechaHoraPeru,
+  createTimeForDB
+} = require('../utils/dateUtils');
+
+// Metodo de pago de las ventas a credito (enum MetodoPago)
+const METODO_CREDITO = 'CREDITO';
+
+// Tipos de movimiento de la cuenta corriente (enum TipoMovimientoEmpresa)
+const TIPOS_MOVIMIENTO_EMPRESA = ['CARGO', 'ANULACION', 'ABONO'];
+
+// Mensajes de error de credito lanzados dentro de las transacciones (se devuelven como 400)
+const MENSAJES_CREDITO = {
+  EMPRESA_INVALIDA: 'Empresa cliente no encontrada o inactiva',
+  LIMITE: 'La venta supera el credito disponible de la empresa',
+  VENCIDA: 'La empresa tiene facturas de credito vencidas',
+  FACTURADO: 'El pasaje ya fue incluido en la factura consolidada de la empresa',
+  ABONO_EXCEDE: 'El abono supera el saldo de la empresa',
+  PERIODO_FACTURADO: 'El periodo ya fue facturado',
+  PERIODO_EN_PROCESO: 'La facturacion del periodo esta en proceso',
+  SIN_CONSUMOS: 'No hay consumos a credito por facturar en el periodo'
+};
+
+// Minutos tras los que una facturacion PENDIENTE se considera interrumpida y se puede reintentar
+const MINUTOS_FACTURACION_PENDIENTE = 15;
+
+// Datos de pasajes y encomiendas para los items de la factura consolidada
+const INCLUDE_MOVIMIENTO = {
+  ticket: {
+    select: {
+      id: true,
+      codigoInterno: true,
+      pasajero: { select: { nombreCompleto: true } },
+      puntoSubida: { select: { nombre: true } },
+      puntoBajada: { select: { nombre: true } },
+      viaje: {
+        select: {
+          fechaServicio: true,
+          ruta: {
+            select: {
+              puntoOrigen: { select: { nombre: true } },
+              puntoDestino: { select: { nombre: true } }
+            }
+          }
+        }
+      }
+    }
+  },
+  encomienda: {
+    select: {
+      id: true,
+      codigoTracking: true,
+      tipoPaquete: true,
+      puntoOrigen: { select: { nombre: true } },
+      puntoDestino: { select: { nombre: true } }
+    }
+  },
+  facturacion: { select: { id: true, periodo: true, numeroComprobante: true } }
+};
+
+/**
+ * Verificar si un error corresponde a una validacion de credito
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+const esErrorCredito = (error) => Object.values(MENSAJES_CREDITO).includes(error?.message);
+
+const aCentimos = (monto) => Math.round(parseFloat(monto) * 100);
+
+const redondear = (monto) => Math.round(monto * 100) / 100;
+
+/**
+ * Bloquear la fila de una empresa hasta el fin de la transaccion
+ * Serializa cargos, abonos y facturacion sobre el saldo de la empresa.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idEmpresa - ID de la empresa
+ * @returns {Promise<Object|null>} { id, limiteCredito, saldo, estado }
+ */
+const bloquearEmpresa = async (tx, idEmpresa) => {
+  const filas = await tx.$queryRaw`
+    SELECT id, limite_credito as "limiteCredito", saldo, estado
+    FROM tbl_empresas_clientes
+    WHERE id = ${idEmpresa}
+    FOR UPDATE
+  `;
+  return filas[0] || null;
+};
+
+/**
+ * Registrar movimientos en la cuenta de una empresa bloqueada y actualizar su saldo
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} empresa - Empresa bloqueada (bloquearEmpresa)
+ * @param {Object[]} movimientos - [{ tipo, monto, descripcion, metodo, referencia, idTicket, idEncomienda }]
+ * @param {number} userId - Usuario que registra
+ * @returns {Promise<number>} Saldo resultante
+ */
+const registrarMovimientosEmpresa = async (tx, empresa, movimientos, userId) => {
+  let saldo = aCentimos(empresa.saldo);
+
+  const filas = movimientos.map((m) => {
+    saldo += m.tipo === 'CARGO' ? aCentimos(m.monto) : -aCentimos(m.monto);
+    return {
+      idEmpresa: empresa.id,
+      tipo: m.tipo,
+      monto: redondear(m.monto),
+      saldoResultante: saldo / 100,
+      descripcion: m.descripcion?.slice(0, 255) || null,
+      metodo: m.metodo ?? null,
+      referencia: m.referencia || null,
+      idTicket: m.idTicket ?? null,
+      idEncomienda: m.idEncomienda ?? null,
+      userIdRegistration: userId
+    };
+  });
+
+  await tx.empresaMovimiento.createMany({ data: filas });
+  await tx.empresaCliente.update({
+    where: { id: empresa.id },
+    data: { saldo: saldo / 100 }
+  });
+
+  return saldo / 100;
+};
+
+/**
+ * Deuda vencida de una empresa: facturas emitidas con vencimiento anterior a hoy
+ * que los abonos no alcanzan a cubrir
+ * @param {Object} tx - Cliente Prisma
+ * @param {number} idEmpresa - ID de la empresa
+ * @returns {Promise<number>}
+ */
+const calcularDeudaVencida = async (tx, idEmpresa) => {
+  // Fecha civil de Peru como YYYYMMDD (el vencimiento es una fecha sin hora)
+  const hoy = getFechaPeruYYYYMMDD();
+
+  const filas = await tx.$queryRaw`
+    SELECT
+      COALESCE((
+        SELECT SUM(total) FROM tbl_empresas_facturaciones
+        WHERE id_empresa = ${idEmpresa} AND estado = 'EMITIDA' AND fecha_vencimiento < ${hoy}::date
+      ), 0) as "vencido",
+      COALESCE((
+        SELECT SUM(monto) FROM tbl_empresas_movimientos
+        WHERE id_empresa = ${idEmpresa} AND tipo = 'ABONO'
+      ), 0) as "abonado"
+  `;
+
+  return Math.max(0, (aCentimos(filas[0].vencido) - aCentimos(filas[0].abonado)) / 100);
+};
+
+/**
+ * Cargar ventas a credito a la cuenta de una empresa (dentro de una transaccion)
+ * La empresa debe estar activa, sin deuda vencida y con credito disponible.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idEmpresa - ID de la empresa
+ * @param {Object[]} cargos - [{ monto, descripcion, idTicket, idEncomienda }]
+ * @param {number} userId - Usuario que vende
+ * @returns {Promise<number>} Saldo resultante
+ * @throws {Error} Si la empresa no puede comprar a credito
+ */
+const cargarCredito = async (tx, idEmpresa, cargos, userId) => {
+  const empresa = await bloquearEmpresa(tx, idEmpresa);
+  if (!empresa || empresa.estado !== 1) {
+    throw new Error(MENSAJES_CREDITO.EMPRESA_INVALIDA);
+  }
+
+  if (await calcularDeudaVencida(tx, idEmpresa) > 0) {
+    throw new Error(MENSAJES_CREDITO.VENCIDA);
+  }
+
+  const total = cargos.reduce((suma, cargo) => suma + aCentimos(cargo.monto), 0);
+  const disponible = aCentimos(empresa.limiteCredito) - aCentimos(empresa.saldo);
+  if (total > disponible) {
+    throw Object.assign(new Error(MENSAJES_CREDITO.LIMITE), {
+      disponible: Math.max(0, disponible) / 100
+    });
+  }
+
+  return registrarMovimientosEmpresa(
+    tx,
+    empresa,
+    cargos.filter((cargo) => cargo.monto > 0).map((cargo) => ({ tipo: 'CARGO', ...cargo })),
+    userId
+  );
+};
+
+/**
+ * Devolver a la cuenta de la empresa el monto de un pasaje a credito anulado o rebajado
+ * (dentro de una transaccion)
+ * La devolucion no supera lo cargado por el pasaje menos sus anulaciones previas.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} ticket - Ticket (id, idEmpresa, codigoInterno)
+ * @param {Object} params - { monto, userId, descripcion }
+ * @returns {Promise<number>} Monto devuelto a la cuenta
+ * @throws {Error} Si el pasaje ya fue incluido en una factura consolidada
+ */
+const revertirCargoTicket = async (tx, ticket, { monto, userId, descripcion = null }) => {
+  const empresa = await bloquearEmpresa(tx, ticket.idEmpresa);
+
+  const movimientos = await tx.empresaMovimiento.findMany({
+    where: { idTicket: ticket.id, tipo: { in: ['CARGO', 'ANULACION'] } }
+  });
+  const cargos = movimientos.filter((m) => m.tipo === 'CARGO');
+
+  if (!empresa || cargos.length === 0) return 0;
+
+  if (cargos.some((cargo) => cargo.idFacturacion)) {
+    throw new Error(MENSAJES_CREDITO.FACTURADO);
+  }
+
+  const pendiente = movimientos.reduce(
+    (suma, m) => suma + (m.tipo === 'CARGO' ? aCentimos(m.monto) : -aCentimos(m.monto)),
+    0
+  );
+  const devuelto = Math.min(aCentimos(monto), Math.max(0, pendiente)) / 100;
+
+  if (devuelto > 0) {
+    await registrarMovimientosEmpresa(tx, empresa, [{
+      tipo: 'ANULACION',
+      monto: devuelto,
+      idTicket: ticket.id,
+      descripcion: descripcion || `Anulacion ${ticket.codigoInterno}`
+    }], userId);
+  }
+
+  return devuelto;
+};
+
+/**
+ * Registrar un abono (pago) de la empresa (dentro de una transaccion)
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idEmpresa - ID de la empresa
+ * @param {Object} params - { monto, metodo, referencia, descripcion, userId }
+ * @returns {Promise<number>} Saldo resultante
+ * @throws {Error} Si el abono supera el saldo
+ */
+const registrarAbono = async (tx, idEmpresa, { monto, metodo, referencia, descripcion, userId }) => {
+  const empresa = await bloquearEmpresa(tx, idEmpresa);
+  if (!empresa) {
+    throw new Error(MENSAJES_CREDITO.EMPRESA_INVALIDA);
+  }
+
+  if (aCentimos(monto) > aCentimos(empresa.saldo)) {
+    throw Object.assign(new Error(MENSAJES_CREDITO.ABONO_EXCEDE), { saldo: parseFloat(empresa.saldo) });
+  }
+
+  return registrarMovimientosEmpresa(tx, empresa, [{
+    tipo: 'ABONO',
+    monto,
+    metodo,
+    referencia,
+    descripcion
+  }], userId);
+};
+
+/**
+ * Validar un periodo de facturacion YYYY-MM y obtener su rango en hora de Peru
+ * Solo se facturan meses cerrados.
+ * @param {*} periodo - Periodo recibido
+ * @returns {Object} { periodo, desde, hasta } o { error }
+ */
+const validarPeriodo = (periodo) => {
+  if (!periodo || !/^\d{4}-(0[1-9]|1[0-2])$/.test(String(periodo))) {
+    return { error: 'El periodo debe tener formato YYYY-MM' };
+  }
+
+  const hoy = getFechaPeruYYYYMMDD();
+  if (periodo >= `${hoy.slice(0, 4)}-${hoy.slice(4, 6)}`) {
+    return { error: 'Solo se pueden facturar meses cerrados' };
+  }
+
+  const [anio, mes] = periodo.split('-').map((parte) => parseInt(parte));
+  const medianoche = createTimeForDB(0, 0);
+
+  return {
+    periodo,
+    desde: combinarFechaHoraPeru(new Date(Date.UTC(anio, mes - 1, 1)), medianoche),
+    hasta: combinarFechaHoraPeru(new Date(Date.UTC(anio, mes, 1)), medianoche)
+  };
+};
+
+/**
+ * Preparar la facturacion consolidada de un periodo (dentro de una transaccion)
+ * Toma los cargos del periodo aun no facturados junto con sus anulaciones. Una
+ * facturacion con error de emision, o PENDIENTE por mas de MINUTOS_FACTURACION_PENDIENTE
+ * (proceso interrumpido), se reintenta con los mismos consumos.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idEmpresa - ID de la empresa
+ * @param {Object} rango - Resultado de validarPeriodo
+ * @param {number} userId - Usuario que factura
+ * @returns {Promise<Object>} Facturacion en estado PENDIENTE
+ * @throws {Error} Si el periodo ya fue facturado o no tiene consumos
+ */
+const prepararFacturacion = async (tx, idEmpresa, { periodo, desde, hasta }, userId) => {
+  const empresa = await bloquearEmpresa(tx, idEmpresa);
+  if (!empresa) {
+    throw new Error(MENSAJES_CREDITO.EMPRESA_INVALIDA);
+  }
+
+  const existente = await tx.empresaFacturacion.findUnique({
+    where: { idEmpresa_periodo: { idEmpresa, periodo } }
+  });
+
+  if (existente?.estado === 'EMITIDA') {
+    throw new Error(MENSAJES_CREDITO.PERIODO_FACTURADO);
+  }
+
+  if (existente?.estado === 'PENDIENTE') {
+    const ultimoCambio = existente.dateTimeModification ?? existente.dateTimeRegistration;
+    if (utcNow().getTime() - ultimoCambio.getTime() < MINUTOS_FACTURACION_PENDIENTE * 60 * 1000) {
+      throw new Error(MENSAJES_CREDITO.PERIODO_EN_PROCESO);
+    }
+  }
+
+  if (existente) {
+    return tx.empresaFacturacion.update({
+      where: { id: existente.id },
+      data: {
+        estado: 'PENDIENTE',
+        error: null,
+        userIdModification: userId,
+        dateTimeModification: utcNow()
+      }
+    });
+  }
+
+  const cargos = await tx.empresaMovimiento.findMany({
+    where: {
+      idEmpresa,
+      tipo: 'CARGO',
+      idFacturacion: null,
+      dateTimeRegistration: { gte: desde, lt: hasta }
+    }
+  });
+
+  // Las anulaciones siguen al cargo de su pasaje aunque se hayan registrado despues
+  const idsTickets = cargos.filter((c) => c.idTicket).map((c) => c.idTicket);
+  const anulaciones = idsTickets.length > 0
+    ? await tx.empresaMovimiento.findMany({
+      where: { idEmpresa, tipo: 'ANULACION', idFacturacion: null, idTicket: { in: idsTickets } }
+    })
+    : [];
+
+  const total = cargos.reduce((suma, c) => suma + aCentimos(c.monto), 0) -
+    anulaciones.reduce((suma, a) => suma + aCentimos(a.monto), 0);
+
+  if (total <= 0) {
+    throw new Error(MENSAJES_CREDITO.SIN_CONSUMOS);
+  }
+
+  const facturacion = await tx.empresaFacturacion.create({
+    data: {
+      idEmpresa,
+      periodo,
+      total: total / 100,
+      userIdRegistration: userId
+    }
+  });
+
+  await tx.empresaMovimiento.updateMany({
+    where: { id: { in: [...cargos, ...anulaciones].map((m) => m.id) } },
+    data: { idFacturacion: facturacion.id }
+  });
+
+  return facturacion;
+};
+
+/**
+ * Items de la factura consolidada: un item por pasaje o encomienda con su monto neto
+ * @param {Object[]} movimientos - Cargos y anulaciones de la facturacion (con INCLUDE_MOVIMIENTO)
+ * @returns {Object[]} Items para facturacionService.emitirComprobante
+ */
+const construirItemsFacturacion = (movimientos) => {
+  const items = new Map();
+
+  for (const m of movimientos) {
+    const clave = m.idTicket ? `T${m.idTicket}` : `E${m.idEncomienda}`;
+    if (!items.has(clave)) {
+      items.set(clave, { movimiento: m, neto: 0 });
+    }
+    const item = items.get(clave);
+    item.neto += m.tipo === 'CARGO' ? aCentimos(m.monto) : -aCentimos(m.monto);
+    if (m.tipo === 'CARGO') item.movimiento = m;
+  }
+
+  return [...items.values()]
+    .filter((item) => item.neto > 0)
+    .map(({ movimiento, neto }) => {
+      const { ticket, encomienda } = movimiento;
+
+      if (ticket) {
+        const origen = ticket.puntoSubida?.nombre ?? ticket.viaje.ruta.puntoOrigen.nombre;
+        const destino = ticket.puntoBajada?.nombre ?? ticket.viaje.ruta.puntoDestino.nombre;
+        const fecha = ticket.viaje.fechaServicio.toISOString().slice(0, 10);
+        return {
+          codigo: `PAS-${ticket.codigoInterno}`,
+          descripcion: `Pasaje ${origen} - ${destino} ${fecha} - ${ticket.pasajero.nombreCompleto}`,
+          unidadMedida: 'ZZ',
+          cantidad: 1,
+          precioUnitario: neto / 100
+        };
+      }
+
+      return {
+        codigo: `ENC-${encomienda.codigoTracking}`,
+        descripcion: `Envio de encomienda ${encomienda.puntoOrigen.nombre} - ${encomienda.puntoDestino.nombre} (${encomienda.tipoPaquete})`,
+        unidadMedida: 'ZZ',
+        cantidad: 1,
+        precioUnitario: neto / 100
+      };
+    });
+};
+
+/**
+ * Emitir la factura de una facturacion consolidada PENDIENTE
+ * Con la factura aceptada la facturacion queda EMITIDA con vencimiento segun los dias de
+ * credito de la empresa; si falla o es rechazada queda en ERROR para reintentar.
+ * Al reintentar se reutiliza la factura no rechazada que un intento anterior haya llegado a emitir.
+ * @param {number} idFacturacion - ID de la facturacion
+ * @param {number} userId - Usuario que factura
+ * @returns {Promise<Object>} Facturacion actualizada
+ */
+const emitirFacturacion = async (idFacturacion, userId) => {
+  const facturacion = await prisma.empresaFacturacion.findUnique({
+    where: { id: idFacturacion },
+    include: {
+      empresa: true,
+      movimientos: { orderBy: { id: 'asc' }, include: INCLUDE_MOVIMIENTO }
+    }
+  });
+
+  const { empresa, movimientos } = facturacion;
+  let data;
+
+  try {
+    const [emitido] = await prisma.$queryRaw`
+      SELECT id, numero_completo as "numeroCompleto", estado, mensaje_error
+      FROM tbl_comprobantes
+      WHERE origen_tipo = 'EMPRESA_CREDITO' AND origen_id = ${facturacion.id}
+        AND estado NOT IN ('ANULADO', 'RECHAZADO')
+      ORDER BY id DESC
+      LIMIT 1
+    `;
+
+    const comprobante = emitido || await facturacionService.emitirComprobante({
+      tipoComprobante: '01',
+      serie: 'FT74',
+      cliente: {
+        tipoDoc: '6',
+        numDoc: empresa.ruc,
+        razonSocial: empresa.razonSocial,
+        direccion: empresa.direccion || ''
+      },
+      items: construirItemsFacturacion(movimientos),
+      origenTipo: 'EMPRESA_CREDITO',
+      origenId: facturacion.id,
+      userId,
+      comentario: `Consumos a credito del periodo ${facturacion.periodo}`
+    });
+
+    const aceptado = comprobante.estado !== 'RECHAZADO';
+    const hoy = getFechaCivilHoyPeru();
+
+    data = {
+      estado: aceptado ? 'EMITIDA' : 'ERROR',
+      idComprobante: comprobante.id,
+      numeroComprobante: comprobante.numeroCompleto,
+      error: aceptado ? null : (comprobante.mensaje_error || 'Comprobante rechazado').slice(0, 500),
+      fechaEmision: aceptado ? utcNow() : null,
+      fechaVencimiento: aceptado ? new Date(hoy.getTime() + empresa.diasCredito * 24 * 60 * 60 * 1000) : null
+    };
+
+    if (aceptado) {
+      const idsTickets = movimientos.filter((m) => m.idTicket).map((m) => m.idTicket);
+      const idsEncomiendas = movimientos.filter((m) => m.idEncomienda).map((m) => m.idEncomienda);
+      const referencia = { invoiceStatus: 'EMITIDO', invoiceRef: comprobante.numeroCompleto };
+
+      await prisma.ticket.updateMany({ where: { id: { in: idsTickets } }, data: referencia });
+      await prisma.encomienda.updateMany({ where: { id: { in: idsEncomiendas } }, data: referencia });
+    }
+  } catch (errorEmision) {
+    console.error('Error emitiendo factura consolidada:', errorEmision);
+    data = { estado: 'ERROR', error: errorEmision.message.slice(0, 500) };
+  }
+
+  return prisma.empresaFacturacion.update({
+    where: { id: facturacion.id },
+    data: { ...data, userIdModification: userId, dateTimeModification: utcNow() }
+  });
+};
+
+/**
+ * Aplicar los abonos a las facturas emitidas en orden de vencimiento
+ * @param {Object[]} facturaciones - Facturaciones de la empresa
+ * @param {number} abonado - Total abonado por la empresa
+ * @returns {Object[]} Facturaciones con pagado, pendiente y vencida
+ */
+const aplicarAbonos = (facturaciones, abonado) => {
+  const hoy = getFechaCivilHoyPeru();
+  let restante = aCentimos(abonado);
+
+  return [...facturaciones]
+    .sort((a, b) => (a.fechaVencimiento?.getTime() ?? Infinity) - (b.fechaVencimiento?.getTime() ?? Infinity) ||
+      a.periodo.localeCompare(b.periodo))
+    .map((f) => {
+      if (f.estado !== 'EMITIDA') {
+        return { ...f, pagado: 0, pendiente: 0, vencida: false };
+      }
+      const total = aCentimos(f.total);
+      const pagado = Math.min(total, restante);
+      restante -= pagado;
+      return {
+        ...f,
+        pagado: pagado / 100,
+        pendiente: (total - pagado) / 100,
+        vencida: total > pagado && f.fechaVencimiento < hoy
+      };
+    });
+};
+
+/**
+ * Estado de cuenta de una empresa en un rango de fechas
+ * @param {Object} tx - Cliente Prisma
+ * @param {number} idEmpresa - ID de la empresa
+ * @param {Object} rango - { desde, hasta } instantes UTC (hasta exclusivo)
+ * @returns {Promise<Object|null>} { empresa, desde, hasta, resumen, movimientos, facturaciones }
+ */
+const obtenerEstadoCuenta = async (tx, idEmpresa, { desde, hasta }) => {
+  const empresa = await tx.empresaCliente.findUnique({ where: { id: idEmpresa } });
+  if (!empresa) return null;
+
+  const anterior = await tx.empresaMovimiento.findFirst({
+    where: { idEmpresa, dateTimeRegistration: { lt: desde } },
+    orderBy: { id: 'desc' }
+  });
+
+  const movimientos = await tx.empresaMovimiento.findMany({
+    where: { idEmpresa, dateTimeRegistration: { gte: desde, lt: hasta } },
+    orderBy: { id: 'asc' },
+    include: INCLUDE_MOVIMIENTO
+  });
+
+  const totales = await tx.empresaMovimiento.groupBy({
+    by: ['tipo'],
+    where: { idEmpresa },
+    _sum: { monto: true }
+  });
+  const totalTipo = (tipo) => parseFloat(totales.find((t) => t.tipo === tipo)?._sum.monto ?? 0);
+
+  const porFacturar = await tx.empresaMovimiento.groupBy({
+    by: ['tipo'],
+    where: { idEmpresa, idFacturacion: null, tipo: { in: ['CARGO', 'ANULACION'] } },
+    _sum: { monto: true }
+  });
+  const porFacturarTipo = (tipo) => parseFloat(porFacturar.find((t) => t.tipo === tipo)?._sum.monto ?? 0);
+
+  const facturaciones = aplicarAbonos(
+    await tx.empresaFacturacion.findMany({ where: { idEmpresa }, orderBy: { periodo: 'asc' } }),
+    totalTipo('ABONO')
+  );
+
+  const sumaTipo = (tipo) => redondear(movimientos
+    .filter((m) => m.tipo === tipo)
+    .reduce((suma, m) => suma + parseFloat(m.monto), 0));
+
+  const saldo = parseFloat(empresa.saldo);
+  const limiteCredito = parseFloat(empresa.limiteCredito);
+
+  return {
+    empresa,
+    desde,
+    hasta,
+    resumen: {
+      limiteCredito,
+      saldo,
+      disponible: Math.max(0, redondear(limiteCredito - saldo)),
+      deudaVencida: redondear(facturaciones.filter((f) => f.vencida).reduce((suma, f) => suma + f.pendiente, 0)),
+      porFacturar: redondear(porFacturarTipo('CARGO') - porFacturarTipo('ANULACION')),
+      saldoInicial: anterior ? parseFloat(anterior.saldoResultante) : 0,
+      cargos: sumaTipo('CARGO'),
+      anulaciones: sumaTipo('ANULACION'),
+      abonos: sumaTipo('ABONO'),
+      saldoFinal: movimientos.length > 0
+        ? parseFloat(movimientos[movimientos.length - 1].saldoResultante)
+        : (anterior ? parseFloat(anterior.saldoResultante) : 0)
+    },
+    movimientos,
+    facturaciones
+  };
+};
+
+const formatearMonto = (monto) => parseFloat(monto).toFixed(2);
+
+const formatearFecha = (fecha) => new Date(fecha).toISOString().slice(0, 10);
+
+// Columnas de los movimientos en el estado de cuenta (ancho en puntos PDF)
+const COLUMNAS_ESTADO_CUENTA = [
+  { titulo: 'Fecha/hora (UTC)', ancho: 95 },
+  { titulo: 'Tipo', ancho: 75 },
+  { titulo: 'Documento', ancho: 90 },
+  { titulo: 'Descripcion', ancho: 220 },
+  { titulo: 'Factura', ancho: 80 },
+  { titulo: 'Cargo', ancho: 70 },
+  { titulo: 'Abono', ancho: 70 },
+  { titulo: 'Saldo', ancho: 70 }
+];
+
+/**
+ * Nombre de archivo del estado de cuenta
+ * @param {Object} estado - Resultado de obtenerEstadoCuenta
+ * @returns {string}
+ */
+const nombreArchivoEstadoCuenta = (estado) => {
+  return `estado-cuenta-${estado.empresa.ruc}-${formatearFecha(estado.desde)}.pdf`;
+};
+
+/**
+ * Exportar el estado de cuenta de una empresa a PDF
+ * Encabezado con la linea de credito y las facturas pendientes; tabla con los movimientos.
+ * @param {Object} estado - Resultado de obtenerEstadoCuenta
+ * @returns {Buffer} Contenido PDF
+ */
+const exportarEstadoCuentaPdf = (estado) => {
+  const { empresa, resumen, movimientos, facturaciones } = estado;
+
+  const encabezado = [
+    `${empresa.razonSocial}    RUC: ${empresa.ruc}    Dias de credito: ${empresa.diasCredito}`,
+    `Limite de credito: S/ ${formatearMonto(resumen.limiteCredito)}    Saldo: S/ ${formatearMonto(resumen.saldo)}    ` +
+      `Disponible: S/ ${formatearMonto(resumen.disponible)}    Deuda vencida: S/ ${formatearMonto(resumen.deudaVencida)}    ` +
+      `Por facturar: S/ ${formatearMonto(resumen.porFacturar)}`,
+    `Movimientos desde ${formatearFecha(estado.desde)} hasta ${formatearFecha(estado.hasta)} (exclusivo)    ` +
+      `Saldo inicial: S/ ${formatearMonto(resumen.saldoInicial)}    Saldo final: S/ ${formatearMonto(resumen.saldoFinal)}`
+  ];
+
+  for (const f of facturaciones.filter((factura) => factura.pendiente > 0)) {
+    encabezado.push(`Factura ${f.numeroComprobante} (${f.periodo}): total S/ ${formatearMonto(f.total)}    ` +
+      `pendiente S/ ${formatearMonto(f.pendiente)}    vence ${formatearFecha(f.fechaVencimiento)}${f.vencida ? '    VENCIDA' : ''}`);
+  }
+
+  const filas = movimientos.map((m) => [
+    new Date(m.dateTimeRegistration).toISOString().replace('T', ' ').slice(0, 16),
+    m.tipo,
+    m.ticket?.codigoInterno || m.encomienda?.codigoTracking || m.referencia || '',
+    m.descripcion || (m.metodo ? `Abono ${m.metodo}` : ''),
+    m.facturacion?.numeroComprobante || '',
+    m.tipo === 'CARGO' ? formatearMonto(m.monto) : '',
+    m.tipo === 'CARGO' ? '' : formatearMonto(m.monto),
+    formatearMonto(m.saldoResultante)
+  ]);
+
+  return generarPdfTabla({
+    titulo: 'ESTADO DE CUENTA',
+    encabezado,
+    columnas: COLUMNAS_ESTADO_CUENTA,
+    filas
+  });
+};
+
+module.exports = {
+  METODO_CREDITO,
+  TIPOS_MOVIMIENTO_EMPRESA,
+  MENSAJES_CREDITO,
+  esErrorCredito,
+  calcularDeudaVencida,
+  cargarCredito,
+  revertirCargoTicket,
+  registrarAbono,
+  validarPeriodo,
+  prepararFacturacion,
+  emitirFacturacion,
+  obtenerEstadoCuenta,
+  nombreArchivoEstadoCuenta,
+  exportarEstadoCuentaPdf
+};
@@ -0,0 +1,537 @@
+/**
+ * Despachos Service
+ * Manifiestos de carga de encomiendas ligados a un viaje
+ *
+ * Un despacho sale de un punto de la ruta del viaje hacia un punto posterior. Mientras
+ * esta ABIERTO se cargan por escaneo las encomiendas EN_ALMACEN con ese origen y destino;
+ * al despacharlo todas pasan a EN_RUTA. Al llegar, el punto de destino escanea lo que
+ * recibe: lo escaneado del manifiesto pasa a LLEGO_A_DESTINO, lo no escaneado queda como
+ * FALTANTE (sigue EN_RUTA) y lo escaneado fuera del manifiesto se registra como SOBRANTE.
+ * Las guias de varios bultos se cargan y reciben escaneando la etiqueta de cada bulto: solo
+ * salen con todos sus bultos cargados y solo llegan con todos recibidos (llegada parcial =
+ * FALTANTE con el detalle de bultos).
+ */
+
+const { INCLUDE_TRIPULACION } = require('./conductoresService');
+const { parsearCodigoBulto } = require('./bultosService');
+const { utcNow } = require('../utils/dateUtils');
+
+// Estados de despacho (enum EstadoDespacho)
+const ESTADOS_DESPACHO = ['ABIERTO', 'DESPACHADO', 'RECIBIDO', 'ANULADO'];
+
+// Estados de viaje en los que se puede cargar un despacho
+const ESTADOS_VIAJE_DESPACHO = ['ABIERTO', 'CERRADO', 'EN_RUTA'];
+
+// Mensajes de error de despacho lanzados dentro de las transacciones (se devuelven como 400)
+const MENSAJES_DESPACHO = {
+  NO_ABIERTO: 'El despacho no esta abierto',
+  NO_DESPACHADO: 'El despacho no esta en ruta',
+  ENCOMIENDA_NO_ENCONTRADA: 'Encomienda no encontrada',
+  NO_EN_ALMACEN: 'La encomienda no esta en almacen',
+  OTRO_ORIGEN: 'La encomienda no sale del punto de origen del despacho',
+  OTRO_DESTINO: 'La encomienda no va al punto de destino del despacho',
+  YA_CARGADA: 'La encomienda ya esta cargada en este despacho',
+  EN_OTRO_DESPACHO: 'La encomienda ya esta cargada en otro despacho',
+  NO_CARGADA: 'La encomienda no esta cargada en este despacho',
+  ESCANEAR_BULTOS: 'La encomienda tiene varios bultos: escanee la etiqueta de cada bulto',
+  BULTO_NO_ENCONTRADO: 'Bulto no encontrado',
+  BULTO_YA_CARGADO: 'El bulto ya esta cargado en este despacho',
+  BULTOS_INCOMPLETOS: 'Hay encomiendas con bultos sin cargar',
+  SIN_ENCOMIENDAS: 'El despacho no tiene encomiendas cargadas',
+  SIN_VEHICULO: 'Asigne un vehiculo al viaje antes de despachar',
+  MOVIDAS: 'Hay encomiendas del despacho que ya no estan en almacen',
+  VIAJE_NO_OPERABLE: 'El viaje no admite despachos (cancelado o finalizado)'
+};
+
+// Datos de cabecera y detalle de un despacho
+const INCLUDE_DESPACHO = {
+  viaje: {
+    select: {
+      id: true,
+      fechaServicio: true,
+      estado: true,
+      horario: { select: { id: true, horaSalida: true } },
+      ruta: {
+        select: {
+          id: true,
+          puntoOrigen: { select: { id: true, nombre: true } },
+          puntoDestino: { select: { id: true, nombre: true } }
+        }
+      }
+    }
+  },
+  vehiculo: { select: { id: true, placa: true, marca: true, modelo: true } },
+  conductor: { select: { id: true, numeroDocumento: true, nombres: true, apellidos: true, licenciaNumero: true } },
+  puntoOrigen: { select: { id: true, nombre: true, ciudad: true } },
+  puntoDestino: { select: { id: true, nombre: true, ciudad: true } },
+  usuarioDespacho: { select: { id: true, nombres: true } },
+  usuarioLlegada: { select: { id: true, nombres: true } },
+  encomiendas: {
+    orderBy: { id: 'asc' },
+    include: {
+      encomienda: {
+        select: {
+          id: true,
+          codigoTracking: true,
+          estadoActual: true,
+          tipoPaquete: true,
+          peso: true,
+          remitenteNombre: true,
+          destinatarioNombre: true,
+          destinatarioTelefono: true,
+          idPuntoOrigen: true,
+          idPuntoDestino: true,
+          totalBultos: true
+        }
+      },
+      bultos: {
+        orderBy: { id: 'asc' },
+        select: {
+          estado: true,
+          fechaRecepcion: true,
+          bulto: { select: { id: true, codigo: true, numero: true, peso: true } }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Verificar si un error corresponde a una validacion de despacho
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+const esErrorDespacho = (error) => Object.values(MENSAJES_DESPACHO).includes(error?.message);
+
+/**
+ * Normalizar un codigo de tracking escaneado
+ * @param {*} codigo - Codigo recibido
+ * @returns {string}
+ */
+const normalizarCodigo = (codigo) => (codigo || '').toString().trim().toUpperCase();
+
+/**
+ * Vehiculo y conductor asignados a un viaje (primer conductor de la tripulacion)
+ * @param {Object} tx - Cliente Prisma o transaccion
+ * @param {number} idViaje - ID del viaje
+ * @returns {Promise<Object|null>} { viaje, idVehiculo, idConductor }
+ */
+const obtenerAsignacionViaje = async (tx, idViaje) => {
+  const viaje = await tx.viaje.findUnique({
+    where: { id: idViaje },
+    include: { tripulacion: INCLUDE_TRIPULACION }
+  });
+  if (!viaje) return null;
+
+  const conductor = viaje.tripulacion.find((t) => t.rol === 'CONDUCTOR');
+
+  return {
+    viaje,
+    idVehiculo: viaje.idVehiculo,
+    idConductor: conductor?.idConductor ?? null
+  };
+};
+
+/**
+ * Bloquear la fila de un despacho hasta el fin de la transaccion
+ * Serializa la carga por escaneo con el despacho y la recepcion.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idDespacho - ID del despacho
+ * @returns {Promise<Object|null>} Despacho
+ */
+const bloquearDespacho = async (tx, idDespacho) => {
+  const filas = await tx.$queryRaw`
+    SELECT id FROM tbl_despachos WHERE id = ${idDespacho} FOR UPDATE
+  `;
+  if (filas.length === 0) return null;
+
+  return tx.despacho.findUnique({ where: { id: idDespacho } });
+};
+
+/**
+ * Cargar una encomienda escaneada en un despacho ABIERTO (dentro de una transaccion)
+ * Las guias de varios bultos se cargan bulto por bulto con el subcodigo de cada etiqueta.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idDespacho - ID del despacho
+ * @param {string} codigo - Codigo de tracking o subcodigo de bulto escaneado
+ * @param {number} userId - Usuario que carga
+ * @returns {Promise<Object|null>} { encomienda, bulto, bultosCargados } o null si el despacho no existe
+ * @throws {Error} Si la encomienda no se puede cargar
+ */
+const cargarEncomienda = async (tx, idDespacho, codigo, userId) => {
+  const despacho = await bloquearDespacho(tx, idDespacho);
+  if (!despacho) return null;
+
+  if (despacho.estado !== 'ABIERTO') {
+    throw new Error(MENSAJES_DESPACHO.NO_ABIERTO);
+  }
+
+  const escaneado = parsearCodigoBulto(codigo);
+  const codigoTracking = escaneado ? escaneado.codigoTracking : normalizarCodigo(codigo);
+
+  const filas = await tx.$queryRaw`
+    SELECT id FROM tbl_encomiendas WHERE codigo_tracking = ${codigoTracking} FOR UPDATE
+  `;
+  if (filas.length === 0) {
+    throw new Error(MENSAJES_DESPACHO.ENCOMIENDA_NO_ENCONTRADA);
+  }
+
+  const encomienda = await tx.encomienda.findUnique({ where: { id: filas[0].id } });
+
+  if (encomienda.estadoActual !== 'EN_ALMACEN') {
+    throw Object.assign(new Error(MENSAJES_DESPACHO.NO_EN_ALMACEN), { estadoActual: encomienda.estadoActual });
+  }
+  if (encomienda.idPuntoOrigen !== despacho.idPuntoOrigen) {
+    throw new Error(MENSAJES_DESPACHO.OTRO_ORIGEN);
+  }
+  if (encomienda.idPuntoDestino !== despacho.idPuntoDestino) {
+    throw new Error(MENSAJES_DESPACHO.OTRO_DESTINO);
+  }
+
+  const cargada = await tx.despachoEncomienda.findFirst({
+    where: {
+      idEncomienda: encomienda.id,
+      estado: 'CARGADA',
+      despacho: { estado: { in: ['ABIERTO', 'DESPACHADO'] } }
+    },
+    include: { despacho: { select: { id: true, codigo: true } } }
+  });
+
+  if (cargada && cargada.idDespacho !== despacho.id) {
+    throw Object.assign(new Error(MENSAJES_DESPACHO.EN_OTRO_DESPACHO), { despacho: cargada.despacho });
+  }
+
+  let bulto = null;
+  if (encomienda.totalBultos > 1) {
+    if (!escaneado) {
+      throw new Error(MENSAJES_DESPACHO.ESCANEAR_BULTOS);
+    }
+    bulto = await tx.encomiendaBulto.findUnique({ where: { codigo: normalizarCodigo(codigo) } });
+  }
+  if (escaneado && (!bulto || bulto.idEncomienda !== encomienda.id)) {
+    throw new Error(MENSAJES_DESPACHO.BULTO_NO_ENCONTRADO);
+  }
+
+  if (cargada && !bulto) {
+    throw Object.assign(new Error(MENSAJES_DESPACHO.YA_CARGADA), { despacho: cargada.despacho });
+  }
+
+  const item = cargada ?? await tx.despachoEncomienda.create({
+    data: {
+      idDespacho: despacho.id,
+      idEncomienda: encomienda.id,
+      userIdRegistration: userId
+    }
+  });
+
+  if (bulto) {
+    const { count } = await tx.despachoBulto.createMany({
+      data: [{ idDespachoEncomienda: item.id, idBulto: bulto.id, userIdRegistration: userId }],
+      skipDuplicates: true
+    });
+    if (count === 0) {
+      throw new Error(MENSAJES_DESPACHO.BULTO_YA_CARGADO);
+    }
+  }
+
+  const bultosCargados = bulto
+    ? await tx.despachoBulto.count({ where: { idDespachoEncomienda: item.id } })
+    : null;
+
+  return { encomienda, bulto, bultosCargados };
+};
+
+/**
+ * Quitar una encomienda de un despacho ABIERTO (dentro de una transaccion)
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idDespacho - ID del despacho
+ * @param {number} idEncomienda - ID de la encomienda
+ * @returns {Promise<Object|null>} Despacho o null si no existe
+ * @throws {Error} Si el despacho no esta abierto o la encomienda no esta cargada
+ */
+const quitarEncomienda = async (tx, idDespacho, idEncomienda) => {
+  const despacho = await bloquearDespacho(tx, idDespacho);
+  if (!despacho) return null;
+
+  if (despacho.estado !== 'ABIERTO') {
+    throw new Error(MENSAJES_DESPACHO.NO_ABIERTO);
+  }
+
+  const { count } = await tx.despachoEncomienda.deleteMany({
+    where: { idDespacho: despacho.id, idEncomienda }
+  });
+
+  if (count === 0) {
+    throw new Error(MENSAJES_DESPACHO.NO_CARGADA);
+  }
+
+  return despacho;
+};
+
+/**
+ * Despachar: pasar todas las encomiendas cargadas a EN_RUTA (dentro de una transaccion)
+ * Registra el vehiculo y conductor asignados al viaje al momento de salir.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idDespacho - ID del despacho
+ * @param {Object} params - { nota, userId }
+ * @returns {Promise<Object|null>} { despacho, encomiendas } o null si no existe
+ * @throws {Error} Si el despacho no se puede despachar
+ */
+const despacharDespacho = async (tx, idDespacho, { nota = null, userId }) => {
+  const despacho = await bloquearDespacho(tx, idDespacho);
+  if (!despacho) return null;
+
+  if (despacho.estado !== 'ABIERTO') {
+    throw new Error(MENSAJES_DESPACHO.NO_ABIERTO);
+  }
+
+  const asignacion = await obtenerAsignacionViaje(tx, despacho.idViaje);
+  if (!ESTADOS_VIAJE_DESPACHO.includes(asignacion.viaje.estado)) {
+    throw new Error(MENSAJES_DESPACHO.VIAJE_NO_OPERABLE);
+  }
+
+  const idVehiculo = asignacion.idVehiculo ?? despacho.idVehiculo;
+  const idConductor = asignacion.idConductor ?? despacho.idConductor;
+  if (!idVehiculo) {
+    throw new Error(MENSAJES_DESPACHO.SIN_VEHICULO);
+  }
+
+  const items = await tx.despachoEncomienda.findMany({
+    where: { idDespacho: despacho.id },
+    include: {
+      encomienda: { select: { id: true, codigoTracking: true, estadoActual: true, totalBultos: true } },
+      _count: { select: { bultos: true } }
+    }
+  });
+
+  if (items.length === 0) {
+    throw new Error(MENSAJES_DESPACHO.SIN_ENCOMIENDAS);
+  }
+
+  // Una guia de varios bultos no sale dividida
+  const incompletas = items.filter((item) =>
+    item.encomienda.totalBultos > 1 && item._count.bultos < item.encomienda.totalBultos
+  );
+  if (incompletas.length > 0) {
+    throw Object.assign(new Error(MENSAJES_DESPACHO.BULTOS_INCOMPLETOS), {
+      codigos: incompletas.map((item) => item.encomienda.codigoTracking)
+    });
+  }
+
+  // Una encomienda pudo cambiar de estado por otra via despues de cargarla
+  const movidas = items.filter((item) => item.encomienda.estadoActual !== 'EN_ALMACEN');
+  if (movidas.length > 0) {
+    throw Object.assign(new Error(MENSAJES_DESPACHO.MOVIDAS), {
+      codigos: movidas.map((item) => item.encomienda.codigoTracking)
+    });
+  }
+
+  const idsEncomiendas = items.map((item) => item.idEncomienda);
+  const vehiculo = await tx.vehiculo.findUnique({ where: { id: idVehiculo }, select: { placa: true } });
+  const notaEvento = [`Despacho ${despacho.codigo} - Vehiculo ${vehiculo.placa}`, nota].filter(Boolean).join(' - ');
+
+  await tx.encomienda.updateMany({
+    where: { id: { in: idsEncomiendas } },
+    data: {
+      estadoActual: 'EN_RUTA',
+      userIdModification: userId,
+      dateTimeModification: utcNow()
+    }
+  });
+
+  await tx.eventoEncomienda.createMany({
+    data: idsEncomiendas.map((idEncomienda) => ({
+      idEncomienda,
+      estadoDestino: 'EN_RUTA',
+      idUsuarioEvento: userId,
+      idPuntoEvento: despacho.idPuntoOrigen,
+      nota: notaEvento.slice(0, 255),
+      userIdRegistration: userId
+    }))
+  });
+
+  const actualizado = await tx.despacho.update({
+    where: { id: despacho.id },
+    data: {
+      estado: 'DESPACHADO',
+      idVehiculo,
+      idConductor,
+      fechaDespacho: utcNow(),
+      idUsuarioDespacho: userId,
+      userIdModification: userId,
+      dateTimeModification: utcNow()
+    }
+  });
+
+  return { despacho: actualizado, encomiendas: items.map((item) => item.encomienda.codigoTracking) };
+};
+
+/**
+ * Recibir un despacho en su punto de destino (dentro de una transaccion)
+ * Sin codigos escaneados se recibe el manifiesto completo. Con codigos, lo no escaneado
+ * queda FALTANTE (sigue EN_RUTA) y lo escaneado fuera del manifiesto se registra como
+ * SOBRANTE sin cambiar su estado. Una guia de varios bultos llega solo si se escanearon
+ * todos sus bultos; con algunos escaneados queda FALTANTE y se informa como parcial.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idDespacho - ID del despacho
+ * @param {Object} params - { codigos: string[]|null, nota, userId }
+ * @returns {Promise<Object|null>} { despacho, recibidas, faltantes, parciales, sobrantes, desconocidos } o null
+ * @throws {Error} Si el despacho no esta en ruta
+ */
+const recibirDespacho = async (tx, idDespacho, { codigos = null, nota = null, userId }) => {
+  const despacho = await bloquearDespacho(tx, idDespacho);
+  if (!despacho) return null;
+
+  if (despacho.estado !== 'DESPACHADO') {
+    throw new Error(MENSAJES_DESPACHO.NO_DESPACHADO);
+  }
+
+  const items = await tx.despachoEncomienda.findMany({
+    where: { idDespacho: despacho.id, estado: 'CARGADA' },
+    include: {
+      encomienda: { select: { id: true, codigoTracking: true, estadoActual: true } },
+      bultos: { include: { bulto: { select: { codigo: true } } } }
+    }
+  });
+
+  const escaneados = codigos ? new Set(codigos.map(normalizarCodigo).filter(Boolean)) : null;
+  const enManifiesto = new Set(items.flatMap((item) => [
+    item.encomienda.codigoTracking,
+    ...item.bultos.map((cargado) => cargado.bulto.codigo)
+  ]));
+
+  // Bultos escaneados de cada guia de varios bultos
+  const bultosEscaneados = (item) => item.bultos.filter((cargado) => !escaneados || escaneados.has(cargado.bulto.codigo));
+  const escaneada = (item) => item.bultos.length > 0
+    ? bultosEscaneados(item).length === item.bultos.length
+    : !escaneados || escaneados.has(item.encomienda.codigoTracking);
+
+  // Solo se recibe lo que sigue EN_RUTA: una encomienda movida por otra via cuenta como faltante
+  const recibidos = items.filter((item) => item.encomienda.estadoActual === 'EN_RUTA' && escaneada(item));
+  const idsRecibidos = new Set(recibidos.map((item) => item.id));
+  const faltantes = items.filter((item) => !idsRecibidos.has(item.id));
+  const parciales = faltantes.filter((item) => item.bultos.length > 0 && bultosEscaneados(item).length > 0);
+  const ahora = utcNow();
+
+  if (recibidos.length > 0) {
+    const idsEncomiendas = recibidos.map((item) => item.idEncomienda);
+
+    await tx.despachoEncomienda.updateMany({
+      where: { id: { in: [...idsRecibidos] } },
+      data: { estado: 'RECIBIDA', fechaRecepcion: ahora }
+    });
+
+    await tx.encomienda.updateMany({
+      where: { id: { in: idsEncomiendas } },
+      data: {
+        estadoActual: 'LLEGO_A_DESTINO',
+        userIdModification: userId,
+        dateTimeModification: ahora
+      }
+    });
+
+    await tx.eventoEncomienda.createMany({
+      data: idsEncomiendas.map((idEncomienda) => ({
+        idEncomienda,
+        estadoDestino: 'LLEGO_A_DESTINO',
+        idUsuarioEvento: userId,
+        idPuntoEvento: despacho.idPuntoDestino,
+        nota: [`Recibida en despacho ${despacho.codigo}`, nota].filter(Boolean).join(' - ').slice(0, 255),
+        userIdRegistration: userId
+      }))
+    });
+  }
+
+  if (faltantes.length > 0) {
+    await tx.despachoEncomienda.updateMany({
+      where: { id: { in: faltantes.map((item) => item.id) } },
+      data: { estado: 'FALTANTE' }
+    });
+  }
+
+  // Estado de cada bulto: recibido si llego su guia o si se escaneo su etiqueta
+  const bultosRecibidos = items.flatMap((item) =>
+    idsRecibidos.has(item.id) ? item.bultos : bultosEscaneados(item)
+  );
+  if (bultosRecibidos.length > 0) {
+    await tx.despachoBulto.updateMany({
+      where: { id: { in: bultosRecibidos.map((cargado) => cargado.id) } },
+      data: { estado: 'RECIBIDA', fechaRecepcion: ahora }
+    });
+  }
+  await tx.despachoBulto.updateMany({
+    where: { idDespachoEncomienda: { in: items.map((item) => item.id) }, estado: 'CARGADA' },
+    data: { estado: 'FALTANTE' }
+  });
+
+  // Codigos escaneados que no estaban en el manifiesto (un bulto cuenta por su guia)
+  const fuera = escaneados ? [...escaneados].filter((codigo) => !enManifiesto.has(codigo)) : [];
+  const guiaDe = (codigo) => parsearCodigoBulto(codigo)?.codigoTracking ?? codigo;
+  const encontradas = fuera.length > 0
+    ? await tx.encomienda.findMany({
+      where: { codigoTracking: { in: [...new Set(fuera.map(guiaDe))] } },
+      select: { id: true, codigoTracking: true, estadoActual: true, idPuntoDestino: true }
+    })
+    : [];
+
+  if (encontradas.length > 0) {
+    await tx.despachoEncomienda.createMany({
+      data: encontradas.map((encomienda) => ({
+        idDespacho: despacho.id,
+        idEncomienda: encomienda.id,
+        estado: 'SOBRANTE',
+        fechaRecepcion: ahora,
+        userIdRegistration: userId
+      })),
+      skipDuplicates: true
+    });
+  }
+
+  const codigosEncontrados = new Set(encontradas.map((encomienda) => encomienda.codigoTracking));
+
+  const actualizado = await tx.despacho.update({
+    where: { id: despacho.id },
+    data: {
+      estado: 'RECIBIDO',
+      fechaLlegada: ahora,
+      idUsuarioLlegada: userId,
+      observacionLlegada: nota ? nota.slice(0, 255) : null,
+      userIdModification: userId,
+      dateTimeModification: ahora
+    }
+  });
+
+  return {
+    despacho: actualizado,
+    recibidas: recibidos.map((item) => item.encomienda.codigoTracking),
+    faltantes: faltantes.map((item) => item.encomienda.codigoTracking),
+    parciales: parciales.map((item) => {
+      const llegaron = new Set(bultosEscaneados(item).map((cargado) => cargado.bulto.codigo));
+      return {
+        codigoTracking: item.encomienda.codigoTracking,
+        bultosRecibidos: [...llegaron],
+        bultosFaltantes: item.bultos.map((cargado) => cargado.bulto.codigo).filter((codigo) => !llegaron.has(codigo))
+      };
+    }),
+    sobrantes: encontradas.map((encomienda) => ({
+      codigoTracking: encomienda.codigoTracking,
+      estadoActual: encomienda.estadoActual,
+      idPuntoDestino: encomienda.idPuntoDestino
+    })),
+    desconocidos: fuera.filter((codigo) => !codigosEncontrados.has(guiaDe(codigo)))
+  };
+};
+
+module.exports = {
+  ESTADOS_DESPACHO,
+  ESTADOS_VIAJE_DESPACHO,
+  MENSAJES_DESPACHO,
+  INCLUDE_DESPACHO,
+  esErrorDespacho,
+  obtenerAsignacionViaje,
+  bloquearDespacho,
+  cargarEncomienda,
+  quitarEncomienda,
+  despacharDespacho,
+  recibirDespacho
+};
@@ -5,6 +5,7 @@
  * Tipos de comprobante:
  * - 01: Factura
  * - 03: Boleta de Venta
+ * - 07: Nota de Crédito (referencia a una factura o boleta)
  *
  * Tipos de documento cliente:
  * - 6: RUC
@@ -51,7 +52,9 @@ const construirPayloadKeyfacil = (config, data) => {
     numero,
     fechaEmision,
     cliente,
-    items
+    items,
+    documentoReferencia = null,
+    motivoNota = null
   } = data;
 
   // Formatear fecha YYYY-MM-DD
@@ -81,7 +84,15 @@ const construirPayloadKeyfacil = (config, data) => {
       cantidad: parseFloat(item.cantidad),
       precio_unitario: parseFloat(item.precioUnitario.toFixed(2)),
       tipo_igv: item.tipoIGV
-    }))
+    })),
+    // Nota de crédito: comprobante afectado y motivo (catálogo 09 SUNAT)
+    ...(documentoReferencia && {
+      documento_referencia_tipo: documentoReferencia.tipoComprobante,
+      documento_referencia_serie: documentoReferencia.serie,
+      documento_referencia_numero: parseInt(documentoReferencia.numero),
+      motivo_codigo: motivoNota?.codigo,
+      motivo_descripcion: motivoNota?.descripcion
+    })
   };
 };
 
@@ -161,21 +172,28 @@ const emitirComprobante = async ({
   origenId = null,
   userId,
   comentario = null,
-  incluyeIgv = null
+  incluyeIgv = null,
+  documentoReferencia = null,
+  motivoNota = null
 }) => {
   // Obtener configuración
   const config = await keyfacilService.getConfig();
 
   // Validar tipo de comprobante
-  if (!['01', '03'].includes(tipoComprobante)) {
-    throw new Error('Tipo de comprobante inválido. Use 01 (Factura) o 03 (Boleta)');
+  if (!['01', '03', '07'].includes(tipoComprobante)) {
+    throw new Error('Tipo de comprobante inválido. Use 01 (Factura), 03 (Boleta) o 07 (Nota de crédito)');
+  }
+
+  if (tipoComprobante === '07' && !documentoReferencia) {
+    throw new Error('La nota de crédito requiere el comprobante de referencia');
   }
 
-  // Validar serie según tipo
-  if (tipoComprobante === '01' && !serie.startsWith('F')) {
+  // Validar serie según tipo (la nota de crédito sigue la serie del comprobante afectado)
+  const tipoSerie = tipoComprobante === '07' ? documentoReferencia.tipoComprobante : tipoComprobante;
+  if (tipoSerie === '01' && !serie.startsWith('F')) {
     throw new Error('La serie de factura debe empezar con F');
   }
-  if (tipoComprobante === '03' && !serie.startsWith('B')) {
+  if (tipoSerie === '03' && !serie.startsWith('B')) {
     throw new Error('La serie de boleta debe empezar con B');
   }
 
@@ -203,14 +221,16 @@ const emitirComprobante = async ({
       tipo_comprobante, serie, numero, numero_completo, fecha_emision, hora_emision,
       cliente_tipo_doc, cliente_num_doc, cliente_razon_social, cliente_direccion,
       subtotal, igv, total, moneda, origen_tipo, origen_id,
-      estado, user_id_registration, comentario
+      estado, user_id_registration, comentario,
+      id_referencia, motivo_nota
     ) VALUES (
       ${tipoComprobante}, ${serie}, ${numero}, ${numeroCompleto},
       (NOW() AT TIME ZONE 'America/Lima')::DATE,
       (NOW() AT TIME ZONE 'America/Lima')::TIME,
       ${cliente.tipoDoc}, ${cliente.numDoc}, ${cliente.razonSocial}, ${cliente.direccion || ''},
       ${totales.subtotal}, ${totales.igv}, ${totales.total}, 'PEN',
-      ${origenTipo}, ${origenId}, 'PENDIENTE', ${userId}, ${comentario}
+      ${origenTipo}, ${origenId}, 'PENDIENTE', ${userId}, ${comentario},
+      ${documentoReferencia?.id ?? null}, ${motivoNota?.descripcion ?? null}
     )
     RETURNING id, numero_completo
   `;
@@ -241,7 +261,9 @@ const emitirComprobante = async ({
     fechaEmision: utcNow(),
     cliente,
     items: itemsCalculados,
-    totales
+    totales,
+    documentoReferencia,
+    motivoNota
   });
 
   // Enviar a KEYFACIL
@@ -440,6 +462,84 @@ const emitirDesdeEncomienda = async (encomiendaId, { tipoComprobante, serie, cli
   return comprobante;
 };
 
+/**
+ * Emitir nota de crédito sobre un comprobante
+ * Copia los items afectados (precio y tipo de IGV) del comprobante de referencia.
+ * @param {number} idComprobanteReferencia - ID de la factura o boleta afectada
+ * @param {Object} params - Parámetros de la nota
+ * @param {Array<string>|null} params.codigosItems - Códigos de items a revertir (null = todos)
+ * @param {string} params.motivo - Descripción del motivo
+ * @param {string} params.origenTipo - Tipo de origen de la nota
+ * @param {number} params.origenId - ID del origen
+ * @param {number} params.userId - ID del usuario
+ * @returns {Object} Nota de crédito creada
+ */
+const emitirNotaCredito = async (idComprobanteReferencia, { codigosItems = null, motivo, origenTipo, origenId, userId }) => {
+  const referencia = await prisma.$queryRaw`
+    SELECT * FROM tbl_comprobantes WHERE id = ${idComprobanteReferencia}
+  `;
+
+  if (!referencia || referencia.length === 0) {
+    throw new Error('Comprobante no encontrado');
+  }
+
+  const ref = referencia[0];
+
+  if (ref.estado === 'ANULADO') {
+    throw new Error('El comprobante ya está anulado');
+  }
+
+  const itemsReferencia = await prisma.$queryRaw`
+    SELECT codigo, descripcion, unidad_medida, cantidad, precio_unitario, tipo_igv
+    FROM tbl_comprobante_items
+    WHERE id_comprobante = ${idComprobanteReferencia}
+    ORDER BY numero_item
+  `;
+
+  const itemsAfectados = codigosItems
+    ? itemsReferencia.filter((item) => codigosItems.includes(item.codigo))
+    : itemsReferencia;
+
+  if (itemsAfectados.length === 0) {
+    throw new Error('No hay items del comprobante para la nota de crédito');
+  }
+
+  // Catálogo 09 SUNAT: 06 = devolución total, 07 = devolución por ítem
+  const esTotal = itemsAfectados.length === itemsReferencia.length;
+
+  return emitirComprobante({
+    tipoComprobante: '07',
+    serie: ref.tipo_comprobante === '01' ? 'FC74' : 'BC74',
+    cliente: {
+      tipoDoc: ref.cliente_tipo_doc,
+      numDoc: ref.cliente_num_doc,
+      razonSocial: ref.cliente_razon_social,
+      direccion: ref.cliente_direccion || ''
+    },
+    items: itemsAfectados.map((item) => ({
+      codigo: item.codigo,
+      descripcion: item.descripcion,
+      unidadMedida: item.unidad_medida,
+      cantidad: parseFloat(item.cantidad),
+      precioUnitario: parseFloat(item.precio_unitario),
+      tipoIGV: item.tipo_igv
+    })),
+    origenTipo,
+    origenId,
+    userId,
+    documentoReferencia: {
+      id: ref.id,
+      tipoComprobante: ref.tipo_comprobante,
+      serie: ref.serie,
+      numero: ref.numero
+    },
+    motivoNota: {
+      codigo: esTotal ? '06' : '07',
+      descripcion: motivo
+    }
+  });
+};
+
 /**
  * Anular comprobante
  * @param {number} idComprobante - ID del comprobante
@@ -485,11 +585,12 @@ const anularComprobanteLocal = async (idComprobante, motivo, userId) => {
   `;
 
   // Limpiar referencia id_comprobante en ticket/encomienda para permitir re-facturación
+  // (un comprobante de venta por lote referencia a varios tickets)
   if (comp.origen_tipo === 'TICKET' && comp.origen_id) {
     await prisma.$executeRaw`
       UPDATE tbl_tickets
       SET id_comprobante = NULL
-      WHERE id = ${comp.origen_id}
+      WHERE id = ${comp.origen_id} OR id_comprobante = ${idComprobante}
     `;
   } else if (comp.origen_tipo === 'ENCOMIENDA' && comp.origen_id) {
     await prisma.$executeRaw`
@@ -902,6 +1003,7 @@ module.exports = {
   emitirComprobante,
   emitirDesdeTicket,
   emitirDesdeEncomienda,
+  emitirNotaCredito,
   anularComprobante: anularComprobanteLocal,
   listarComprobantes,
   obtenerComprobante,
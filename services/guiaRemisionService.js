@@ -21,6 +21,8 @@
 
 const prisma = require('../config/prisma');
 const keyfacilService = require('./keyfacilService');
+const { obtenerVehiculoGuia } = require('./vehiculosService');
+const { obtenerConductorGuia } = require('./conductoresService');
 const { utcNow } = require('../utils/dateUtils');
 
 /**
@@ -132,6 +134,8 @@ const construirPayloadGuia = (config, data) => {
 
 /**
  * Emitir guía de remisión
+ * Si no se envían la placa del vehículo o el documento del conductor se completan con el
+ * vehículo y conductor indicados (idVehiculo, idConductor) o con los asignados al viaje (idViaje).
  * @param {Object} params - Parámetros de la guía
  * @returns {Object} Guía creada
  */
@@ -154,11 +158,30 @@ const emitirGuia = async ({
   observaciones,
   items,
   idEncomienda = null,
+  idVehiculo = null,
+  idConductor = null,
+  idViaje = null,
   userId
 }) => {
   // Obtener configuración
   const config = await keyfacilService.getConfig();
 
+  // Completar datos del conductor desde el registro de conductores
+  if (!conductor?.documento && !conductor?.numDoc && (idConductor || idViaje)) {
+    const conductorRegistrado = await obtenerConductorGuia(prisma, { idConductor, idViaje });
+    if (conductorRegistrado) {
+      conductor = { ...conductor, ...conductorRegistrado };
+    }
+  }
+
+  // Completar datos del vehículo desde la flota
+  if (!vehiculo?.placa && (idVehiculo || idViaje)) {
+    const vehiculoFlota = await obtenerVehiculoGuia(prisma, { idVehiculo, idViaje });
+    if (vehiculoFlota) {
+      vehiculo = { ...vehiculo, ...vehiculoFlota };
+    }
+  }
+
   // Validar que transportista y conductor tengan datos (ambos obligatorios en KEYFACIL)
   if (!transportista || (!transportista.documento && !transportista.ruc)) {
     throw new Error('Se requieren datos del transportista (documento y nombre)');
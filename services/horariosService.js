@@ -0,0 +1,181 @@
+/**
+ * Horarios Service
+ * Calendario de operacion de los horarios de ruta: dias de la semana, vigencia y
+ * excepciones por fecha (cancelacion, salida adicional y cambio de capacidad)
+ */
+
+const { ajustarAsientosViaje } = require('./asientosService');
+const { calcularCuposTramo } = require('./tramosService');
+const { utcNow, getFechaCivilHoyPeru, diaEnMascara } = require('../utils/dateUtils');
+
+// Tipos de excepcion por fecha (enum TipoExcepcionHorario)
+const TIPOS_EXCEPCION = ['CANCELADO', 'ADICIONAL', 'CAPACIDAD'];
+
+// Estados de viaje que aun pueden operar o dejar de operar segun el calendario
+const ESTADOS_VIAJE_PENDIENTE = ['ABIERTO', 'CERRADO'];
+
+/**
+ * Resolver si un horario opera en una fecha y con que capacidad
+ * - Un horario deshabilitado o con excepcion CANCELADO no opera
+ * - Una excepcion ADICIONAL lo hace operar aunque la fecha este fuera de sus dias o vigencia
+ * - Las excepciones ADICIONAL y CAPACIDAD pueden cambiar la capacidad de ese dia
+ * @param {Object} horario - Horario (habilitado, diasSemana, vigenciaDesde, vigenciaHasta, capacidadTotal)
+ * @param {Date} fecha - Fecha civil (medianoche UTC)
+ * @param {Object|null} excepcion - Excepcion del horario para la fecha
+ * @returns {Object} { opera, capacidadTotal, excepcion }
+ */
+const resolverHorarioFecha = (horario, fecha, excepcion = null) => {
+  const capacidadTotal = excepcion?.capacidadTotal ?? horario.capacidadTotal;
+
+  if (!horario.habilitado || excepcion?.tipo === 'CANCELADO') {
+    return { opera: false, capacidadTotal, excepcion };
+  }
+
+  if (excepcion?.tipo === 'ADICIONAL') {
+    return { opera: true, capacidadTotal, excepcion };
+  }
+
+  const opera = diaEnMascara(horario.diasSemana, fecha) &&
+    (!horario.vigenciaDesde || fecha >= horario.vigenciaDesde) &&
+    (!horario.vigenciaHasta || fecha <= horario.vigenciaHasta);
+
+  return { opera, capacidadTotal, excepcion };
+};
+
+/**
+ * Obtener la operacion de un horario en una fecha (carga su excepcion)
+ * @param {Object} tx - Cliente Prisma
+ * @param {Object} horario - Horario con los campos de calendario
+ * @param {Date} fecha - Fecha civil
+ * @returns {Promise<Object>} { opera, capacidadTotal, excepcion }
+ */
+const obtenerHorarioFecha = async (tx, horario, fecha) => {
+  const excepcion = await tx.horarioExcepcion.findUnique({
+    where: { idHorario_fecha: { idHorario: horario.id, fecha } }
+  });
+
+  return resolverHorarioFecha(horario, fecha, excepcion);
+};
+
+/**
+ * Filtrar los horarios que operan en una fecha
+ * @param {Object} tx - Cliente Prisma
+ * @param {Object[]} horarios - Horarios con los campos de calendario
+ * @param {Date} fecha - Fecha civil
+ * @returns {Promise<Object[]>} Horarios que operan, con capacidadTotal del dia y su excepcion
+ */
+const obtenerHorariosFecha = async (tx, horarios, fecha) => {
+  if (horarios.length === 0) return [];
+
+  const excepciones = await tx.horarioExcepcion.findMany({
+    where: { idHorario: { in: horarios.map((h) => h.id) }, fecha }
+  });
+  const excepcionPorHorario = new Map(excepciones.map((e) => [e.idHorario, e]));
+
+  const operan = [];
+  for (const horario of horarios) {
+    const { opera, capacidadTotal, excepcion } = resolverHorarioFecha(
+      horario,
+      fecha,
+      excepcionPorHorario.get(horario.id) || null
+    );
+    if (opera) {
+      operan.push({ ...horario, capacidadTotal, excepcion });
+    }
+  }
+
+  return operan;
+};
+
+/**
+ * Verificar que los viajes pendientes del horario sigan dentro de su calendario
+ * Se llama dentro de la transaccion que cambia el calendario, despues del cambio,
+ * para rechazarlo si deja viajes programados en fechas en que el horario ya no opera.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idHorario - ID del horario
+ * @param {Date|null} fecha - Solo verificar esta fecha (null = desde hoy en adelante)
+ * @returns {Promise<void>}
+ */
+const verificarViajesEnCalendario = async (tx, idHorario, fecha = null) => {
+  const horario = await tx.horarioRuta.findUnique({ where: { id: idHorario } });
+
+  const viajes = await tx.viaje.findMany({
+    where: {
+      idHorario,
+      estado: { in: ESTADOS_VIAJE_PENDIENTE },
+      fechaServicio: fecha || { gte: getFechaCivilHoyPeru() }
+    },
+    orderBy: { fechaServicio: 'asc' }
+  });
+
+  if (viajes.length === 0) return;
+
+  const excepciones = await tx.horarioExcepcion.findMany({
+    where: { idHorario, fecha: { in: viajes.map((v) => v.fechaServicio) } }
+  });
+  const excepcionPorFecha = new Map(excepciones.map((e) => [e.fecha.getTime(), e]));
+
+  const fueraDeCalendario = viajes.filter((viaje) => !resolverHorarioFecha(
+    horario,
+    viaje.fechaServicio,
+    excepcionPorFecha.get(viaje.fechaServicio.getTime()) || null
+  ).opera);
+
+  if (fueraDeCalendario.length > 0) {
+    const fechas = fueraDeCalendario.map((v) => v.fechaServicio.toISOString().slice(0, 10)).join(', ');
+    throw new Error(`Hay viajes programados en fechas en que el horario no operaria (${fechas}). Cancele esos viajes primero`);
+  }
+};
+
+/**
+ * Aplicar al viaje ya programado de una fecha la capacidad del calendario
+ * Solo afecta viajes pendientes sin vehiculo asignado (con vehiculo manda su capacidad).
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} horario - Horario con los campos de calendario
+ * @param {Date} fecha - Fecha civil
+ * @param {number} userId - Usuario que modifica
+ * @returns {Promise<Object|null>} Viaje actualizado o null si no hubo cambios
+ */
+const sincronizarCapacidadViaje = async (tx, horario, fecha, userId) => {
+  const viaje = await tx.viaje.findFirst({
+    where: {
+      idHorario: horario.id,
+      fechaServicio: fecha,
+      estado: { in: ESTADOS_VIAJE_PENDIENTE },
+      idVehiculo: null
+    }
+  });
+
+  if (!viaje) return null;
+
+  const { capacidadTotal } = await obtenerHorarioFecha(tx, horario, fecha);
+  if (capacidadTotal === viaje.capacidadTotal) return null;
+
+  // La nueva capacidad debe cubrir la ocupacion maxima de los tramos del viaje
+  const cupos = await calcularCuposTramo(tx, { ...viaje, capacidadTotal }, null, null);
+  if (cupos < 0) {
+    throw new Error('La capacidad es menor a los pasajes vendidos y reservados del viaje');
+  }
+
+  const actualizado = await tx.viaje.update({
+    where: { id: viaje.id },
+    data: {
+      capacidadTotal,
+      userIdModification: userId,
+      dateTimeModification: utcNow()
+    }
+  });
+
+  await ajustarAsientosViaje(tx, viaje.id);
+
+  return actualizado;
+};
+
+module.exports = {
+  TIPOS_EXCEPCION,
+  resolverHorarioFecha,
+  obtenerHorarioFecha,
+  obtenerHorariosFecha,
+  verificarViajesEnCalendario,
+  sincronizarCapacidadViaje
+};
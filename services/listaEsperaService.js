@@ -0,0 +1,229 @@
+/**
+ * Lista Espera Service
+ * Lista de espera de viajes con aforo completo
+ *
+ * Cuando se liberan cupos (ticket anulado o reprogramado, reserva liberada o mayor
+ * capacidad del viaje) las solicitudes EN_ESPERA se promueven en orden de llegada a
+ * reservas con tiempo limite (tiempo_reserva_minutos) a nombre del solicitante.
+ * Una solicitud que pide mas asientos de los libres se salta y espera su turno.
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('./auditoriaService');
+const { generarCodigoReserva } = require('./codigoService');
+const { ocuparAsiento, obtenerMapaAsientos } = require('./asientosService');
+const { calcularCuposTramo } = require('./tramosService');
+const { obtenerTiempoReserva } = require('./reservasService');
+const { utcNow, combinarFechaHoraPeru } = require('../utils/dateUtils');
+
+// Maximo de asientos por solicitud
+const MAX_ASIENTOS_LISTA_ESPERA = 10;
+
+/**
+ * Verificar si un viaje aun puede recibir promociones de la lista de espera
+ * @param {Object} viaje - Viaje con horario incluido
+ * @returns {boolean}
+ */
+const viajeAdmitePromocion = (viaje) => {
+  return viaje.estado === 'ABIERTO' &&
+    combinarFechaHoraPeru(viaje.fechaServicio, viaje.horario.horaSalida) > utcNow();
+};
+
+/**
+ * Promover una solicitud a reservas si hay asientos libres para su tramo
+ * @param {Object} entrada - Solicitud EN_ESPERA
+ * @param {number} tiempoReservaMinutos - Vigencia de las reservas
+ * @param {number|null} userId - Usuario que dispara la promocion (null = proceso automatico)
+ * @returns {Promise<Object[]|null>} Reservas creadas o null si no alcanza el cupo
+ */
+const promoverEntrada = async (entrada, tiempoReservaMinutos, userId) => {
+  return prisma.$transaction(async (tx) => {
+    const viaje = await tx.viaje.findUnique({
+      where: { id: entrada.idViaje },
+      include: { horario: true }
+    });
+
+    if (!viaje || !viajeAdmitePromocion(viaje)) return null;
+
+    const tramo = { ordenSubida: entrada.ordenSubida, ordenBajada: entrada.ordenBajada };
+
+    const cupos = await calcularCuposTramo(tx, viaje, tramo.ordenSubida, tramo.ordenBajada);
+    if (cupos < entrada.asientos) return null;
+
+    const { asientos } = await obtenerMapaAsientos(tx, viaje.id, tramo);
+    const libres = asientos.filter((a) => a.estado === 'LIBRE').slice(0, entrada.asientos);
+    if (libres.length < entrada.asientos) return null;
+
+    // Tomar la solicitud solo si sigue en espera (evita doble promocion)
+    const { count } = await tx.listaEspera.updateMany({
+      where: { id: entrada.id, estado: 'EN_ESPERA' },
+      data: {
+        estado: 'PROMOVIDA',
+        fechaPromocion: utcNow(),
+        userIdModification: userId,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    if (count === 0) return null;
+
+    const fechaExpiracion = new Date(utcNow().getTime() + tiempoReservaMinutos * 60 * 1000);
+    const reservas = [];
+
+    for (const asiento of libres) {
+      await ocuparAsiento(tx, viaje.id, asiento.numeroAsiento, tramo);
+
+      const codigo = await generarCodigoReserva(tx);
+
+      reservas.push(await tx.reserva.create({
+        data: {
+          codigo,
+          idViaje: viaje.id,
+          idPasajero: entrada.idPasajero,
+          numeroAsiento: asiento.numeroAsiento,
+          idPuntoSubida: entrada.idPuntoSubida,
+          idPuntoBajada: entrada.idPuntoBajada,
+          ordenSubida: entrada.ordenSubida,
+          ordenBajada: entrada.ordenBajada,
+          estado: 'PENDIENTE',
+          fechaExpiracion,
+          observacion: 'Reserva generada desde lista de espera',
+          idListaEspera: entrada.id,
+          // El proceso automatico registra la reserva a nombre de quien inscribio la solicitud
+          idUsuarioReserva: userId || entrada.userIdRegistration,
+          userIdRegistration: userId
+        }
+      }));
+    }
+
+    return reservas;
+  });
+};
+
+/**
+ * Promover las solicitudes en espera de un viaje mientras haya asientos libres
+ * No lanza errores: una promocion fallida no afecta la operacion que libero el cupo.
+ * @param {number} idViaje - ID del viaje
+ * @param {number|null} userId - Usuario que libero el cupo (null = proceso automatico)
+ * @returns {Promise<Object[]>} [{ idListaEspera, reservas: [codigo] }]
+ */
+const promoverListaEspera = async (idViaje, userId = null) => {
+  const promovidas = [];
+
+  try {
+    const entradas = await prisma.listaEspera.findMany({
+      where: { idViaje, estado: 'EN_ESPERA' },
+      orderBy: [{ dateTimeRegistration: 'asc' }, { id: 'asc' }]
+    });
+
+    if (entradas.length === 0) return promovidas;
+
+    const tiempoReservaMinutos = await obtenerTiempoReserva();
+
+    for (const entrada of entradas) {
+      const reservas = await promoverEntrada(entrada, tiempoReservaMinutos, userId);
+      if (!reservas) continue;
+
+      const codigos = reservas.map((r) => r.codigo);
+      promovidas.push({ idListaEspera: entrada.id, reservas: codigos });
+
+      await registrarAuditoria(userId, 'LISTA_ESPERA_PROMOVIDA', 'LISTA_ESPERA', entrada.id, {
+        idViaje,
+        asientos: reservas.map((r) => r.numeroAsiento),
+        reservas: codigos,
+        fechaExpiracion: reservas[0].fechaExpiracion
+      });
+    }
+  } catch (error) {
+    console.error(`Error promoviendo lista de espera del viaje ${idViaje}:`, error);
+  }
+
+  return promovidas;
+};
+
+/**
+ * Convertir manualmente una solicitud en reservas (sin respetar el orden de llegada)
+ * @param {Object} entrada - Solicitud EN_ESPERA
+ * @param {number} userId - Usuario que convierte
+ * @returns {Promise<Object[]|null>} Reservas creadas o null si no hay asientos libres suficientes
+ */
+const convertirEntrada = async (entrada, userId) => {
+  return promoverEntrada(entrada, await obtenerTiempoReserva(), userId);
+};
+
+/**
+ * Cerrar una solicitud en un estado final si sigue en el estado esperado
+ * @returns {Promise<boolean>} true si se cerro
+ */
+const cerrarEntrada = async (entrada, estadoActual, estado, motivoCierre) => {
+  const { count } = await prisma.listaEspera.updateMany({
+    where: { id: entrada.id, estado: estadoActual },
+    data: { estado, motivoCierre, dateTimeModification: utcNow() }
+  });
+
+  if (count > 0) {
+    await registrarAuditoria(null, `LISTA_ESPERA_${estado}`, 'LISTA_ESPERA', entrada.id, {
+      idViaje: entrada.idViaje,
+      motivo: motivoCierre
+    });
+  }
+
+  return count > 0;
+};
+
+/**
+ * Pasada periodica de la lista de espera (se ejecuta con el job de reservas)
+ * - Solicitudes promovidas sin reservas pendientes: ATENDIDA si se confirmo alguna, si no VENCIDA
+ * - Solicitudes en espera de viajes que ya no admiten venta: VENCIDA
+ * - Promocion de las solicitudes en espera de los viajes con cupos libres
+ * @returns {Promise<Object>} { cerradas, promovidas }
+ */
+const procesarListaEspera = async () => {
+  let cerradas = 0;
+  let promovidas = 0;
+
+  const promovidasAbiertas = await prisma.listaEspera.findMany({
+    where: { estado: 'PROMOVIDA' },
+    include: { reservas: { select: { estado: true, fechaExpiracion: true } } }
+  });
+
+  const ahora = utcNow();
+  for (const entrada of promovidasAbiertas) {
+    const pendientes = entrada.reservas.filter((r) => r.estado === 'PENDIENTE' && r.fechaExpiracion > ahora);
+    if (pendientes.length > 0) continue;
+
+    const atendida = entrada.reservas.some((r) => r.estado === 'CONFIRMADA');
+    const cerrada = atendida
+      ? await cerrarEntrada(entrada, 'PROMOVIDA', 'ATENDIDA', 'Reserva confirmada')
+      : await cerrarEntrada(entrada, 'PROMOVIDA', 'VENCIDA', 'Reserva no confirmada dentro del plazo');
+    if (cerrada) cerradas++;
+  }
+
+  const enEspera = await prisma.listaEspera.findMany({
+    where: { estado: 'EN_ESPERA' },
+    include: { viaje: { include: { horario: true } } }
+  });
+
+  const viajesConCupo = new Set();
+  for (const entrada of enEspera) {
+    if (viajeAdmitePromocion(entrada.viaje)) {
+      viajesConCupo.add(entrada.idViaje);
+    } else if (await cerrarEntrada(entrada, 'EN_ESPERA', 'VENCIDA', 'El viaje ya no admite venta')) {
+      cerradas++;
+    }
+  }
+
+  for (const idViaje of viajesConCupo) {
+    promovidas += (await promoverListaEspera(idViaje)).length;
+  }
+
+  return { cerradas, promovidas };
+};
+
+module.exports = {
+  MAX_ASIENTOS_LISTA_ESPERA,
+  viajeAdmitePromocion,
+  promoverListaEspera,
+  convertirEntrada,
+  procesarListaEspera
+};
@@ -0,0 +1,253 @@
+/**
+ * Manifiesto Service
+ * Servicio para el manifiesto de pasajeros de un viaje y su exportacion a CSV/PDF
+ *
+ * Mientras el viaje esta ABIERTO el manifiesto se arma con los tickets EMITIDOS.
+ * Al cerrar el viaje se guarda una copia congelada en tbl_manifiestos_viaje que
+ * es la que se devuelve y exporta desde ese momento. El estado de abordaje se lee
+ * siempre de los tickets, ya que el embarque ocurre despues del cierre.
+ */
+
+const { obtenerParadasRuta, calcularHoraParada } = require('./tramosService');
+const { generarPdfTabla, generarCsv } = require('../utils/exportUtils');
+const { INCLUDE_TRIPULACION } = require('./conductoresService');
+const { formatTimeForAPI } = require('../utils/dateUtils');
+
+// Columnas de exportacion (ancho en puntos PDF)
+const COLUMNAS_MANIFIESTO = [
+  { titulo: 'Asiento', ancho: 45, campo: 'numeroAsiento' },
+  { titulo: 'Pasajero', ancho: 155, campo: 'nombreCompleto' },
+  { titulo: 'Tipo doc.', ancho: 50, campo: 'tipoDocumento' },
+  { titulo: 'Documento', ancho: 80, campo: 'documentoIdentidad' },
+  { titulo: 'Telefono', ancho: 80, campo: 'telefono' },
+  { titulo: 'Sube en', ancho: 110, campo: 'subida' },
+  { titulo: 'Hora', ancho: 40, campo: 'horaSubida' },
+  { titulo: 'Baja en', ancho: 110, campo: 'bajada' },
+  { titulo: 'Ticket', ancho: 65, campo: 'codigoInterno' },
+  { titulo: 'Abordo', ancho: 35, campo: 'abordado' }
+];
+
+/**
+ * Obtener viaje con los datos de cabecera del manifiesto
+ * @param {Object} tx - Cliente Prisma o transaccion
+ * @param {number} idViaje - ID del viaje
+ * @returns {Promise<Object|null>} Viaje con ruta, horario, vehiculo, tripulacion y manifiesto congelado
+ */
+const obtenerViajeManifiesto = async (tx, idViaje) => {
+  return tx.viaje.findUnique({
+    where: { id: idViaje },
+    include: {
+      ruta: {
+        include: {
+          puntoOrigen: { select: { id: true, nombre: true } },
+          puntoDestino: { select: { id: true, nombre: true } }
+        }
+      },
+      horario: true,
+      vehiculo: { select: { id: true, placa: true, marca: true, modelo: true } },
+      tripulacion: INCLUDE_TRIPULACION,
+      manifiesto: {
+        include: { usuarioCierre: { select: { id: true, nombres: true } } }
+      }
+    }
+  });
+};
+
+/**
+ * Armar la lista de pasajeros con tickets EMITIDOS del viaje
+ * Los tickets sin tramo suben en el origen y bajan en el destino de la ruta.
+ * @param {Object} tx - Cliente Prisma o transaccion
+ * @param {Object} viaje - Viaje con horario incluido
+ * @returns {Promise<Array>} Pasajeros ordenados por asiento
+ */
+const construirPasajeros = async (tx, viaje) => {
+  const paradas = await obtenerParadasRuta(tx, viaje.idRuta);
+  const primera = paradas[0];
+  const ultima = paradas[paradas.length - 1];
+
+  const tickets = await tx.ticket.findMany({
+    where: { idViaje: viaje.id, estado: 'EMITIDO' },
+    include: { pasajero: true },
+    orderBy: [{ numeroAsiento: 'asc' }, { id: 'asc' }]
+  });
+
+  return tickets.map((ticket) => {
+    const subida = paradas.find((p) => p.orden === ticket.ordenSubida) || primera;
+    const bajada = paradas.find((p) => p.orden === ticket.ordenBajada) || ultima;
+
+    return {
+      idTicket: ticket.id,
+      codigoInterno: ticket.codigoInterno,
+      numeroAsiento: ticket.numeroAsiento,
+      nombreCompleto: ticket.pasajero.nombreCompleto,
+      tipoDocumento: ticket.pasajero.tipo_documento || 'DNI',
+      documentoIdentidad: ticket.pasajero.documentoIdentidad,
+      telefono: ticket.pasajero.telefono || '',
+      subida: subida.punto?.nombre || '',
+      horaSubida: formatTimeForAPI(calcularHoraParada(viaje.horario.horaSalida, subida.minutosDesdeSalida)),
+      bajada: bajada.punto?.nombre || '',
+      abordado: !!ticket.fechaAbordaje,
+      fechaAbordaje: ticket.fechaAbordaje
+    };
+  });
+};
+
+/**
+ * Actualizar el estado de abordaje de los pasajeros de un manifiesto congelado
+ * @param {Object} tx - Cliente Prisma o transaccion
+ * @param {number} idViaje - ID del viaje
+ * @param {Array} pasajeros - Pasajeros del manifiesto
+ * @returns {Promise<Array>} Pasajeros con abordado y fechaAbordaje actuales
+ */
+const aplicarAbordaje = async (tx, idViaje, pasajeros) => {
+  const abordados = await tx.ticket.findMany({
+    where: { idViaje, fechaAbordaje: { not: null } },
+    select: { id: true, fechaAbordaje: true }
+  });
+  const fechas = new Map(abordados.map((t) => [t.id, t.fechaAbordaje]));
+
+  return pasajeros.map((p) => ({
+    ...p,
+    abordado: fechas.has(p.idTicket),
+    fechaAbordaje: fechas.get(p.idTicket) || null
+  }));
+};
+
+/**
+ * Obtener el manifiesto de un viaje (congelado si el viaje ya fue cerrado)
+ * @param {Object} tx - Cliente Prisma o transaccion
+ * @param {Object} viaje - Viaje obtenido con obtenerViajeManifiesto
+ * @returns {Promise<Object>} { viaje, cerrado, cierre, totalPasajeros, abordados, noShow, pasajeros }
+ */
+const obtenerManifiesto = async (tx, viaje) => {
+  const congelado = viaje.manifiesto;
+  const pasajeros = congelado
+    ? await aplicarAbordaje(tx, viaje.id, congelado.pasajeros)
+    : await construirPasajeros(tx, viaje);
+  const abordados = pasajeros.filter((p) => p.abordado).length;
+
+  return {
+    viaje: {
+      id: viaje.id,
+      fechaServicio: viaje.fechaServicio,
+      horaSalida: viaje.horario.horaSalida,
+      origen: viaje.ruta.puntoOrigen,
+      destino: viaje.ruta.puntoDestino,
+      capacidadTotal: viaje.capacidadTotal,
+      vehiculo: viaje.vehiculo,
+      tripulacion: viaje.tripulacion.map((t) => ({
+        rol: t.rol,
+        nombreCompleto: `${t.conductor.nombres} ${t.conductor.apellidos}`,
+        numeroDocumento: t.conductor.numeroDocumento,
+        licenciaNumero: t.conductor.licenciaNumero,
+        licenciaCategoria: t.conductor.licenciaCategoria
+      })),
+      estado: viaje.estado
+    },
+    cerrado: !!congelado,
+    cierre: congelado
+      ? {
+        fechaCierre: congelado.fechaCierre,
+        usuario: congelado.usuarioCierre,
+        observaciones: congelado.observaciones
+      }
+      : null,
+    totalPasajeros: pasajeros.length,
+    abordados,
+    noShow: pasajeros.length - abordados,
+    pasajeros
+  };
+};
+
+/**
+ * Filas de exportacion del manifiesto
+ * @param {Object} manifiesto - Resultado de obtenerManifiesto
+ * @returns {Array<Array<string>>}
+ */
+const filasManifiesto = (manifiesto) => {
+  return manifiesto.pasajeros.map((p) => COLUMNAS_MANIFIESTO.map(({ campo }) => {
+    if (typeof p[campo] === 'boolean') {
+      return p[campo] ? 'SI' : 'NO';
+    }
+    return p[campo] ?? '';
+  }));
+};
+
+/**
+ * Nombre de archivo para la exportacion
+ * @param {Object} manifiesto - Resultado de obtenerManifiesto
+ * @param {string} extension - csv | pdf
+ * @returns {string}
+ */
+const nombreArchivoManifiesto = (manifiesto, extension) => {
+  const fecha = new Date(manifiesto.viaje.fechaServicio).toISOString().slice(0, 10);
+  return `manifiesto-${manifiesto.viaje.id}-${fecha}.${extension}`;
+};
+
+/**
+ * Exportar manifiesto a CSV
+ * @param {Object} manifiesto - Resultado de obtenerManifiesto
+ * @returns {string} Contenido CSV
+ */
+const exportarManifiestoCsv = (manifiesto) => {
+  return generarCsv(COLUMNAS_MANIFIESTO.map((c) => c.titulo), filasManifiesto(manifiesto));
+};
+
+/**
+ * Exportar manifiesto a PDF imprimible
+ * @param {Object} manifiesto - Resultado de obtenerManifiesto
+ * @returns {Buffer} Contenido PDF
+ */
+const exportarManifiestoPdf = (manifiesto) => {
+  const { viaje, cierre } = manifiesto;
+  const fecha = new Date(viaje.fechaServicio).toISOString().slice(0, 10);
+
+  const encabezado = [
+    `Ruta: ${viaje.origen.nombre} - ${viaje.destino.nombre}`,
+    `Fecha de servicio: ${fecha}    Hora de salida: ${formatTimeForAPI(viaje.horaSalida)}    Viaje N° ${viaje.id}`,
+    `Pasajeros: ${manifiesto.totalPasajeros} / ${viaje.capacidadTotal}    Estado: ${manifiesto.cerrado ? 'CERRADO' : 'ABIERTO (preliminar)'}`
+  ];
+
+  if (viaje.vehiculo) {
+    encabezado.push(`Vehiculo: ${viaje.vehiculo.placa}${viaje.vehiculo.marca ? ` - ${viaje.vehiculo.marca}` : ''}`);
+  }
+
+  const conductores = viaje.tripulacion.filter((t) => t.rol === 'CONDUCTOR');
+  const ayudantes = viaje.tripulacion.filter((t) => t.rol === 'AYUDANTE');
+
+  if (conductores.length > 0) {
+    encabezado.push(`Conductor(es): ${conductores
+      .map((t) => `${t.nombreCompleto} (Lic. ${t.licenciaNumero}${t.licenciaCategoria ? ` ${t.licenciaCategoria}` : ''})`)
+      .join(', ')}`);
+  }
+
+  if (ayudantes.length > 0) {
+    encabezado.push(`Ayudante(s): ${ayudantes.map((t) => t.nombreCompleto).join(', ')}`);
+  }
+
+  if (cierre) {
+    encabezado.push(
+      `Cerrado el ${new Date(cierre.fechaCierre).toISOString().replace('T', ' ').slice(0, 16)} UTC por ${cierre.usuario?.nombres || '-'}`
+    );
+    if (cierre.observaciones) {
+      encabezado.push(`Observaciones: ${cierre.observaciones}`);
+    }
+  }
+
+  return generarPdfTabla({
+    titulo: 'MANIFIESTO DE PASAJEROS',
+    encabezado,
+    columnas: COLUMNAS_MANIFIESTO,
+    filas: filasManifiesto(manifiesto),
+    pie: `Total de pasajeros: ${manifiesto.totalPasajeros}    Abordaron: ${manifiesto.abordados}    No show: ${manifiesto.noShow}`
+  });
+};
+
+module.exports = {
+  obtenerViajeManifiesto,
+  construirPasajeros,
+  obtenerManifiesto,
+  nombreArchivoManifiesto,
+  exportarManifiestoCsv,
+  exportarManifiestoPdf
+};
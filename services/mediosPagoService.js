@@ -0,0 +1,278 @@
+/**
+ * Medios de Pago Service
+ * Pagos de una venta con uno o varios medios (efectivo, Yape, Plin, tarjeta, transferencia)
+ *
+ * Los pagos se reciben como [{ metodo, monto, referencia }] y deben sumar el precio final
+ * de la venta. Se mantiene el campo metodoPago de un solo medio: equivale a un pago por el
+ * total. El metodo de pago del ticket guarda el medio con el que se pago el mayor monto.
+ * El pago CREDITO (solo empresas clientes) cubre toda la venta, se carga a la cuenta de la
+ * empresa y no pasa por caja.
+ */
+
+const { registrarMovimientos } = require('./cajaService');
+const { METODO_CREDITO, cargarCredito } = require('./creditoEmpresaService');
+
+// Metodos de pago (enum MetodoPago)
+const METODOS_PAGO = ['EFECTIVO', 'YAPE', 'PLIN', 'TARJETA', 'TRANSFERENCIA'];
+
+// Metodos que requieren el numero de operacion
+const METODOS_CON_REFERENCIA = ['TRANSFERENCIA'];
+
+// Maximo de medios de pago por venta
+const MAX_PAGOS_VENTA = 5;
+
+// Mensajes de error de pagos lanzados dentro de las transacciones (se devuelven como 400)
+const MENSAJES_PAGO = {
+  SUMA_INCORRECTA: 'La suma de los pagos no coincide con el total a cobrar'
+};
+
+/**
+ * Verificar si un error corresponde a una validacion de pagos
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+const esErrorPago = (error) => Object.values(MENSAJES_PAGO).includes(error?.message);
+
+const aCentimos = (monto) => Math.round(monto * 100);
+
+/**
+ * Validar y normalizar los pagos de una venta
+ * Sin arreglo de pagos se usa metodoPago como un unico pago por el total.
+ * Un unico pago puede omitir el monto (se completa con el total al registrar).
+ * @param {Object} params - { pagos, metodoPago, idEmpresa } (idEmpresa solo para pago CREDITO)
+ * @returns {Object} { pagos: [{ metodo, monto, referencia }], metodoPrincipal, credito, idEmpresa, error }
+ */
+const normalizarPagos = ({ pagos, metodoPago, idEmpresa = null }) => {
+  const lista = Array.isArray(pagos) && pagos.length > 0
+    ? pagos
+    : [{ metodo: metodoPago }];
+
+  if (lista.length > MAX_PAGOS_VENTA) {
+    return { error: `Se permiten como maximo ${MAX_PAGOS_VENTA} medios de pago por venta` };
+  }
+
+  const normalizados = [];
+  for (const pago of lista) {
+    if (!pago?.metodo || (!METODOS_PAGO.includes(pago.metodo) && pago.metodo !== METODO_CREDITO)) {
+      return { error: 'Metodo de pago invalido' };
+    }
+
+    let monto = null;
+    if (pago.monto !== undefined && pago.monto !== null && pago.monto !== '') {
+      monto = parseFloat(pago.monto);
+      if (isNaN(monto) || monto <= 0) {
+        return { error: 'El monto de cada pago debe ser mayor a 0' };
+      }
+      monto = aCentimos(monto) / 100;
+    } else if (lista.length > 1) {
+      return { error: 'Indique el monto de cada pago' };
+    }
+
+    const referencia = pago.referencia ? String(pago.referencia).trim() : null;
+    if (referencia && referencia.length > 50) {
+      return { error: 'La referencia de pago no puede superar 50 caracteres' };
+    }
+
+    if (METODOS_CON_REFERENCIA.includes(pago.metodo) && !referencia) {
+      return { error: `El pago con ${pago.metodo} requiere el numero de operacion` };
+    }
+
+    normalizados.push({ metodo: pago.metodo, monto, referencia: referencia || null });
+  }
+
+  const credito = normalizados.some((pago) => pago.metodo === METODO_CREDITO);
+  if (credito && normalizados.length > 1) {
+    return { error: 'El pago a credito no se combina con otros medios de pago' };
+  }
+
+  if (credito && (!idEmpresa || isNaN(parseInt(idEmpresa)))) {
+    return { error: 'El pago a credito solo esta permitido para empresas clientes (idEmpresa)' };
+  }
+
+  const metodoPrincipal = normalizados.reduce(
+    (mayor, pago) => ((pago.monto ?? 0) > (mayor.monto ?? 0) ? pago : mayor)
+  ).metodo;
+
+  return {
+    pagos: normalizados,
+    metodoPrincipal,
+    credito,
+    idEmpresa: credito ? parseInt(idEmpresa) : null
+  };
+};
+
+/**
+ * Completar y verificar los pagos contra el total a cobrar
+ * @param {Object[]} pagos - Pagos normalizados
+ * @param {number} total - Total a cobrar
+ * @returns {Object[]} Pagos con monto
+ * @throws {Error} Si los montos no suman el total
+ */
+const ajustarPagos = (pagos, total) => {
+  const ajustados = pagos.map((pago) => ({ ...pago, monto: pago.monto ?? aCentimos(total) / 100 }));
+  const suma = ajustados.reduce((acumulado, pago) => acumulado + aCentimos(pago.monto), 0);
+
+  if (suma !== aCentimos(total)) {
+    throw Object.assign(new Error(MENSAJES_PAGO.SUMA_INCORRECTA), {
+      total: aCentimos(total) / 100,
+      totalPagos: suma / 100
+    });
+  }
+
+  return ajustados;
+};
+
+/**
+ * Repartir los pagos entre varias ventas en orden (cada venta se cubre con los pagos siguientes)
+ * @param {Object[]} pagos - Pagos con monto que suman el total de las ventas
+ * @param {number[]} montos - Precio final de cada venta
+ * @returns {Object[][]} Pagos de cada venta
+ */
+const repartirPagos = (pagos, montos) => {
+  const saldos = pagos.map((pago) => ({ ...pago, saldo: aCentimos(pago.monto) }));
+  let indice = 0;
+
+  return montos.map((monto) => {
+    let pendiente = aCentimos(monto);
+    const asignados = [];
+
+    while (pendiente > 0 && indice < saldos.length) {
+      const pago = saldos[indice];
+      const tomado = Math.min(pendiente, pago.saldo);
+
+      asignados.push({ metodo: pago.metodo, monto: tomado / 100, referencia: pago.referencia });
+      pago.saldo -= tomado;
+      pendiente -= tomado;
+      if (pago.saldo === 0) indice++;
+    }
+
+    return asignados;
+  });
+};
+
+/**
+ * Registrar los pagos de una venta de uno o varios tickets (dentro de una transaccion)
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object[]} tickets - Tickets vendidos con precioFinal
+ * @param {Object[]} pagos - Pagos normalizados
+ * @param {number} userId - Usuario que cobra
+ * @param {Object} [opciones] - { idCaja, idEmpresa } caja abierta donde se registra el cobro
+ *                              o empresa a cuya cuenta se carga el pago CREDITO
+ * @returns {Promise<Object[]>} Pagos con monto de toda la venta
+ */
+const registrarPagosTickets = async (tx, tickets, pagos, userId, { idCaja = null, idEmpresa = null } = {}) => {
+  const montos = tickets.map((t) => t.precioFinal);
+  const total = montos.reduce((suma, monto) => suma + aCentimos(monto), 0) / 100;
+  const ajustados = ajustarPagos(pagos, total);
+  const porTicket = repartirPagos(ajustados, montos);
+
+  const filas = tickets.flatMap((ticket, i) => porTicket[i].map((pago) => ({
+    idTicket: ticket.id,
+    metodo: pago.metodo,
+    monto: pago.monto,
+    referencia: pago.referencia,
+    userIdRegistration: userId
+  })));
+
+  if (filas.length > 0) {
+    await tx.pago.createMany({ data: filas });
+  }
+
+  const codigos = new Map(tickets.map((t) => [t.id, t.codigoInterno]));
+  const creditos = filas.filter((fila) => fila.metodo === METODO_CREDITO);
+
+  if (creditos.length > 0) {
+    await cargarCredito(tx, idEmpresa, creditos.map((fila) => ({
+      monto: fila.monto,
+      idTicket: fila.idTicket,
+      descripcion: `Pasaje ${codigos.get(fila.idTicket)}`
+    })), userId);
+
+    await tx.ticket.updateMany({
+      where: { id: { in: tickets.map((t) => t.id) } },
+      data: { idEmpresa }
+    });
+  }
+
+  if (idCaja) {
+    await registrarMovimientos(tx, idCaja, filas.filter((fila) => fila.metodo !== METODO_CREDITO).map((fila) => ({
+      tipo: 'VENTA_PASAJE',
+      metodo: fila.metodo,
+      monto: fila.monto,
+      referencia: fila.referencia,
+      idTicket: fila.idTicket,
+      descripcion: codigos.get(fila.idTicket) ? `Pasaje ${codigos.get(fila.idTicket)}` : null
+    })), userId);
+  }
+
+  return ajustados;
+};
+
+/**
+ * Registrar los pagos de una encomienda (dentro de una transaccion)
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idEncomienda - ID de la encomienda
+ * @param {number} total - Precio final cobrado
+ * @param {Object[]} pagos - Pagos normalizados
+ * @param {number} userId - Usuario que cobra
+ * @param {Object} [opciones] - { idCaja, tipoMovimiento, descripcion } movimiento de caja del cobro
+ *                              e { idEmpresa } empresa a cuya cuenta se carga el pago CREDITO
+ * @returns {Promise<Object[]>} Pagos con monto
+ */
+const registrarPagosEncomienda = async (
+  tx, idEncomienda, total, pagos, userId,
+  { idCaja = null, tipoMovimiento = 'VENTA_ENCOMIENDA', descripcion = null, idEmpresa = null } = {}
+) => {
+  const ajustados = ajustarPagos(pagos, total);
+  const filas = ajustados.filter((pago) => pago.monto > 0).map((pago) => ({
+    idEncomienda,
+    metodo: pago.metodo,
+    monto: pago.monto,
+    referencia: pago.referencia,
+    userIdRegistration: userId
+  }));
+
+  if (filas.length > 0) {
+    await tx.pago.createMany({ data: filas });
+  }
+
+  const creditos = filas.filter((fila) => fila.metodo === METODO_CREDITO);
+
+  if (creditos.length > 0) {
+    await cargarCredito(tx, idEmpresa, creditos.map((fila) => ({
+      monto: fila.monto,
+      idEncomienda,
+      descripcion
+    })), userId);
+
+    await tx.encomienda.update({
+      where: { id: idEncomienda },
+      data: { idEmpresa }
+    });
+  }
+
+  if (idCaja) {
+    await registrarMovimientos(tx, idCaja, filas.filter((fila) => fila.metodo !== METODO_CREDITO).map((fila) => ({
+      tipo: tipoMovimiento,
+      metodo: fila.metodo,
+      monto: fila.monto,
+      referencia: fila.referencia,
+      idEncomienda,
+      descripcion
+    })), userId);
+  }
+
+  return ajustados;
+};
+
+module.exports = {
+  METODOS_PAGO,
+  METODOS_CON_REFERENCIA,
+  MAX_PAGOS_VENTA,
+  esErrorPago,
+  normalizarPagos,
+  ajustarPagos,
+  repartirPagos,
+  registrarPagosTickets,
+  registrarPagosEncomienda
+};
@@ -0,0 +1,151 @@
+/**
+ * Pagos Service
+ * Proveedores de pago para la venta en linea
+ *
+ * El proveedor activo se elige con PAGOS_PROVEEDOR (obligatorio). El proveedor simulado FAKE
+ * solo se acepta con PAGOS_PERMITIR_FAKE=true y nunca con NODE_ENV=production. Un proveedor expone:
+ * - cobrar({ monto, moneda, descripcion, referencia, correo, token })
+ *   => { aprobado, idTransaccion, mensaje, respuesta }
+ * - reembolsar({ idTransaccion, monto, motivo })
+ *   => { reembolsado, mensaje, respuesta }
+ * El token es el que entrega el formulario de pago del proveedor en el navegador;
+ * el backend nunca recibe datos de tarjeta.
+ */
+
+const crypto = require('crypto');
+
+const MONEDA = 'PEN';
+
+// Tokens del proveedor FAKE para simular rechazos en pruebas
+const TOKENS_FAKE = {
+  RECHAZADO: 'tok_rechazado',
+  REEMBOLSO_FALLIDO: 'tok_reembolso_fallido'
+};
+
+/**
+ * Proveedor local de pruebas: aprueba todo cobro salvo los tokens de TOKENS_FAKE
+ */
+const proveedorFake = {
+  cobrar: async ({ monto, referencia, token }) => {
+    if (token === TOKENS_FAKE.RECHAZADO) {
+      return {
+        aprobado: false,
+        idTransaccion: null,
+        mensaje: 'Pago rechazado por el emisor (simulado)',
+        respuesta: { token, referencia }
+      };
+    }
+
+    // El token de reembolso fallido se recuerda en el id para simular el fallo al reembolsar
+    const sufijo = token === TOKENS_FAKE.REEMBOLSO_FALLIDO ? '-RF' : '';
+    const idTransaccion = `FAKE-${crypto.randomBytes(6).toString('hex').toUpperCase()}${sufijo}`;
+
+    return {
+      aprobado: true,
+      idTransaccion,
+      mensaje: 'Pago aprobado (simulado)',
+      respuesta: { idTransaccion, monto, referencia }
+    };
+  },
+
+  reembolsar: async ({ idTransaccion, monto }) => {
+    if (idTransaccion.endsWith('-RF')) {
+      return { reembolsado: false, mensaje: 'Reembolso rechazado (simulado)', respuesta: { idTransaccion } };
+    }
+
+    return { reembolsado: true, mensaje: 'Reembolso aprobado (simulado)', respuesta: { idTransaccion, monto } };
+  }
+};
+
+// Proveedores disponibles (nombre => implementacion)
+const proveedores = {
+  FAKE: proveedorFake
+};
+
+/**
+ * Registrar un proveedor de pagos (integraciones con pasarelas reales)
+ * @param {string} nombre - Nombre del proveedor (valor de PAGOS_PROVEEDOR)
+ * @param {Object} proveedor - Implementacion { cobrar, reembolsar }
+ */
+const registrarProveedor = (nombre, proveedor) => {
+  if (typeof proveedor?.cobrar !== 'function' || typeof proveedor?.reembolsar !== 'function') {
+    throw new Error(`El proveedor de pagos ${nombre} debe implementar cobrar y reembolsar`);
+  }
+  proveedores[nombre.toUpperCase()] = proveedor;
+};
+
+/**
+ * Obtener el proveedor de pagos configurado
+ * Sin PAGOS_PROVEEDOR no se cobra. FAKE requiere PAGOS_PERMITIR_FAKE=true y no se permite en produccion.
+ * @returns {Object} { nombre, proveedor }
+ */
+const obtenerProveedor = () => {
+  const nombre = (process.env.PAGOS_PROVEEDOR || '').trim().toUpperCase();
+  if (!nombre) {
+    throw new Error('Proveedor de pagos no configurado (PAGOS_PROVEEDOR)');
+  }
+
+  const proveedor = proveedores[nombre];
+  if (!proveedor) {
+    throw new Error(`Proveedor de pagos ${nombre} no registrado`);
+  }
+
+  if (nombre === 'FAKE' &&
+    (process.env.PAGOS_PERMITIR_FAKE !== 'true' || process.env.NODE_ENV === 'production')) {
+    throw new Error('El proveedor de pagos FAKE solo se permite en desarrollo con PAGOS_PERMITIR_FAKE=true');
+  }
+
+  return { nombre, proveedor };
+};
+
+/**
+ * Cobrar con el proveedor configurado
+ * Un error de comunicacion con el proveedor se devuelve como pago no aprobado.
+ * @param {Object} params - { monto, descripcion, referencia, correo, token }
+ * @returns {Promise<Object>} { proveedor, aprobado, idTransaccion, mensaje, respuesta }
+ */
+const cobrar = async ({ monto, descripcion, referencia, correo, token }) => {
+  const { nombre, proveedor } = obtenerProveedor();
+
+  try {
+    const resultado = await proveedor.cobrar({ monto, moneda: MONEDA, descripcion, referencia, correo, token });
+    return { proveedor: nombre, ...resultado };
+  } catch (error) {
+    console.error(`Error cobrando con el proveedor ${nombre}:`, error);
+    return {
+      proveedor: nombre,
+      aprobado: false,
+      idTransaccion: null,
+      mensaje: 'No se pudo procesar el pago, intente nuevamente',
+      respuesta: { error: error.message }
+    };
+  }
+};
+
+/**
+ * Reembolsar un cobro aprobado con el proveedor que lo proceso
+ * @param {string} nombreProveedor - Proveedor del cobro
+ * @param {Object} params - { idTransaccion, monto, motivo }
+ * @returns {Promise<Object>} { reembolsado, mensaje, respuesta }
+ */
+const reembolsar = async (nombreProveedor, { idTransaccion, monto, motivo }) => {
+  const proveedor = proveedores[nombreProveedor];
+
+  try {
+    if (!proveedor) {
+      throw new Error(`Proveedor de pagos ${nombreProveedor} no registrado`);
+    }
+    return await proveedor.reembolsar({ idTransaccion, monto, motivo });
+  } catch (error) {
+    console.error(`Error reembolsando con el proveedor ${nombreProveedor}:`, error);
+    return { reembolsado: false, mensaje: error.message, respuesta: null };
+  }
+};
+
+module.exports = {
+  TOKENS_FAKE,
+  registrarProveedor,
+  obtenerProveedor,
+  cobrar,
+  reembolsar
+};
@@ -6,18 +6,16 @@
 const prisma = require('../config/prisma');
 
 /**
- * Calcular precio de encomienda
- * Formula: precio_base_seleccionado + (peso * precio_por_kg) + (volumen * precio_por_cm3)
- * donde volumen = alto * ancho * largo
+ * Calcular precio de una encomienda de uno o varios bultos
+ * Formula: precio_base_seleccionado + suma por bulto de (peso * precio_por_kg) + (volumen * precio_por_cm3)
+ * donde volumen = alto * ancho * largo. El precio base se cobra una sola vez por guia.
  *
- * @param {number} peso - Peso en kg
- * @param {number} alto - Alto en cm
- * @param {number} ancho - Ancho en cm
- * @param {number} largo - Largo en cm
+ * @param {Array<{peso: number, alto: number, ancho: number, largo: number}>} bultos - Bultos de la guia
  * @param {number} idPrecioBase - ID del precio base seleccionado
- * @returns {Promise<{precio: number, precioBase: object}|null>} Precio calculado o null si no hay config
+ * @returns {Promise<{precio: number, precioBase: object, bultos: number[]}|null>} Precio total, precio
+ *   base y cargo de cada bulto (sin precio base), o null si no hay config
  */
-const calcularPrecioEncomienda = async (peso, alto, ancho, largo, idPrecioBase) => {
+const calcularPrecioBultos = async (bultos, idPrecioBase) => {
   try {
     // Obtener configuracion de precios por kg/cm3
     const config = await prisma.configuracionPreciosEncomienda.findFirst({
@@ -39,16 +37,21 @@ const calcularPrecioEncomienda = async (peso, alto, ancho, largo, idPrecioBase)
     }
 
     const precioBase = precioBaseRows[0];
-    const volumen = alto * ancho * largo;
 
-    const precio =
-      parseFloat(precioBase.monto) +
-      (parseFloat(peso) * parseFloat(config.precioPorKg)) +
-      (volumen * parseFloat(config.precioPorCm3));
+    const cargos = bultos.map((bulto) => {
+      const volumen = bulto.alto * bulto.ancho * bulto.largo;
+      const cargo =
+        (parseFloat(bulto.peso) * parseFloat(config.precioPorKg)) +
+        (volumen * parseFloat(config.precioPorCm3));
+      return Math.round(cargo * 100) / 100;
+    });
+
+    const precio = parseFloat(precioBase.monto) + cargos.reduce((total, cargo) => total + cargo, 0);
 
     return {
       precio: Math.round(precio * 100) / 100,
-      precioBase
+      precioBase,
+      bultos: cargos
     };
   } catch (error) {
     console.error('Error calculando precio:', error);
@@ -56,6 +59,27 @@ const calcularPrecioEncomienda = async (peso, alto, ancho, largo, idPrecioBase)
   }
 };
 
+/**
+ * Calcular precio de encomienda de un solo bulto
+ *
+ * @param {number} peso - Peso en kg
+ * @param {number} alto - Alto en cm
+ * @param {number} ancho - Ancho en cm
+ * @param {number} largo - Largo en cm
+ * @param {number} idPrecioBase - ID del precio base seleccionado
+ * @returns {Promise<{precio: number, precioBase: object}|null>} Precio calculado o null si no hay config
+ */
+const calcularPrecioEncomienda = async (peso, alto, ancho, largo, idPrecioBase) => {
+  const resultado = await calcularPrecioBultos([{ peso, alto, ancho, largo }], idPrecioBase);
+  if (!resultado) return null;
+
+  return {
+    precio: resultado.precio,
+    precioBase: resultado.precioBase
+  };
+};
+
 module.exports = {
+  calcularPrecioBultos,
   calcularPrecioEncomienda
 };
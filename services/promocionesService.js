@@ -0,0 +1,197 @@
+/**
+ * Promociones Service
+ * Canje de codigos de promocion de la landing en la venta de pasajes y encomiendas
+ *
+ * El descuento es el porcentaje de la promocion sobre el precio original (tarifa o precio
+ * calculado). El descuento por puntos se aplica despues sobre el saldo, solo si la
+ * promocion es acumulable con puntos. Los limites de uso cuentan los canjes APLICADOS.
+ */
+
+const { utcNow, getFechaPeruYYYYMMDD } = require('../utils/dateUtils');
+
+// Servicios a los que aplica una promocion (columna aplica_a)
+const APLICACIONES_PROMOCION = ['TODOS', 'PASAJES', 'ENCOMIENDAS'];
+
+// Mensajes de error de promociones lanzados dentro de las transacciones (se devuelven como 400)
+const MENSAJES_PROMOCION = {
+  INVALIDA: 'Codigo de promocion invalido o no vigente',
+  SERVICIO: 'El codigo de promocion no aplica a este servicio',
+  RUTA: 'El codigo de promocion no aplica a esta ruta',
+  AGOTADA: 'La promocion alcanzo su limite de usos',
+  LIMITE_CLIENTE: 'El cliente alcanzo el limite de usos de esta promocion',
+  NO_ACUMULABLE: 'La promocion no es acumulable con el canje de puntos'
+};
+
+/**
+ * Verificar si un error corresponde a una validacion de promocion
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+const esErrorPromocion = (error) => Object.values(MENSAJES_PROMOCION).includes(error?.message);
+
+/**
+ * Validar el codigo de promocion recibido en una venta (antes de la transaccion)
+ * @param {*} codigo - Codigo recibido
+ * @param {Object} params - { precioManual }
+ * @returns {Object} { codigo: string|null, error }
+ */
+const validarCodigoPromocion = (codigo, { precioManual } = {}) => {
+  if (codigo === undefined || codigo === null || String(codigo).trim() === '') {
+    return { codigo: null };
+  }
+
+  const normalizado = String(codigo).trim().toUpperCase();
+  if (normalizado.length > 50) {
+    return { error: 'El codigo de promocion no puede superar 50 caracteres' };
+  }
+
+  // El precio manual reemplaza la tarifa: no se combina con promociones
+  if (precioManual != null && precioManual !== '' && !isNaN(parseFloat(precioManual))) {
+    return { error: 'No se puede aplicar un codigo de promocion con precio manual' };
+  }
+
+  return { codigo: normalizado };
+};
+
+/**
+ * Aplicar un codigo de promocion a una venta (dentro de una transaccion)
+ * Bloquea la promocion hasta el fin de la transaccion para respetar los limites de uso
+ * con ventas simultaneas.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} params
+ * @param {string} params.codigo - Codigo normalizado
+ * @param {string} params.servicio - PASAJES | ENCOMIENDAS
+ * @param {number|null} params.idRuta - Ruta del pasaje (PASAJES)
+ * @param {Object|null} params.puntos - { idPuntoOrigen, idPuntoDestino } del envio (ENCOMIENDAS)
+ * @param {string} params.documento - Documento del cliente (pasajero o remitente)
+ * @param {number} params.monto - Precio original sobre el que se calcula el descuento
+ * @param {number} params.puntosUsados - Puntos que se solicitan canjear
+ * @returns {Promise<Object>} { promocion: { id, codigo, porcentaje }, descuento }
+ * @throws {Error} Si el codigo no es valido para la venta
+ */
+const aplicarPromocion = async (tx, { codigo, servicio, idRuta = null, puntos = null, documento, monto, puntosUsados = 0 }) => {
+  // Fecha civil de Peru como YYYYMMDD (la vigencia son fechas sin hora)
+  const hoy = getFechaPeruYYYYMMDD();
+
+  const filas = await tx.$queryRaw`
+    SELECT
+      id,
+      codigo_promocion as "codigo",
+      porcentaje_descuento as "porcentaje",
+      aplica_a as "aplicaA",
+      limite_usos_total as "limiteUsosTotal",
+      limite_usos_cliente as "limiteUsosCliente",
+      acumulable_puntos as "acumulablePuntos"
+    FROM tbl_promociones_landing
+    WHERE UPPER(codigo_promocion) = ${codigo}
+      AND activo = true
+      AND porcentaje_descuento > 0
+      AND (fecha_inicio IS NULL OR fecha_inicio <= ${hoy}::date)
+      AND (fecha_fin IS NULL OR fecha_fin >= ${hoy}::date)
+    ORDER BY id ASC
+    LIMIT 1
+    FOR UPDATE
+  `;
+
+  const promocion = filas[0];
+  if (!promocion) {
+    throw new Error(MENSAJES_PROMOCION.INVALIDA);
+  }
+
+  if (promocion.aplicaA !== 'TODOS' && promocion.aplicaA !== servicio) {
+    throw new Error(MENSAJES_PROMOCION.SERVICIO);
+  }
+
+  if (puntosUsados > 0 && !promocion.acumulablePuntos) {
+    throw new Error(MENSAJES_PROMOCION.NO_ACUMULABLE);
+  }
+
+  // Alcance por rutas: sin rutas configuradas aplica a todas
+  const rutas = await tx.promocionRuta.findMany({
+    where: { idPromocion: promocion.id },
+    include: { ruta: { select: { idPuntoOrigen: true, idPuntoDestino: true } } }
+  });
+
+  if (rutas.length > 0) {
+    const aplica = servicio === 'PASAJES'
+      ? rutas.some((r) => r.idRuta === idRuta)
+      : rutas.some((r) => r.ruta.idPuntoOrigen === puntos?.idPuntoOrigen && r.ruta.idPuntoDestino === puntos?.idPuntoDestino);
+    if (!aplica) {
+      throw new Error(MENSAJES_PROMOCION.RUTA);
+    }
+  }
+
+  if (promocion.limiteUsosTotal !== null) {
+    const usos = await tx.promocionCanje.count({
+      where: { idPromocion: promocion.id, estado: 'APLICADO' }
+    });
+    if (usos >= promocion.limiteUsosTotal) {
+      throw new Error(MENSAJES_PROMOCION.AGOTADA);
+    }
+  }
+
+  if (promocion.limiteUsosCliente !== null) {
+    const usosCliente = await tx.promocionCanje.count({
+      where: { idPromocion: promocion.id, estado: 'APLICADO', documentoCliente: documento }
+    });
+    if (usosCliente >= promocion.limiteUsosCliente) {
+      throw new Error(MENSAJES_PROMOCION.LIMITE_CLIENTE);
+    }
+  }
+
+  const porcentaje = parseFloat(promocion.porcentaje);
+  const descuento = Math.min(monto, Math.round(monto * porcentaje) / 100);
+
+  return {
+    promocion: { id: promocion.id, codigo: promocion.codigo, porcentaje },
+    descuento
+  };
+};
+
+/**
+ * Registrar el canje de una promocion aplicada (dentro de una transaccion)
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} aplicada - Resultado de aplicarPromocion
+ * @param {Object} params - { monto, documento, idTicket, idEncomienda, userId }
+ * @returns {Promise<Object>} Canje registrado
+ */
+const registrarCanje = async (tx, aplicada, { monto, documento, idTicket = null, idEncomienda = null, userId }) => {
+  return tx.promocionCanje.create({
+    data: {
+      idPromocion: aplicada.promocion.id,
+      codigo: aplicada.promocion.codigo,
+      porcentaje: aplicada.promocion.porcentaje,
+      montoBase: monto,
+      montoDescuento: aplicada.descuento,
+      documentoCliente: documento,
+      idTicket,
+      idEncomienda,
+      userIdRegistration: userId
+    }
+  });
+};
+
+/**
+ * Revertir los canjes de un ticket anulado (dentro de una transaccion)
+ * El uso vuelve a estar disponible para los limites de la promocion.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {number} idTicket - ID del ticket
+ * @returns {Promise<number>} Canjes revertidos
+ */
+const revertirCanjesTicket = async (tx, idTicket) => {
+  const { count } = await tx.promocionCanje.updateMany({
+    where: { idTicket, estado: 'APLICADO' },
+    data: { estado: 'REVERTIDO', fechaReversion: utcNow() }
+  });
+  return count;
+};
+
+module.exports = {
+  APLICACIONES_PROMOCION,
+  MENSAJES_PROMOCION,
+  esErrorPromocion,
+  validarCodigoPromocion,
+  aplicarPromocion,
+  registrarCanje,
+  revertirCanjesTicket
+};
@@ -0,0 +1,79 @@
+/**
+ * QR Ticket Service
+ * Firma y verificacion del contenido del QR impreso en los pasajes
+ *
+ * El QR contiene "TK1.<codigoInterno>.<firma>", donde la firma es un HMAC-SHA256
+ * del codigo con TICKET_QR_SECRET (o JWT_SECRET si no esta definido). Asi un QR
+ * no puede fabricarse conociendo solo el correlativo del ticket.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const PREFIJO_QR = 'TK1';
+
+/**
+ * Calcular la firma de un codigo de ticket
+ * @param {string} codigoInterno - Codigo interno del ticket
+ * @returns {string} Firma base64url (22 caracteres)
+ */
+const calcularFirma = (codigoInterno) => {
+  const secreto = process.env.TICKET_QR_SECRET || process.env.JWT_SECRET;
+  return crypto
+    .createHmac('sha256', secreto)
+    .update(`${PREFIJO_QR}.${codigoInterno}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+/**
+ * Generar el contenido firmado del QR de un ticket
+ * @param {string} codigoInterno - Codigo interno del ticket
+ * @returns {string} Contenido del QR
+ */
+const firmarCodigoTicket = (codigoInterno) => {
+  return `${PREFIJO_QR}.${codigoInterno}.${calcularFirma(codigoInterno)}`;
+};
+
+/**
+ * Verificar el contenido leido de un QR de ticket
+ * @param {string} contenido - Texto escaneado
+ * @returns {string|null} codigoInterno si la firma es valida, null en otro caso
+ */
+const verificarQrTicket = (contenido) => {
+  if (typeof contenido !== 'string') {
+    return null;
+  }
+
+  const texto = contenido.trim();
+  const inicioFirma = texto.lastIndexOf('.');
+  if (!texto.startsWith(`${PREFIJO_QR}.`) || inicioFirma <= PREFIJO_QR.length + 1) {
+    return null;
+  }
+
+  const codigoInterno = texto.slice(PREFIJO_QR.length + 1, inicioFirma);
+  const firma = texto.slice(inicioFirma + 1);
+  const esperada = Buffer.from(calcularFirma(codigoInterno));
+  const recibida = Buffer.from(firma);
+
+  if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) {
+    return null;
+  }
+
+  return codigoInterno;
+};
+
+/**
+ * Generar imagen QR (data URL) del ticket
+ * @param {string} codigoInterno - Codigo interno del ticket
+ * @returns {Promise<string>} Data URL PNG
+ */
+const generarQrTicket = async (codigoInterno) => {
+  return QRCode.toDataURL(firmarCodigoTicket(codigoInterno));
+};
+
+module.exports = {
+  firmarCodigoTicket,
+  verificarQrTicket,
+  generarQrTicket
+};
@@ -0,0 +1,100 @@
+/**
+ * Reservas Service
+ * Servicio para reservas de asientos con tiempo limite (tiempo_reserva_minutos)
+ */
+
+const prisma = require('../config/prisma');
+const { registrarAuditoria } = require('./auditoriaService');
+const { utcNow } = require('../utils/dateUtils');
+
+// Tiempo de reserva por defecto si no hay configuracion
+const TIEMPO_RESERVA_DEFAULT = 30;
+
+/**
+ * Obtener minutos de vigencia de una reserva desde la configuracion del sistema
+ * @returns {Promise<number>} Minutos
+ */
+const obtenerTiempoReserva = async () => {
+  try {
+    const result = await prisma.$queryRaw`
+      SELECT tiempo_reserva_minutos as "tiempoReservaMinutos"
+      FROM tbl_configuracion_sistema
+      WHERE activo = true
+      LIMIT 1
+    `;
+    if (result && result.length > 0 && result[0].tiempoReservaMinutos > 0) {
+      return result[0].tiempoReservaMinutos;
+    }
+  } catch (error) {
+    console.error('Error obteniendo tiempo de reserva:', error);
+  }
+  return TIEMPO_RESERVA_DEFAULT;
+};
+
+/**
+ * Filtro Prisma de reservas vigentes (pendientes y no vencidas)
+ * @returns {Object} Condicion where
+ */
+const whereReservaVigente = () => ({
+  estado: 'PENDIENTE',
+  fechaExpiracion: { gt: utcNow() }
+});
+
+/**
+ * Contar reservas vigentes de un viaje
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {number} idViaje - ID del viaje
+ * @param {number|null} idReservaExcluida - Reserva a excluir (la que se esta confirmando)
+ * @returns {Promise<number>}
+ */
+const contarReservasVigentes = async (tx, idViaje, idReservaExcluida = null) => {
+  return tx.reserva.count({
+    where: {
+      idViaje,
+      ...whereReservaVigente(),
+      ...(idReservaExcluida && { id: { not: idReservaExcluida } })
+    }
+  });
+};
+
+/**
+ * Marcar como EXPIRADA las reservas pendientes cuyo tiempo ya vencio
+ * Las reservas vencidas ya no cuentan para el aforo aunque el job no haya corrido;
+ * este proceso solo actualiza su estado y deja registro en auditoria.
+ * @returns {Promise<number>} Cantidad de reservas expiradas
+ */
+const expirarReservasVencidas = async () => {
+  const vencidas = await prisma.reserva.findMany({
+    where: {
+      estado: 'PENDIENTE',
+      fechaExpiracion: { lte: utcNow() }
+    },
+    select: { id: true, codigo: true, idViaje: true, numeroAsiento: true }
+  });
+
+  let expiradas = 0;
+  for (const reserva of vencidas) {
+    // Solo expirar si sigue pendiente (pudo confirmarse mientras tanto)
+    const { count } = await prisma.reserva.updateMany({
+      where: { id: reserva.id, estado: 'PENDIENTE' },
+      data: {
+        estado: 'EXPIRADA',
+        dateTimeModification: utcNow()
+      }
+    });
+
+    if (count > 0) {
+      expiradas += count;
+      await registrarAuditoria(null, 'RESERVA_EXPIRADA', 'RESERVA', reserva.id, reserva);
+    }
+  }
+
+  return expiradas;
+};
+
+module.exports = {
+  obtenerTiempoReserva,
+  whereReservaVigente,
+  contarReservasVigentes,
+  expirarReservasVencidas
+};
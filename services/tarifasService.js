@@ -0,0 +1,126 @@
+/**
+ * Tarifas Service
+ * Motor de reglas de tarifa para pasajes
+ *
+ * Una regla ajusta la tarifa del tramo (porcentaje o monto, positivo = recargo,
+ * negativo = descuento) y puede limitarse por ruta, horario, rango de fechas,
+ * dias de la semana y categoria de pasajero. Las reglas vigentes se evaluan de
+ * mayor a menor prioridad: las acumulables se aplican y se sigue evaluando; la
+ * primera regla no acumulable que aplica se aplica y corta la evaluacion.
+ */
+
+const { diaEnMascara } = require('../utils/dateUtils');
+
+// Categorias de pasajero (enum CategoriaPasajero)
+const CATEGORIAS_PASAJERO = ['GENERAL', 'NINO', 'ADULTO_MAYOR', 'ESTUDIANTE', 'DISCAPACIDAD'];
+
+// Tipos de ajuste (enum TipoAjusteTarifa)
+const TIPOS_AJUSTE = ['PORCENTAJE', 'MONTO'];
+
+// Permiso para editar el precio manualmente en la venta
+const PERMISO_PRECIO_MANUAL = 'PASAJES_PRECIO_MANUAL';
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+/**
+ * Verificar si una regla aplica a la venta
+ * @param {Object} regla - Regla de tarifa
+ * @param {Object} contexto - { idRuta, idHorario, fecha, categoria }
+ * @returns {boolean}
+ */
+const reglaAplica = (regla, { idRuta, idHorario, fecha, categoria }) => {
+  if (regla.idRuta && regla.idRuta !== idRuta) return false;
+  if (regla.idHorario && regla.idHorario !== idHorario) return false;
+  if (regla.categoria && regla.categoria !== categoria) return false;
+  if (regla.fechaInicio && fecha < regla.fechaInicio) return false;
+  if (regla.fechaFin && fecha > regla.fechaFin) return false;
+  return diaEnMascara(regla.diasSemana, fecha);
+};
+
+/**
+ * Calcular la tarifa de un pasaje aplicando las reglas vigentes
+ * @param {Object} tx - Cliente Prisma o transaccion
+ * @param {Object} params
+ * @param {number} params.idRuta - ID de la ruta
+ * @param {number|null} params.idHorario - ID del horario (null en venta instantanea)
+ * @param {Date} params.fecha - Fecha civil del viaje
+ * @param {number} params.precioBase - Tarifa del tramo
+ * @param {string} params.categoria - Categoria del pasajero
+ * @returns {Promise<Object>} { precioBase, precio, categoria, reglas: [{ id, nombre, tipoAjuste, valor, ajuste }] }
+ */
+const calcularTarifa = async (tx, { idRuta, idHorario = null, fecha, precioBase, categoria = 'GENERAL' }) => {
+  const reglas = await tx.tarifaRegla.findMany({
+    where: {
+      estado: 1,
+      OR: [{ idRuta: null }, { idRuta }]
+    },
+    orderBy: [{ prioridad: 'desc' }, { id: 'asc' }]
+  });
+
+  let precio = precioBase;
+  const aplicadas = [];
+
+  for (const regla of reglas) {
+    if (!reglaAplica(regla, { idRuta, idHorario, fecha, categoria })) {
+      continue;
+    }
+
+    const valor = parseFloat(regla.valor);
+    const ajuste = regla.tipoAjuste === 'PORCENTAJE'
+      ? redondear(precio * valor / 100)
+      : valor;
+    const nuevoPrecio = Math.max(0, redondear(precio + ajuste));
+
+    aplicadas.push({
+      id: regla.id,
+      nombre: regla.nombre,
+      tipoAjuste: regla.tipoAjuste,
+      valor,
+      ajuste: redondear(nuevoPrecio - precio)
+    });
+    precio = nuevoPrecio;
+
+    if (!regla.acumulable) {
+      break;
+    }
+  }
+
+  return {
+    precioBase,
+    precio,
+    categoria,
+    reglas: aplicadas
+  };
+};
+
+/**
+ * Validar un precio manual: requiere permiso y motivo
+ * @param {Object} params - { precioManual, motivoPrecioManual, permisos }
+ * @returns {Object|null} { status, error } o null si no hay precio manual o es valido
+ */
+const validarPrecioManual = ({ precioManual, motivoPrecioManual, permisos = [] }) => {
+  if (precioManual === undefined || precioManual === null || precioManual === '') {
+    return null;
+  }
+
+  if (isNaN(parseFloat(precioManual)) || parseFloat(precioManual) < 0) {
+    return { status: 400, error: 'El precio manual debe ser mayor o igual a 0' };
+  }
+
+  if (!permisos.includes(PERMISO_PRECIO_MANUAL)) {
+    return { status: 403, error: 'No tiene permiso para modificar el precio del pasaje' };
+  }
+
+  if (!motivoPrecioManual || motivoPrecioManual.trim() === '') {
+    return { status: 400, error: 'Se requiere el motivo del precio manual' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  CATEGORIAS_PASAJERO,
+  TIPOS_AJUSTE,
+  calcularTarifa,
+  validarPrecioManual
+};
@@ -0,0 +1,206 @@
+/**
+ * Tramos Service
+ * Servicio para paradas intermedias de ruta, tarifas por tramo y aforo por tramo
+ *
+ * Una ruta tiene una lista ordenada de paradas (orden 1 = origen, ultima = destino).
+ * Cada parada define los minutos desde la hora de salida del horario y la tarifa
+ * del tramo desde la parada anterior. Un pasaje ocupa los tramos entre su parada
+ * de subida y su parada de bajada, por lo que un asiento vendido A->B puede
+ * revenderse B->C.
+ */
+
+const { whereReservaVigente } = require('./reservasService');
+
+// Mensajes de error de tramo (se devuelven como 400 en los controladores)
+const MENSAJES_TRAMO = {
+  SUBIDA_INVALIDA: 'La parada de subida no pertenece a la ruta',
+  BAJADA_INVALIDA: 'La parada de bajada no pertenece a la ruta',
+  ORDEN_INVALIDO: 'La parada de bajada debe ser posterior a la parada de subida'
+};
+
+/**
+ * Verificar si un error corresponde a una validacion de tramo
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+const esErrorTramo = (error) => Object.values(MENSAJES_TRAMO).includes(error?.message);
+
+/**
+ * Normalizar las paradas de una ruta
+ * Si la ruta no tiene paradas configuradas se usa [origen, destino]
+ * con la tarifa completa de la ruta en el unico tramo.
+ * @param {Object} ruta - Ruta con puntoOrigen, puntoDestino y paradas (ordenadas) incluidos
+ * @returns {Array} [{ orden, idPunto, punto, minutosDesdeSalida, precioTramo }]
+ */
+const normalizarParadas = (ruta) => {
+  if (ruta.paradas && ruta.paradas.length >= 2) {
+    return [...ruta.paradas]
+      .sort((a, b) => a.orden - b.orden)
+      .map((parada) => ({
+        orden: parada.orden,
+        idPunto: parada.idPunto,
+        punto: parada.punto || null,
+        minutosDesdeSalida: parada.minutosDesdeSalida,
+        precioTramo: parseFloat(parada.precioTramo)
+      }));
+  }
+
+  return [
+    {
+      orden: 1,
+      idPunto: ruta.idPuntoOrigen,
+      punto: ruta.puntoOrigen || null,
+      minutosDesdeSalida: 0,
+      precioTramo: 0
+    },
+    {
+      orden: 2,
+      idPunto: ruta.idPuntoDestino,
+      punto: ruta.puntoDestino || null,
+      minutosDesdeSalida: null,
+      precioTramo: parseFloat(ruta.precioPasaje)
+    }
+  ];
+};
+
+/**
+ * Obtener las paradas normalizadas de una ruta
+ * @param {PrismaClient} tx - Cliente Prisma
+ * @param {number} idRuta - ID de la ruta
+ * @returns {Promise<Array>} Paradas normalizadas
+ */
+const obtenerParadasRuta = async (tx, idRuta) => {
+  const ruta = await tx.ruta.findUnique({
+    where: { id: idRuta },
+    include: {
+      puntoOrigen: { select: { id: true, nombre: true, ciudad: true } },
+      puntoDestino: { select: { id: true, nombre: true, ciudad: true } },
+      paradas: {
+        orderBy: { orden: 'asc' },
+        include: { punto: { select: { id: true, nombre: true, ciudad: true } } }
+      }
+    }
+  });
+
+  return ruta ? normalizarParadas(ruta) : [];
+};
+
+/**
+ * Resolver el tramo solicitado dentro de las paradas de la ruta
+ * Sin paradas indicadas se asume la ruta completa.
+ * @param {Array} paradas - Paradas normalizadas
+ * @param {number|null} idPuntoSubida - Punto donde sube el pasajero
+ * @param {number|null} idPuntoBajada - Punto donde baja el pasajero
+ * @returns {Object} { ordenSubida, ordenBajada, paradaSubida, paradaBajada, precio, esRutaCompleta, error }
+ */
+const resolverTramo = (paradas, idPuntoSubida, idPuntoBajada) => {
+  const paradaSubida = idPuntoSubida
+    ? paradas.find((p) => p.idPunto === parseInt(idPuntoSubida))
+    : paradas[0];
+  const paradaBajada = idPuntoBajada
+    ? paradas.find((p) => p.idPunto === parseInt(idPuntoBajada))
+    : paradas[paradas.length - 1];
+
+  if (!paradaSubida) {
+    return { error: MENSAJES_TRAMO.SUBIDA_INVALIDA };
+  }
+  if (!paradaBajada) {
+    return { error: MENSAJES_TRAMO.BAJADA_INVALIDA };
+  }
+  if (paradaBajada.orden <= paradaSubida.orden) {
+    return { error: MENSAJES_TRAMO.ORDEN_INVALIDO };
+  }
+
+  // Tarifa = suma de los tramos recorridos
+  const precio = paradas
+    .filter((p) => p.orden > paradaSubida.orden && p.orden <= paradaBajada.orden)
+    .reduce((total, p) => total + p.precioTramo, 0);
+
+  return {
+    ordenSubida: paradaSubida.orden,
+    ordenBajada: paradaBajada.orden,
+    paradaSubida,
+    paradaBajada,
+    precio: Math.round(precio * 100) / 100,
+    esRutaCompleta: paradaSubida.orden === paradas[0].orden &&
+      paradaBajada.orden === paradas[paradas.length - 1].orden
+  };
+};
+
+/**
+ * Calcular la hora de paso por una parada a partir de la hora de salida del horario
+ * @param {Date} horaSalida - Hora de salida (campo TIME)
+ * @param {number|null} minutosDesdeSalida - Minutos desde la salida
+ * @returns {Date} Hora en la parada (mismo formato TIME)
+ */
+const calcularHoraParada = (horaSalida, minutosDesdeSalida) => {
+  const base = horaSalida instanceof Date ? horaSalida : new Date(horaSalida);
+  return new Date(base.getTime() + (minutosDesdeSalida || 0) * 60 * 1000);
+};
+
+/**
+ * Verificar si dos tramos [subidaA, bajadaA) y [subidaB, bajadaB) se solapan
+ * Los tickets y reservas sin tramo (anteriores a las paradas) ocupan la ruta completa.
+ * @returns {boolean}
+ */
+const tramosSeSolapan = (subidaA, bajadaA, subidaB, bajadaB) => {
+  const inicioA = subidaA ?? 1;
+  const finA = bajadaA ?? Number.MAX_SAFE_INTEGER;
+  const inicioB = subidaB ?? 1;
+  const finB = bajadaB ?? Number.MAX_SAFE_INTEGER;
+  return inicioA < finB && inicioB < finA;
+};
+
+/**
+ * Calcular cupos disponibles de un viaje para un tramo
+ * El aforo se controla por tramo: se toma la ocupacion maxima (tickets emitidos
+ * + reservas vigentes) entre los tramos que recorre el pasajero.
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {Object} viaje - Viaje (id, capacidadTotal)
+ * @param {number|null} ordenSubida - Orden de la parada de subida (null = origen)
+ * @param {number|null} ordenBajada - Orden de la parada de bajada (null = destino)
+ * @param {Object} opciones - { idReservaExcluida }
+ * @returns {Promise<number>} Cupos disponibles
+ */
+const calcularCuposTramo = async (tx, viaje, ordenSubida, ordenBajada, { idReservaExcluida = null } = {}) => {
+  const [tickets, reservas] = await Promise.all([
+    tx.ticket.findMany({
+      where: { idViaje: viaje.id, estado: 'EMITIDO' },
+      select: { ordenSubida: true, ordenBajada: true }
+    }),
+    tx.reserva.findMany({
+      where: {
+        idViaje: viaje.id,
+        ...whereReservaVigente(),
+        ...(idReservaExcluida && { id: { not: idReservaExcluida } })
+      },
+      select: { ordenSubida: true, ordenBajada: true }
+    })
+  ]);
+
+  const ocupantes = [...tickets, ...reservas];
+  const inicio = ordenSubida ?? 1;
+  const fin = ordenBajada ?? Math.max(inicio + 1, ...ocupantes.map((o) => o.ordenBajada ?? 0));
+
+  // Ocupacion de cada tramo [i, i+1) recorrido por el pasajero
+  let ocupacionMaxima = 0;
+  for (let tramo = inicio; tramo < fin; tramo++) {
+    const ocupacion = ocupantes.filter((o) =>
+      tramosSeSolapan(o.ordenSubida, o.ordenBajada, tramo, tramo + 1)
+    ).length;
+    ocupacionMaxima = Math.max(ocupacionMaxima, ocupacion);
+  }
+
+  return viaje.capacidadTotal - ocupacionMaxima;
+};
+
+module.exports = {
+  MENSAJES_TRAMO,
+  esErrorTramo,
+  normalizarParadas,
+  obtenerParadasRuta,
+  resolverTramo,
+  calcularHoraParada,
+  tramosSeSolapan,
+  calcularCuposTramo
+};
@@ -0,0 +1,173 @@
+/**
+ * Vehiculos Service
+ * Reglas de la flota: vigencia de SOAT y revision tecnica, asignacion de
+ * vehiculo a viajes y datos del vehiculo para la guia de remision
+ */
+
+const { construirDistribucion, ajustarAsientosViaje } = require('./asientosService');
+const { calcularCuposTramo } = require('./tramosService');
+const { obtenerHorarioFecha } = require('./horariosService');
+const { utcNow } = require('../utils/dateUtils');
+
+// Estados de vehiculo (enum EstadoVehiculo)
+const ESTADOS_VEHICULO = ['OPERATIVO', 'MANTENIMIENTO', 'INACTIVO'];
+
+// Dias de anticipacion para avisar el vencimiento de documentos
+const DIAS_AVISO_VENCIMIENTO = 30;
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Situacion de un documento con vencimiento (SOAT, revision tecnica, licencia) a una fecha
+ * @param {Date|null} vencimiento - Fecha civil de vencimiento
+ * @param {Date} fecha - Fecha civil de referencia
+ * @returns {string} SIN_REGISTRO | VENCIDO | POR_VENCER | VIGENTE
+ */
+const situacionDocumento = (vencimiento, fecha) => {
+  if (!vencimiento) return 'SIN_REGISTRO';
+  if (vencimiento < fecha) return 'VENCIDO';
+  if (vencimiento.getTime() - fecha.getTime() <= DIAS_AVISO_VENCIMIENTO * DIA_MS) return 'POR_VENCER';
+  return 'VIGENTE';
+};
+
+/**
+ * Resumen de documentos del vehiculo (SOAT y revision tecnica)
+ * @param {Object} vehiculo - Vehiculo
+ * @param {Date} fecha - Fecha civil de referencia
+ * @returns {Object} { soat, revisionTecnica }
+ */
+const resumenDocumentos = (vehiculo, fecha) => ({
+  soat: situacionDocumento(vehiculo.vencimientoSoat, fecha),
+  revisionTecnica: situacionDocumento(vehiculo.vencimientoRevision, fecha)
+});
+
+/**
+ * Capacidad de asientos vendibles de un tipo de carro con distribucion configurada
+ * @param {Object} tipoCarro - Tipo de carro
+ * @returns {number|null} Asientos no bloqueados o null si no tiene distribucion
+ */
+const capacidadTipoCarro = (tipoCarro) => {
+  if (!tipoCarro || !tipoCarro.filas || !tipoCarro.columnas) return null;
+  return construirDistribucion(tipoCarro, 0).asientos.filter((a) => !a.bloqueado).length;
+};
+
+/**
+ * Validar que un vehiculo pueda operar un viaje
+ * @param {Object} vehiculo - Vehiculo
+ * @param {Object} viaje - Viaje con ruta incluida
+ * @returns {string|null} Mensaje de error o null si es valido
+ */
+const validarVehiculoViaje = (vehiculo, viaje) => {
+  if (vehiculo.estado !== 'OPERATIVO') {
+    return `El vehiculo ${vehiculo.placa} no esta operativo`;
+  }
+
+  if (vehiculo.idTipoCarro !== viaje.ruta.idTipoCarro) {
+    return 'El vehiculo no corresponde al tipo de carro de la ruta';
+  }
+
+  const documentos = resumenDocumentos(vehiculo, viaje.fechaServicio);
+
+  if (documentos.soat === 'SIN_REGISTRO' || documentos.soat === 'VENCIDO') {
+    return `El SOAT del vehiculo ${vehiculo.placa} no esta vigente para la fecha del viaje`;
+  }
+
+  if (documentos.revisionTecnica === 'SIN_REGISTRO' || documentos.revisionTecnica === 'VENCIDO') {
+    return `La revision tecnica del vehiculo ${vehiculo.placa} no esta vigente para la fecha del viaje`;
+  }
+
+  return null;
+};
+
+/**
+ * Asignar (o quitar) el vehiculo de un viaje dentro de una transaccion
+ * La capacidad del viaje pasa a ser la del vehiculo (o la del horario en la fecha al quitarlo)
+ * y el inventario de asientos ya generado se ajusta a la nueva capacidad.
+ * @param {Object} tx - Transaccion Prisma
+ * @param {Object} viaje - Viaje con horario incluido
+ * @param {Object|null} vehiculo - Vehiculo validado o null para quitarlo
+ * @param {number} userId - Usuario que asigna
+ * @returns {Promise<void>}
+ */
+const asignarVehiculoViaje = async (tx, viaje, vehiculo, userId) => {
+  if (vehiculo) {
+    // Un vehiculo no puede operar dos viajes vigentes del mismo dia a la misma hora
+    const conflicto = await tx.viaje.findFirst({
+      where: {
+        id: { not: viaje.id },
+        idVehiculo: vehiculo.id,
+        fechaServicio: viaje.fechaServicio,
+        estado: { not: 'CANCELADO' },
+        horario: { horaSalida: viaje.horario.horaSalida }
+      }
+    });
+
+    if (conflicto) {
+      throw new Error('El vehiculo ya esta asignado a otro viaje en la misma fecha y hora');
+    }
+  }
+
+  // Sin vehiculo vuelve a la capacidad del horario para la fecha del viaje
+  const capacidadTotal = vehiculo
+    ? vehiculo.capacidadAsientos
+    : (await obtenerHorarioFecha(tx, viaje.horario, viaje.fechaServicio)).capacidadTotal;
+
+  // La nueva capacidad debe cubrir la ocupacion maxima de los tramos del viaje
+  const cupos = await calcularCuposTramo(tx, { ...viaje, capacidadTotal }, null, null);
+  if (cupos < 0) {
+    throw new Error('La capacidad del vehiculo es menor a los pasajes vendidos y reservados');
+  }
+
+  await tx.viaje.update({
+    where: { id: viaje.id },
+    data: {
+      idVehiculo: vehiculo ? vehiculo.id : null,
+      capacidadTotal,
+      userIdModification: userId,
+      dateTimeModification: utcNow()
+    }
+  });
+
+  await ajustarAsientosViaje(tx, viaje.id);
+};
+
+/**
+ * Obtener los datos del vehiculo para una guia de remision
+ * Se usa el vehiculo indicado o, en su defecto, el asignado al viaje.
+ * @param {Object} tx - Cliente Prisma
+ * @param {Object} params - { idVehiculo, idViaje }
+ * @returns {Promise<Object|null>} { placa, marca, modelo, idVehiculo } o null
+ */
+const obtenerVehiculoGuia = async (tx, { idVehiculo = null, idViaje = null }) => {
+  let vehiculo = null;
+
+  if (idVehiculo) {
+    vehiculo = await tx.vehiculo.findUnique({ where: { id: parseInt(idVehiculo) } });
+  } else if (idViaje) {
+    const viaje = await tx.viaje.findUnique({
+      where: { id: parseInt(idViaje) },
+      include: { vehiculo: true }
+    });
+    vehiculo = viaje?.vehiculo || null;
+  }
+
+  if (!vehiculo) return null;
+
+  return {
+    idVehiculo: vehiculo.id,
+    placa: vehiculo.placa,
+    marca: vehiculo.marca,
+    modelo: vehiculo.modelo
+  };
+};
+
+module.exports = {
+  ESTADOS_VEHICULO,
+  DIAS_AVISO_VENCIMIENTO,
+  situacionDocumento,
+  resumenDocumentos,
+  capacidadTipoCarro,
+  validarVehiculoViaje,
+  asignarVehiculoViaje,
+  obtenerVehiculoGuia
+};
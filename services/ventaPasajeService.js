@@ -0,0 +1,821 @@
+/**
+ * Venta Pasaje Service
+ * Logica comun de venta de pasajes: viaje on-demand, registro del ticket,
+ * emision de comprobante y datos de agencia
+ */
+
+const prisma = require('../config/prisma');
+const facturacionService = require('./facturacionService');
+const { generarCodigoTicket } = require('./codigoService');
+const { ocuparAsiento } = require('./asientosService');
+const { CATEGORIAS_PASAJERO } = require('./tarifasService');
+const { obtenerParadasRuta, resolverTramo, calcularHoraParada } = require('./tramosService');
+const { obtenerHorarioFecha } = require('./horariosService');
+const { registrarMovimientos } = require('./cajaService');
+const { aplicarPromocion, registrarCanje, revertirCanjesTicket } = require('./promocionesService');
+const { METODO_CREDITO, revertirCargoTicket } = require('./creditoEmpresaService');
+const {
+  utcNow,
+  parseCivilDate,
+  isToday,
+  isBeforeToday,
+  hasTimePassed
+} = require('../utils/dateUtils');
+
+/**
+ * Obtener configuracion de puntos desde la BD
+ * @returns {Object} { solesPorPunto, puntosPorSolDescuento }
+ */
+const obtenerConfiguracionPuntos = async () => {
+  try {
+    const result = await prisma.$queryRaw`
+      SELECT
+        soles_por_punto as "solesPorPunto",
+        puntos_por_sol_descuento as "puntosPorSolDescuento"
+      FROM tbl_configuracion_sistema
+      WHERE activo = true
+      LIMIT 1
+    `;
+    if (result && result.length > 0) {
+      return {
+        solesPorPunto: parseFloat(result[0].solesPorPunto) || 10.00,
+        puntosPorSolDescuento: parseFloat(result[0].puntosPorSolDescuento) || 10.00
+      };
+    }
+  } catch (error) {
+    console.error('Error obteniendo configuracion de puntos:', error);
+  }
+  // Valores por defecto
+  return { solesPorPunto: 10.00, puntosPorSolDescuento: 10.00 };
+};
+
+/**
+ * Obtener el cargo por reprogramacion de pasaje desde la BD
+ * @returns {Promise<number>} Monto del cargo (0 si no esta configurado)
+ */
+const obtenerCargoReprogramacion = async () => {
+  try {
+    const result = await prisma.$queryRaw`
+      SELECT cargo_reprogramacion as "cargoReprogramacion"
+      FROM tbl_configuracion_sistema
+      WHERE activo = true
+      LIMIT 1
+    `;
+    if (result && result.length > 0) {
+      return parseFloat(result[0].cargoReprogramacion) || 0;
+    }
+  } catch (error) {
+    console.error('Error obteniendo cargo de reprogramacion:', error);
+  }
+  return 0;
+};
+
+/**
+ * Validar tipo de documento de venta y datos de factura
+ * @param {Object} params - { tipoDocumento, clienteFactura }
+ * @returns {string|null} Mensaje de error o null si es valido
+ */
+const validarDocumentoVenta = ({ tipoDocumento, clienteFactura }) => {
+  if (!tipoDocumento || !['BOLETA', 'FACTURA', 'VERIFICACION'].includes(tipoDocumento)) {
+    return 'Tipo de documento es obligatorio (BOLETA, FACTURA o VERIFICACION)';
+  }
+
+  if (tipoDocumento === 'FACTURA') {
+    if (!clienteFactura || !clienteFactura.ruc || !clienteFactura.razonSocial) {
+      return 'Para factura se requiere RUC y razon social del cliente';
+    }
+    if (clienteFactura.ruc.length !== 11) {
+      return 'El RUC debe tener 11 digitos';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validar datos del pasajero y determinar su tipo de documento segun longitud
+ * @param {Object} pasajero - { nombreCompleto, documentoIdentidad, telefono, tipoDocumento, categoria }
+ * @returns {Object} { tipoDocPasajero, categoria, error }
+ */
+const validarPasajero = (pasajero) => {
+  if (!pasajero || !pasajero.nombreCompleto || !pasajero.documentoIdentidad || !pasajero.telefono) {
+    return { error: 'Nombre, documento y telefono del pasajero son requeridos' };
+  }
+
+  const tipoDocPasajero = pasajero.tipoDocumento || (pasajero.documentoIdentidad?.length === 11 ? '6' : '1');
+  if (tipoDocPasajero === '1' && pasajero.documentoIdentidad?.length !== 8) {
+    return { error: 'El DNI debe tener 8 digitos' };
+  }
+  if (tipoDocPasajero === '6' && pasajero.documentoIdentidad?.length !== 11) {
+    return { error: 'El RUC debe tener 11 digitos' };
+  }
+
+  const categoria = pasajero.categoria || 'GENERAL';
+  if (!CATEGORIAS_PASAJERO.includes(categoria)) {
+    return { error: 'Categoria de pasajero invalida' };
+  }
+
+  return { tipoDocPasajero, categoria };
+};
+
+/**
+ * Validar ruta, horario, fecha y tramo de un viaje a vender (ida/retorno del lote, reprogramacion o venta web)
+ * @param {Object} datos - { idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada }
+ * @returns {Promise<Object>} { idRuta, idHorario, fechaViaje, fechaDate, horario, tramo } o { error }
+ */
+const validarViajeVenta = async ({ idRuta, idHorario, fechaViaje, idPuntoSubida, idPuntoBajada }) => {
+  if (!idRuta || !idHorario || !fechaViaje) {
+    return { error: 'Ruta, horario y fecha de viaje son requeridos' };
+  }
+
+  const { date: fechaDate, error: fechaError } = parseCivilDate(fechaViaje, 'fechaViaje');
+  if (fechaError) {
+    return { error: fechaError };
+  }
+
+  if (isBeforeToday(fechaViaje)) {
+    return { error: 'La fecha del viaje no puede ser anterior a hoy' };
+  }
+
+  const ruta = await prisma.ruta.findUnique({
+    where: { id: parseInt(idRuta) }
+  });
+
+  if (!ruta || ruta.estado !== 1) {
+    return { error: 'Ruta no habilitada' };
+  }
+
+  const paradas = await obtenerParadasRuta(prisma, ruta.id);
+  const tramo = resolverTramo(paradas, idPuntoSubida, idPuntoBajada);
+  if (tramo.error) {
+    return { error: tramo.error };
+  }
+
+  const horario = await prisma.horarioRuta.findUnique({
+    where: { id: parseInt(idHorario) },
+    select: {
+      id: true,
+      idRuta: true,
+      horaSalida: true,
+      capacidadTotal: true,
+      habilitado: true,
+      diasSemana: true,
+      vigenciaDesde: true,
+      vigenciaHasta: true
+    }
+  });
+
+  if (!horario || !horario.habilitado || horario.idRuta !== ruta.id) {
+    return { error: 'Horario no disponible' };
+  }
+
+  const calendario = await obtenerHorarioFecha(prisma, horario, fechaDate);
+  if (!calendario.opera) {
+    return { error: 'El horario no opera en la fecha seleccionada' };
+  }
+
+  if (isToday(fechaViaje) &&
+    hasTimePassed(calcularHoraParada(horario.horaSalida, tramo.paradaSubida.minutosDesdeSalida))) {
+    return { error: 'El horario seleccionado ya no esta disponible para hoy' };
+  }
+
+  return {
+    idRuta: ruta.id,
+    idHorario: horario.id,
+    fechaViaje,
+    fechaDate,
+    // Capacidad del horario para la fecha (puede cambiar por excepcion del calendario)
+    horario: { ...horario, capacidadTotal: calendario.capacidadTotal },
+    tramo
+  };
+};
+
+/**
+ * Buscar o crear (on-demand) el viaje de una ruta/horario/fecha
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {Object} params - { idRuta, idHorario, fechaServicio, capacidadTotal, userId }
+ * @returns {Promise<Object>} Viaje
+ */
+const buscarOCrearViaje = async (tx, { idRuta, idHorario, fechaServicio, capacidadTotal, userId }) => {
+  let viaje = await tx.viaje.findUnique({
+    where: {
+      idRuta_idHorario_fechaServicio: {
+        idRuta,
+        idHorario,
+        fechaServicio
+      }
+    }
+  });
+
+  if (!viaje) {
+    // Crear viaje on-demand (usar capacidad del horario, no de la ruta)
+    viaje = await tx.viaje.create({
+      data: {
+        idRuta,
+        idHorario,
+        fechaServicio,
+        capacidadTotal,
+        capacidadVendida: 0,
+        estado: 'ABIERTO',
+        userIdRegistration: userId
+      }
+    });
+  }
+
+  return viaje;
+};
+
+/**
+ * Registrar el ticket de un pasajero en un viaje (dentro de una transaccion)
+ * Actualiza datos y puntos del pasajero, ocupa el asiento en el tramo indicado,
+ * genera el codigo, crea el ticket e incrementa la capacidad vendida del viaje.
+ * Con codigoPromocion aplica el descuento de la promocion y registra el canje.
+ * La validacion de aforo y estado del viaje corresponde al llamador.
+ * @param {PrismaClient} tx - Cliente Prisma (transaccion)
+ * @param {Object} params - Datos de la venta
+ * @returns {Promise<Object>} Ticket creado con los campos calculados de puntos y precio
+ */
+const registrarTicket = async (tx, {
+  viaje,
+  pasajero,
+  tipoDocPasajero,
+  numeroAsiento,
+  tramo = null,
+  metodoPago,
+  precioOriginal,
+  puntosGanados,
+  puntosUsados,
+  puntosPorSolDescuento,
+  precioManual,
+  motivoPrecioManual = null,
+  categoriaPasajero = 'GENERAL',
+  tarifasAplicadas = null,
+  codigoPromocion = null,
+  userId,
+  idReservaExcluida = null
+}) => {
+  // Reservar asiento en el tramo (rechaza asientos ocupados, reservados o bloqueados)
+  await ocuparAsiento(tx, viaje.id, numeroAsiento, {
+    idReservaExcluida,
+    ordenSubida: tramo?.ordenSubida ?? null,
+    ordenBajada: tramo?.ordenBajada ?? null
+  });
+
+  // Buscar o crear pasajero
+  let pasajeroDb = await tx.pasajero.findFirst({
+    where: { documentoIdentidad: pasajero.documentoIdentidad }
+  });
+
+  // Obtener puntos disponibles actuales del cliente
+  let puntosDisponiblesActuales = 0;
+  let puntosHistoricosActuales = 0;
+
+  if (pasajeroDb) {
+    puntosDisponiblesActuales = pasajeroDb.puntos_disponibles ?? pasajeroDb.puntos ?? 0;
+    puntosHistoricosActuales = pasajeroDb.puntos_historicos ?? pasajeroDb.puntos ?? 0;
+  }
+
+  // Descuento por codigo de promocion sobre el precio original (antes del canje de puntos)
+  const promocion = codigoPromocion
+    ? await aplicarPromocion(tx, {
+      codigo: codigoPromocion,
+      servicio: 'PASAJES',
+      idRuta: viaje.idRuta,
+      documento: pasajero.documentoIdentidad,
+      monto: precioOriginal,
+      puntosUsados
+    })
+    : null;
+  const descuentoPromocion = promocion?.descuento ?? 0;
+
+  // Validar que no se intenten canjear mas puntos de los disponibles
+  const puntosACanjearFinal = Math.min(puntosUsados, puntosDisponiblesActuales);
+
+  // Calcular descuento por puntos
+  let descuentoPuntos = puntosACanjearFinal / puntosPorSolDescuento;
+  // El descuento no puede superar el precio original (menos la promocion)
+  descuentoPuntos = Math.min(descuentoPuntos, precioOriginal - descuentoPromocion);
+  // Redondear a 2 decimales
+  descuentoPuntos = Math.round(descuentoPuntos * 100) / 100;
+
+  // Calcular precio final (usar precioManual si fue editado manualmente; el permiso y motivo los valida el llamador)
+  const esPrecioManual = precioManual != null && precioManual !== '' && !isNaN(parseFloat(precioManual));
+  const precioFinal = esPrecioManual
+    ? Math.max(0, Math.round(parseFloat(precioManual) * 100) / 100)
+    : Math.max(0, Math.round((precioOriginal - descuentoPromocion - descuentoPuntos) * 100) / 100);
+
+  // Calcular nuevos puntos del cliente
+  const nuevosPuntosDisponibles = puntosDisponiblesActuales - puntosACanjearFinal + puntosGanados;
+  const nuevosPuntosHistoricos = puntosHistoricosActuales + puntosGanados;
+
+  if (!pasajeroDb) {
+    // Crear nuevo pasajero con puntos iniciales
+    pasajeroDb = await tx.pasajero.create({
+      data: {
+        nombreCompleto: pasajero.nombreCompleto,
+        documentoIdentidad: pasajero.documentoIdentidad,
+        tipo_documento: tipoDocPasajero,
+        telefono: pasajero.telefono,
+        puntos_disponibles: puntosGanados,
+        puntos_historicos: puntosGanados,
+        userIdRegistration: userId
+      }
+    });
+  } else {
+    // Actualizar datos del pasajero y puntos
+    pasajeroDb = await tx.pasajero.update({
+      where: { id: pasajeroDb.id },
+      data: {
+        nombreCompleto: pasajero.nombreCompleto,
+        telefono: pasajero.telefono,
+        puntos_disponibles: nuevosPuntosDisponibles,
+        puntos_historicos: nuevosPuntosHistoricos,
+        userIdModification: userId,
+        dateTimeModification: utcNow()
+      }
+    });
+  }
+
+  // Generar codigo unico con el formato del punto de venta del usuario
+  const vendedor = await tx.usuario.findUnique({ where: { id: userId }, select: { idPunto: true } });
+  const codigoInterno = await generarCodigoTicket(tx, { idPunto: vendedor?.idPunto });
+
+  // Crear ticket con todos los campos de puntos
+  const ticket = await tx.ticket.create({
+    data: {
+      idViaje: viaje.id,
+      idPasajero: pasajeroDb.id,
+      codigoInterno,
+      idUsuarioVenta: userId,
+      metodoPago,
+      numeroAsiento,
+      idPuntoSubida: tramo?.paradaSubida.idPunto ?? null,
+      idPuntoBajada: tramo?.paradaBajada.idPunto ?? null,
+      ordenSubida: tramo?.ordenSubida ?? null,
+      ordenBajada: tramo?.ordenBajada ?? null,
+      estado: 'EMITIDO',
+      userIdRegistration: userId,
+      // Campos de puntos y precios
+      precio_original: precioOriginal,
+      puntos_usados: puntosACanjearFinal,
+      descuento_puntos: descuentoPuntos,
+      precio_final: precioFinal,
+      puntos_ganados: puntosGanados,
+      categoriaPasajero,
+      tarifasAplicadas: tarifasAplicadas ?? undefined,
+      motivoPrecioManual: esPrecioManual ? motivoPrecioManual : null,
+      idPromocion: promocion?.promocion.id ?? null,
+      descuentoPromocion,
+      comentario: pasajero.comentario || null
+    },
+    include: {
+      viaje: {
+        include: {
+          ruta: {
+            include: {
+              puntoOrigen: true,
+              puntoDestino: true
+            }
+          },
+          horario: true
+        }
+      },
+      pasajero: true,
+      puntoSubida: true,
+      puntoBajada: true
+    }
+  });
+
+  if (promocion) {
+    await registrarCanje(tx, promocion, {
+      monto: precioOriginal,
+      documento: pasajero.documentoIdentidad,
+      idTicket: ticket.id,
+      userId
+    });
+  }
+
+  // Incrementar capacidad vendida
+  await tx.viaje.update({
+    where: { id: viaje.id },
+    data: { capacidadVendida: { increment: 1 } }
+  });
+
+  // Agregar campos calculados al resultado
+  return {
+    ...ticket,
+    precioOriginal,
+    codigoPromocion: promocion?.promocion.codigo ?? null,
+    descuentoPromocion,
+    puntosUsados: puntosACanjearFinal,
+    descuentoPuntos,
+    precioFinal,
+    puntosGanados,
+    // Incluir puntos acumulados del cliente (después de esta compra)
+    puntosAcumuladosCliente: nuevosPuntosHistoricos,
+    puntosDisponiblesCliente: nuevosPuntosDisponibles
+  };
+};
+
+/**
+ * Descripcion del pasaje para el comprobante (tramo vendido o ruta completa)
+ * @param {Object} ticket - Ticket con viaje.ruta y puntoSubida/puntoBajada incluidos
+ * @returns {string}
+ */
+const describirPasaje = (ticket) => {
+  const origen = ticket.puntoSubida?.nombre ?? ticket.viaje.ruta.puntoOrigen.nombre;
+  const destino = ticket.puntoBajada?.nombre ?? ticket.viaje.ruta.puntoDestino.nombre;
+  return `Pasaje ${origen} - ${destino}`;
+};
+
+/**
+ * Emitir un comprobante de venta con los items indicados
+ * BOLETA y FACTURA se emiten via facturacionService; VERIFICACION genera una nota de venta
+ * con la descripcion y el total indicados.
+ * @param {Object} params - { tipoDocumento, cliente, clienteFactura, items, descripcion, origenTipo, origenId, comentario, incluyeIgv, userId }
+ * @returns {Promise<Object|null>} Comprobante emitido (con tipo 'VERIFICACION' si es nota de venta)
+ */
+const emitirComprobanteVenta = async ({
+  tipoDocumento,
+  cliente,
+  clienteFactura,
+  items,
+  descripcion,
+  origenTipo,
+  origenId,
+  comentario,
+  incluyeIgv,
+  userId
+}) => {
+  const total = Math.round(items.reduce((suma, item) => suma + item.precioUnitario * item.cantidad, 0) * 100) / 100;
+
+  if (tipoDocumento === 'BOLETA' || tipoDocumento === 'FACTURA') {
+    const esFactura = tipoDocumento === 'FACTURA';
+
+    return facturacionService.emitirComprobante({
+      tipoComprobante: esFactura ? '01' : '03',
+      serie: esFactura ? 'FT74' : 'BT74',
+      cliente: esFactura
+        ? {
+          tipoDoc: '6',
+          numDoc: clienteFactura.ruc,
+          razonSocial: clienteFactura.razonSocial,
+          direccion: clienteFactura.direccion || ''
+        }
+        : cliente,
+      items,
+      origenTipo,
+      origenId,
+      userId,
+      comentario: comentario || null,
+      incluyeIgv: incluyeIgv !== undefined ? incluyeIgv : null
+    });
+  }
+
+  if (tipoDocumento === 'VERIFICACION') {
+    // Obtener siguiente numero para nota de venta
+    const numeroResult = await prisma.$queryRaw`
+      UPDATE tbl_series_factura
+      SET numero_actual = numero_actual + 1
+      WHERE tipo_comprobante = 'NV' AND serie = 'NV01'
+      RETURNING numero_actual
+    `;
+
+    if (!numeroResult || numeroResult.length === 0) {
+      throw new Error('Serie NV01 no encontrada');
+    }
+
+    const numero = numeroResult[0].numero_actual;
+
+    // Crear nota de venta con comentario
+    const notaResult = await prisma.$queryRaw`
+      INSERT INTO tbl_notas_venta (
+        serie, numero, cliente_nombre, cliente_documento,
+        descripcion, total, origen_tipo, origen_id,
+        user_id_registration, comentario
+      ) VALUES (
+        'NV01', ${numero},
+        ${cliente.razonSocial},
+        ${cliente.numDoc},
+        ${descripcion.slice(0, 500)},
+        ${total},
+        ${origenTipo}, ${origenId},
+        ${userId},
+        ${comentario || null}
+      )
+      RETURNING id, numero_completo
+    `;
+
+    return {
+      id: notaResult[0].id,
+      tipo: 'VERIFICACION',
+      numeroCompleto: notaResult[0].numero_completo,
+      total,
+      comentario: comentario || null
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Emitir un solo comprobante para uno o varios tickets (un item por ticket)
+ * En boleta y nota de venta el cliente es el pasajero del primer ticket.
+ * @param {Object} params - { tickets, tipoDocumento, tipoDocPasajero, clienteFactura, comentario, incluyeIgv, userId }
+ * @returns {Promise<Object|null>} Comprobante emitido
+ */
+const emitirComprobanteTickets = async ({
+  tickets,
+  tipoDocumento,
+  tipoDocPasajero,
+  clienteFactura,
+  comentario,
+  incluyeIgv,
+  userId
+}) => {
+  const titular = tickets[0];
+  const idsTickets = tickets.map((t) => t.id);
+
+  const comprobante = await emitirComprobanteVenta({
+    tipoDocumento,
+    cliente: {
+      tipoDoc: tipoDocPasajero,
+      numDoc: titular.pasajero.documentoIdentidad,
+      razonSocial: titular.pasajero.nombreCompleto,
+      direccion: ''
+    },
+    clienteFactura,
+    items: tickets.map((t) => ({
+      codigo: `PAS-${t.codigoInterno}`,
+      descripcion: tickets.length > 1
+        ? `${describirPasaje(t)} - ${t.pasajero.nombreCompleto}`
+        : describirPasaje(t),
+      unidadMedida: 'ZZ',
+      cantidad: 1,
+      precioUnitario: t.precioFinal ?? t.precioOriginal
+    })),
+    descripcion: tickets.length > 1
+      ? `Pasajes (${tickets.length}): ${[...new Set(tickets.map(describirPasaje))].join(' / ')}`
+      : describirPasaje(titular),
+    origenTipo: 'TICKET',
+    origenId: titular.id,
+    comentario,
+    incluyeIgv,
+    userId
+  });
+
+  if (comprobante?.tipo === 'VERIFICACION') {
+    // Vincular nota de venta a los tickets
+    await prisma.$executeRaw`
+      UPDATE tbl_tickets SET id_nota_venta = ${comprobante.id} WHERE id = ANY(${idsTickets})
+    `;
+  } else if (comprobante) {
+    await prisma.$executeRaw`
+      UPDATE tbl_tickets SET id_comprobante = ${comprobante.id}, invoice_status = 'EMITIDO' WHERE id = ANY(${idsTickets})
+    `;
+  }
+
+  return comprobante;
+};
+
+/**
+ * Emitir el comprobante de un ticket segun el tipo de documento
+ * @param {Object} params - { ticket, tipoDocumento, tipoDocPasajero, clienteFactura, comentario, incluyeIgv, userId }
+ * @returns {Promise<Object|null>} Comprobante emitido
+ */
+const emitirComprobanteTicket = async ({ ticket, ...params }) => {
+  return emitirComprobanteTickets({ tickets: [ticket], ...params });
+};
+
+/**
+ * Revertir el comprobante de un ticket anulado
+ * Si el comprobante o nota de venta solo cubre este ticket se anula completo;
+ * si incluye otros tickets vigentes (venta por lote) se emite nota de credito por el item
+ * o se descuenta el monto de la nota de venta.
+ * @param {Object} ticket - Ticket anulado (con id_comprobante / id_nota_venta)
+ * @param {Object} params - { motivo, monto, userId }
+ * @returns {Promise<Object|null>} Accion realizada sobre el comprobante
+ */
+const revertirComprobanteTicket = async (ticket, { motivo, monto, userId }) => {
+  if (ticket.id_comprobante) {
+    const compartidos = await prisma.ticket.count({
+      where: { id_comprobante: ticket.id_comprobante, estado: 'EMITIDO', id: { not: ticket.id } }
+    });
+
+    if (compartidos === 0) {
+      const comprobante = await facturacionService.anularComprobante(ticket.id_comprobante, motivo, userId);
+      return {
+        accion: 'COMPROBANTE_ANULADO',
+        idComprobante: comprobante.id,
+        numeroCompleto: comprobante.numero_completo
+      };
+    }
+
+    const notaCredito = await facturacionService.emitirNotaCredito(ticket.id_comprobante, {
+      codigosItems: [`PAS-${ticket.codigoInterno}`],
+      motivo,
+      origenTipo: 'ANULACION_TICKET',
+      origenId: ticket.id,
+      userId
+    });
+
+    await prisma.ticket.update({
+      where: { id: ticket.id },
+      data: { idNotaCredito: notaCredito.id }
+    });
+
+    return {
+      accion: 'NOTA_CREDITO',
+      idComprobante: ticket.id_comprobante,
+      idNotaCredito: notaCredito.id,
+      numeroCompleto: notaCredito.numeroCompleto
+    };
+  }
+
+  if (ticket.id_nota_venta) {
+    const compartidos = await prisma.ticket.count({
+      where: { id_nota_venta: ticket.id_nota_venta, estado: 'EMITIDO', id: { not: ticket.id } }
+    });
+
+    if (compartidos === 0) {
+      await prisma.$executeRaw`
+        UPDATE tbl_notas_venta
+        SET estado = 0, user_id_modification = ${userId}, date_time_modification = NOW()
+        WHERE id = ${ticket.id_nota_venta}
+      `;
+      return { accion: 'NOTA_VENTA_ANULADA', idNotaVenta: ticket.id_nota_venta };
+    }
+
+    await prisma.$executeRaw`
+      UPDATE tbl_notas_venta
+      SET total = GREATEST(total - ${monto}, 0), user_id_modification = ${userId}, date_time_modification = NOW()
+      WHERE id = ${ticket.id_nota_venta}
+    `;
+    return { accion: 'NOTA_VENTA_AJUSTADA', idNotaVenta: ticket.id_nota_venta, montoDescontado: monto };
+  }
+
+  return null;
+};
+
+/**
+ * Anular un ticket emitido revirtiendo la venta completa
+ * Libera asiento y cupo, revierte los puntos del pasajero, registra la devolucion y
+ * revierte el comprobante. Un error al revertir el comprobante no deshace la anulacion
+ * y se devuelve en reversionError.
+ * La devolucion se registra como salida de la caja indicada (idCaja); en un pasaje a credito
+ * de empresa (metodo CREDITO) se descuenta de la cuenta de la empresa.
+ * @param {Object} ticketExistente - Ticket a anular
+ * @param {Object} params - { motivo, devolucion, metodo, userId, idCaja }
+ * @returns {Promise<Object>} { ticket, puntos, reversion, reversionError }
+ */
+const anularTicketVenta = async (ticketExistente, { motivo, devolucion, metodo, userId, idCaja = null }) => {
+  const precioPagado = parseFloat(ticketExistente.precio_final ?? ticketExistente.precio_original ?? 0);
+
+  const resultado = await prisma.$transaction(async (tx) => {
+    // Anular ticket solo si sigue emitido (evita doble reversion de puntos)
+    const { count } = await tx.ticket.updateMany({
+      where: { id: ticketExistente.id, estado: 'EMITIDO' },
+      data: {
+        estado: 'ANULADO',
+        fechaAnulacion: utcNow(),
+        idUsuarioAnulacion: userId,
+        motivoAnulacion: motivo,
+        montoDevolucion: devolucion,
+        metodoDevolucion: metodo,
+        userIdModification: userId,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    if (count === 0) {
+      throw new Error('Solo se pueden anular tickets emitidos');
+    }
+
+    // El uso de la promocion queda disponible de nuevo
+    await revertirCanjesTicket(tx, ticketExistente.id);
+
+    if (ticketExistente.idEmpresa && metodo === METODO_CREDITO) {
+      await revertirCargoTicket(tx, ticketExistente, { monto: devolucion, userId });
+    } else if (idCaja) {
+      await registrarMovimientos(tx, idCaja, [{
+        tipo: 'DEVOLUCION',
+        metodo,
+        monto: devolucion,
+        idTicket: ticketExistente.id,
+        descripcion: `Anulacion ${ticketExistente.codigoInterno}`
+      }], userId);
+    }
+
+    // Liberar cupo (el asiento queda libre al no estar el ticket EMITIDO)
+    await tx.viaje.updateMany({
+      where: { id: ticketExistente.idViaje, capacidadVendida: { gt: 0 } },
+      data: { capacidadVendida: { decrement: 1 } }
+    });
+
+    // Revertir puntos: se quitan los ganados y se devuelven los canjeados
+    const puntosGanados = ticketExistente.puntos_ganados || 0;
+    const puntosUsados = ticketExistente.puntos_usados || 0;
+    const pasajero = await tx.pasajero.findUnique({ where: { id: ticketExistente.idPasajero } });
+
+    const puntosDisponibles = pasajero.puntos_disponibles ?? pasajero.puntos ?? 0;
+    const puntosHistoricos = pasajero.puntos_historicos ?? pasajero.puntos ?? 0;
+
+    // Si el pasajero ya gasto los puntos ganados, el saldo no baja de cero
+    const nuevosPuntosDisponibles = Math.max(0, puntosDisponibles - puntosGanados + puntosUsados);
+    const nuevosPuntosHistoricos = Math.max(0, puntosHistoricos - puntosGanados);
+
+    await tx.pasajero.update({
+      where: { id: pasajero.id },
+      data: {
+        puntos_disponibles: nuevosPuntosDisponibles,
+        puntos_historicos: nuevosPuntosHistoricos,
+        userIdModification: userId,
+        dateTimeModification: utcNow()
+      }
+    });
+
+    const ticket = await tx.ticket.findUnique({ where: { id: ticketExistente.id } });
+
+    return {
+      ticket,
+      puntos: {
+        puntosGanadosRevertidos: puntosGanados,
+        puntosUsadosDevueltos: puntosUsados,
+        puntosDisponiblesCliente: nuevosPuntosDisponibles,
+        puntosAcumuladosCliente: nuevosPuntosHistoricos
+      }
+    };
+  });
+
+  // Reversion de comprobante / nota de venta (un error no revierte la anulacion del ticket)
+  let reversion = null;
+  let reversionError = null;
+  try {
+    reversion = await revertirComprobanteTicket(ticketExistente, {
+      motivo,
+      monto: precioPagado,
+      userId
+    });
+  } catch (errorReversion) {
+    console.error('Error revirtiendo comprobante:', errorReversion);
+    reversionError = errorReversion.message;
+  }
+
+  return { ...resultado, reversion, reversionError };
+};
+
+/**
+ * Obtener datos de la agencia para el comprobante
+ * (punto del vendedor o punto de origen de la ruta)
+ * @param {number|null} idPunto - ID del punto
+ * @returns {Promise<Object|null>} { nombre, ciudad, direccion }
+ */
+const obtenerAgencia = async (idPunto) => {
+  if (!idPunto) return null;
+
+  const puntoResult = await prisma.$queryRaw`
+    SELECT nombre, ciudad, direccion FROM tbl_puntos WHERE id = ${idPunto} AND estado = 1
+  `;
+
+  return puntoResult && puntoResult.length > 0 ? puntoResult[0] : null;
+};
+
+/**
+ * Normalizar respuesta del comprobante para todos los tipos de documento
+ * @param {Object|null} comprobante - Comprobante emitido
+ * @param {Object} params - { tipoDocumento, agencia, ticket }
+ * @returns {Object|null} Comprobante normalizado
+ */
+const normalizarComprobante = (comprobante, { tipoDocumento, agencia, ticket }) => {
+  if (!comprobante) return comprobante;
+
+  comprobante.tipoDocumento = tipoDocumento;
+  comprobante.agencia = agencia;
+  // Normalizar campo numeroCompleto para BOLETA y FACTURA
+  if (!comprobante.numeroCompleto && comprobante.numero_completo) {
+    comprobante.numeroCompleto = comprobante.numero_completo;
+  }
+  if (!comprobante.total) {
+    comprobante.total = comprobante.total_venta || ticket.precioFinal || ticket.precioOriginal;
+  }
+
+  return comprobante;
+};
+
+module.exports = {
+  obtenerConfiguracionPuntos,
+  obtenerCargoReprogramacion,
+  validarDocumentoVenta,
+  validarPasajero,
+  validarViajeVenta,
+  buscarOCrearViaje,
+  registrarTicket,
+  describirPasaje,
+  emitirComprobanteVenta,
+  emitirComprobanteTickets,
+  emitirComprobanteTicket,
+  revertirComprobanteTicket,
+  anularTicketVenta,
+  obtenerAgencia,
+  normalizarComprobante
+};
@@ -0,0 +1,110 @@
+/**
+ * Venta Web Service
+ * Reglas de la venta de pasajes en linea: canal WEB (punto virtual y usuario de
+ * sistema al que se atribuyen las ventas) y validacion del pasajero contra RENIEC
+ */
+
+const prisma = require('../config/prisma');
+const { consultarDni } = require('./apiPeruService');
+
+// Usuario de sistema de la venta en linea (creado por la migracion venta_web, su punto es WEB)
+const CORREO_USUARIO_WEB = 'ventas.web@sistema.local';
+
+// Minutos que se retiene el asiento mientras el cliente paga
+const MINUTOS_RESERVA_WEB = 15;
+
+// Reservas web vigentes que puede tener un mismo pasajero
+const MAX_RESERVAS_WEB_PASAJERO = 4;
+
+/**
+ * Obtener el usuario y punto a los que se atribuye la venta en linea
+ * @returns {Promise<Object>} { userId, idPunto }
+ */
+const obtenerCanalWeb = async () => {
+  const usuario = await prisma.usuario.findUnique({
+    where: { correo: CORREO_USUARIO_WEB },
+    select: { id: true, idPunto: true }
+  });
+
+  if (!usuario || !usuario.idPunto) {
+    throw new Error('Venta en linea no configurada');
+  }
+
+  return { userId: usuario.id, idPunto: usuario.idPunto };
+};
+
+/**
+ * Normalizar un nombre o ciudad para comparar (sin tildes, mayusculas, espacios simples)
+ * @param {string} texto
+ * @returns {string}
+ */
+const normalizarTexto = (texto) => {
+  return (texto || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Validar el DNI del pasajero en RENIEC (via API Peru) y que el nombre declarado le corresponda
+ * Se exige que el nombre declarado contenga el primer nombre y el apellido paterno,
+ * asi la consulta no revela el nombre de un DNI ajeno.
+ * Si el pasajero ya esta registrado con ese DNI y el nombre declarado coincide con el
+ * registrado, se reutiliza sin consultar RENIEC (la consulta tiene costo y cuota).
+ * @param {string} dni - DNI de 8 digitos
+ * @param {string} nombreCompleto - Nombre declarado por el cliente
+ * @returns {Promise<Object>} { nombreCompleto } (nombre oficial) o { error, status }
+ */
+const validarIdentidadPasajero = async (dni, nombreCompleto) => {
+  const registrado = await prisma.pasajero.findFirst({
+    where: { documentoIdentidad: dni },
+    select: { nombreCompleto: true }
+  });
+
+  if (registrado && normalizarTexto(registrado.nombreCompleto) === normalizarTexto(nombreCompleto)) {
+    return { nombreCompleto: registrado.nombreCompleto };
+  }
+
+  let consulta;
+  try {
+    consulta = await consultarDni(dni);
+  } catch (error) {
+    console.error('Error consultando DNI para venta web:', error);
+    return { error: 'No se pudo validar el DNI en este momento, intente nuevamente', status: 503 };
+  }
+
+  if (!consulta.success || !consulta.data) {
+    return { error: consulta.message || 'No se encontraron datos para el DNI proporcionado', status: 400 };
+  }
+
+  const datos = consulta.data;
+  const oficial = normalizarTexto(
+    datos.nombre_completo || [datos.nombres, datos.apellido_paterno, datos.apellido_materno].join(' ')
+  );
+
+  const requeridas = [
+    ...normalizarTexto(datos.nombres).split(' ').slice(0, 1),
+    ...normalizarTexto(datos.apellido_paterno).split(' ')
+  ].filter(Boolean);
+
+  const declaradas = new Set(normalizarTexto(nombreCompleto).split(' '));
+  const palabras = requeridas.length > 0 ? requeridas : oficial.split(' ').slice(0, 2);
+
+  if (palabras.length === 0 || !palabras.every((palabra) => declaradas.has(palabra))) {
+    return { error: 'El nombre no corresponde al DNI ingresado', status: 400 };
+  }
+
+  return { nombreCompleto: oficial };
+};
+
+module.exports = {
+  CORREO_USUARIO_WEB,
+  MINUTOS_RESERVA_WEB,
+  MAX_RESERVAS_WEB_PASAJERO,
+  obtenerCanalWeb,
+  normalizarTexto,
+  validarIdentidadPasajero
+};
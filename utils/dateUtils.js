@@ -207,6 +207,19 @@ const getFechaPeruYYYYMMDD = () => {
   return formatter.format(now).replace(/-/g, '');
 };
 
+/**
+ * Obtiene la fecha civil de hoy en Perú
+ * @returns {Date} Fecha civil (medianoche UTC, mismo formato que parseCivilDate)
+ */
+const getFechaCivilHoyPeru = () => {
+  const hoy = getFechaPeruYYYYMMDD();
+  return new Date(Date.UTC(
+    parseInt(hoy.slice(0, 4)),
+    parseInt(hoy.slice(4, 6)) - 1,
+    parseInt(hoy.slice(6, 8))
+  ));
+};
+
 /**
  * Verifica si una hora (en formato de BD) ya pasó para hoy
  * Compara con la hora actual en Perú
@@ -250,6 +263,64 @@ const isBeforeToday = (dateStr) => {
   return inputDate < todayPeru;
 };
 
+// Desfase de Perú respecto a UTC en horas (America/Lima no usa horario de verano)
+const OFFSET_PERU_HORAS = 5;
+
+/**
+ * Combina una fecha civil y una hora de horario (hora local Lima) en un instante UTC
+ * @param {Date} fecha - Fecha civil (medianoche UTC, ver parseCivilDate)
+ * @param {Date|string} timeValue - Hora del horario (campo TIME de BD)
+ * @returns {Date} Instante UTC
+ */
+const combinarFechaHoraPeru = (fecha, timeValue) => {
+  const { hours, minutes } = extractTimeFromDB(timeValue);
+  return new Date(Date.UTC(
+    fecha.getUTCFullYear(),
+    fecha.getUTCMonth(),
+    fecha.getUTCDate(),
+    hours + OFFSET_PERU_HORAS,
+    minutes
+  ));
+};
+
+// Mascara con todos los dias de la semana (bit 0 = domingo ... bit 6 = sabado)
+const TODOS_LOS_DIAS = 127;
+
+/**
+ * Convierte una lista de dias de la semana en mascara de bits
+ * @param {number[]} dias - Dias (0 = domingo ... 6 = sabado)
+ * @returns {number|null} Mascara o null si algun dia es invalido
+ */
+const diasAMascara = (dias) => {
+  if (!Array.isArray(dias) || dias.length === 0) return null;
+  let mascara = 0;
+  for (const dia of dias) {
+    const valor = parseInt(dia);
+    if (isNaN(valor) || valor < 0 || valor > 6) return null;
+    mascara |= 1 << valor;
+  }
+  return mascara;
+};
+
+/**
+ * Convierte una mascara de bits en lista de dias de la semana
+ * @param {number} mascara - Mascara (bit 0 = domingo)
+ * @returns {number[]} Dias (0 = domingo ... 6 = sabado)
+ */
+const mascaraADias = (mascara) => {
+  return [0, 1, 2, 3, 4, 5, 6].filter((dia) => (mascara & (1 << dia)) !== 0);
+};
+
+/**
+ * Verifica si una fecha civil cae en los dias de una mascara semanal
+ * @param {number} mascara - Mascara de dias (null = todos)
+ * @param {Date} fecha - Fecha civil (medianoche UTC, ver parseCivilDate)
+ * @returns {boolean}
+ */
+const diaEnMascara = (mascara, fecha) => {
+  return ((mascara ?? TODOS_LOS_DIAS) & (1 << fecha.getUTCDay())) !== 0;
+};
+
 module.exports = {
   utcNow,
   toUtcIso,
@@ -260,7 +331,13 @@ module.exports = {
   extractTimeFromDB,
   formatTimeForAPI,
   getFechaPeruYYYYMMDD,
+  getFechaCivilHoyPeru,
   hasTimePassed,
   isToday,
-  isBeforeToday
+  isBeforeToday,
+  combinarFechaHoraPeru,
+  TODOS_LOS_DIAS,
+  diasAMascara,
+  mascaraADias,
+  diaEnMascara
 };
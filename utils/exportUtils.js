@@ -0,0 +1,183 @@
+/**
+ * Export Utilities - Exportacion de reportes tabulares a CSV y PDF
+ *
+ * Los PDF se generan localmente como documentos PDF 1.4 de solo texto
+ * (fuentes estandar Helvetica, WinAnsiEncoding) sin dependencias externas:
+ * titulo, lineas de encabezado y una tabla paginada.
+ */
+
+// A4 horizontal (puntos PDF)
+const PAGINA_ANCHO = 842;
+const PAGINA_ALTO = 595;
+const MARGEN = 36;
+const ALTO_FILA = 14;
+const TAMANO_FUENTE = 9;
+
+/**
+ * Escapar texto para un string literal PDF (latin1)
+ * Los caracteres fuera de latin1 se reemplazan por '?'
+ * @param {string} texto - Texto a escapar
+ * @returns {string} Texto escapado
+ */
+const escaparTexto = (texto) => {
+  return String(texto ?? '')
+    .replace(/[^\x20-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+};
+
+/**
+ * Recortar texto al ancho de columna (aproximacion por ancho promedio de Helvetica)
+ * @param {string} texto - Texto de la celda
+ * @param {number} ancho - Ancho de la columna en puntos
+ * @returns {string} Texto recortado
+ */
+const recortarTexto = (texto, ancho) => {
+  const valor = String(texto ?? '');
+  const maxCaracteres = Math.floor((ancho - 4) / (TAMANO_FUENTE * 0.5));
+  return valor.length > maxCaracteres ? `${valor.slice(0, Math.max(0, maxCaracteres - 3))}...` : valor;
+};
+
+/**
+ * Instruccion de texto en una posicion
+ */
+const texto = (x, y, valor, fuente = 'F1', tamano = TAMANO_FUENTE) => {
+  return `BT /${fuente} ${tamano} Tf ${x} ${y} Td (${escaparTexto(valor)}) Tj ET`;
+};
+
+/**
+ * Instruccion de linea horizontal
+ */
+const lineaHorizontal = (y) => {
+  return `0.5 w ${MARGEN} ${y} m ${PAGINA_ANCHO - MARGEN} ${y} l S`;
+};
+
+/**
+ * Generar un PDF con titulo, encabezados y tabla paginada
+ * @param {Object} params
+ * @param {string} params.titulo - Titulo del documento
+ * @param {Array<string>} params.encabezado - Lineas informativas bajo el titulo
+ * @param {Array<{titulo: string, ancho: number}>} params.columnas - Columnas de la tabla
+ * @param {Array<Array<string|number>>} params.filas - Filas de la tabla
+ * @param {string} params.pie - Texto al pie de la ultima pagina (opcional)
+ * @returns {Buffer} Contenido del PDF
+ */
+const generarPdfTabla = ({ titulo, encabezado = [], columnas, filas, pie = null }) => {
+  const contenidos = [];
+  let lineas = [];
+  let y = PAGINA_ALTO - MARGEN;
+
+  const iniciarPagina = (primera) => {
+    lineas = [];
+    y = PAGINA_ALTO - MARGEN;
+
+    if (primera) {
+      lineas.push(texto(MARGEN, y - 12, titulo, 'F2', 14));
+      y -= 30;
+      for (const linea of encabezado) {
+        lineas.push(texto(MARGEN, y, linea));
+        y -= ALTO_FILA;
+      }
+      y -= 6;
+    }
+
+    // Cabecera de la tabla (se repite en cada pagina)
+    let x = MARGEN;
+    for (const columna of columnas) {
+      lineas.push(texto(x + 2, y, recortarTexto(columna.titulo, columna.ancho), 'F2'));
+      x += columna.ancho;
+    }
+    lineas.push(lineaHorizontal(y - 4));
+    y -= ALTO_FILA + 2;
+  };
+
+  const cerrarPagina = () => {
+    contenidos.push(lineas);
+  };
+
+  iniciarPagina(true);
+
+  for (const fila of filas) {
+    if (y < MARGEN + ALTO_FILA * 2) {
+      cerrarPagina();
+      iniciarPagina(false);
+    }
+
+    let x = MARGEN;
+    columnas.forEach((columna, i) => {
+      lineas.push(texto(x + 2, y, recortarTexto(fila[i], columna.ancho)));
+      x += columna.ancho;
+    });
+    y -= ALTO_FILA;
+  }
+
+  if (pie) {
+    if (y < MARGEN + ALTO_FILA * 3) {
+      cerrarPagina();
+      iniciarPagina(false);
+    }
+    lineas.push(lineaHorizontal(y + ALTO_FILA - 4));
+    lineas.push(texto(MARGEN, y - 4, pie));
+  }
+
+  cerrarPagina();
+
+  // Numeracion de paginas
+  contenidos.forEach((pagina, i) => {
+    pagina.push(texto(PAGINA_ANCHO - MARGEN - 70, MARGEN / 2, `Pagina ${i + 1} de ${contenidos.length}`, 'F1', 8));
+  });
+
+  // Objetos: 1 catalogo, 2 paginas, 3-4 fuentes, luego (pagina, contenido) por cada pagina
+  const objetos = [];
+  const idsPaginas = contenidos.map((_, i) => 5 + i * 2);
+
+  objetos.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objetos.push(`<< /Type /Pages /Kids [${idsPaginas.map((id) => `${id} 0 R`).join(' ')}] /Count ${idsPaginas.length} >>`);
+  objetos.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  objetos.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  contenidos.forEach((pagina, i) => {
+    const stream = pagina.join('\n');
+    objetos.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGINA_ANCHO} ${PAGINA_ALTO}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${idsPaginas[i] + 1} 0 R >>`
+    );
+    objetos.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objetos.forEach((objeto, i) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${i + 1} 0 obj\n${objeto}\nendobj\n`;
+  });
+
+  const inicioXref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objetos.length + 1} /Root 1 0 R >>\nstartxref\n${inicioXref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+/**
+ * Generar CSV a partir de columnas y filas (separador coma, con BOM para Excel)
+ * @param {Array<string>} columnas - Titulos de columnas
+ * @param {Array<Array<string|number>>} filas - Filas
+ * @returns {string} Contenido CSV
+ */
+const generarCsv = (columnas, filas) => {
+  const celda = (valor) => {
+    const str = String(valor ?? '');
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+
+  const lineas = [columnas, ...filas].map((fila) => fila.map(celda).join(','));
+  return '\uFEFF' + lineas.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  generarPdfTabla,
+  generarCsv
+};